@@ -1,78 +1,314 @@
-import React from 'react';
+import React, { useRef, useState } from 'react';
 import AudioPlayer from './components/AudioPlayer';
 import FileUpload from './components/FileUpload';
 import PlaylistItem from './components/PlaylistItem';
-import { useAudioPlayer } from './hooks/useAudioPlayer';
-import { validateAudioFile, formatDuration } from './utils/audioUtils';
+import PlaylistSidebar from './components/PlaylistSidebar';
+import Equalizer from './components/Equalizer';
+import Queue from './components/Queue';
+import RecentlyPlayed from './components/RecentlyPlayed';
+import TagEditor from './components/TagEditor';
+import Library from './components/Library';
+import useAudioPlayer from './hooks/useAudioPlayer';
+import useLibrary from './hooks/useLibrary';
+import { downloadBlob, getFolderPath, getSafeFileName, revokeAudioUrl, validateAudioFiles } from './utils/audioUtils';
+import { splitDuplicates } from './utils/fingerprint';
+import { isTagWritable, retagTrack, writeId3Tag } from './utils/tagWriter';
+import { isWebAudioSupported } from './utils/audioGraph';
+import { createPlaylistJson } from './utils/playlistJson';
+import {
+  createM3u8,
+  createPls,
+  createXspf,
+  PLAYLIST_MIME_TYPES,
+  readPlaylistFile,
+  resolvePlaylistEntries
+} from './utils/playlistFiles';
 import './styles/AudioPlayer.css';
 
 function App() {
   const {
     currentTrack,
     isPlaying,
+    isLoading,
+    isBuffering,
+    error,
     currentTime,
     duration,
     volume,
+    isMuted,
     playlist,
+    tracks,
+    playlists,
+    activePlaylistId,
     play,
     pause,
     stop,
     seek,
-    setVolume,
+    changeVolume,
+    toggleMute,
     playTrack,
-    removeTrack,
-    addTrack
+    playNext,
+    playPrevious,
+    hasNext,
+    hasPrevious,
+    isShuffled,
+    repeatMode,
+    toggleShuffle,
+    cycleRepeatMode,
+    loopStart,
+    loopEnd,
+    isLoopEnabled,
+    setLoopPointA,
+    setLoopPointB,
+    toggleLoop,
+    clearLoop,
+    currentBookmarks,
+    addBookmark,
+    updateBookmark,
+    removeBookmark,
+    jumpToBookmark,
+    bookmarks,
+    ratings,
+    rateTrack,
+    mergeTrackDetails,
+    currentLyricsOffset,
+    changeLyricsOffset,
+    chapters,
+    currentChapterIndex,
+    hasNextChapter,
+    hasPreviousChapter,
+    jumpToChapter,
+    playNextChapter,
+    playPreviousChapter,
+    sleepTimer,
+    sleepRemaining,
+    startSleepTimer,
+    extendSleepTimer,
+    cancelSleepTimer,
+    removeFromPlaylist,
+    addToPlaylist,
+    addTrackToPlaylist,
+    updateTrack,
+    switchPlaylist,
+    createPlaylist,
+    renamePlaylist,
+    duplicatePlaylist,
+    deletePlaylist,
+    queue,
+    addToQueue,
+    playTrackNext,
+    removeFromQueue,
+    moveQueueItem,
+    clearQueue,
+    playFromQueue,
+    history,
+    currentHistoryEntryId,
+    isPreviousFromHistory,
+    jumpToHistoryEntry,
+    clearHistory,
+    togglePreviousFromHistory,
+    isCrossfadeEnabled,
+    crossfadeDuration,
+    crossfadeCurve,
+    isAlbumGapless,
+    toggleCrossfade,
+    changeCrossfadeDuration,
+    changeCrossfadeCurve,
+    toggleAlbumGapless,
+    eqBands,
+    eqPreamp,
+    eqHeadroom,
+    isEqEnabled,
+    isClipProtectionEnabled,
+    updateEqBand,
+    changeEqPreamp,
+    applyEqPreset,
+    toggleEq,
+    toggleClipProtection,
+    normalizationMode,
+    normalizationTarget,
+    currentTrackGain,
+    changeNormalizationMode,
+    changeNormalizationTarget,
+    playbackRate,
+    preservesPitch,
+    pitchShift,
+    isPitchShiftAvailable,
+    changePlaybackRate,
+    togglePreservePitch,
+    changePitchShift,
+    resumePositions,
+    playedTracks,
+    resumeCutoff,
+    resumeOffer,
+    resumePlayback,
+    dismissResumeOffer,
+    changeResumeCutoff,
+    settings,
+    session,
+    restoreTracks,
+    restorePlaylists,
+    restoreSettings,
+    restoreSession,
+    captureSession
   } = useAudioPlayer();
 
+  const library = useLibrary({
+    tracks,
+    playlists,
+    settings,
+    session,
+    restoreTracks,
+    restorePlaylists,
+    restoreSettings,
+    restoreSession,
+    captureSession
+  });
+  const activePlaylist = playlists.find(item => item.id === activePlaylistId);
+  const otherPlaylists = playlists.filter(item => item.id !== activePlaylistId);
+
+  // Imported files that duplicate a track, waiting for the user to decide
+  const [pendingDuplicates, setPendingDuplicates] = useState([]);
+  // Folder imports arrive in batches faster than the library re-renders,
+  // so tracks added since the last render are tracked here
+  const tracksRef = useRef(tracks);
+  tracksRef.current = tracks;
+  const addedTracksRef = useRef([]);
+
+  const getKnownTracks = () => {
+    const ids = new Set(tracksRef.current.map(track => track.id));
+    addedTracksRef.current = addedTracksRef.current.filter(track => !ids.has(track.id));
+    return [...tracksRef.current, ...addedTracksRef.current];
+  };
+
+  const addImportedFile = ({ file, url, metadata }) => {
+    const track = { file, url, ...metadata };
+    const added = { ...track, id: addToPlaylist(track) };
+    addedTracksRef.current.push(added);
+    return added;
+  };
+
+  const discardImportedFile = ({ url, metadata }) => {
+    revokeAudioUrl(url);
+    revokeAudioUrl(metadata.artwork);
+  };
+
   const handleFileUpload = async (files) => {
     try {
-      const validFiles = [];
-      
-      for (const file of files) {
-        if (validateAudioFile(file)) {
-          const audioData = {
-            id: Date.now() + Math.random(),
-            file,
-            name: file.name.replace(/\.[^/.]+$/, ""),
-            url: URL.createObjectURL(file),
-            size: file.size,
-            type: file.type,
-            duration: 0
-          };
-          validFiles.push(audioData);
-        }
+      const { validFiles, errors } = await validateAudioFiles(files);
+      const { unique, duplicates } = splitDuplicates(validFiles, getKnownTracks());
+      const added = new Map(unique.map(item => [item, addImportedFile(item)]));
+
+      if (duplicates.length > 0) {
+        // Earlier files of the batch are in the playlist now, so every
+        // duplicate is resolved against a track
+        setPendingDuplicates(prev => [
+          ...prev,
+          ...duplicates.map(({ item, existing }) => ({ item, existing: added.get(existing) || existing }))
+        ]);
       }
 
-      if (validFiles.length > 0) {
-        validFiles.forEach(track => addTrack(track));
+      if (errors.length > 0) {
+        console.error('Some files could not be added:', errors);
       }
     } catch (error) {
       console.error('Error uploading files:', error);
     }
   };
 
-  const handleTrackSelect = (track) => {
-    playTrack(track.id);
+  // Each playlist file becomes a playlist of the tracks it could be matched
+  // to, which also take the ratings and bookmarks it carries; returns what
+  // was found for FileUpload to report
+  const handlePlaylistFiles = async (files) => {
+    const reports = [];
+    let importedId = null;
+
+    for (const file of files) {
+      const parsed = await readPlaylistFile(file);
+      if (!parsed) {
+        reports.push({ name: file.name, total: null, unresolved: [] });
+        continue;
+      }
+
+      const resolved = resolvePlaylistEntries(parsed.entries, getKnownTracks(), getFolderPath(file));
+      if (resolved.matches.length > 0) {
+        importedId = createPlaylist(parsed.name, resolved.matches.map(({ track }) => track.id));
+        resolved.matches.forEach(({ entry, track }) => mergeTrackDetails(track.id, entry));
+      }
+      reports.push({ name: parsed.name, total: parsed.entries.length, unresolved: resolved.unresolved });
+    }
+
+    if (importedId) switchPlaylist(importedId);
+    return reports;
   };
 
-  const handleTrackRemove = (trackId) => {
-    removeTrack(trackId);
+  const exportPlaylist = (format) => {
+    const writers = {
+      m3u8: () => createM3u8(activePlaylist.name, playlist),
+      pls: () => createPls(playlist),
+      xspf: () => createXspf(activePlaylist.name, playlist, { ratings, bookmarks }),
+      json: () => createPlaylistJson(activePlaylist.name, playlist, { ratings, bookmarks })
+    };
+    const fileName = `${getSafeFileName(activePlaylist.name, 'playlist')}.${format}`;
+    downloadBlob(new Blob([writers[format]()], { type: PLAYLIST_MIME_TYPES[format] }), fileName);
+  };
+
+  // Actions are 'skip', 'add', 'replace' or 'keep', one per duplicate
+  const handleResolveDuplicates = (actions) => {
+    pendingDuplicates.forEach(({ item, existing }, index) => {
+      const action = actions[index];
+      if (action === 'replace') {
+        // The track keeps its id, so bookmarks and queue entries stay attached
+        updateTrack(existing.id, { file: item.file, url: item.url, ...item.metadata });
+      } else if (action === 'keep') {
+        addImportedFile(item);
+      } else if (action === 'add') {
+        // The track may be in another playlist; it joins this one instead
+        discardImportedFile(item);
+        addTrackToPlaylist(existing.id, activePlaylistId);
+      } else {
+        discardImportedFile(item);
+      }
+    });
+
+    setPendingDuplicates([]);
+  };
+
+  // Tracks ticked for batch tag editing, and the tracks open in the editor
+  const [selectedTrackIds, setSelectedTrackIds] = useState([]);
+  const [editingTrackIds, setEditingTrackIds] = useState(null);
+  const selectedTracks = playlist.filter(track => selectedTrackIds.includes(track.id));
+  const editingTracks = editingTrackIds ? playlist.filter(track => editingTrackIds.includes(track.id)) : [];
+
+  const toggleTrackSelection = (trackId) => {
+    setSelectedTrackIds(prev => (
+      prev.includes(trackId) ? prev.filter(id => id !== trackId) : [...prev, trackId]
+    ));
   };
 
-  const handleNext = () => {
-    if (!playlist.length) return;
-    
-    const currentIndex = playlist.findIndex(track => track.id === currentTrack?.id);
-    const nextIndex = (currentIndex + 1) % playlist.length;
-    playTrack(playlist[nextIndex].id);
+  // Editing a ticked track edits the whole selection
+  const handleEditTags = (trackId) => {
+    setEditingTrackIds(selectedTrackIds.includes(trackId) ? selectedTracks.map(track => track.id) : [trackId]);
   };
 
-  const handlePrevious = () => {
-    if (!playlist.length) return;
-    
-    const currentIndex = playlist.findIndex(track => track.id === currentTrack?.id);
-    const previousIndex = currentIndex === 0 ? playlist.length - 1 : currentIndex - 1;
-    playTrack(playlist[previousIndex].id);
+  const handleTagSave = async (changes, { download }) => {
+    for (const track of editingTracks) {
+      if (download) {
+        const file = await writeId3Tag(track.file, changes);
+        downloadBlob(file, file.name);
+      } else {
+        updateTrack(track.id, await retagTrack(track, changes));
+      }
+    }
+  };
+
+  const handleTrackSelect = (index) => {
+    playTrack(index);
+  };
+
+  const handleTrackRemove = (trackId) => {
+    removeFromPlaylist(trackId);
+    setSelectedTrackIds(prev => prev.filter(id => id !== trackId));
   };
 
   return (
@@ -87,56 +323,240 @@ function App() {
         </div>
       </header>
 
-      <main className="app-main">
+      <main className="app-main app-main--with-sidebar">
+        <PlaylistSidebar
+          playlists={playlists}
+          activePlaylistId={activePlaylistId}
+          onSelect={switchPlaylist}
+          onCreate={createPlaylist}
+          onRename={renamePlaylist}
+          onDuplicate={duplicatePlaylist}
+          onDelete={deletePlaylist}
+        />
+
         <div className="player-container">
-          <FileUpload onFileUpload={handleFileUpload} />
+          <FileUpload
+            multiple
+            onFilesAdded={handleFileUpload}
+            onPlaylistFilesAdded={handlePlaylistFiles}
+            duplicates={pendingDuplicates}
+            onResolveDuplicates={handleResolveDuplicates}
+          />
           
           {currentTrack && (
             <AudioPlayer
-              track={currentTrack}
+              currentTrack={currentTrack}
               isPlaying={isPlaying}
+              isLoading={isLoading}
+              isBuffering={isBuffering}
+              error={error}
               currentTime={currentTime}
               duration={duration}
               volume={volume}
+              isMuted={isMuted}
               onPlay={play}
               onPause={pause}
               onStop={stop}
               onSeek={seek}
-              onVolumeChange={setVolume}
-              onNext={handleNext}
-              onPrevious={handlePrevious}
-              hasNext={playlist.length > 1}
-              hasPrevious={playlist.length > 1}
+              onVolumeChange={changeVolume}
+              onToggleMute={toggleMute}
+              onNext={playNext}
+              onPrevious={playPrevious}
+              hasNext={hasNext}
+              hasPrevious={hasPrevious}
+              isShuffled={isShuffled}
+              repeatMode={repeatMode}
+              onToggleShuffle={toggleShuffle}
+              onCycleRepeat={cycleRepeatMode}
+              isCrossfadeEnabled={isCrossfadeEnabled}
+              crossfadeDuration={crossfadeDuration}
+              crossfadeCurve={crossfadeCurve}
+              isAlbumGapless={isAlbumGapless}
+              onToggleCrossfade={toggleCrossfade}
+              onCrossfadeDurationChange={changeCrossfadeDuration}
+              onCrossfadeCurveChange={changeCrossfadeCurve}
+              onToggleAlbumGapless={toggleAlbumGapless}
+              normalizationMode={normalizationMode}
+              normalizationTarget={normalizationTarget}
+              currentTrackGain={currentTrackGain}
+              onNormalizationModeChange={changeNormalizationMode}
+              onNormalizationTargetChange={changeNormalizationTarget}
+              playbackRate={playbackRate}
+              preservesPitch={preservesPitch}
+              pitchShift={pitchShift}
+              isPitchShiftAvailable={isPitchShiftAvailable}
+              onPlaybackRateChange={changePlaybackRate}
+              onTogglePreservePitch={togglePreservePitch}
+              onPitchShiftChange={changePitchShift}
+              loopStart={loopStart}
+              loopEnd={loopEnd}
+              isLoopEnabled={isLoopEnabled}
+              onSetLoopA={setLoopPointA}
+              onSetLoopB={setLoopPointB}
+              onToggleLoop={toggleLoop}
+              onClearLoop={clearLoop}
+              bookmarks={currentBookmarks}
+              onAddBookmark={addBookmark}
+              onUpdateBookmark={updateBookmark}
+              onRemoveBookmark={removeBookmark}
+              onJumpToBookmark={jumpToBookmark}
+              lyricsOffset={currentLyricsOffset}
+              onLyricsOffsetChange={changeLyricsOffset}
+              chapters={chapters}
+              currentChapterIndex={currentChapterIndex}
+              hasNextChapter={hasNextChapter}
+              hasPreviousChapter={hasPreviousChapter}
+              onJumpToChapter={jumpToChapter}
+              onNextChapter={playNextChapter}
+              onPreviousChapter={playPreviousChapter}
+              sleepTimer={sleepTimer}
+              sleepRemaining={sleepRemaining}
+              onStartSleepTimer={startSleepTimer}
+              onExtendSleepTimer={extendSleepTimer}
+              onCancelSleepTimer={cancelSleepTimer}
+              resumeOffer={resumeOffer}
+              onResume={resumePlayback}
+              onDismissResume={dismissResumeOffer}
+              resumeCutoff={resumeCutoff}
+              onResumeCutoffChange={changeResumeCutoff}
+            />
+          )}
+
+          {currentTrack && (
+            <Equalizer
+              bands={eqBands}
+              preamp={eqPreamp}
+              headroom={eqHeadroom}
+              isEnabled={isEqEnabled}
+              isClipProtectionEnabled={isClipProtectionEnabled}
+              isSupported={isWebAudioSupported()}
+              onBandChange={updateEqBand}
+              onPreampChange={changeEqPreamp}
+              onPresetApply={applyEqPreset}
+              onToggle={toggleEq}
+              onToggleClipProtection={toggleClipProtection}
             />
           )}
 
+          <Queue
+            queue={queue}
+            onSelect={playFromQueue}
+            onMove={moveQueueItem}
+            onRemove={removeFromQueue}
+            onClear={clearQueue}
+          />
+
           {playlist.length > 0 && (
             <div className="playlist-container">
               <h2 className="playlist-title">
-                Playlist ({playlist.length} track{playlist.length !== 1 ? 's' : ''})
+                {activePlaylist.name} ({playlist.length} track{playlist.length !== 1 ? 's' : ''})
               </h2>
+              <div className="playlist-export">
+                <button className="playlist-selection__button" onClick={() => exportPlaylist('m3u8')}>
+                  Export M3U8
+                </button>
+                <button className="playlist-selection__button" onClick={() => exportPlaylist('pls')}>
+                  Export PLS
+                </button>
+                <button className="playlist-selection__button" onClick={() => exportPlaylist('xspf')}>
+                  Export XSPF
+                </button>
+                <button
+                  className="playlist-selection__button"
+                  onClick={() => exportPlaylist('json')}
+                  title="Includes tags, ratings and bookmarks"
+                >
+                  Export JSON
+                </button>
+              </div>
+              {selectedTracks.length > 0 && (
+                <div className="playlist-selection">
+                  <span>{selectedTracks.length} selected</span>
+                  <button
+                    className="playlist-selection__button"
+                    onClick={() => setEditingTrackIds(selectedTracks.map(track => track.id))}
+                  >
+                    Edit tags
+                  </button>
+                  <button
+                    className="playlist-selection__button"
+                    onClick={() => setSelectedTrackIds([])}
+                  >
+                    Clear selection
+                  </button>
+                </div>
+              )}
               <div className="playlist">
                 {playlist.map((track, index) => (
                   <PlaylistItem
                     key={track.id}
                     track={track}
-                    index={index + 1}
+                    index={index}
                     isActive={currentTrack?.id === track.id}
                     isPlaying={isPlaying && currentTrack?.id === track.id}
-                    onSelect={() => handleTrackSelect(track)}
+                    onSelect={() => handleTrackSelect(index)}
                     onRemove={() => handleTrackRemove(track.id)}
+                    onPlayNext={() => playTrackNext(track.id)}
+                    onAddToQueue={() => addToQueue(track.id)}
+                    onEditTags={isTagWritable(track) ? () => handleEditTags(track.id) : undefined}
+                    isSelected={selectedTrackIds.includes(track.id)}
+                    onToggleSelect={isTagWritable(track) ? () => toggleTrackSelection(track.id) : undefined}
+                    resumePosition={resumePositions[track.id]}
+                    isPlayed={!!playedTracks[track.id]}
+                    rating={ratings[track.id] || 0}
+                    onRate={rating => rateTrack(track.id, rating)}
+                    playlists={otherPlaylists}
+                    onAddToPlaylist={playlistId => addTrackToPlaylist(track.id, playlistId)}
                   />
                 ))}
               </div>
             </div>
           )}
 
-          {playlist.length === 0 && (
+          {editingTracks.length > 0 && (
+            <TagEditor
+              tracks={editingTracks}
+              onSave={handleTagSave}
+              onClose={() => setEditingTrackIds(null)}
+            />
+          )}
+
+          {history.length > 0 && (
+            <RecentlyPlayed
+              history={history}
+              playlist={playlist}
+              currentEntryId={currentHistoryEntryId}
+              isPreviousFromHistory={isPreviousFromHistory}
+              onJump={jumpToHistoryEntry}
+              onClear={clearHistory}
+              onTogglePreviousFromHistory={togglePreviousFromHistory}
+            />
+          )}
+
+          {library.isSupported && (
+            <Library
+              storage={library.storage}
+              storedTracks={library.storedTracks}
+              disconnectedCount={library.disconnectedTracks.length}
+              error={library.error}
+              onEvict={library.evictTrack}
+              onClear={library.clearLibrary}
+              onReconnect={library.reconnectTracks}
+              onPersist={library.persistStorage}
+              onDismissError={library.dismissError}
+            />
+          )}
+
+          {playlist.length === 0 && library.isRestored && (
             <div className="empty-state">
               <div className="empty-icon">🎶</div>
-              <h3 className="empty-title">No music uploaded yet</h3>
+              <h3 className="empty-title">
+                {tracks.length === 0 ? 'No music uploaded yet' : `${activePlaylist.name} is empty`}
+              </h3>
               <p className="empty-description">
-                Upload your MP3 files to start listening to your favorite music
+                {tracks.length === 0
+                  ? 'Upload your MP3 files to start listening to your favorite music'
+                  : 'Upload files here, or add tracks to it from your other playlists'}
               </p>
             </div>
           )}
@@ -0,0 +1,49 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { getPlaceholderBackground } from '../utils/artwork';
+
+const Artwork = ({ src, title, album, size }) => {
+  // Falls back to the placeholder if the image URL has been revoked
+  const [failedSrc, setFailedSrc] = useState(null);
+  const showImage = src && src !== failedSrc;
+
+  if (showImage) {
+    return (
+      <img
+        className={`artwork artwork--${size}`}
+        src={src}
+        alt={album ? `${album} cover` : `${title} cover`}
+        onError={() => setFailedSrc(src)}
+        draggable={false}
+      />
+    );
+  }
+
+  return (
+    <div
+      className={`artwork artwork--${size} artwork--placeholder`}
+      style={{ background: getPlaceholderBackground(album || title) }}
+      aria-hidden="true"
+    >
+      <span className="artwork__initial">
+        {(album || title || '♪').trim().charAt(0).toUpperCase() || '♪'}
+      </span>
+    </div>
+  );
+};
+
+Artwork.propTypes = {
+  src: PropTypes.string,
+  title: PropTypes.string,
+  album: PropTypes.string,
+  size: PropTypes.oneOf(['small', 'large'])
+};
+
+Artwork.defaultProps = {
+  src: null,
+  title: '',
+  album: '',
+  size: 'small'
+};
+
+export default Artwork;
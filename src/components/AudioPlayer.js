@@ -1,23 +1,90 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useRef } from 'react';
 import Controls from './Controls';
+import Artwork from './Artwork';
+import { getTrackTitle } from '../utils/audioUtils';
+import Bookmarks from './Bookmarks';
+import Lyrics from './Lyrics';
+import Chapters from './Chapters';
+import SleepTimer from './SleepTimer';
 import '../styles/AudioPlayer.css';
 
-const AudioPlayer = ({ 
-  currentTrack, 
-  playlist, 
-  onTrackChange, 
-  onTrackEnd,
+const AudioPlayer = ({
+  currentTrack,
   isPlaying,
-  onPlayStateChange 
+  isLoading,
+  isBuffering,
+  error,
+  currentTime,
+  duration,
+  volume,
+  isMuted,
+  onPlay,
+  onPause,
+  onStop,
+  onSeek,
+  onVolumeChange,
+  onToggleMute,
+  onNext,
+  onPrevious,
+  hasNext,
+  hasPrevious,
+  isShuffled,
+  repeatMode,
+  onToggleShuffle,
+  onCycleRepeat,
+  isCrossfadeEnabled,
+  crossfadeDuration,
+  crossfadeCurve,
+  isAlbumGapless,
+  onToggleCrossfade,
+  onCrossfadeDurationChange,
+  onCrossfadeCurveChange,
+  onToggleAlbumGapless,
+  normalizationMode,
+  normalizationTarget,
+  currentTrackGain,
+  onNormalizationModeChange,
+  onNormalizationTargetChange,
+  playbackRate,
+  preservesPitch,
+  pitchShift,
+  isPitchShiftAvailable,
+  onPlaybackRateChange,
+  onTogglePreservePitch,
+  onPitchShiftChange,
+  loopStart = null,
+  loopEnd = null,
+  isLoopEnabled,
+  onSetLoopA,
+  onSetLoopB,
+  onToggleLoop,
+  onClearLoop,
+  bookmarks = [],
+  onAddBookmark,
+  onUpdateBookmark,
+  onRemoveBookmark,
+  onJumpToBookmark,
+  lyricsOffset = 0,
+  onLyricsOffsetChange,
+  chapters = [],
+  currentChapterIndex = -1,
+  hasNextChapter = false,
+  hasPreviousChapter = false,
+  onJumpToChapter,
+  onNextChapter,
+  onPreviousChapter,
+  sleepTimer = null,
+  sleepRemaining = null,
+  onStartSleepTimer,
+  onExtendSleepTimer,
+  onCancelSleepTimer,
+  resumeOffer = null,
+  onResume,
+  onDismissResume,
+  resumeCutoff,
+  onResumeCutoffChange
 }) => {
-  const audioRef = useRef(null);
   const progressRef = useRef(null);
-  const [duration, setDuration] = useState(0);
-  const [currentTime, setCurrentTime] = useState(0);
-  const [volume, setVolume] = useState(1);
-  const [isMuted, setIsMuted] = useState(false);
-  const [isLoading, setIsLoading] = useState(false);
-  const [error, setError] = useState(null);
 
   // Format time in MM:SS format
   const formatTime = (time) => {
@@ -27,147 +94,27 @@ const AudioPlayer = ({
     return `${minutes}:${seconds.toString().padStart(2, '0')}`;
   };
 
-  // Handle audio loading
-  useEffect(() => {
-    const audio = audioRef.current;
-    if (!audio || !currentTrack) return;
-
-    setIsLoading(true);
-    setError(null);
-
-    const handleLoadedMetadata = () => {
-      setDuration(audio.duration);
-      setIsLoading(false);
-    };
-
-    const handleLoadedData = () => {
-      setIsLoading(false);
-    };
-
-    const handleError = (e) => {
-      setError('Failed to load audio file');
-      setIsLoading(false);
-      console.error('Audio loading error:', e);
-    };
-
-    const handleTimeUpdate = () => {
-      setCurrentTime(audio.currentTime);
-    };
-
-    const handleEnded = () => {
-      onPlayStateChange(false);
-      onTrackEnd();
-    };
-
-    const handleCanPlay = () => {
-      if (isPlaying) {
-        audio.play().catch(handleError);
-      }
-    };
-
-    audio.addEventListener('loadedmetadata', handleLoadedMetadata);
-    audio.addEventListener('loadeddata', handleLoadedData);
-    audio.addEventListener('error', handleError);
-    audio.addEventListener('timeupdate', handleTimeUpdate);
-    audio.addEventListener('ended', handleEnded);
-    audio.addEventListener('canplay', handleCanPlay);
-
-    // Load the new track
-    audio.src = currentTrack.url;
-    audio.load();
-
-    return () => {
-      audio.removeEventListener('loadedmetadata', handleLoadedMetadata);
-      audio.removeEventListener('loadeddata', handleLoadedData);
-      audio.removeEventListener('error', handleError);
-      audio.removeEventListener('timeupdate', handleTimeUpdate);
-      audio.removeEventListener('ended', handleEnded);
-      audio.removeEventListener('canplay', handleCanPlay);
-    };
-  }, [currentTrack]);
-
-  // Handle play/pause state changes
-  useEffect(() => {
-    const audio = audioRef.current;
-    if (!audio) return;
-
-    if (isPlaying) {
-      audio.play().catch((error) => {
-        console.error('Playback failed:', error);
-        setError('Playback failed');
-        onPlayStateChange(false);
-      });
-    } else {
-      audio.pause();
-    }
-  }, [isPlaying, onPlayStateChange]);
-
-  // Handle volume changes
-  useEffect(() => {
-    const audio = audioRef.current;
-    if (!audio) return;
-
-    audio.volume = isMuted ? 0 : volume;
-  }, [volume, isMuted]);
-
   const handleProgressClick = (e) => {
-    const audio = audioRef.current;
     const progressBar = progressRef.current;
-    if (!audio || !progressBar || !duration) return;
+    if (!progressBar || !duration) return;
 
     const rect = progressBar.getBoundingClientRect();
     const clickX = e.clientX - rect.left;
     const newTime = (clickX / rect.width) * duration;
-    
-    audio.currentTime = newTime;
-    setCurrentTime(newTime);
-  };
 
-  const handleVolumeChange = (newVolume) => {
-    setVolume(newVolume);
-    if (newVolume > 0 && isMuted) {
-      setIsMuted(false);
+    // Shift-click sets loop point A, Alt-click sets point B
+    if (e.shiftKey && onSetLoopA) {
+      onSetLoopA(newTime);
+    } else if (e.altKey && onSetLoopB) {
+      onSetLoopB(newTime);
+    } else {
+      onSeek(newTime);
     }
   };
 
-  const handleMuteToggle = () => {
-    setIsMuted(!isMuted);
-  };
-
-  const handlePlay = () => {
-    onPlayStateChange(true);
-  };
-
-  const handlePause = () => {
-    onPlayStateChange(false);
-  };
-
-  const handleStop = () => {
-    const audio = audioRef.current;
-    if (!audio) return;
-    
-    onPlayStateChange(false);
-    audio.currentTime = 0;
-    setCurrentTime(0);
-  };
-
-  const handleNext = () => {
-    if (!playlist || playlist.length === 0) return;
-    
-    const currentIndex = playlist.findIndex(track => track.id === currentTrack?.id);
-    const nextIndex = (currentIndex + 1) % playlist.length;
-    onTrackChange(playlist[nextIndex]);
-  };
-
-  const handlePrevious = () => {
-    if (!playlist || playlist.length === 0) return;
-    
-    const currentIndex = playlist.findIndex(track => track.id === currentTrack?.id);
-    const prevIndex = currentIndex === 0 ? playlist.length - 1 : currentIndex - 1;
-    onTrackChange(playlist[prevIndex]);
-  };
-
-  const progressPercentage = duration ? (currentTime / duration) * 100 : 0;
+  const toPercentage = (time) => (duration ? (time / duration) * 100 : 0);
+  const progressPercentage = toPercentage(currentTime);
+  const currentChapter = chapters[currentChapterIndex];
 
   if (!currentTrack) {
     return (
@@ -182,18 +129,42 @@ const AudioPlayer = ({
 
   return (
     <div className="audio-player">
-      <audio ref={audioRef} preload="metadata" />
-      
       {/* Track Info */}
       <div className="audio-player__track-info">
+        <Artwork
+          src={currentTrack.artwork}
+          title={getTrackTitle(currentTrack)}
+          album={currentTrack.album}
+          size="large"
+        />
         <h3 className="audio-player__track-title">
-          {currentTrack.name}
+          {getTrackTitle(currentTrack)}
         </h3>
+        {currentChapter && (
+          <p className="audio-player__track-chapter">
+            {currentChapter.title}
+          </p>
+        )}
         {currentTrack.artist && (
           <p className="audio-player__track-artist">
             {currentTrack.artist}
           </p>
         )}
+        {currentTrack.album && (
+          <p className="audio-player__track-album">
+            {currentTrack.album}
+            {currentTrack.year ? ` (${currentTrack.year})` : ''}
+          </p>
+        )}
+        {onStartSleepTimer && (
+          <SleepTimer
+            sleepTimer={sleepTimer}
+            remaining={sleepRemaining}
+            onStart={onStartSleepTimer}
+            onExtend={onExtendSleepTimer}
+            onCancel={onCancelSleepTimer}
+          />
+        )}
       </div>
 
       {/* Progress Bar */}
@@ -206,12 +177,52 @@ const AudioPlayer = ({
           className="audio-player__progress-container"
           ref={progressRef}
           onClick={handleProgressClick}
+          title="Click to seek, Shift-click to set loop A, Alt-click to set loop B"
         >
           <div className="audio-player__progress-bar">
+            {loopStart !== null && loopEnd !== null && (
+              <div
+                className={`audio-player__loop-region ${isLoopEnabled ? 'audio-player__loop-region--active' : ''}`}
+                style={{
+                  left: `${toPercentage(loopStart)}%`,
+                  width: `${toPercentage(loopEnd - loopStart)}%`
+                }}
+              />
+            )}
             <div 
               className="audio-player__progress-fill"
               style={{ width: `${progressPercentage}%` }}
             />
+            {loopStart !== null && (
+              <div
+                className="audio-player__marker audio-player__marker--loop"
+                style={{ left: `${toPercentage(loopStart)}%` }}
+                title={`A: ${formatTime(loopStart)}`}
+              />
+            )}
+            {loopEnd !== null && (
+              <div
+                className="audio-player__marker audio-player__marker--loop"
+                style={{ left: `${toPercentage(loopEnd)}%` }}
+                title={`B: ${formatTime(loopEnd)}`}
+              />
+            )}
+            {chapters.filter(chapter => chapter.start > 0).map(chapter => (
+              <div
+                key={`chapter-${chapter.start}`}
+                className="audio-player__marker audio-player__marker--chapter"
+                style={{ left: `${toPercentage(chapter.start)}%` }}
+                title={`${chapter.title} (${formatTime(chapter.start)})`}
+              />
+            ))}
+            {bookmarks.map(bookmark => (
+              <div
+                key={bookmark.id}
+                className="audio-player__marker audio-player__marker--bookmark"
+                style={{ left: `${toPercentage(bookmark.time)}%` }}
+                title={bookmark.name || formatTime(bookmark.time)}
+              />
+            ))}
             <div 
               className="audio-player__progress-handle"
               style={{ left: `${progressPercentage}%` }}
@@ -224,23 +235,136 @@ const AudioPlayer = ({
         </span>
       </div>
 
+      {/* Resume */}
+      {resumeOffer && resumeOffer.trackId === currentTrack.id && onResume && (
+        <div className="audio-player__resume">
+          <button className="audio-player__resume-button" onClick={onResume}>
+            Resume at {formatTime(resumeOffer.position)}
+          </button>
+          <button className="audio-player__resume-dismiss" onClick={onDismissResume}>
+            Start over
+          </button>
+        </div>
+      )}
+
+      {/* A-B Loop */}
+      {onSetLoopA && (
+        <div className="audio-player__loop-controls">
+          <button
+            className="audio-player__loop-button"
+            onClick={() => onSetLoopA(currentTime)}
+            title="Set loop start to the current position"
+          >
+            A{loopStart !== null ? ` ${formatTime(loopStart)}` : ''}
+          </button>
+          <button
+            className="audio-player__loop-button"
+            onClick={() => onSetLoopB(currentTime)}
+            disabled={loopStart !== null && currentTime <= loopStart}
+            title="Set loop end to the current position"
+          >
+            B{loopEnd !== null ? ` ${formatTime(loopEnd)}` : ''}
+          </button>
+          <button
+            className={`audio-player__loop-button ${isLoopEnabled ? 'audio-player__loop-button--active' : ''}`}
+            onClick={onToggleLoop}
+            disabled={loopStart === null || loopEnd === null}
+            aria-pressed={isLoopEnabled}
+          >
+            Loop
+          </button>
+          <button
+            className="audio-player__loop-button"
+            onClick={onClearLoop}
+            disabled={loopStart === null && loopEnd === null}
+          >
+            Clear
+          </button>
+        </div>
+      )}
+
       {/* Controls */}
       <Controls
         isPlaying={isPlaying}
         isLoading={isLoading}
         volume={volume}
         isMuted={isMuted}
-        onPlay={handlePlay}
-        onPause={handlePause}
-        onStop={handleStop}
-        onNext={handleNext}
-        onPrevious={handlePrevious}
-        onVolumeChange={handleVolumeChange}
-        onMuteToggle={handleMuteToggle}
-        hasNext={playlist && playlist.length > 1}
-        hasPrevious={playlist && playlist.length > 1}
+        currentTime={currentTime}
+        duration={duration}
+        onPlay={onPlay}
+        onPause={onPause}
+        onStop={onStop}
+        onSeek={onSeek}
+        onNext={onNext}
+        onPrevious={onPrevious}
+        onVolumeChange={onVolumeChange}
+        onToggleMute={onToggleMute}
+        hasNext={hasNext}
+        hasPrevious={hasPrevious}
+        isShuffled={isShuffled}
+        repeatMode={repeatMode}
+        onToggleShuffle={onToggleShuffle}
+        onCycleRepeat={onCycleRepeat}
+        isCrossfadeEnabled={isCrossfadeEnabled}
+        crossfadeDuration={crossfadeDuration}
+        crossfadeCurve={crossfadeCurve}
+        isAlbumGapless={isAlbumGapless}
+        onToggleCrossfade={onToggleCrossfade}
+        onCrossfadeDurationChange={onCrossfadeDurationChange}
+        onCrossfadeCurveChange={onCrossfadeCurveChange}
+        onToggleAlbumGapless={onToggleAlbumGapless}
+        normalizationMode={normalizationMode}
+        normalizationTarget={normalizationTarget}
+        currentTrackGain={currentTrackGain}
+        onNormalizationModeChange={onNormalizationModeChange}
+        onNormalizationTargetChange={onNormalizationTargetChange}
+        playbackRate={playbackRate}
+        preservesPitch={preservesPitch}
+        pitchShift={pitchShift}
+        isPitchShiftAvailable={isPitchShiftAvailable}
+        onPlaybackRateChange={onPlaybackRateChange}
+        onTogglePreservePitch={onTogglePreservePitch}
+        onPitchShiftChange={onPitchShiftChange}
+        resumeCutoff={resumeCutoff}
+        onResumeCutoffChange={onResumeCutoffChange}
       />
 
+      {/* Chapters */}
+      {chapters.length > 0 && onJumpToChapter && (
+        <Chapters
+          chapters={chapters}
+          currentIndex={currentChapterIndex}
+          hasNext={hasNextChapter}
+          hasPrevious={hasPreviousChapter}
+          onJump={onJumpToChapter}
+          onNext={onNextChapter}
+          onPrevious={onPreviousChapter}
+        />
+      )}
+
+      {/* Lyrics */}
+      {currentTrack.lyrics && onLyricsOffsetChange && (
+        <Lyrics
+          lyrics={currentTrack.lyrics}
+          currentTime={currentTime}
+          offset={lyricsOffset}
+          onSeek={onSeek}
+          onOffsetChange={onLyricsOffsetChange}
+        />
+      )}
+
+      {/* Bookmarks */}
+      {onAddBookmark && (
+        <Bookmarks
+          bookmarks={bookmarks}
+          currentTime={currentTime}
+          onAdd={onAddBookmark}
+          onUpdate={onUpdateBookmark}
+          onRemove={onRemoveBookmark}
+          onJump={onJumpToBookmark}
+        />
+      )}
+
       {/* Error Display */}
       {error && (
         <div className="audio-player__error">
@@ -251,7 +375,7 @@ const AudioPlayer = ({
       )}
 
       {/* Loading Indicator */}
-      {isLoading && (
+      {(isLoading || isBuffering) && (
         <div className="audio-player__loading">
           <div className="audio-player__loading-spinner" />
         </div>
@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+
+const Bookmarks = ({
+  bookmarks,
+  currentTime,
+  onAdd,
+  onUpdate,
+  onRemove,
+  onJump
+}) => {
+  const [editingId, setEditingId] = useState(null);
+  const [draftName, setDraftName] = useState('');
+
+  const formatTime = (time) => {
+    if (isNaN(time)) return '0:00';
+    const minutes = Math.floor(time / 60);
+    const seconds = Math.floor(time % 60);
+    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+  };
+
+  const startEditing = (bookmark) => {
+    setEditingId(bookmark.id);
+    setDraftName(bookmark.name);
+  };
+
+  const commitEdit = () => {
+    if (editingId) {
+      onUpdate(editingId, { name: draftName.trim() });
+    }
+    setEditingId(null);
+  };
+
+  const handleEditKeyDown = (event) => {
+    if (event.key === 'Enter') {
+      commitEdit();
+    } else if (event.key === 'Escape') {
+      setEditingId(null);
+    }
+  };
+
+  return (
+    <div className="bookmarks">
+      <div className="bookmarks__header">
+        <h4 className="bookmarks__title">Bookmarks</h4>
+        <button
+          className="bookmarks__add"
+          onClick={() => onAdd('', currentTime)}
+          title={`Add bookmark at ${formatTime(currentTime)}`}
+        >
+          + Add at {formatTime(currentTime)}
+        </button>
+      </div>
+
+      {bookmarks.length === 0 ? (
+        <p className="bookmarks__empty">No bookmarks for this track</p>
+      ) : (
+        <ul className="bookmarks__list">
+          {bookmarks.map(bookmark => (
+            <li key={bookmark.id} className="bookmarks__item">
+              <button
+                className="bookmarks__time"
+                onClick={() => onJump(bookmark.id)}
+                title="Jump to bookmark"
+              >
+                {formatTime(bookmark.time)}
+              </button>
+
+              {editingId === bookmark.id ? (
+                <input
+                  className="bookmarks__name-input"
+                  value={draftName}
+                  onChange={(e) => setDraftName(e.target.value)}
+                  onBlur={commitEdit}
+                  onKeyDown={handleEditKeyDown}
+                  aria-label="Bookmark name"
+                  autoFocus
+                />
+              ) : (
+                <span
+                  className="bookmarks__name"
+                  onDoubleClick={() => startEditing(bookmark)}
+                  title="Double-click to rename"
+                >
+                  {bookmark.name || 'Untitled'}
+                </span>
+              )}
+
+              <button
+                className="bookmarks__action"
+                onClick={() => onUpdate(bookmark.id, { time: currentTime })}
+                title="Move bookmark to the current position"
+              >
+                Set
+              </button>
+              <button
+                className="bookmarks__action"
+                onClick={() => startEditing(bookmark)}
+                title="Rename bookmark"
+              >
+                Rename
+              </button>
+              <button
+                className="bookmarks__action bookmarks__action--remove"
+                onClick={() => onRemove(bookmark.id)}
+                aria-label={`Remove bookmark ${bookmark.name || formatTime(bookmark.time)}`}
+                title="Remove bookmark"
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+Bookmarks.propTypes = {
+  bookmarks: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    time: PropTypes.number.isRequired,
+    name: PropTypes.string
+  })).isRequired,
+  currentTime: PropTypes.number,
+  onAdd: PropTypes.func.isRequired,
+  onUpdate: PropTypes.func.isRequired,
+  onRemove: PropTypes.func.isRequired,
+  onJump: PropTypes.func.isRequired
+};
+
+Bookmarks.defaultProps = {
+  currentTime: 0
+};
+
+export default Bookmarks;
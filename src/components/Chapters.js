@@ -0,0 +1,92 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+const Chapters = ({
+  chapters,
+  currentIndex,
+  hasNext,
+  hasPrevious,
+  onJump,
+  onNext,
+  onPrevious
+}) => {
+  // Podcasts and audiobooks often run past an hour
+  const formatTime = (time) => {
+    if (time === null || isNaN(time)) return '--:--';
+    const hours = Math.floor(time / 3600);
+    const minutes = Math.floor((time % 3600) / 60);
+    const seconds = Math.floor(time % 60).toString().padStart(2, '0');
+    return hours > 0
+      ? `${hours}:${minutes.toString().padStart(2, '0')}:${seconds}`
+      : `${minutes}:${seconds}`;
+  };
+
+  return (
+    <div className="chapters">
+      <div className="chapters__header">
+        <h4 className="chapters__title">Chapters ({chapters.length})</h4>
+        <div className="chapters__nav">
+          <button
+            className="chapters__nav-button"
+            onClick={onPrevious}
+            disabled={!hasPrevious}
+            title="Previous chapter"
+          >
+            ‹ Prev
+          </button>
+          <button
+            className="chapters__nav-button"
+            onClick={onNext}
+            disabled={!hasNext}
+            title="Next chapter"
+          >
+            Next ›
+          </button>
+        </div>
+      </div>
+
+      <ol className="chapters__list">
+        {chapters.map((chapter, index) => (
+          <li
+            key={`${chapter.start}-${index}`}
+            className={`chapters__item ${index === currentIndex ? 'chapters__item--current' : ''}`}
+          >
+            <button
+              className="chapters__jump"
+              onClick={() => onJump(index)}
+              aria-current={index === currentIndex ? 'true' : undefined}
+            >
+              <span className="chapters__time">{formatTime(chapter.start)}</span>
+              <span className="chapters__name">{chapter.title}</span>
+              {chapter.end !== null && (
+                <span className="chapters__length">{formatTime(chapter.end - chapter.start)}</span>
+              )}
+            </button>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+Chapters.propTypes = {
+  chapters: PropTypes.arrayOf(PropTypes.shape({
+    title: PropTypes.string.isRequired,
+    start: PropTypes.number.isRequired,
+    end: PropTypes.number
+  })).isRequired,
+  currentIndex: PropTypes.number,
+  hasNext: PropTypes.bool,
+  hasPrevious: PropTypes.bool,
+  onJump: PropTypes.func.isRequired,
+  onNext: PropTypes.func.isRequired,
+  onPrevious: PropTypes.func.isRequired
+};
+
+Chapters.defaultProps = {
+  currentIndex: -1,
+  hasNext: false,
+  hasPrevious: false
+};
+
+export default Chapters;
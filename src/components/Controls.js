@@ -2,6 +2,16 @@ import React from 'react';
 import PropTypes from 'prop-types';
 import './Controls.css';
 
+// Tracks at least this long (in seconds) resume where they were left
+const RESUME_CUTOFF_OPTIONS = [
+  { value: 0, label: 'Always' },
+  { value: 5 * 60, label: 'Tracks over 5 min' },
+  { value: 10 * 60, label: 'Tracks over 10 min' },
+  { value: 20 * 60, label: 'Tracks over 20 min' },
+  { value: 60 * 60, label: 'Tracks over 1 hour' },
+  { value: Infinity, label: 'Never, just offer' }
+];
+
 const Controls = ({
   isPlaying,
   onPlay,
@@ -18,7 +28,33 @@ const Controls = ({
   hasPrevious,
   hasNext,
   isMuted,
-  onToggleMute
+  onToggleMute,
+  isShuffled,
+  repeatMode,
+  onToggleShuffle,
+  onCycleRepeat,
+  isCrossfadeEnabled,
+  crossfadeDuration,
+  crossfadeCurve,
+  isAlbumGapless,
+  onToggleCrossfade,
+  onCrossfadeDurationChange,
+  onCrossfadeCurveChange,
+  onToggleAlbumGapless,
+  normalizationMode,
+  normalizationTarget,
+  currentTrackGain,
+  onNormalizationModeChange,
+  onNormalizationTargetChange,
+  playbackRate,
+  preservesPitch,
+  pitchShift,
+  isPitchShiftAvailable,
+  onPlaybackRateChange,
+  onTogglePreservePitch,
+  onPitchShiftChange,
+  resumeCutoff,
+  onResumeCutoffChange
 }) => {
   const handleSeekChange = (e) => {
     const seekTime = (e.target.value / 100) * duration;
@@ -29,6 +65,34 @@ const Controls = ({
     onVolumeChange(e.target.value / 100);
   };
 
+  const handleCrossfadeDurationChange = (e) => {
+    onCrossfadeDurationChange(Number(e.target.value));
+  };
+
+  const handleCrossfadeCurveChange = (e) => {
+    onCrossfadeCurveChange(e.target.value);
+  };
+
+  const handleNormalizationModeChange = (e) => {
+    onNormalizationModeChange(e.target.value);
+  };
+
+  const handleNormalizationTargetChange = (e) => {
+    onNormalizationTargetChange(Number(e.target.value));
+  };
+
+  const handlePlaybackRateChange = (e) => {
+    onPlaybackRateChange(Number(e.target.value));
+  };
+
+  const handlePitchShiftChange = (e) => {
+    onPitchShiftChange(Number(e.target.value));
+  };
+
+  const handleResumeCutoffChange = (e) => {
+    onResumeCutoffChange(Number(e.target.value));
+  };
+
   const formatTime = (time) => {
     if (!time || isNaN(time)) return '0:00';
     const minutes = Math.floor(time / 60);
@@ -69,6 +133,20 @@ const Controls = ({
 
       {/* Main Controls */}
       <div className="main-controls">
+        {onToggleShuffle && (
+          <button
+            onClick={onToggleShuffle}
+            className={`control-btn shuffle-btn ${isShuffled ? 'active' : ''}`}
+            aria-pressed={isShuffled}
+            aria-label="Shuffle"
+            title={isShuffled ? 'Shuffle on' : 'Shuffle off'}
+          >
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
+              <path d="M10.59 9.17L5.41 4 4 5.41l5.17 5.17 1.42-1.41zM14.5 4l2.04 2.04L4 18.59 5.41 20 17.96 7.46 20 9.5V4h-5.5zm.33 9.41l-1.41 1.41 3.13 3.13L14.5 20H20v-5.5l-2.04 2.04-3.13-3.13z"/>
+            </svg>
+          </button>
+        )}
+
         <button
           onClick={onPrevious}
           disabled={!hasPrevious || isLoading}
@@ -124,6 +202,25 @@ const Controls = ({
             <path d="M6 18l8.5-6L6 6v12zM16 6v12h2V6h-2z"/>
           </svg>
         </button>
+
+        {onCycleRepeat && (
+          <button
+            onClick={onCycleRepeat}
+            className={`control-btn repeat-btn ${repeatMode !== 'off' ? 'active' : ''}`}
+            aria-label={`Repeat: ${repeatMode}`}
+            title={repeatMode === 'one' ? 'Repeat one' : repeatMode === 'all' ? 'Repeat all' : 'Repeat off'}
+          >
+            {repeatMode === 'one' ? (
+              <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
+                <path d="M7 7h10v3l4-4-4-4v3H5v6h2V7zm10 10H7v-3l-4 4 4 4v-3h12v-6h-2v4zm-4-2V9h-1l-2 1v1h1.5v4H13z"/>
+              </svg>
+            ) : (
+              <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
+                <path d="M7 7h10v3l4-4-4-4v3H5v6h2V7zm10 10H7v-3l-4 4 4 4v-3h12v-6h-2v4z"/>
+              </svg>
+            )}
+          </button>
+        )}
       </div>
 
       {/* Volume Control */}
@@ -165,6 +262,168 @@ const Controls = ({
           />
         </div>
       </div>
+
+      {/* Speed and Pitch */}
+      {onPlaybackRateChange && (
+        <div className="tempo-control">
+          <label className="tempo-control__label">
+            Speed
+            <input
+              type="range"
+              min="0.5"
+              max="2"
+              step="0.05"
+              value={playbackRate}
+              onChange={handlePlaybackRateChange}
+              className="tempo-slider"
+              aria-label="Playback speed"
+            />
+          </label>
+          <button
+            className="tempo-control__value"
+            onClick={() => onPlaybackRateChange(1)}
+            title="Reset speed"
+          >
+            {playbackRate.toFixed(2)}×
+          </button>
+          <label className="tempo-control__option">
+            <input
+              type="checkbox"
+              checked={preservesPitch}
+              onChange={onTogglePreservePitch}
+            />
+            Preserve pitch
+          </label>
+
+          <label className="tempo-control__label">
+            Pitch
+            <input
+              type="range"
+              min="-12"
+              max="12"
+              step="1"
+              value={pitchShift}
+              onChange={handlePitchShiftChange}
+              className="pitch-slider"
+              disabled={!isPitchShiftAvailable}
+              aria-label="Pitch shift in semitones"
+              title={isPitchShiftAvailable ? undefined : 'Pitch shift starts working once playback begins (requires AudioWorklet support)'}
+            />
+          </label>
+          <button
+            className="tempo-control__value"
+            onClick={() => onPitchShiftChange(0)}
+            disabled={!isPitchShiftAvailable}
+            title="Reset pitch"
+          >
+            {pitchShift > 0 ? '+' : ''}{pitchShift} st
+          </button>
+        </div>
+      )}
+
+      {/* Crossfade */}
+      {onToggleCrossfade && (
+        <div className="crossfade-control">
+          <button
+            onClick={onToggleCrossfade}
+            className={`control-btn crossfade-btn ${isCrossfadeEnabled ? 'active' : ''}`}
+            aria-pressed={isCrossfadeEnabled}
+            aria-label="Crossfade"
+            title={isCrossfadeEnabled ? 'Crossfade on' : 'Crossfade off'}
+          >
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
+              <path d="M3 18h2.5l5-12H8zm13 0h2.5L13.5 6H11zm-7-5h6v-2H9z"/>
+            </svg>
+          </button>
+          <input
+            type="range"
+            min="0"
+            max="12"
+            step="1"
+            value={crossfadeDuration}
+            onChange={handleCrossfadeDurationChange}
+            className="crossfade-slider"
+            disabled={!isCrossfadeEnabled}
+            aria-label="Crossfade duration"
+            title={`Crossfade: ${crossfadeDuration}s`}
+          />
+          <span className="crossfade-value">{crossfadeDuration}s</span>
+          <select
+            value={crossfadeCurve}
+            onChange={handleCrossfadeCurveChange}
+            className="crossfade-curve"
+            disabled={!isCrossfadeEnabled}
+            aria-label="Crossfade curve"
+          >
+            <option value="linear">Linear</option>
+            <option value="equal-power">Equal power</option>
+            <option value="logarithmic">Logarithmic</option>
+          </select>
+          <label className="crossfade-album">
+            <input
+              type="checkbox"
+              checked={isAlbumGapless}
+              onChange={onToggleAlbumGapless}
+              disabled={!isCrossfadeEnabled}
+            />
+            Gapless within albums
+          </label>
+        </div>
+      )}
+
+      {/* Loudness Normalization */}
+      {onNormalizationModeChange && (
+        <div className="normalization-control">
+          <label className="normalization-mode">
+            Normalize
+            <select
+              value={normalizationMode}
+              onChange={handleNormalizationModeChange}
+              aria-label="Loudness normalization mode"
+            >
+              <option value="off">Off</option>
+              <option value="track">Track</option>
+              <option value="album">Album</option>
+            </select>
+          </label>
+          <input
+            type="range"
+            min="-23"
+            max="-8"
+            step="1"
+            value={normalizationTarget}
+            onChange={handleNormalizationTargetChange}
+            className="normalization-slider"
+            disabled={normalizationMode === 'off'}
+            aria-label="Target loudness"
+            title={`Target: ${normalizationTarget} LUFS`}
+          />
+          <span className="normalization-value">{normalizationTarget} LUFS</span>
+          {normalizationMode !== 'off' && currentTrackGain !== 0 && (
+            <span className="normalization-gain">
+              {currentTrackGain > 0 ? '+' : ''}{currentTrackGain.toFixed(1)} dB
+            </span>
+          )}
+        </div>
+      )}
+
+      {/* Resume */}
+      {onResumeCutoffChange && (
+        <div className="resume-control">
+          <label className="resume-control__label">
+            Resume automatically
+            <select
+              value={resumeCutoff}
+              onChange={handleResumeCutoffChange}
+              aria-label="Tracks that resume automatically"
+            >
+              {RESUME_CUTOFF_OPTIONS.map(option => (
+                <option key={option.label} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+      )}
     </div>
   );
 };
@@ -185,7 +444,33 @@ Controls.propTypes = {
   hasPrevious: PropTypes.bool,
   hasNext: PropTypes.bool,
   isMuted: PropTypes.bool,
-  onToggleMute: PropTypes.func.isRequired
+  onToggleMute: PropTypes.func.isRequired,
+  isShuffled: PropTypes.bool,
+  repeatMode: PropTypes.oneOf(['off', 'all', 'one']),
+  onToggleShuffle: PropTypes.func,
+  onCycleRepeat: PropTypes.func,
+  isCrossfadeEnabled: PropTypes.bool,
+  crossfadeDuration: PropTypes.number,
+  crossfadeCurve: PropTypes.oneOf(['linear', 'equal-power', 'logarithmic']),
+  isAlbumGapless: PropTypes.bool,
+  onToggleCrossfade: PropTypes.func,
+  onCrossfadeDurationChange: PropTypes.func,
+  onCrossfadeCurveChange: PropTypes.func,
+  onToggleAlbumGapless: PropTypes.func,
+  normalizationMode: PropTypes.oneOf(['off', 'track', 'album']),
+  normalizationTarget: PropTypes.number,
+  currentTrackGain: PropTypes.number,
+  onNormalizationModeChange: PropTypes.func,
+  onNormalizationTargetChange: PropTypes.func,
+  playbackRate: PropTypes.number,
+  preservesPitch: PropTypes.bool,
+  pitchShift: PropTypes.number,
+  isPitchShiftAvailable: PropTypes.bool,
+  onPlaybackRateChange: PropTypes.func,
+  onTogglePreservePitch: PropTypes.func,
+  onPitchShiftChange: PropTypes.func,
+  resumeCutoff: PropTypes.number,
+  onResumeCutoffChange: PropTypes.func
 };
 
 Controls.defaultProps = {
@@ -194,7 +479,21 @@ Controls.defaultProps = {
   isLoading: false,
   hasPrevious: false,
   hasNext: false,
-  isMuted: false
+  isMuted: false,
+  isShuffled: false,
+  repeatMode: 'off',
+  isCrossfadeEnabled: false,
+  crossfadeDuration: 0,
+  crossfadeCurve: 'equal-power',
+  isAlbumGapless: true,
+  normalizationMode: 'off',
+  normalizationTarget: -18,
+  currentTrackGain: 0,
+  playbackRate: 1,
+  preservesPitch: true,
+  pitchShift: 0,
+  isPitchShiftAvailable: false,
+  resumeCutoff: 20 * 60
 };
 
 export default Controls;
\ No newline at end of file
@@ -0,0 +1,266 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  EQ_PRESETS,
+  EQ_GAIN_RANGE,
+  EQ_Q_RANGE,
+  EQ_FREQUENCY_RANGE
+} from '../utils/audioGraph';
+
+const USER_PRESETS_KEY = 'mp3-player:eq-presets';
+
+const loadUserPresets = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(USER_PRESETS_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+const saveUserPresets = (presets) => {
+  try {
+    window.localStorage.setItem(USER_PRESETS_KEY, JSON.stringify(presets));
+  } catch (error) {
+    console.error('Failed to save equalizer presets:', error);
+  }
+};
+
+const Equalizer = ({
+  bands,
+  preamp,
+  headroom,
+  isEnabled,
+  isClipProtectionEnabled,
+  isSupported,
+  onBandChange,
+  onPreampChange,
+  onPresetApply,
+  onToggle,
+  onToggleClipProtection
+}) => {
+  const [userPresets, setUserPresets] = useState(loadUserPresets);
+  const [selectedPreset, setSelectedPreset] = useState('Flat');
+  const [selectedBand, setSelectedBand] = useState(null);
+
+  const formatFrequency = (frequency) => {
+    return frequency >= 1000 ? `${(frequency / 1000).toFixed(frequency % 1000 ? 1 : 0)}k` : `${Math.round(frequency)}`;
+  };
+
+  const formatGain = (gain) => `${gain > 0 ? '+' : ''}${gain.toFixed(1)} dB`;
+
+  const handlePresetChange = (e) => {
+    const name = e.target.value;
+    setSelectedPreset(name);
+
+    if (EQ_PRESETS[name]) {
+      onPresetApply(EQ_PRESETS[name]);
+    } else if (userPresets[name]) {
+      onPresetApply(userPresets[name]);
+    }
+  };
+
+  const handleSavePreset = () => {
+    const name = window.prompt('Preset name');
+    if (!name || !name.trim()) return;
+
+    const trimmed = name.trim();
+    if (EQ_PRESETS[trimmed]) {
+      window.alert('Built-in presets cannot be overwritten');
+      return;
+    }
+
+    const next = { ...userPresets, [trimmed]: { bands, preamp } };
+    setUserPresets(next);
+    saveUserPresets(next);
+    setSelectedPreset(trimmed);
+  };
+
+  const handleDeletePreset = () => {
+    if (!userPresets[selectedPreset]) return;
+
+    const rest = { ...userPresets };
+    delete rest[selectedPreset];
+    setUserPresets(rest);
+    saveUserPresets(rest);
+    setSelectedPreset('Flat');
+  };
+
+  const activeBand = selectedBand !== null ? bands[selectedBand] : null;
+
+  return (
+    <div className={`equalizer ${isEnabled ? '' : 'equalizer--disabled'}`}>
+      <div className="equalizer__header">
+        <h3 className="equalizer__title">Equalizer</h3>
+        <label className="equalizer__toggle">
+          <input
+            type="checkbox"
+            checked={isEnabled}
+            onChange={onToggle}
+            disabled={!isSupported}
+          />
+          {isEnabled ? 'On' : 'Off'}
+        </label>
+      </div>
+
+      {!isSupported && (
+        <p className="equalizer__notice">
+          Your browser does not support the Web Audio API, so the equalizer is unavailable.
+        </p>
+      )}
+
+      <div className="equalizer__presets">
+        <select
+          value={selectedPreset}
+          onChange={handlePresetChange}
+          className="equalizer__preset-select"
+          aria-label="Equalizer preset"
+        >
+          <optgroup label="Built-in">
+            {Object.keys(EQ_PRESETS).map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </optgroup>
+          {Object.keys(userPresets).length > 0 && (
+            <optgroup label="Saved">
+              {Object.keys(userPresets).map(name => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </optgroup>
+          )}
+        </select>
+        <button className="equalizer__button" onClick={handleSavePreset}>
+          Save preset
+        </button>
+        <button
+          className="equalizer__button"
+          onClick={handleDeletePreset}
+          disabled={!userPresets[selectedPreset]}
+        >
+          Delete
+        </button>
+      </div>
+
+      <div className="equalizer__bands">
+        <div className="equalizer__band equalizer__band--preamp">
+          <span className="equalizer__band-gain">{formatGain(preamp)}</span>
+          <input
+            type="range"
+            min={EQ_GAIN_RANGE.min}
+            max={EQ_GAIN_RANGE.max}
+            step="0.5"
+            value={preamp}
+            onChange={(e) => onPreampChange(Number(e.target.value))}
+            className="equalizer__slider"
+            aria-label="Preamp"
+          />
+          <span className="equalizer__band-label">Pre</span>
+        </div>
+
+        {bands.map((band, index) => (
+          <div
+            key={index}
+            className={`equalizer__band ${selectedBand === index ? 'equalizer__band--selected' : ''}`}
+          >
+            <span className="equalizer__band-gain">{formatGain(band.gain)}</span>
+            <input
+              type="range"
+              min={EQ_GAIN_RANGE.min}
+              max={EQ_GAIN_RANGE.max}
+              step="0.5"
+              value={band.gain}
+              onChange={(e) => onBandChange(index, { gain: Number(e.target.value) })}
+              onFocus={() => setSelectedBand(index)}
+              className="equalizer__slider"
+              aria-label={`${formatFrequency(band.frequency)} Hz gain`}
+            />
+            <button
+              className="equalizer__band-label"
+              onClick={() => setSelectedBand(selectedBand === index ? null : index)}
+              title="Edit frequency and Q"
+            >
+              {formatFrequency(band.frequency)}
+            </button>
+          </div>
+        ))}
+      </div>
+
+      {activeBand && (
+        <div className="equalizer__band-editor">
+          <label>
+            Frequency (Hz)
+            <input
+              type="number"
+              min={EQ_FREQUENCY_RANGE.min}
+              max={EQ_FREQUENCY_RANGE.max}
+              value={activeBand.frequency}
+              onChange={(e) => onBandChange(selectedBand, { frequency: Number(e.target.value) })}
+            />
+          </label>
+          <label>
+            Q
+            <input
+              type="number"
+              min={EQ_Q_RANGE.min}
+              max={EQ_Q_RANGE.max}
+              step="0.1"
+              value={activeBand.q}
+              onChange={(e) => onBandChange(selectedBand, { q: Number(e.target.value) })}
+            />
+          </label>
+          <label>
+            Type
+            <select
+              value={activeBand.type}
+              onChange={(e) => onBandChange(selectedBand, { type: e.target.value })}
+            >
+              <option value="lowshelf">Low shelf</option>
+              <option value="peaking">Peaking</option>
+              <option value="highshelf">High shelf</option>
+            </select>
+          </label>
+        </div>
+      )}
+
+      <label className="equalizer__clip-protection">
+        <input
+          type="checkbox"
+          checked={isClipProtectionEnabled}
+          onChange={onToggleClipProtection}
+        />
+        Clipping protection
+        {isClipProtectionEnabled && headroom > 0 && (
+          <span className="equalizer__headroom">(-{headroom.toFixed(1)} dB headroom)</span>
+        )}
+      </label>
+    </div>
+  );
+};
+
+Equalizer.propTypes = {
+  bands: PropTypes.arrayOf(PropTypes.shape({
+    type: PropTypes.string,
+    frequency: PropTypes.number,
+    gain: PropTypes.number,
+    q: PropTypes.number
+  })).isRequired,
+  preamp: PropTypes.number,
+  headroom: PropTypes.number,
+  isEnabled: PropTypes.bool,
+  isClipProtectionEnabled: PropTypes.bool,
+  isSupported: PropTypes.bool,
+  onBandChange: PropTypes.func.isRequired,
+  onPreampChange: PropTypes.func.isRequired,
+  onPresetApply: PropTypes.func.isRequired,
+  onToggle: PropTypes.func.isRequired,
+  onToggleClipProtection: PropTypes.func.isRequired
+};
+
+Equalizer.defaultProps = {
+  preamp: 0,
+  headroom: 0,
+  isEnabled: true,
+  isClipProtectionEnabled: true,
+  isSupported: true
+};
+
+export default Equalizer;
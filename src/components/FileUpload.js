@@ -1,17 +1,81 @@
-import React, { useRef, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  AUDIO_FILE_ACCEPT,
+  AUDIO_FORMATS,
+  getTrackTitle,
+  isAudioFile,
+  isCompanionFile
+} from '../utils/audioUtils';
+import { LYRICS_EXTENSIONS } from '../utils/lyrics';
+import { CUE_EXTENSIONS } from '../utils/cue';
+import { COVER_IMAGE_EXTENSIONS } from '../utils/artwork';
+import { isZipFile } from '../utils/zip';
+import { isImportablePlaylist, isPlaylistFile, PLAYLIST_EXTENSIONS } from '../utils/playlistFiles';
+import {
+  createImportBatches,
+  filterFolderFiles,
+  hasDroppedFolders,
+  readArchiveFiles,
+  readDroppedFiles
+} from '../utils/folderImport';
 import './FileUpload.css';
 
-const FileUpload = ({ onFileSelect, onFilesAdded, multiple = false, disabled = false }) => {
+const DUPLICATE_ACTIONS = [
+  { value: 'skip', label: 'Skip', allLabel: 'Skip all' },
+  { value: 'add', label: 'Add existing to playlist', allLabel: 'Add all existing to playlist' },
+  { value: 'replace', label: 'Replace', allLabel: 'Replace all' },
+  { value: 'keep', label: 'Keep both', allLabel: 'Keep both for all' }
+];
+// Multiple-file imports also take lyrics, CUE sheets, covers, playlists and ZIP archives
+const MULTIPLE_ACCEPT = [
+  AUDIO_FILE_ACCEPT,
+  ...LYRICS_EXTENSIONS,
+  ...CUE_EXTENSIONS,
+  ...COVER_IMAGE_EXTENSIONS,
+  ...PLAYLIST_EXTENSIONS,
+  '.zip'
+].join(',');
+// Shared default, so the actions are not reset on every render
+const NO_DUPLICATES = [];
+
+const FileUpload = ({
+  onFileSelect,
+  onFilesAdded,
+  onPlaylistFilesAdded,
+  duplicates = NO_DUPLICATES,
+  onResolveDuplicates,
+  multiple = false,
+  disabled = false
+}) => {
   const fileInputRef = useRef(null);
+  const folderInputRef = useRef(null);
   const [isDragOver, setIsDragOver] = useState(false);
   const [error, setError] = useState('');
+  // { found } while folders are scanned, then { done, total } while importing
+  const [importProgress, setImportProgress] = useState(null);
+  // Chosen action for each duplicate, in the same order
+  const [duplicateActions, setDuplicateActions] = useState([]);
+  // What became of each imported playlist file: { name, total, unresolved }
+  const [playlistReports, setPlaylistReports] = useState([]);
+
+  const isBusy = disabled || !!importProgress;
+
+  // Duplicates found by later batches are appended; earlier choices are kept
+  useEffect(() => {
+    setDuplicateActions(prev => duplicates.map((_, index) => prev[index] || 'skip'));
+  }, [duplicates]);
 
-  const acceptedTypes = ['audio/mpeg', 'audio/mp3', 'audio/wav', 'audio/ogg'];
+  const formatNames = AUDIO_FORMATS.map(format => format.label).join(', ');
   const maxFileSize = 50 * 1024 * 1024; // 50MB
 
   const validateFile = (file) => {
-    if (!acceptedTypes.includes(file.type)) {
-      return 'Please select a valid audio file (MP3, WAV, OGG)';
+    // Lyrics, CUE sheets and covers are matched to the audio files they are
+    // dropped with; playlists and archives are opened when they are imported
+    if (multiple && (isCompanionFile(file) || isPlaylistFile(file) || isZipFile(file))) {
+      return null;
+    }
+    if (!isAudioFile(file)) {
+      return `Please select a valid audio file (${formatNames})`;
     }
     if (file.size > maxFileSize) {
       return 'File size must be less than 50MB';
@@ -19,6 +83,11 @@ const FileUpload = ({ onFileSelect, onFilesAdded, multiple = false, disabled = f
     return null;
   };
 
+  const showError = (message) => {
+    setError(message);
+    setTimeout(() => setError(''), 5000);
+  };
+
   const processFiles = (files) => {
     const fileArray = Array.from(files);
     const validFiles = [];
@@ -34,20 +103,84 @@ const FileUpload = ({ onFileSelect, onFilesAdded, multiple = false, disabled = f
     }
 
     if (errorMessage) {
-      setError(errorMessage);
-      setTimeout(() => setError(''), 5000);
+      showError(errorMessage);
       return;
     }
 
     setError('');
 
     if (multiple) {
-      onFilesAdded && onFilesAdded(validFiles);
+      importFiles(validFiles);
     } else {
       onFileSelect && onFileSelect(validFiles[0]);
     }
   };
 
+  // Large imports are added in batches so tracks appear while the rest load
+  const importFiles = async (files) => {
+    if (!onFilesAdded) return;
+
+    // Archives are only listed here; their entries are extracted batch by batch
+    const archives = files.filter(isZipFile);
+    let importable = files.filter(file => !isZipFile(file));
+    for (const archive of archives) {
+      setImportProgress({ found: importable.length });
+      try {
+        importable = importable.concat(await readArchiveFiles(archive));
+      } catch (archiveError) {
+        console.error(`Failed to read ${archive.name}:`, archiveError);
+        showError(`${archive.name} could not be read as a ZIP archive`);
+      }
+    }
+
+    // Playlists are resolved once the audio dropped with them is in the
+    // library; JSON files that are not playlists are left out quietly
+    const playlistFiles = [];
+    for (const file of onPlaylistFilesAdded ? importable.filter(isPlaylistFile) : []) {
+      if (await isImportablePlaylist(file)) playlistFiles.push(file);
+    }
+    importable = importable.filter(file => !isPlaylistFile(file));
+
+    const countAudio = batch => batch.filter(file => !isCompanionFile(file)).length;
+    if (countAudio(importable) === 0 && playlistFiles.length === 0) {
+      setImportProgress(null);
+      if (archives.length === 0 || importable.length > 0) showError('No audio files found');
+      return;
+    }
+
+    const batches = countAudio(importable) > 0 ? createImportBatches(importable) : [];
+    const total = countAudio(importable);
+    let done = 0;
+
+    setError('');
+    setImportProgress({ done, total });
+    try {
+      for (const batch of batches) {
+        await onFilesAdded(batch);
+        done += countAudio(batch);
+        setImportProgress({ done, total });
+      }
+      if (playlistFiles.length > 0) {
+        setPlaylistReports(await onPlaylistFilesAdded(playlistFiles) || []);
+      }
+    } finally {
+      setImportProgress(null);
+    }
+  };
+
+  const handleFolderChange = (event) => {
+    const files = filterFolderFiles(event.target.files || []);
+    // Lets the same folder be chosen again
+    event.target.value = '';
+    importFiles(files);
+  };
+
+  const handleFolderClick = () => {
+    if (!isBusy && folderInputRef.current) {
+      folderInputRef.current.click();
+    }
+  };
+
   const handleFileChange = (event) => {
     const files = event.target.files;
     if (files && files.length > 0) {
@@ -59,7 +192,21 @@ const FileUpload = ({ onFileSelect, onFilesAdded, multiple = false, disabled = f
     event.preventDefault();
     setIsDragOver(false);
 
-    if (disabled) return;
+    if (isBusy) return;
+
+    if (multiple && hasDroppedFolders(event.dataTransfer)) {
+      setImportProgress({ found: 0 });
+      readDroppedFiles(event.dataTransfer, found => setImportProgress({ found }))
+        .then((files) => {
+          setImportProgress(null);
+          importFiles(files);
+        })
+        .catch((folderError) => {
+          console.error('Failed to read dropped folders:', folderError);
+          setImportProgress(null);
+        });
+      return;
+    }
 
     const files = event.dataTransfer.files;
     if (files && files.length > 0) {
@@ -69,7 +216,7 @@ const FileUpload = ({ onFileSelect, onFilesAdded, multiple = false, disabled = f
 
   const handleDragOver = (event) => {
     event.preventDefault();
-    if (!disabled) {
+    if (!isBusy) {
       setIsDragOver(true);
     }
   };
@@ -80,7 +227,7 @@ const FileUpload = ({ onFileSelect, onFilesAdded, multiple = false, disabled = f
   };
 
   const handleClick = () => {
-    if (!disabled && fileInputRef.current) {
+    if (!isBusy && fileInputRef.current) {
       fileInputRef.current.click();
     }
   };
@@ -92,27 +239,35 @@ const FileUpload = ({ onFileSelect, onFilesAdded, multiple = false, disabled = f
     }
   };
 
+  const setDuplicateAction = (index, action) => {
+    setDuplicateActions(prev => prev.map((value, i) => (i === index ? action : value)));
+  };
+
+  const setAllDuplicateActions = (action) => {
+    setDuplicateActions(duplicates.map(() => action));
+  };
+
   return (
     <div className="file-upload-container">
       <div
-        className={`file-upload-area ${isDragOver ? 'drag-over' : ''} ${disabled ? 'disabled' : ''}`}
+        className={`file-upload-area ${isDragOver ? 'drag-over' : ''} ${isBusy ? 'disabled' : ''}`}
         onDrop={handleDrop}
         onDragOver={handleDragOver}
         onDragLeave={handleDragLeave}
         onClick={handleClick}
         onKeyDown={handleKeyDown}
-        tabIndex={disabled ? -1 : 0}
+        tabIndex={isBusy ? -1 : 0}
         role="button"
         aria-label={multiple ? 'Upload audio files' : 'Upload audio file'}
       >
         <input
           ref={fileInputRef}
           type="file"
-          accept="audio/*"
+          accept={multiple ? MULTIPLE_ACCEPT : AUDIO_FILE_ACCEPT}
           multiple={multiple}
           onChange={handleFileChange}
           className="file-input-hidden"
-          disabled={disabled}
+          disabled={isBusy}
           aria-hidden="true"
         />
         
@@ -155,7 +310,10 @@ const FileUpload = ({ onFileSelect, onFilesAdded, multiple = false, disabled = f
             Drag and drop your {multiple ? 'files' : 'file'} here or{' '}
             <span className="upload-link">click to browse</span>
           </p>
-          <small>Supports MP3, WAV, OGG files up to 50MB</small>
+          <small>
+            Supports {formatNames} files up to 50MB
+            {multiple && '. Add .lrc files with matching names for synced lyrics, M3U, PLS, XSPF or JSON playlists, or drop whole folders and ZIP archives'}
+          </small>
         </div>
 
         {isDragOver && (
@@ -192,6 +350,36 @@ const FileUpload = ({ onFileSelect, onFilesAdded, multiple = false, disabled = f
         )}
       </div>
 
+      {multiple && (
+        <div className="file-upload__folder">
+          <button
+            className="file-upload__button"
+            onClick={handleFolderClick}
+            disabled={isBusy}
+          >
+            Choose folder…
+          </button>
+          <input
+            ref={folderInputRef}
+            type="file"
+            webkitdirectory=""
+            directory=""
+            multiple
+            onChange={handleFolderChange}
+            className="file-input-hidden"
+            disabled={isBusy}
+            aria-hidden="true"
+          />
+          {importProgress && (
+            <span className="file-upload__progress" role="status" aria-live="polite">
+              {importProgress.found !== undefined && `Looking for audio… ${importProgress.found} files found`}
+              {importProgress.total > 0 && `Importing ${importProgress.done} of ${importProgress.total} files…`}
+              {importProgress.total === 0 && 'Reading playlists…'}
+            </span>
+          )}
+        </div>
+      )}
+
       {error && (
         <div className="error-message" role="alert">
           <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
@@ -202,6 +390,93 @@ const FileUpload = ({ onFileSelect, onFilesAdded, multiple = false, disabled = f
           {error}
         </div>
       )}
+
+      {playlistReports.length > 0 && (
+        <div className="file-upload__report" role="status">
+          <div className="file-upload__report-header">
+            <h4 className="file-upload__report-title">Imported playlists</h4>
+            <button
+              className="file-upload__dismiss"
+              onClick={() => setPlaylistReports([])}
+              aria-label="Dismiss"
+            >
+              ×
+            </button>
+          </div>
+
+          <ul className="file-upload__report-list">
+            {playlistReports.map((report, index) => (
+              <li key={index} className="file-upload__report-item">
+                <span className="file-upload__report-name">{report.name}</span>
+                <span className="file-upload__report-count">
+                  {report.total === null
+                    ? 'could not be read'
+                    : `${report.total - report.unresolved.length} of ${report.total} tracks found`}
+                </span>
+                {report.unresolved.length > 0 && (
+                  <ul className="file-upload__unresolved">
+                    {report.unresolved.map((entry, entryIndex) => (
+                      <li key={entryIndex} className="file-upload__unresolved-entry" title={entry.path}>
+                        {entry.title ? `${entry.artist ? `${entry.artist} - ` : ''}${entry.title} (${entry.path})` : entry.path}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {duplicates.length > 0 && (
+        <div className="file-upload__duplicates" role="alertdialog" aria-labelledby="file-upload-duplicates-title">
+          <h4 id="file-upload-duplicates-title" className="file-upload__duplicates-title">
+            {duplicates.length === 1 ? '1 file is' : `${duplicates.length} files are`} already in your library
+          </h4>
+
+          <ul className="file-upload__duplicate-list">
+            {duplicates.map(({ item, existing }, index) => (
+              <li key={index} className="file-upload__duplicate">
+                <span className="file-upload__duplicate-name" title={item.file.name}>
+                  {item.file.name}
+                </span>
+                <span className="file-upload__duplicate-match">
+                  same audio as “{getTrackTitle(existing)}”
+                </span>
+                <select
+                  className="file-upload__duplicate-action"
+                  value={duplicateActions[index] || 'skip'}
+                  onChange={(event) => setDuplicateAction(index, event.target.value)}
+                  aria-label={`Action for ${item.file.name}`}
+                >
+                  {DUPLICATE_ACTIONS.map(action => (
+                    <option key={action.value} value={action.value}>{action.label}</option>
+                  ))}
+                </select>
+              </li>
+            ))}
+          </ul>
+
+          <div className="file-upload__duplicate-actions">
+            {DUPLICATE_ACTIONS.map(action => (
+              <button
+                key={action.value}
+                className="file-upload__button"
+                onClick={() => setAllDuplicateActions(action.value)}
+              >
+                {action.allLabel}
+              </button>
+            ))}
+            <button
+              className="file-upload__button file-upload__button--primary"
+              onClick={() => onResolveDuplicates && onResolveDuplicates(duplicateActions)}
+              disabled={duplicateActions.length !== duplicates.length}
+            >
+              Continue
+            </button>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,127 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { formatFileSize } from '../utils/audioUtils';
+
+const Library = ({
+  storage,
+  storedTracks,
+  disconnectedCount,
+  error,
+  onEvict,
+  onClear,
+  onReconnect,
+  onPersist,
+  onDismissError
+}) => {
+  const usedPercent = storage && storage.quota > 0 ? Math.min(100, (storage.usage / storage.quota) * 100) : 0;
+  // Biggest first, since those free the most space
+  const sortedTracks = [...storedTracks].sort((a, b) => b.size - a.size);
+
+  return (
+    <div className="library">
+      <div className="library__header">
+        <h2 className="library__title">Saved Library</h2>
+        <button
+          className="library__button"
+          onClick={() => {
+            if (window.confirm('Remove all saved tracks, playlists and settings from this browser?')) onClear();
+          }}
+          disabled={storedTracks.length === 0}
+        >
+          Clear library
+        </button>
+      </div>
+
+      {error && (
+        <div className="library__error" role="alert">
+          <span>{error}</span>
+          <button className="library__dismiss" onClick={onDismissError} aria-label="Dismiss">×</button>
+        </div>
+      )}
+
+      {storage && (
+        <div className="library__storage">
+          <div className="library__quota" role="progressbar" aria-valuenow={Math.round(usedPercent)} aria-valuemin={0} aria-valuemax={100}>
+            <div
+              className={`library__quota-fill ${usedPercent > 90 ? 'library__quota-fill--full' : ''}`}
+              style={{ width: `${usedPercent}%` }}
+            />
+          </div>
+          <span className="library__usage">
+            {formatFileSize(storage.usage)} of {formatFileSize(storage.quota)} used
+          </span>
+          {storage.isPersisted ? (
+            <span className="library__persisted">Protected from automatic cleanup</span>
+          ) : (
+            <button className="library__button" onClick={onPersist}>
+              Keep permanently
+            </button>
+          )}
+        </div>
+      )}
+
+      {disconnectedCount > 0 && (
+        <div className="library__reconnect">
+          <span>
+            {disconnectedCount} track{disconnectedCount !== 1 ? 's' : ''} from folders need
+            permission to be read again
+          </span>
+          <button className="library__button" onClick={onReconnect}>
+            Reconnect
+          </button>
+        </div>
+      )}
+
+      {sortedTracks.length === 0 ? (
+        <p className="library__empty">Imported tracks are saved here automatically</p>
+      ) : (
+        <ul className="library__list">
+          {sortedTracks.map(track => (
+            <li key={track.id} className="library__item">
+              <span className="library__name" title={track.name}>{track.name}</span>
+              <span className="library__size">
+                {track.isHandle ? 'Linked file' : formatFileSize(track.size)}
+              </span>
+              <button
+                className="library__button"
+                onClick={() => onEvict(track.id)}
+                title="Stop keeping this track between visits"
+              >
+                Evict
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+Library.propTypes = {
+  storage: PropTypes.shape({
+    usage: PropTypes.number.isRequired,
+    quota: PropTypes.number.isRequired,
+    isPersisted: PropTypes.bool
+  }),
+  storedTracks: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+    name: PropTypes.string,
+    size: PropTypes.number,
+    isHandle: PropTypes.bool
+  })).isRequired,
+  disconnectedCount: PropTypes.number,
+  error: PropTypes.string,
+  onEvict: PropTypes.func.isRequired,
+  onClear: PropTypes.func.isRequired,
+  onReconnect: PropTypes.func.isRequired,
+  onPersist: PropTypes.func.isRequired,
+  onDismissError: PropTypes.func.isRequired
+};
+
+Library.defaultProps = {
+  storage: null,
+  disconnectedCount: 0,
+  error: null
+};
+
+export default Library;
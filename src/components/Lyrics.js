@@ -0,0 +1,164 @@
+import React, { useEffect, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { findTimedIndex } from '../utils/lyrics';
+
+const OFFSET_STEPS = [-0.5, -0.1, 0.1, 0.5];
+// Auto-scroll pauses for this long after the user scrolls the panel
+const MANUAL_SCROLL_PAUSE_MS = 4000;
+
+const Lyrics = ({
+  lyrics,
+  currentTime,
+  offset,
+  onSeek,
+  onOffsetChange
+}) => {
+  const [isExpanded, setIsExpanded] = useState(true);
+  const containerRef = useRef(null);
+  const activeLineRef = useRef(null);
+  const lastManualScrollRef = useRef(0);
+
+  const totalOffset = (lyrics.offset || 0) + offset;
+  const lyricsTime = currentTime + totalOffset;
+  const activeIndex = lyrics.synced ? findTimedIndex(lyrics.lines, lyricsTime) : -1;
+
+  // Keep the current line in the middle of the panel
+  useEffect(() => {
+    const container = containerRef.current;
+    const line = activeLineRef.current;
+    if (!container || !line) return;
+    if (Date.now() - lastManualScrollRef.current < MANUAL_SCROLL_PAUSE_MS) return;
+
+    container.scrollTo({
+      top: line.offsetTop - container.clientHeight / 2 + line.offsetHeight / 2,
+      behavior: 'smooth'
+    });
+  }, [activeIndex, isExpanded]);
+
+  const handleManualScroll = () => {
+    lastManualScrollRef.current = Date.now();
+  };
+
+  const seekToLine = (line) => {
+    onSeek(Math.max(0, line.time - totalOffset));
+  };
+
+  const handleLineKeyPress = (event, line) => {
+    if (event.key === 'Enter' || event.key === ' ') {
+      event.preventDefault();
+      seekToLine(line);
+    }
+  };
+
+  const formatOffset = (value) => `${value > 0 ? '+' : ''}${value.toFixed(1)}s`;
+
+  const renderWords = (line, isActive) => {
+    if (!line.words || !isActive) return line.text;
+
+    const wordIndex = findTimedIndex(line.words, lyricsTime);
+    return line.words.map((word, index) => (
+      <span
+        key={index}
+        className={`lyrics__word ${index < wordIndex ? 'lyrics__word--sung' : ''} ${index === wordIndex ? 'lyrics__word--active' : ''}`}
+      >
+        {word.text}
+      </span>
+    ));
+  };
+
+  return (
+    <div className="lyrics">
+      <div className="lyrics__header">
+        <button
+          className="lyrics__toggle"
+          onClick={() => setIsExpanded(expanded => !expanded)}
+          aria-expanded={isExpanded}
+        >
+          Lyrics
+        </button>
+
+        {lyrics.synced && isExpanded && (
+          <div className="lyrics__offset" title="Positive offsets show lyrics earlier">
+            {OFFSET_STEPS.map(step => (
+              <button
+                key={step}
+                className="lyrics__offset-button"
+                onClick={() => onOffsetChange(offset + step)}
+                aria-label={`Shift lyrics ${Math.abs(step)} seconds ${step > 0 ? 'earlier' : 'later'}`}
+              >
+                {formatOffset(step)}
+              </button>
+            ))}
+            <button
+              className="lyrics__offset-value"
+              onClick={() => onOffsetChange(0)}
+              disabled={offset === 0}
+              title="Reset offset"
+            >
+              {formatOffset(offset)}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {isExpanded && (
+        <div
+          ref={containerRef}
+          className="lyrics__lines"
+          onWheel={handleManualScroll}
+          onTouchMove={handleManualScroll}
+        >
+          {lyrics.lines.map((line, index) => {
+            const isActive = index === activeIndex;
+            const className = `lyrics__line ${isActive ? 'lyrics__line--active' : ''} ${index < activeIndex ? 'lyrics__line--past' : ''}`;
+
+            if (!lyrics.synced) {
+              return <p key={index} className={className}>{line.text}</p>;
+            }
+
+            return (
+              <p
+                key={index}
+                ref={isActive ? activeLineRef : null}
+                className={`${className} lyrics__line--synced`}
+                onClick={() => seekToLine(line)}
+                onKeyPress={(event) => handleLineKeyPress(event, line)}
+                tabIndex={0}
+                role="button"
+                title="Play from this line"
+              >
+                {line.text ? renderWords(line, isActive) : '♪'}
+              </p>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+Lyrics.propTypes = {
+  lyrics: PropTypes.shape({
+    synced: PropTypes.bool.isRequired,
+    offset: PropTypes.number,
+    lines: PropTypes.arrayOf(PropTypes.shape({
+      time: PropTypes.number,
+      text: PropTypes.string.isRequired,
+      words: PropTypes.arrayOf(PropTypes.shape({
+        time: PropTypes.number.isRequired,
+        text: PropTypes.string.isRequired
+      }))
+    })).isRequired
+  }).isRequired,
+  currentTime: PropTypes.number,
+  offset: PropTypes.number,
+  onSeek: PropTypes.func.isRequired,
+  onOffsetChange: PropTypes.func.isRequired
+};
+
+Lyrics.defaultProps = {
+  currentTime: 0,
+  offset: 0
+};
+
+export default Lyrics;
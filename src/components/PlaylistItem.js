@@ -1,5 +1,7 @@
 import React from 'react';
 import PropTypes from 'prop-types';
+import { getTrackTitle } from '../utils/audioUtils';
+import Artwork from './Artwork';
 
 const PlaylistItem = ({ 
   track, 
@@ -7,8 +9,21 @@ const PlaylistItem = ({
   isPlaying, 
   onSelect, 
   onRemove, 
+  onPlayNext,
+  onAddToQueue,
+  onEditTags,
+  isSelected,
+  onToggleSelect,
+  resumePosition,
+  isPlayed,
+  rating,
+  onRate,
+  playlists,
+  onAddToPlaylist,
   index 
 }) => {
+  const title = getTrackTitle(track);
+
   const formatDuration = (duration) => {
     if (!duration || isNaN(duration)) return '--:--';
     
@@ -25,6 +40,21 @@ const PlaylistItem = ({
     return `${(bytes / Math.pow(1024, i)).toFixed(1)} ${sizes[i]}`;
   };
 
+  // Stream details read from the MP3 frame headers
+  const formatStreamDetails = () => {
+    if (!track.bitrate) return null;
+
+    const details = [`${track.bitrate} kbps${track.isVbr ? ' VBR' : ''}`];
+    if (track.sampleRate) details.push(`${(track.sampleRate / 1000).toFixed(1).replace(/\.0$/, '')} kHz`);
+    if (track.channelMode) details.push(track.channelMode);
+    return details.join(' · ');
+  };
+
+  const streamDetails = formatStreamDetails();
+  const gaplessInfo = track.encoderDelay || track.encoderPadding
+    ? `Encoder delay ${track.encoderDelay} samples, padding ${track.encoderPadding} samples`
+    : undefined;
+
   const handleKeyPress = (event) => {
     if (event.key === 'Enter' || event.key === ' ') {
       event.preventDefault();
@@ -47,9 +77,20 @@ const PlaylistItem = ({
       onKeyPress={handleKeyPress}
       tabIndex={0}
       role="button"
-      aria-label={`Play ${track.name || 'Unknown track'}`}
+      aria-label={`Play ${title}`}
     >
       <div className="playlist-item-content">
+        {onToggleSelect && (
+          <input
+            type="checkbox"
+            className="track-select"
+            checked={isSelected}
+            onChange={() => onToggleSelect(index)}
+            onClick={(e) => e.stopPropagation()}
+            aria-label={`Select ${title}`}
+          />
+        )}
+
         <div className="track-number">
           {isActive && isPlaying ? (
             <div className="playing-indicator">
@@ -62,16 +103,111 @@ const PlaylistItem = ({
           )}
         </div>
         
+        <Artwork src={track.artwork} title={title} album={track.album} />
+        
         <div className="track-info">
-          <div className="track-name" title={track.name || 'Unknown track'}>
-            {track.name ? track.name.replace(/\.[^/.]+$/, '') : 'Unknown track'}
+          <div className="track-name" title={track.name || title}>
+            {title}
           </div>
           <div className="track-details">
+            {track.artist && <span className="track-artist">{track.artist}</span>}
+            {!track.artist && track.folder && (
+              <span className="track-folder" title={track.folder}>{track.folder}</span>
+            )}
             <span className="track-duration">{formatDuration(track.duration)}</span>
             <span className="track-size">{formatFileSize(track.size)}</span>
+            {streamDetails && (
+              <span className="track-stream" title={gaplessInfo}>{streamDetails}</span>
+            )}
+            {resumePosition ? (
+              <span className="track-progress" title="Where you left off">
+                At {formatDuration(resumePosition)}
+              </span>
+            ) : isPlayed && (
+              <span className="track-progress track-progress--played">Played</span>
+            )}
+            {onRate && (
+              <span className="track-rating" role="group" aria-label={`Rating of ${title}`}>
+                {[1, 2, 3, 4, 5].map(stars => (
+                  <button
+                    key={stars}
+                    className={`track-rating__star ${stars <= rating ? 'track-rating__star--on' : ''}`}
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      // Choosing the current rating again clears it
+                      onRate(stars === rating ? 0 : stars);
+                    }}
+                    onKeyPress={e => e.stopPropagation()}
+                    aria-label={`${stars} star${stars !== 1 ? 's' : ''}`}
+                    aria-pressed={stars <= rating}
+                  >
+                    ★
+                  </button>
+                ))}
+              </span>
+            )}
           </div>
         </div>
         
+        {onPlayNext && (
+          <button
+            className="queue-button"
+            onClick={(e) => {
+              e.stopPropagation();
+              onPlayNext(index);
+            }}
+            aria-label={`Play ${title} next`}
+            title="Play next"
+          >
+            Play next
+          </button>
+        )}
+
+        {onAddToQueue && (
+          <button
+            className="queue-button"
+            onClick={(e) => {
+              e.stopPropagation();
+              onAddToQueue(index);
+            }}
+            aria-label={`Add ${title} to queue`}
+            title="Add to queue"
+          >
+            + Queue
+          </button>
+        )}
+
+        {onAddToPlaylist && playlists.length > 0 && (
+          <select
+            className="queue-button add-to-playlist"
+            value=""
+            onChange={e => onAddToPlaylist(e.target.value)}
+            onClick={e => e.stopPropagation()}
+            onKeyPress={e => e.stopPropagation()}
+            aria-label={`Add ${title} to a playlist`}
+            title="Add to playlist"
+          >
+            <option value="" disabled>+ Playlist</option>
+            {playlists.map(playlist => (
+              <option key={playlist.id} value={playlist.id}>{playlist.name}</option>
+            ))}
+          </select>
+        )}
+
+        {onEditTags && (
+          <button
+            className="queue-button"
+            onClick={(e) => {
+              e.stopPropagation();
+              onEditTags(index);
+            }}
+            aria-label={`Edit tags of ${title}`}
+            title="Edit tags"
+          >
+            Edit tags
+          </button>
+        )}
+
         <button
           className="remove-button"
           onClick={(e) => {
@@ -79,7 +215,7 @@ const PlaylistItem = ({
             onRemove(index);
           }}
           onKeyPress={handleRemoveKeyPress}
-          aria-label={`Remove ${track.name || 'track'} from playlist`}
+          aria-label={`Remove ${title} from playlist`}
           title="Remove from playlist"
         >
           <svg 
@@ -144,6 +280,12 @@ const PlaylistItem = ({
           width: 100%;
         }
         
+        .track-select {
+          flex-shrink: 0;
+          accent-color: #4a9eff;
+          cursor: pointer;
+        }
+        
         .track-number {
           width: 32px;
           height: 32px;
@@ -219,6 +361,51 @@ const PlaylistItem = ({
           color: rgba(255, 255, 255, 0.6);
         }
         
+        .track-progress {
+          white-space: nowrap;
+          color: #4a9eff;
+        }
+        
+        .track-progress--played {
+          color: rgba(255, 255, 255, 0.4);
+        }
+        
+        .track-rating {
+          display: inline-flex;
+          flex-shrink: 0;
+        }
+        
+        .track-rating__star {
+          background: none;
+          border: none;
+          padding: 0 1px;
+          color: rgba(255, 255, 255, 0.2);
+          font-size: 12px;
+          line-height: 1;
+          cursor: pointer;
+        }
+        
+        .track-rating__star--on {
+          color: #ffc107;
+        }
+        
+        .track-rating:hover .track-rating__star {
+          color: rgba(255, 193, 7, 0.6);
+        }
+        
+        .track-rating__star:hover ~ .track-rating__star {
+          color: rgba(255, 255, 255, 0.2);
+        }
+        
+        .track-artist,
+        .track-folder,
+        .track-stream {
+          min-width: 0;
+          white-space: nowrap;
+          overflow: hidden;
+          text-overflow: ellipsis;
+        }
+        
         .remove-button {
           background: none;
           border: none;
@@ -240,6 +427,35 @@ const PlaylistItem = ({
           transform: scale(1);
         }
         
+        .queue-button {
+          background: rgba(255, 255, 255, 0.08);
+          border: none;
+          color: rgba(255, 255, 255, 0.7);
+          cursor: pointer;
+          padding: 4px 8px;
+          border-radius: 6px;
+          font-size: 12px;
+          white-space: nowrap;
+          transition: all 0.2s ease;
+          opacity: 0;
+          flex-shrink: 0;
+        }
+        
+        .playlist-item:hover .queue-button,
+        .queue-button:focus {
+          opacity: 1;
+        }
+        
+        .queue-button:hover {
+          color: white;
+          background: rgba(74, 158, 255, 0.2);
+        }
+        
+        .add-to-playlist option {
+          background: #1a1a2e;
+          color: white;
+        }
+        
         .remove-button:hover {
           color: #ff4757;
           background: rgba(255, 71, 87, 0.1);
@@ -281,6 +497,11 @@ const PlaylistItem = ({
             transform: scale(1);
             padding: 6px;
           }
+          
+          .queue-button {
+            opacity: 1;
+            padding: 4px 6px;
+          }
         }
         
         @media (max-width: 480px) {
@@ -297,8 +518,20 @@ const PlaylistItem = ({
 PlaylistItem.propTypes = {
   track: PropTypes.shape({
     name: PropTypes.string,
+    title: PropTypes.string,
+    artist: PropTypes.string,
+    album: PropTypes.string,
+    folder: PropTypes.string,
+    artwork: PropTypes.string,
     duration: PropTypes.number,
     size: PropTypes.number,
+    bitrate: PropTypes.number,
+    sampleRate: PropTypes.number,
+    channelMode: PropTypes.string,
+    encoderDelay: PropTypes.number,
+    encoderPadding: PropTypes.number,
+    isVbr: PropTypes.bool,
+    type: PropTypes.string,
     url: PropTypes.string,
     file: PropTypes.object
   }).isRequired,
@@ -306,12 +539,31 @@ PlaylistItem.propTypes = {
   isPlaying: PropTypes.bool,
   onSelect: PropTypes.func.isRequired,
   onRemove: PropTypes.func.isRequired,
+  onPlayNext: PropTypes.func,
+  onAddToQueue: PropTypes.func,
+  onEditTags: PropTypes.func,
+  isSelected: PropTypes.bool,
+  onToggleSelect: PropTypes.func,
+  resumePosition: PropTypes.number,
+  isPlayed: PropTypes.bool,
+  rating: PropTypes.number,
+  onRate: PropTypes.func,
+  playlists: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired
+  })),
+  onAddToPlaylist: PropTypes.func,
   index: PropTypes.number.isRequired
 };
 
 PlaylistItem.defaultProps = {
   isActive: false,
-  isPlaying: false
+  isPlaying: false,
+  isSelected: false,
+  resumePosition: null,
+  isPlayed: false,
+  rating: 0,
+  playlists: []
 };
 
 export default PlaylistItem;
\ No newline at end of file
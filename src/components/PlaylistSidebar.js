@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+
+const PlaylistSidebar = ({
+  playlists,
+  activePlaylistId,
+  onSelect,
+  onCreate,
+  onRename,
+  onDuplicate,
+  onDelete
+}) => {
+  const [editingId, setEditingId] = useState(null);
+  const [draftName, setDraftName] = useState('');
+
+  const startRename = (playlist) => {
+    setEditingId(playlist.id);
+    setDraftName(playlist.name);
+  };
+
+  const finishRename = () => {
+    if (draftName.trim()) onRename(editingId, draftName);
+    setEditingId(null);
+  };
+
+  const handleRenameKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      finishRename();
+    } else if (e.key === 'Escape') {
+      setEditingId(null);
+    }
+  };
+
+  // New playlists open straight into renaming
+  const handleCreate = () => {
+    const name = `Playlist ${playlists.length + 1}`;
+    const id = onCreate(name);
+    onSelect(id);
+    setEditingId(id);
+    setDraftName(name);
+  };
+
+  const handleDelete = (playlist) => {
+    const message = playlist.trackIds.length > 0
+      ? `Delete “${playlist.name}”? Tracks that are in no other playlist are removed too.`
+      : `Delete “${playlist.name}”?`;
+    if (window.confirm(message)) onDelete(playlist.id);
+  };
+
+  return (
+    <aside className="playlist-sidebar">
+      <div className="playlist-sidebar__header">
+        <h2 className="playlist-sidebar__title">Playlists</h2>
+        <button className="playlist-sidebar__button" onClick={handleCreate}>
+          + New
+        </button>
+      </div>
+
+      <ul className="playlist-sidebar__list">
+        {playlists.map((playlist) => {
+          const isActive = playlist.id === activePlaylistId;
+
+          return (
+            <li
+              key={playlist.id}
+              className={`playlist-sidebar__item ${isActive ? 'playlist-sidebar__item--active' : ''}`}
+            >
+              {editingId === playlist.id ? (
+                <input
+                  className="playlist-sidebar__input"
+                  value={draftName}
+                  onChange={e => setDraftName(e.target.value)}
+                  onBlur={finishRename}
+                  onKeyDown={handleRenameKeyDown}
+                  aria-label="Playlist name"
+                  autoFocus
+                />
+              ) : (
+                <button
+                  className="playlist-sidebar__name"
+                  onClick={() => onSelect(playlist.id)}
+                  onDoubleClick={() => startRename(playlist)}
+                  aria-current={isActive ? 'true' : undefined}
+                  title={playlist.name}
+                >
+                  {playlist.name}
+                  <span className="playlist-sidebar__count">{playlist.trackIds.length}</span>
+                </button>
+              )}
+
+              <div className="playlist-sidebar__actions">
+                <button
+                  className="playlist-sidebar__action"
+                  onClick={() => startRename(playlist)}
+                  aria-label={`Rename ${playlist.name}`}
+                  title="Rename"
+                >
+                  ✎
+                </button>
+                <button
+                  className="playlist-sidebar__action"
+                  onClick={() => onSelect(onDuplicate(playlist.id))}
+                  aria-label={`Duplicate ${playlist.name}`}
+                  title="Duplicate"
+                >
+                  ⧉
+                </button>
+                <button
+                  className="playlist-sidebar__action"
+                  onClick={() => handleDelete(playlist)}
+                  disabled={playlists.length <= 1}
+                  aria-label={`Delete ${playlist.name}`}
+                  title={playlists.length <= 1 ? 'The last playlist cannot be deleted' : 'Delete'}
+                >
+                  ×
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </aside>
+  );
+};
+
+PlaylistSidebar.propTypes = {
+  playlists: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    trackIds: PropTypes.array.isRequired
+  })).isRequired,
+  activePlaylistId: PropTypes.string.isRequired,
+  onSelect: PropTypes.func.isRequired,
+  onCreate: PropTypes.func.isRequired,
+  onRename: PropTypes.func.isRequired,
+  onDuplicate: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired
+};
+
+export default PlaylistSidebar;
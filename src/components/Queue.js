@@ -0,0 +1,131 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { getTrackTitle } from '../utils/audioUtils';
+
+const Queue = ({
+  queue,
+  onSelect,
+  onMove,
+  onRemove,
+  onClear
+}) => {
+  const [dragIndex, setDragIndex] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
+
+  const formatDuration = (duration) => {
+    if (!duration || isNaN(duration)) return '--:--';
+    const minutes = Math.floor(duration / 60);
+    const seconds = Math.floor(duration % 60);
+    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+  };
+
+  const handleDragStart = (event, index) => {
+    setDragIndex(index);
+    event.dataTransfer.effectAllowed = 'move';
+  };
+
+  const handleDragOver = (event, index) => {
+    if (dragIndex === null) return;
+    event.preventDefault();
+    setDropIndex(index);
+  };
+
+  const handleDrop = (event, index) => {
+    event.preventDefault();
+    if (dragIndex !== null && dragIndex !== index) {
+      onMove(dragIndex, index);
+    }
+    setDragIndex(null);
+    setDropIndex(null);
+  };
+
+  const handleDragEnd = () => {
+    setDragIndex(null);
+    setDropIndex(null);
+  };
+
+  if (queue.length === 0) return null;
+
+  return (
+    <div className="queue">
+      <div className="queue__header">
+        <h2 className="queue__title">Up Next ({queue.length})</h2>
+        <button className="queue__clear" onClick={onClear}>
+          Clear queue
+        </button>
+      </div>
+
+      <ol className="queue__list">
+        {queue.map(({ id, track }, index) => (
+          <li
+            key={id}
+            className={[
+              'queue__item',
+              dragIndex === index ? 'queue__item--dragging' : '',
+              dropIndex === index && dragIndex !== index ? 'queue__item--drop-target' : ''
+            ].join(' ')}
+            draggable
+            onDragStart={(e) => handleDragStart(e, index)}
+            onDragOver={(e) => handleDragOver(e, index)}
+            onDrop={(e) => handleDrop(e, index)}
+            onDragEnd={handleDragEnd}
+          >
+            <span className="queue__handle" aria-hidden="true">⋮⋮</span>
+            <button
+              className="queue__name"
+              onClick={() => onSelect(id)}
+              title={`Play ${getTrackTitle(track)} now`}
+            >
+              {getTrackTitle(track)}
+            </button>
+            <span className="queue__duration">{formatDuration(track.duration)}</span>
+            <button
+              className="queue__action"
+              onClick={() => onMove(index, index - 1)}
+              disabled={index === 0}
+              aria-label="Move up"
+              title="Move up"
+            >
+              ↑
+            </button>
+            <button
+              className="queue__action"
+              onClick={() => onMove(index, index + 1)}
+              disabled={index === queue.length - 1}
+              aria-label="Move down"
+              title="Move down"
+            >
+              ↓
+            </button>
+            <button
+              className="queue__action queue__action--remove"
+              onClick={() => onRemove(id)}
+              aria-label={`Remove ${getTrackTitle(track)} from queue`}
+              title="Remove from queue"
+            >
+              ×
+            </button>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+Queue.propTypes = {
+  queue: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    track: PropTypes.shape({
+      id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+      name: PropTypes.string,
+      title: PropTypes.string,
+      duration: PropTypes.number
+    }).isRequired
+  })).isRequired,
+  onSelect: PropTypes.func.isRequired,
+  onMove: PropTypes.func.isRequired,
+  onRemove: PropTypes.func.isRequired,
+  onClear: PropTypes.func.isRequired
+};
+
+export default Queue;
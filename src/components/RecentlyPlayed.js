@@ -0,0 +1,144 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RecentlyPlayed = ({
+  history,
+  playlist,
+  currentEntryId,
+  isPreviousFromHistory,
+  onJump,
+  onClear,
+  onTogglePreviousFromHistory
+}) => {
+  const formatTime = (time) => {
+    if (isNaN(time)) return '0:00';
+    const minutes = Math.floor(time / 60);
+    const seconds = Math.floor(time % 60);
+    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+  };
+
+  const formatDay = (timestamp) => {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const day = new Date(timestamp);
+    day.setHours(0, 0, 0, 0);
+
+    const daysAgo = Math.round((today - day) / DAY_MS);
+    if (daysAgo === 0) return 'Today';
+    if (daysAgo === 1) return 'Yesterday';
+    return day.toLocaleDateString(undefined, { weekday: 'long', month: 'short', day: 'numeric' });
+  };
+
+  const formatClock = (timestamp) => {
+    return new Date(timestamp).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+  };
+
+  // History is newest first, so days come out in order
+  const groups = history.reduce((result, entry) => {
+    const day = formatDay(entry.startedAt);
+    const last = result[result.length - 1];
+    if (last && last.day === day) {
+      last.entries.push(entry);
+    } else {
+      result.push({ day, entries: [entry] });
+    }
+    return result;
+  }, []);
+
+  const isAvailable = (entry) => playlist.some(track => track.id === entry.trackId);
+
+  return (
+    <div className="recently-played">
+      <div className="recently-played__header">
+        <h2 className="recently-played__title">Recently Played</h2>
+        <button
+          className="recently-played__clear"
+          onClick={onClear}
+          disabled={history.length === 0}
+        >
+          Clear history
+        </button>
+      </div>
+
+      <label className="recently-played__option">
+        <input
+          type="checkbox"
+          checked={isPreviousFromHistory}
+          onChange={onTogglePreviousFromHistory}
+        />
+        Previous goes back through what actually played
+      </label>
+
+      {history.length === 0 ? (
+        <p className="recently-played__empty">Nothing played yet</p>
+      ) : (
+        groups.map(group => (
+          <div key={group.day} className="recently-played__day">
+            <h3 className="recently-played__day-title">{group.day}</h3>
+            <ul className="recently-played__list">
+              {group.entries.map((entry) => {
+                const isCurrent = entry.id === currentEntryId;
+                const available = isAvailable(entry);
+
+                return (
+                  <li
+                    key={entry.id}
+                    className={`recently-played__item ${isCurrent ? 'recently-played__item--current' : ''}`}
+                  >
+                    <span className="recently-played__clock">{formatClock(entry.startedAt)}</span>
+                    <span className="recently-played__name" title={entry.name}>
+                      {entry.name}
+                    </span>
+                    <span className="recently-played__listened">
+                      {isCurrent ? 'Now playing' : `${formatTime(entry.listened)} listened`}
+                    </span>
+                    {entry.skipped && !isCurrent && (
+                      <span className="recently-played__badge">Skipped</span>
+                    )}
+                    <button
+                      className="recently-played__jump"
+                      onClick={() => onJump(entry.id)}
+                      disabled={!available || isCurrent}
+                      title={available ? undefined : 'This track is no longer in the playlist'}
+                    >
+                      {entry.skipped ? `Resume at ${formatTime(entry.position)}` : 'Play again'}
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+RecentlyPlayed.propTypes = {
+  history: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    trackId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+    name: PropTypes.string,
+    startedAt: PropTypes.number.isRequired,
+    listened: PropTypes.number,
+    position: PropTypes.number,
+    skipped: PropTypes.bool
+  })).isRequired,
+  playlist: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.oneOfType([PropTypes.string, PropTypes.number])
+  })).isRequired,
+  currentEntryId: PropTypes.string,
+  isPreviousFromHistory: PropTypes.bool,
+  onJump: PropTypes.func.isRequired,
+  onClear: PropTypes.func.isRequired,
+  onTogglePreviousFromHistory: PropTypes.func.isRequired
+};
+
+RecentlyPlayed.defaultProps = {
+  currentEntryId: null,
+  isPreviousFromHistory: false
+};
+
+export default RecentlyPlayed;
@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+
+// Option values are "<mode>:<value>" as passed to onStart
+const SLEEP_OPTIONS = [
+  { value: 'time:15', label: '15 minutes' },
+  { value: 'time:30', label: '30 minutes' },
+  { value: 'time:45', label: '45 minutes' },
+  { value: 'time:60', label: '1 hour' },
+  { value: 'time:90', label: '1.5 hours' },
+  { value: 'track:1', label: 'End of current track' },
+  { value: 'tracks:2', label: 'After 2 tracks' },
+  { value: 'tracks:3', label: 'After 3 tracks' },
+  { value: 'tracks:5', label: 'After 5 tracks' }
+];
+
+const SleepTimer = ({
+  sleepTimer,
+  remaining,
+  onStart,
+  onExtend,
+  onCancel
+}) => {
+  const [selectedOption, setSelectedOption] = useState(SLEEP_OPTIONS[1].value);
+
+  const formatRemaining = (time) => {
+    const totalSeconds = Math.ceil(time);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const padded = seconds.toString().padStart(2, '0');
+    return hours > 0
+      ? `${hours}:${minutes.toString().padStart(2, '0')}:${padded}`
+      : `${minutes}:${padded}`;
+  };
+
+  const handleStart = () => {
+    const [mode, value] = selectedOption.split(':');
+    onStart(mode, Number(value));
+  };
+
+  if (!sleepTimer) {
+    return (
+      <div className="sleep-timer">
+        <select
+          value={selectedOption}
+          onChange={(e) => setSelectedOption(e.target.value)}
+          className="sleep-timer__select"
+          aria-label="Sleep timer duration"
+        >
+          {SLEEP_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <button className="sleep-timer__button" onClick={handleStart}>
+          Start sleep timer
+        </button>
+      </div>
+    );
+  }
+
+  const isTrackBased = sleepTimer.mode === 'tracks';
+  let status;
+  if (isTrackBased && sleepTimer.tracksRemaining > 1) {
+    status = `${sleepTimer.tracksRemaining} tracks left`;
+  } else if (remaining !== null) {
+    status = formatRemaining(remaining);
+  } else {
+    status = 'End of track';
+  }
+
+  return (
+    <div className="sleep-timer sleep-timer--active">
+      <span className="sleep-timer__status" title="Playback stops when the sleep timer runs out">
+        Sleep in {status}
+      </span>
+      <button
+        className="sleep-timer__button"
+        onClick={onExtend}
+        title={isTrackBased ? 'Play one more track' : 'Add 5 minutes'}
+      >
+        {isTrackBased ? '+1 track' : '+5 min'}
+      </button>
+      <button
+        className="sleep-timer__button sleep-timer__button--cancel"
+        onClick={onCancel}
+      >
+        Cancel
+      </button>
+    </div>
+  );
+};
+
+SleepTimer.propTypes = {
+  sleepTimer: PropTypes.shape({
+    mode: PropTypes.oneOf(['time', 'tracks']).isRequired,
+    endsAt: PropTypes.number,
+    tracksRemaining: PropTypes.number
+  }),
+  remaining: PropTypes.number,
+  onStart: PropTypes.func.isRequired,
+  onExtend: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired
+};
+
+SleepTimer.defaultProps = {
+  sleepTimer: null,
+  remaining: null
+};
+
+export default SleepTimer;
@@ -0,0 +1,206 @@
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import Artwork from './Artwork';
+import { getTrackTitle } from '../utils/audioUtils';
+import { ID3_GENRES } from '../utils/id3';
+
+const FIELDS = [
+  { key: 'title', label: 'Title', isPerTrack: true },
+  { key: 'artist', label: 'Artist' },
+  { key: 'album', label: 'Album' },
+  { key: 'trackNumber', label: 'Track no.', type: 'number', isPerTrack: true },
+  { key: 'genre', label: 'Genre', list: 'tag-editor-genres' },
+  { key: 'year', label: 'Year', type: 'number' }
+];
+
+// Shared value of a field across tracks, or null when they differ
+const getSharedValue = (tracks, key) => {
+  const values = tracks.map(track => (track[key] === undefined || track[key] === null ? '' : String(track[key])));
+  return values.every(value => value === values[0]) ? values[0] : null;
+};
+
+const TagEditor = ({ tracks, onSave, onClose }) => {
+  const isBatch = tracks.length > 1;
+  const fields = FIELDS.filter(field => !(isBatch && field.isPerTrack));
+
+  // The tracks being edited do not change while the dialog is open
+  const [sharedValues] = useState(() => fields.reduce((result, field) => {
+    result[field.key] = getSharedValue(tracks, field.key);
+    return result;
+  }, {}));
+
+  const [values, setValues] = useState(() => Object.keys(sharedValues).reduce((result, key) => {
+    result[key] = sharedValues[key] || '';
+    return result;
+  }, {}));
+  // Only edited fields are written, so mixed values stay untouched in batch edits
+  const [editedKeys, setEditedKeys] = useState([]);
+  // undefined keeps the current cover, null removes it
+  const [cover, setCover] = useState(undefined);
+  const [coverPreview, setCoverPreview] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    return () => {
+      if (coverPreview) URL.revokeObjectURL(coverPreview);
+    };
+  }, [coverPreview]);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape' && !isSaving) onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [isSaving, onClose]);
+
+  const handleChange = (key, value) => {
+    setValues(prev => ({ ...prev, [key]: value }));
+    setEditedKeys(prev => (prev.includes(key) ? prev : [...prev, key]));
+  };
+
+  const handleCoverChange = async (event) => {
+    const file = event.target.files && event.target.files[0];
+    if (!file) return;
+    if (!file.type.startsWith('image/')) {
+      setError('Please choose an image file for the cover');
+      return;
+    }
+
+    setError('');
+    setCover({ mimeType: file.type, data: new Uint8Array(await file.arrayBuffer()) });
+    setCoverPreview(URL.createObjectURL(file));
+  };
+
+  const handleRemoveCover = () => {
+    setCover(null);
+    setCoverPreview(null);
+  };
+
+  const handleSave = async (download) => {
+    const changes = editedKeys.reduce((result, key) => {
+      result[key] = values[key];
+      return result;
+    }, {});
+    if (cover !== undefined) changes.cover = cover;
+
+    setIsSaving(true);
+    setError('');
+    try {
+      await onSave(changes, { download });
+      onClose();
+    } catch (saveError) {
+      console.error('Failed to save tags:', saveError);
+      setError('Could not write the tags');
+      setIsSaving(false);
+    }
+  };
+
+  const hasChanges = editedKeys.length > 0 || cover !== undefined;
+  const currentCover = isBatch ? null : tracks[0].artwork;
+  const previewSrc = cover === undefined ? currentCover : coverPreview;
+
+  return (
+    <div className="tag-editor__backdrop" onClick={() => !isSaving && onClose()}>
+      <div
+        className="tag-editor"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="tag-editor-title"
+        onClick={(event) => event.stopPropagation()}
+      >
+        <h3 id="tag-editor-title" className="tag-editor__title">
+          {isBatch ? `Edit tags of ${tracks.length} tracks` : `Edit tags: ${getTrackTitle(tracks[0])}`}
+        </h3>
+
+        <div className="tag-editor__body">
+          <div className="tag-editor__cover">
+            <Artwork
+              src={previewSrc}
+              title={values.title || getTrackTitle(tracks[0])}
+              album={values.album}
+              size="large"
+            />
+            <label className="tag-editor__button">
+              Choose cover…
+              <input
+                type="file"
+                accept="image/jpeg,image/png"
+                onChange={handleCoverChange}
+                className="tag-editor__file-input"
+              />
+            </label>
+            <button
+              className="tag-editor__button"
+              onClick={handleRemoveCover}
+              disabled={cover === null}
+            >
+              Remove cover
+            </button>
+          </div>
+
+          <div className="tag-editor__fields">
+            {fields.map(field => (
+              <label key={field.key} className="tag-editor__field">
+                <span className="tag-editor__label">{field.label}</span>
+                <input
+                  className="tag-editor__input"
+                  type={field.type || 'text'}
+                  min={field.type === 'number' ? 0 : undefined}
+                  list={field.list}
+                  value={values[field.key]}
+                  placeholder={sharedValues[field.key] === null ? 'Multiple values' : ''}
+                  onChange={(event) => handleChange(field.key, event.target.value)}
+                />
+              </label>
+            ))}
+            <datalist id="tag-editor-genres">
+              {ID3_GENRES.map(genre => <option key={genre} value={genre} />)}
+            </datalist>
+          </div>
+        </div>
+
+        {error && <p className="tag-editor__error" role="alert">{error}</p>}
+
+        <div className="tag-editor__actions">
+          <button className="tag-editor__button" onClick={onClose} disabled={isSaving}>
+            Cancel
+          </button>
+          <button
+            className="tag-editor__button"
+            onClick={() => handleSave(true)}
+            disabled={isSaving || !hasChanges}
+            title="Download retagged copies and leave the playlist unchanged"
+          >
+            Download
+          </button>
+          <button
+            className="tag-editor__button tag-editor__button--primary"
+            onClick={() => handleSave(false)}
+            disabled={isSaving || !hasChanges}
+          >
+            {isSaving ? 'Saving…' : 'Save'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+TagEditor.propTypes = {
+  tracks: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+    title: PropTypes.string,
+    artist: PropTypes.string,
+    album: PropTypes.string,
+    trackNumber: PropTypes.number,
+    genre: PropTypes.string,
+    year: PropTypes.number,
+    artwork: PropTypes.string
+  })).isRequired,
+  onSave: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default TagEditor;
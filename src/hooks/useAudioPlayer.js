@@ -1,7 +1,141 @@
-import { useState, useRef, useEffect, useCallback } from 'react';
+import { useState, useRef, useEffect, useCallback, useMemo } from 'react';
+import {
+  CROSSFADE_CURVES,
+  getCrossfadeGains,
+  advanceQueue,
+  getAdjacentTrackIndex,
+  getAlbumKey,
+  getTrackTitle,
+  revokeAudioUrl,
+  updateShuffleOrder,
+  canPlayCodec,
+  AUDIO_CODECS
+} from '../utils/audioUtils';
+import {
+  createAudioGraph,
+  createDefaultBands,
+  getEqHeadroom,
+  isWebAudioSupported,
+  EQ_FREQUENCY_RANGE,
+  EQ_GAIN_RANGE,
+  EQ_Q_RANGE
+} from '../utils/audioGraph';
+import {
+  getAlbumLoudness,
+  getNormalizationGain,
+  DEFAULT_NORMALIZATION_TARGET,
+  NORMALIZATION_MODES,
+  NORMALIZATION_TARGET_RANGE
+} from '../utils/loudness';
+import { PITCH_SHIFT_RANGE } from '../utils/pitchShifter';
+import { getChapterIndex } from '../utils/chapters';
+import {
+  countSleepTrack,
+  createSleepTimer,
+  getExtendedSleepTimer,
+  getSleepLevel,
+  getSleepRemaining
+} from '../utils/sleepTimer';
+import {
+  getResumeAction,
+  withResumePosition,
+  DEFAULT_RESUME_CUTOFF,
+  RESUME_CUTOFF_RANGE
+} from '../utils/resume';
+
+// How far from the end of the active track (in seconds) the standby element
+// is expected to be buffered; inside this window an unready standby counts
+// as buffering.
+const PRELOAD_WINDOW = 5;
+
+// Once the active track is this close to its end the handoff is scheduled
+// with a timer instead of relying on the coarse `timeupdate` interval.
+const HANDOFF_SCHEDULE_WINDOW = 0.5;
+
+// Time the standby element needs between `play()` and audible output. It is
+// started this much early so its first sample lines up with the last sample
+// of the outgoing track.
+const HANDOFF_LEAD = 0.03;
+
+// Crossfade length limits (seconds) and the fade used for manual skips
+const MAX_CROSSFADE_DURATION = 12;
+const MANUAL_FADE_DURATION = 0.4;
+
+// Interval between volume steps while a fade is running
+const FADE_STEP_MS = 25;
+
+const REPEAT_MODES = ['off', 'all', 'one'];
+
+// The A-B loop jumps back once playback is this close to B (about one
+// 192-sample frame at 48 kHz). Checks are timed to land just before B, then
+// repeated at this interval.
+const LOOP_TOLERANCE = 0.004;
+const LOOP_SCHEDULE_MARGIN = 0.02;
+
+// How often the sleep timer counts down
+const SLEEP_TICK_MS = 250;
+
+const createBookmarkId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+const createQueueEntryId = createBookmarkId;
+const createHistoryEntryId = createBookmarkId;
+const createPlaylistId = createBookmarkId;
+
+// Imports land in this playlist until others are created
+const DEFAULT_PLAYLIST_ID = 'default';
+const DEFAULT_PLAYLIST_NAME = 'My Playlist';
+const createDefaultPlaylists = () => [
+  { id: DEFAULT_PLAYLIST_ID, name: DEFAULT_PLAYLIST_NAME, trackIds: [], createdAt: 0 }
+];
+
+// Most recent plays kept in the history
+const HISTORY_LIMIT = 500;
+// A play that stops earlier than this before the end counts as skipped
+const SKIP_TAIL_SECONDS = 15;
+// Larger position jumps between time updates are seeks, not listening
+const MAX_LISTEN_STEP = 2;
+
+// Previous chapter restarts the current one when this far into it
+const CHAPTER_RESTART_SECONDS = 3;
+const NO_CHAPTERS = [];
+
+// Per-track lyrics timing correction, in seconds
+const LYRICS_OFFSET_RANGE = { min: -30, max: 30 };
+
+// Star ratings; 0 clears a track's rating
+const RATING_RANGE = { min: 0, max: 5 };
+
+// Playback positions are saved at most this often while playing
+const POSITION_SAVE_MS = 5000;
+
+const clamp = (value, { min, max }) => Math.max(min, Math.min(max, value));
+
+const createAudioElement = () => {
+  const audio = new Audio();
+  audio.preload = 'metadata';
+  return audio;
+};
+
+const unloadAudioElement = (audio) => {
+  audio.pause();
+  audio.removeAttribute('src');
+  audio.load();
+};
 
 const useAudioPlayer = () => {
+  // Active element; swapped with the standby element on every gapless handoff
   const audioRef = useRef(null);
+  const standbyRef = useRef(null);
+  const standbyTrackRef = useRef(null);
+  const handoffTimerRef = useRef(null);
+  const handoffPendingRef = useRef(false);
+  // Running crossfade ({ timer, outgoing }) and per-element fade levels
+  const fadeRef = useRef(null);
+  const deckLevelsRef = useRef(new Map());
+  const volumeRef = useRef(1);
+  // Output level applied by the sleep timer fade, on top of the user volume
+  const masterLevelRef = useRef(1);
+  // Web Audio graph, created lazily on first playback
+  const graphRef = useRef(null);
   const [isPlaying, setIsPlaying] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
   const [duration, setDuration] = useState(0);
@@ -10,133 +144,591 @@ const useAudioPlayer = () => {
   const [isMuted, setIsMuted] = useState(false);
   const [playbackRate, setPlaybackRate] = useState(1);
   const [currentTrack, setCurrentTrack] = useState(null);
-  const [playlist, setPlaylist] = useState([]);
+  // Every imported track; playlists refer to tracks by id, so a track can be
+  // in several playlists without being imported again
+  const [tracks, setTracks] = useState([]);
+  const [playlists, setPlaylists] = useState(createDefaultPlaylists);
+  // The playlist shown and played; switching it leaves the current track playing
+  const [activePlaylistId, setActivePlaylistId] = useState(DEFAULT_PLAYLIST_ID);
+  const activePlaylist = playlists.find(item => item.id === activePlaylistId) || playlists[0];
+  const playlist = useMemo(() => {
+    const tracksById = new Map(tracks.map(track => [track.id, track]));
+    return activePlaylist.trackIds.map(id => tracksById.get(id)).filter(Boolean);
+  }, [tracks, activePlaylist]);
   const [currentTrackIndex, setCurrentTrackIndex] = useState(0);
   const [error, setError] = useState(null);
   const [isBuffering, setIsBuffering] = useState(false);
+  const [isNextTrackReady, setIsNextTrackReady] = useState(false);
+  const [isNearEnd, setIsNearEnd] = useState(false);
+  const [isCrossfadeEnabled, setIsCrossfadeEnabled] = useState(false);
+  const [crossfadeDuration, setCrossfadeDuration] = useState(6);
+  const [crossfadeCurve, setCrossfadeCurve] = useState('equal-power');
+  const [isAlbumGapless, setIsAlbumGapless] = useState(true);
+  const [isCrossfading, setIsCrossfading] = useState(false);
+  const [isAudioGraphReady, setIsAudioGraphReady] = useState(false);
+  const [eqBands, setEqBands] = useState(createDefaultBands);
+  const [eqPreamp, setEqPreamp] = useState(0);
+  const [isEqEnabled, setIsEqEnabled] = useState(true);
+  const [isClipProtectionEnabled, setIsClipProtectionEnabled] = useState(true);
+  const [normalizationMode, setNormalizationMode] = useState('track');
+  const [normalizationTarget, setNormalizationTarget] = useState(DEFAULT_NORMALIZATION_TARGET);
+  const [repeatMode, setRepeatMode] = useState('off');
+  const [isShuffled, setIsShuffled] = useState(false);
+  // Shuffle order as track ids, so it survives tracks moving in the playlist
+  const [shuffleOrder, setShuffleOrder] = useState([]);
+  const shuffledIndices = useMemo(() => {
+    const indexById = new Map(playlist.map((track, index) => [track.id, index]));
+    return shuffleOrder.map(id => indexById.get(id)).filter(index => index !== undefined);
+  }, [playlist, shuffleOrder]);
+  const [loopStart, setLoopStart] = useState(null);
+  const [loopEnd, setLoopEnd] = useState(null);
+  const [isLoopEnabled, setIsLoopEnabled] = useState(false);
+  // Bookmarks per track id: [{ id, time, name }]
+  const [bookmarks, setBookmarks] = useState({});
+  // Lyrics offsets per track id, in seconds; positive shows lyrics earlier
+  const [lyricsOffsets, setLyricsOffsets] = useState({});
+  // Star ratings per track id, 1 to 5
+  const [ratings, setRatings] = useState({});
+  // Up-next queue ([{ id, trackId }]), played before the playlist order
+  const [queue, setQueue] = useState([]);
+  // Id of the playlist track the order resumes from after queued tracks
+  const [queueAnchorId, setQueueAnchorId] = useState(null);
+  const queueTrackIdRef = useRef(null);
+  // Plays, newest first: [{ id, trackId, name, startedAt, listened, position, skipped }]
+  const [history, setHistory] = useState([]);
+  const [isPreviousFromHistory, setIsPreviousFromHistory] = useState(false);
+  // The play being recorded ({ id, trackId, listened, position, lastTime })
+  const historyEntryRef = useRef(null);
+  // Entry reached by stepping back through the history with playPrevious
+  const historyCursorRef = useRef(null);
+  const isHistoryNavigationRef = useRef(false);
+  // Position to restore once a track jumped to from the history has loaded
+  const pendingSeekRef = useRef(null);
+  const [preservesPitch, setPreservesPitch] = useState(true);
+  const [pitchShift, setPitchShift] = useState(0);
+  const [isPitchShiftAvailable, setIsPitchShiftAvailable] = useState(false);
+  // Where each track was left and when each was last played to the end
+  const [resumePositions, setResumePositions] = useState({});
+  const [playedTracks, setPlayedTracks] = useState({});
+  const [resumeCutoff, setResumeCutoff] = useState(DEFAULT_RESUME_CUTOFF);
+  // { trackId, position } while the current track offers to resume
+  const [resumeOffer, setResumeOffer] = useState(null);
+  const positionSavedAtRef = useRef(0);
+  // Read when a track becomes current, without re-running on every save
+  const resumePositionsRef = useRef(resumePositions);
+  resumePositionsRef.current = resumePositions;
+  const resumeCutoffRef = useRef(resumeCutoff);
+  resumeCutoffRef.current = resumeCutoff;
+  // Track to load once the restored playlist is in place
+  const pendingSessionRef = useRef(null);
+  // { mode: 'time', endsAt } or { mode: 'tracks', tracksRemaining }
+  const [sleepTimer, setSleepTimer] = useState(null);
+  const [sleepRemaining, setSleepRemaining] = useState(null);
+  const sleepTrackIdRef = useRef(null);
+  // Read when the shuffle order is rebuilt so the current track stays first
+  const currentTrackRef = useRef(null);
+  currentTrackRef.current = currentTrack;
+
+  if (!audioRef.current) {
+    audioRef.current = createAudioElement();
+    standbyRef.current = createAudioElement();
+  }
+
+  // Object URLs of dropped or replaced tracks that an element was still
+  // playing; they are freed once neither element uses them
+  const pendingRevokeRef = useRef(new Set());
+
+  const revokePendingUrls = useCallback(() => {
+    const inUse = [audioRef.current.src, standbyRef.current.src];
+    pendingRevokeRef.current.forEach((url) => {
+      if (inUse.includes(url)) return;
+      revokeAudioUrl(url);
+      pendingRevokeRef.current.delete(url);
+    });
+  }, []);
+
+  // Free a track's audio URL now, or once the elements move off it
+  const releaseAudioUrl = useCallback((url) => {
+    if (!url) return;
+    pendingRevokeRef.current.add(url);
+    revokePendingUrls();
+  }, [revokePendingUrls]);
+
+  // Index of the track before (-1) or after (1) the current one in playback
+  // order; see getAdjacentTrackIndex
+  const getAdjacentIndex = useCallback((direction, isManual = false) => (
+    getAdjacentTrackIndex(playlist, {
+      currentIndex: currentTrack ? currentTrackIndex : -1,
+      repeatMode,
+      shuffledIndices: isShuffled ? shuffledIndices : null,
+      queue,
+      queueAnchorId
+    }, direction, isManual)
+  ), [
+    currentTrack,
+    playlist,
+    currentTrackIndex,
+    repeatMode,
+    isShuffled,
+    shuffledIndices,
+    queue,
+    queueAnchorId
+  ]);
+
+  const upcomingIndex = getAdjacentIndex(1);
+  const isLoopActive = isLoopEnabled && loopStart !== null && loopEnd !== null && loopEnd > loopStart;
+  const stopsAfterCurrentTrack = !!sleepTimer && sleepTimer.mode === 'tracks' && sleepTimer.tracksRemaining <= 1;
+  const nextTrack = upcomingIndex !== -1 ? playlist[upcomingIndex] : null;
+
+  // Consecutive tracks of the same album stay gapless when album mode is on
+  const shouldCrossfade = useCallback((from, to) => {
+    if (!isCrossfadeEnabled || crossfadeDuration <= 0 || !from || !to) return false;
+    if (isAlbumGapless && getAlbumKey(from) && getAlbumKey(from) === getAlbumKey(to)) return false;
+    return true;
+  }, [isCrossfadeEnabled, crossfadeDuration, isAlbumGapless]);
+
+  // Route both elements through the Web Audio graph. The AudioContext may
+  // only start after a user gesture, so this runs when playback starts.
+  const ensureAudioGraph = useCallback(() => {
+    if (!graphRef.current && isWebAudioSupported()) {
+      try {
+        const graph = createAudioGraph();
+        const levels = deckLevelsRef.current;
+
+        // Carry element-volume fade levels over to the deck and master gains
+        [audioRef.current, standbyRef.current].forEach((audio) => {
+          graph.setDeckGain(audio, levels.has(audio) ? levels.get(audio) : 1);
+          audio.volume = volumeRef.current;
+        });
+        levels.clear();
+        graph.setMasterLevel(masterLevelRef.current);
+
+        graphRef.current = graph;
+        setIsAudioGraphReady(true);
+        graph.pitchShifterReady.then(setIsPitchShiftAvailable);
+      } catch (err) {
+        console.error('Audio graph error:', err);
+      }
+    }
+
+    if (graphRef.current) {
+      graphRef.current.resume();
+    }
+  }, []);
+
+  // Normalization gain (dB) for a track under the current settings. Album mode
+  // measures the album from the playlist tracks that share its album tag
+  // (or, for untagged files, its folder).
+  const getTrackNormalization = useCallback((track) => {
+    if (!track) return 0;
+
+    const albumKey = getAlbumKey(track);
+    const album = normalizationMode === 'album' && albumKey
+      ? getAlbumLoudness(playlist.filter(item => getAlbumKey(item) === albumKey))
+      : null;
+
+    return getNormalizationGain(track, {
+      mode: normalizationMode,
+      target: normalizationTarget,
+      album
+    });
+  }, [playlist, normalizationMode, normalizationTarget]);
+
+  const applyNormalization = useCallback((audio, track) => {
+    if (graphRef.current) {
+      graphRef.current.setDeckNormalization(audio, getTrackNormalization(track));
+    }
+  }, [getTrackNormalization]);
+
+  // Element volume: the user volume, scaled by fade levels when there is no
+  // graph to apply them
+  const applyElementVolume = useCallback((audio) => {
+    if (graphRef.current) {
+      audio.volume = volumeRef.current;
+      return;
+    }
+
+    const levels = deckLevelsRef.current;
+    const deckLevel = levels.has(audio) ? levels.get(audio) : 1;
+    audio.volume = volumeRef.current * deckLevel * masterLevelRef.current;
+  }, []);
+
+  // Apply an element's fade level: on its deck gain when the graph is up,
+  // otherwise by scaling the element volume
+  const setDeckLevel = useCallback((audio, level) => {
+    if (graphRef.current) {
+      graphRef.current.setDeckGain(audio, level);
+      return;
+    }
+
+    if (level === 1) {
+      deckLevelsRef.current.delete(audio);
+    } else {
+      deckLevelsRef.current.set(audio, level);
+    }
+    applyElementVolume(audio);
+  }, [applyElementVolume]);
+
+  // Apply the sleep timer's output level to both elements
+  const setMasterLevel = useCallback((level) => {
+    masterLevelRef.current = level;
+
+    if (graphRef.current) {
+      graphRef.current.setMasterLevel(level);
+      return;
+    }
+    [audioRef.current, standbyRef.current].forEach(applyElementVolume);
+  }, [applyElementVolume]);
+
+  // End a running crossfade immediately, silencing the outgoing track
+  const finishCrossfade = useCallback(() => {
+    const fade = fadeRef.current;
+    if (!fade) return;
+
+    clearInterval(fade.timer);
+    fadeRef.current = null;
+    fade.outgoing.pause();
+    setDeckLevel(fade.outgoing, 1);
+    setDeckLevel(audioRef.current, 1);
+    setIsCrossfading(false);
+  }, [setDeckLevel]);
 
-  // Initialize audio element
+  // Cancel a scheduled handoff (seek, pause, track change)
+  const cancelHandoff = useCallback(() => {
+    if (handoffTimerRef.current) {
+      clearTimeout(handoffTimerRef.current);
+      handoffTimerRef.current = null;
+    }
+
+    if (handoffPendingRef.current) {
+      handoffPendingRef.current = false;
+      const standby = standbyRef.current;
+      standby.pause();
+      standby.currentTime = 0;
+    }
+  }, []);
+
+  // Make the standby element the active one
+  const promoteStandby = useCallback((pausePrevious = true) => {
+    const previous = audioRef.current;
+    const next = standbyRef.current;
+    const track = standbyTrackRef.current;
+
+    audioRef.current = next;
+    standbyRef.current = previous;
+    standbyTrackRef.current = null;
+    handoffPendingRef.current = false;
+    handoffTimerRef.current = null;
+
+    if (pausePrevious) previous.pause();
+    setIsNextTrackReady(false);
+    setIsNearEnd(false);
+    setError(null);
+    setCurrentTrack(track);
+    setCurrentTrackIndex(Math.max(0, playlist.findIndex(item => item.id === track.id)));
+    setDuration(next.duration || 0);
+    setCurrentTime(next.currentTime);
+    setIsBuffering(next.readyState < HTMLMediaElement.HAVE_FUTURE_DATA);
+    setIsPlaying(!next.paused);
+  }, [playlist]);
+
+  // Start the preloaded track just ahead of the end of the active one
+  const startHandoff = useCallback(() => {
+    const audio = audioRef.current;
+    const standby = standbyRef.current;
+    handoffTimerRef.current = null;
+
+    if (audio.paused || !standbyTrackRef.current) return;
+
+    // The timer may fire early; re-arm it until we are within the lead time
+    const remaining = (audio.duration - audio.currentTime) / audio.playbackRate;
+    if (remaining > HANDOFF_LEAD * 2) {
+      handoffTimerRef.current = setTimeout(startHandoff, (remaining - HANDOFF_LEAD) * 1000);
+      return;
+    }
+
+    standby.currentTime = 0;
+    standby.playbackRate = audio.playbackRate;
+    standby.volume = audio.volume;
+    standby.muted = audio.muted;
+    handoffPendingRef.current = true;
+    standby.play().catch((err) => {
+      // Fall back to loading the next track once the active one ends
+      handoffPendingRef.current = false;
+      console.error('Gapless handoff error:', err);
+    });
+  }, []);
+
+  // Preload the upcoming track into the standby element. Runs again whenever
+  // the playlist or the current track changes so a stale preload is replaced.
   useEffect(() => {
-    if (!audioRef.current) {
-      audioRef.current = new Audio();
-      audioRef.current.preload = 'metadata';
+    const standby = standbyRef.current;
+    // The standby element is still fading out the previous track
+    if (handoffPendingRef.current || isCrossfading) return;
+
+    if (!nextTrack) {
+      if (standbyTrackRef.current) {
+        standbyTrackRef.current = null;
+        unloadAudioElement(standby);
+        setIsNextTrackReady(false);
+      }
+      return;
     }
 
+    const preloaded = standbyTrackRef.current;
+    if (preloaded && preloaded.id === nextTrack.id && preloaded.url === nextTrack.url) return;
+
+    standbyTrackRef.current = nextTrack;
+    setIsNextTrackReady(false);
+    standby.preload = 'auto';
+    standby.src = nextTrack.url;
+    standby.load();
+  }, [nextTrack, isCrossfading]);
+
+  // Keep the shuffle order in step with the playlist's tracks, current track
+  // first in a new order. Only tracks joining or leaving change it, so track
+  // details being updated (tags, artwork, ratings) never reshuffle.
+  useEffect(() => {
+    if (!isShuffled) {
+      setShuffleOrder(prev => (prev.length > 0 ? [] : prev));
+      return;
+    }
+
+    const track = currentTrackRef.current;
+    setShuffleOrder(prev => updateShuffleOrder(prev, activePlaylist.trackIds, track ? track.id : null));
+  }, [activePlaylist.trackIds, isShuffled]);
+
+  // Loop points belong to a single track
+  useEffect(() => {
+    setLoopStart(null);
+    setLoopEnd(null);
+    setIsLoopEnabled(false);
+  }, [currentTrack?.id]);
+
+  // Jump back to A when playback reaches B. `timeupdate` only fires every
+  // ~250 ms, so a timer is aimed just short of B and then re-checked at a
+  // short interval until B is reached.
+  useEffect(() => {
+    if (!isLoopActive || !isPlaying) return;
+
     const audio = audioRef.current;
+    let timer = null;
 
-    const handleLoadStart = () => {
-      setIsLoading(true);
-      setIsBuffering(true);
-      setError(null);
-    };
+    const check = () => {
+      clearTimeout(timer);
+      const remaining = (loopEnd - audio.currentTime) / audio.playbackRate;
 
-    const handleLoadedMetadata = () => {
-      setDuration(audio.duration);
-      setIsLoading(false);
+      if (remaining <= LOOP_TOLERANCE) {
+        audio.currentTime = loopStart;
+        setCurrentTime(loopStart);
+        timer = setTimeout(check, ((loopEnd - loopStart) / audio.playbackRate - LOOP_SCHEDULE_MARGIN) * 1000);
+        return;
+      }
+
+      const delay = remaining > LOOP_SCHEDULE_MARGIN * 2 ? remaining - LOOP_SCHEDULE_MARGIN : LOOP_TOLERANCE;
+      timer = setTimeout(check, delay * 1000);
     };
 
-    const handleCanPlay = () => {
-      setIsBuffering(false);
+    check();
+    audio.addEventListener('seeked', check);
+    audio.addEventListener('ratechange', check);
+
+    return () => {
+      clearTimeout(timer);
+      audio.removeEventListener('seeked', check);
+      audio.removeEventListener('ratechange', check);
     };
+  }, [isLoopActive, isPlaying, loopStart, loopEnd, currentTrack]);
 
-    const handleTimeUpdate = () => {
-      setCurrentTime(audio.currentTime);
+  // Keep the current index in step with the playlist when tracks move
+  useEffect(() => {
+    if (!currentTrack) return;
+
+    const index = playlist.findIndex(track => track.id === currentTrack.id);
+    if (index !== -1 && index !== currentTrackIndex) {
+      setCurrentTrackIndex(index);
+    }
+  }, [playlist, currentTrack, currentTrackIndex]);
+
+  // Free pending URLs whenever an element loads another source or is
+  // unloaded, and all of them on unmount
+  useEffect(() => {
+    const elements = [audioRef.current, standbyRef.current];
+    const pending = pendingRevokeRef.current;
+    elements.forEach((audio) => {
+      audio.addEventListener('loadstart', revokePendingUrls);
+      audio.addEventListener('emptied', revokePendingUrls);
+    });
+    return () => {
+      elements.forEach((audio) => {
+        audio.removeEventListener('loadstart', revokePendingUrls);
+        audio.removeEventListener('emptied', revokePendingUrls);
+      });
+      pending.forEach(revokeAudioUrl);
+      pending.clear();
     };
+  }, [revokePendingUrls]);
 
-    const handleEnded = () => {
-      setIsPlaying(false);
-      setCurrentTime(0);
-      // Auto-play next track if available
-      if (playlist.length > 0 && currentTrackIndex < playlist.length - 1) {
-        playNext();
+  // Release both elements on unmount
+  useEffect(() => {
+    const elements = [audioRef.current, standbyRef.current];
+    return () => {
+      if (handoffTimerRef.current) clearTimeout(handoffTimerRef.current);
+      if (fadeRef.current) clearInterval(fadeRef.current.timer);
+      elements.forEach(unloadAudioElement);
+      if (graphRef.current) {
+        graphRef.current.close();
+        graphRef.current = null;
       }
     };
+  }, []);
 
-    const handleError = (e) => {
+  // Re-apply normalization when tracks or settings change. The standby is
+  // skipped while it has no track, as it may still be fading out.
+  useEffect(() => {
+    applyNormalization(audioRef.current, currentTrack);
+    if (standbyTrackRef.current) {
+      applyNormalization(standbyRef.current, standbyTrackRef.current);
+    }
+  }, [isAudioGraphReady, currentTrack, nextTrack, applyNormalization]);
+
+  // Pitch shift runs in the graph, independent of playback rate
+  useEffect(() => {
+    if (graphRef.current) {
+      graphRef.current.setPitchShift(pitchShift);
+    }
+  }, [isAudioGraphReady, pitchShift]);
+
+  // Keep the browser's time-stretching in step on both elements
+  useEffect(() => {
+    [audioRef.current, standbyRef.current].forEach((audio) => {
+      audio.preservesPitch = preservesPitch;
+      audio.mozPreservesPitch = preservesPitch;
+      audio.webkitPreservesPitch = preservesPitch;
+    });
+  }, [preservesPitch]);
+
+  // Push equalizer settings into the graph
+  useEffect(() => {
+    const graph = graphRef.current;
+    if (!graph) return;
+
+    const headroom = isEqEnabled && isClipProtectionEnabled ? getEqHeadroom(eqBands, eqPreamp) : 0;
+    graph.setBands(eqBands, isEqEnabled);
+    graph.setPreamp(isEqEnabled ? eqPreamp - headroom : 0);
+    graph.setLimiterEnabled(isClipProtectionEnabled);
+  }, [isAudioGraphReady, eqBands, eqPreamp, isEqEnabled, isClipProtectionEnabled]);
+
+  // Start playback on an element, reporting failures through `error`
+  const startPlayback = useCallback(async (audio) => {
+    try {
+      ensureAudioGraph();
+      setError(null);
+      await audio.play();
+      setIsPlaying(true);
+    } catch (err) {
+      setError('Failed to play audio');
       setIsPlaying(false);
-      setIsLoading(false);
-      setIsBuffering(false);
-      setError('Failed to load audio file');
-      console.error('Audio error:', e);
-    };
+      console.error('Play error:', err);
+    }
+  }, [ensureAudioGraph]);
 
-    const handleWaiting = () => {
-      setIsBuffering(true);
-    };
+  // Start a track on the standby element and fade it in over the active one
+  const crossfadeTo = useCallback(async (track, fadeDuration) => {
+    const outgoing = audioRef.current;
+    const incoming = standbyRef.current;
 
-    const handleCanPlayThrough = () => {
-      setIsBuffering(false);
-    };
+    ensureAudioGraph();
+    cancelHandoff();
+    finishCrossfade();
 
-    const handleVolumeChange = () => {
-      setVolume(audio.volume);
-      setIsMuted(audio.muted);
-    };
+    if (!standbyTrackRef.current || standbyTrackRef.current.id !== track.id) {
+      incoming.src = track.url;
+      incoming.load();
+    }
+    standbyTrackRef.current = track;
+    applyNormalization(incoming, track);
+    incoming.currentTime = 0;
+    incoming.playbackRate = outgoing.playbackRate;
+    incoming.muted = outgoing.muted;
+    setDeckLevel(incoming, 0);
 
-    // Add event listeners
-    audio.addEventListener('loadstart', handleLoadStart);
-    audio.addEventListener('loadedmetadata', handleLoadedMetadata);
-    audio.addEventListener('canplay', handleCanPlay);
-    audio.addEventListener('timeupdate', handleTimeUpdate);
-    audio.addEventListener('ended', handleEnded);
-    audio.addEventListener('error', handleError);
-    audio.addEventListener('waiting', handleWaiting);
-    audio.addEventListener('canplaythrough', handleCanPlayThrough);
-    audio.addEventListener('volumechange', handleVolumeChange);
+    const fade = { outgoing, timer: null };
+    fadeRef.current = fade;
+    setIsCrossfading(true);
+    promoteStandby(false);
 
-    return () => {
-      audio.removeEventListener('loadstart', handleLoadStart);
-      audio.removeEventListener('loadedmetadata', handleLoadedMetadata);
-      audio.removeEventListener('canplay', handleCanPlay);
-      audio.removeEventListener('timeupdate', handleTimeUpdate);
-      audio.removeEventListener('ended', handleEnded);
-      audio.removeEventListener('error', handleError);
-      audio.removeEventListener('waiting', handleWaiting);
-      audio.removeEventListener('canplaythrough', handleCanPlayThrough);
-      audio.removeEventListener('volumechange', handleVolumeChange);
-    };
-  }, [playlist, currentTrackIndex]);
+    try {
+      await incoming.play();
+      setIsPlaying(true);
+    } catch (err) {
+      finishCrossfade();
+      setError('Failed to play audio');
+      setIsPlaying(false);
+      console.error('Crossfade error:', err);
+      return;
+    }
+
+    // Another transition may have replaced this one while loading
+    if (fadeRef.current !== fade) return;
+
+    const startedAt = performance.now();
+    fade.timer = setInterval(() => {
+      const progress = (performance.now() - startedAt) / (fadeDuration * 1000);
+      const { fadeOut, fadeIn } = getCrossfadeGains(progress, crossfadeCurve);
+      setDeckLevel(outgoing, fadeOut);
+      setDeckLevel(incoming, fadeIn);
+
+      if (progress >= 1) finishCrossfade();
+    }, FADE_STEP_MS);
+  }, [
+    crossfadeCurve,
+    ensureAudioGraph,
+    applyNormalization,
+    cancelHandoff,
+    finishCrossfade,
+    promoteStandby,
+    setDeckLevel
+  ]);
 
   // Load track
   const loadTrack = useCallback((track) => {
     if (!audioRef.current || !track) return;
 
     const audio = audioRef.current;
-    
+    cancelHandoff();
+    finishCrossfade();
+
     // Stop current playback
     audio.pause();
     setIsPlaying(false);
     setCurrentTime(0);
+    setIsNearEnd(false);
     setError(null);
 
     // Load new track
     audio.src = track.url;
     audio.load();
+    applyNormalization(audio, track);
     setCurrentTrack(track);
-  }, []);
+  }, [cancelHandoff, finishCrossfade, applyNormalization]);
 
   // Play audio
   const play = useCallback(async () => {
     if (!audioRef.current || !currentTrack) return;
 
-    try {
-      setError(null);
-      await audioRef.current.play();
-      setIsPlaying(true);
-    } catch (err) {
-      setError('Failed to play audio');
-      setIsPlaying(false);
-      console.error('Play error:', err);
-    }
-  }, [currentTrack]);
+    await startPlayback(audioRef.current);
+  }, [currentTrack, startPlayback]);
 
   // Pause audio
   const pause = useCallback(() => {
     if (!audioRef.current) return;
 
+    cancelHandoff();
+    finishCrossfade();
     audioRef.current.pause();
     setIsPlaying(false);
-  }, []);
+  }, [cancelHandoff, finishCrossfade]);
 
   // Toggle play/pause
   const togglePlayPause = useCallback(() => {
@@ -151,41 +743,49 @@ const useAudioPlayer = () => {
   const stop = useCallback(() => {
     if (!audioRef.current) return;
 
+    cancelHandoff();
+    finishCrossfade();
     audioRef.current.pause();
     audioRef.current.currentTime = 0;
     setIsPlaying(false);
     setCurrentTime(0);
-  }, []);
+    setIsNearEnd(false);
+  }, [cancelHandoff, finishCrossfade]);
 
   // Seek to specific time
   const seek = useCallback((time) => {
     if (!audioRef.current) return;
 
+    cancelHandoff();
+    finishCrossfade();
     const clampedTime = Math.max(0, Math.min(time, duration));
     audioRef.current.currentTime = clampedTime;
     setCurrentTime(clampedTime);
-  }, [duration]);
+  }, [duration, cancelHandoff, finishCrossfade]);
 
   // Set volume
   const changeVolume = useCallback((newVolume) => {
     if (!audioRef.current) return;
 
     const clampedVolume = Math.max(0, Math.min(1, newVolume));
-    audioRef.current.volume = clampedVolume;
+    volumeRef.current = clampedVolume;
+    [audioRef.current, standbyRef.current].forEach(applyElementVolume);
     setVolume(clampedVolume);
-    
+
     // Unmute if volume is set above 0
     if (clampedVolume > 0 && isMuted) {
       audioRef.current.muted = false;
+      standbyRef.current.muted = false;
       setIsMuted(false);
     }
-  }, [isMuted]);
+  }, [isMuted, applyElementVolume]);
 
   // Toggle mute
   const toggleMute = useCallback(() => {
     if (!audioRef.current) return;
 
     audioRef.current.muted = !audioRef.current.muted;
+    standbyRef.current.muted = audioRef.current.muted;
     setIsMuted(!isMuted);
   }, [isMuted]);
 
@@ -195,61 +795,1117 @@ const useAudioPlayer = () => {
 
     const clampedRate = Math.max(0.25, Math.min(4, rate));
     audioRef.current.playbackRate = clampedRate;
+    standbyRef.current.playbackRate = clampedRate;
     setPlaybackRate(clampedRate);
   }, []);
 
-  // Add track to playlist
-  const addToPlaylist = useCallback((track) => {
-    setPlaylist(prev => [...prev, { ...track, id: Date.now() + Math.random() }]);
+  // Toggle whether rate changes keep the original pitch
+  const togglePreservePitch = useCallback(() => {
+    setPreservesPitch(prev => !prev);
+  }, []);
+
+  // Shift pitch in semitones without changing speed
+  const changePitchShift = useCallback((semitones) => {
+    setPitchShift(clamp(Math.round(semitones), PITCH_SHIFT_RANGE));
+  }, []);
+
+  // Add a new track to a playlist (the active one by default); returns the
+  // new track id
+  const addToPlaylist = useCallback((track, playlistId = activePlaylist.id) => {
+    const id = Date.now() + Math.random();
+    setTracks(prev => [...prev, { ...track, id }]);
+    setPlaylists(prev => prev.map(item => (
+      item.id === playlistId ? { ...item, trackIds: [...item.trackIds, id] } : item
+    )));
+    return id;
+  }, [activePlaylist.id]);
+
+  // Add a track that is already imported to another playlist
+  const addTrackToPlaylist = useCallback((trackId, playlistId) => {
+    setPlaylists(prev => prev.map(item => (
+      item.id === playlistId && !item.trackIds.includes(trackId)
+        ? { ...item, trackIds: [...item.trackIds, trackId] }
+        : item
+    )));
+  }, []);
+
+  // Put back tracks kept from an earlier session; they keep their ids so
+  // bookmarks and lyrics offsets stay attached
+  const restoreTracks = useCallback((restored) => {
+    setTracks(prev => {
+      const ids = new Set(prev.map(track => track.id));
+      return [...prev, ...restored.filter(track => !ids.has(track.id))];
+    });
+  }, []);
+
+  // Put back playlists kept from an earlier session, oldest first. Tracks
+  // that no playlist lists are added to the first one.
+  const restorePlaylists = useCallback((restored, looseTrackIds = []) => {
+    setPlaylists((prev) => {
+      const next = restored.length > 0
+        ? [...restored].sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0))
+        : prev;
+      if (looseTrackIds.length === 0) return next;
+      return next.map((item, index) => (
+        index === 0 ? { ...item, trackIds: [...item.trackIds, ...looseTrackIds] } : item
+      ));
+    });
   }, []);
 
-  // Remove track from playlist
-  const removeFromPlaylist = useCallback((trackId) => {
-    setPlaylist(prev => {
-      const newPlaylist = prev.filter(track => track.id !== trackId);
-      
-      // Adjust current track index if necessary
-      const removedIndex = prev.findIndex(track => track.id === trackId);
+  // Drop tracks that no playlist refers to any more and free their object
+  // URLs; an audio URL that is still streaming is freed once it stops
+  const forgetTracks = useCallback((trackIds) => {
+    if (trackIds.length === 0) return;
+
+    tracks
+      .filter(track => trackIds.includes(track.id))
+      .forEach((track) => {
+        releaseAudioUrl(track.url);
+        revokeAudioUrl(track.artwork);
+      });
+    setTracks(prev => prev.filter(track => !trackIds.includes(track.id)));
+    setQueue(prev => prev.filter(entry => !trackIds.includes(entry.trackId)));
+  }, [tracks, releaseAudioUrl]);
+
+  // Update a track's details, e.g. after its tags were rewritten
+  const updateTrack = useCallback((trackId, changes) => {
+    const track = tracks.find(item => item.id === trackId);
+    if (!track) return;
+
+    // An element may still be streaming from the old URL; it is freed once
+    // it stops
+    if (changes.url && changes.url !== track.url) {
+      releaseAudioUrl(track.url);
+    }
+    if ('artwork' in changes && changes.artwork !== track.artwork) {
+      revokeAudioUrl(track.artwork);
+    }
+
+    setTracks(prev => prev.map(item => (item.id === trackId ? { ...item, ...changes } : item)));
+    setCurrentTrack(prev => (prev && prev.id === trackId ? { ...prev, ...changes } : prev));
+  }, [tracks, releaseAudioUrl]);
+
+  // Remove a track from a playlist (the active one by default); the track
+  // itself goes once no playlist has it
+  const removeFromPlaylist = useCallback((trackId, playlistId = activePlaylist.id) => {
+    setPlaylists(prev => prev.map(item => (
+      item.id === playlistId ? { ...item, trackIds: item.trackIds.filter(id => id !== trackId) } : item
+    )));
+
+    // Adjust current track index if necessary
+    if (playlistId === activePlaylist.id) {
+      const removedIndex = playlist.findIndex(track => track.id === trackId);
       if (removedIndex !== -1 && removedIndex <= currentTrackIndex) {
         setCurrentTrackIndex(prevIndex => Math.max(0, prevIndex - 1));
       }
-      
-      return newPlaylist;
-    });
-  }, [currentTrackIndex]);
+    }
+
+    if (!playlists.some(item => item.id !== playlistId && item.trackIds.includes(trackId))) {
+      forgetTracks([trackId]);
+    }
+  }, [activePlaylist.id, playlist, playlists, currentTrackIndex, forgetTracks]);
 
-  // Clear playlist
+  // Empty the active playlist and stop
   const clearPlaylist = useCallback(() => {
-    setPlaylist([]);
+    const kept = new Set(playlists
+      .filter(item => item.id !== activePlaylist.id)
+      .flatMap(item => item.trackIds));
+    forgetTracks(activePlaylist.trackIds.filter(id => !kept.has(id)));
+    setPlaylists(prev => prev.map(item => (item.id === activePlaylist.id ? { ...item, trackIds: [] } : item)));
+    setQueue([]);
+    setQueueAnchorId(null);
     setCurrentTrackIndex(0);
     stop();
     setCurrentTrack(null);
-  }, [stop]);
+  }, [playlists, activePlaylist, forgetTracks, stop]);
+
+  // Show and play another playlist. The current track plays on; the new
+  // playlist takes over after it. Playlists created in the same event are
+  // not in state yet, so the index is settled once the playlist renders.
+  const switchPlaylist = useCallback((playlistId) => {
+    if (playlistId === activePlaylist.id) return;
+
+    const target = playlists.find(item => item.id === playlistId);
+    const trackIds = target ? target.trackIds.filter(id => tracks.some(track => track.id === id)) : [];
+    setActivePlaylistId(playlistId);
+    setCurrentTrackIndex(currentTrack ? trackIds.indexOf(currentTrack.id) : 0);
+    setQueueAnchorId(null);
+  }, [playlists, activePlaylist.id, tracks, currentTrack]);
+
+  // Create a playlist, empty unless tracks are given; returns its id
+  const createPlaylist = useCallback((name, trackIds = []) => {
+    const id = createPlaylistId();
+    setPlaylists(prev => [...prev, {
+      id,
+      name: name.trim() || 'Untitled playlist',
+      trackIds: [...new Set(trackIds)],
+      createdAt: Date.now()
+    }]);
+    return id;
+  }, []);
+
+  const renamePlaylist = useCallback((playlistId, name) => {
+    if (!name.trim()) return;
+    setPlaylists(prev => prev.map(item => (item.id === playlistId ? { ...item, name: name.trim() } : item)));
+  }, []);
+
+  // Copy a playlist; the copy shares its tracks. Returns the copy's id.
+  const duplicatePlaylist = useCallback((playlistId) => {
+    const source = playlists.find(item => item.id === playlistId);
+    if (!source) return null;
+
+    const id = createPlaylistId();
+    setPlaylists(prev => [...prev, {
+      id,
+      name: `${source.name} (copy)`,
+      trackIds: [...source.trackIds],
+      createdAt: Date.now()
+    }]);
+    return id;
+  }, [playlists]);
+
+  // Delete a playlist, and the tracks no other playlist has. The last
+  // playlist cannot be deleted.
+  const deletePlaylist = useCallback((playlistId) => {
+    const removed = playlists.find(item => item.id === playlistId);
+    const remaining = playlists.filter(item => item.id !== playlistId);
+    if (!removed || remaining.length === 0) return;
+
+    if (removed.id === activePlaylist.id) {
+      const next = remaining[0];
+      setActivePlaylistId(next.id);
+      setCurrentTrackIndex(currentTrack ? next.trackIds.indexOf(currentTrack.id) : 0);
+      setQueueAnchorId(null);
+    }
+
+    const kept = new Set(remaining.flatMap(item => item.trackIds));
+    setPlaylists(remaining);
+    forgetTracks(removed.trackIds.filter(id => !kept.has(id)));
+  }, [playlists, activePlaylist.id, currentTrack, forgetTracks]);
 
   // Play specific track from playlist
   const playTrack = useCallback((trackIndex) => {
     if (trackIndex < 0 || trackIndex >= playlist.length) return;
 
     const track = playlist[trackIndex];
+    const standby = standbyRef.current;
+
+    // Skipping to the preloaded track switches elements instead of reloading
+    if (
+      standbyTrackRef.current &&
+      standbyTrackRef.current.id === track.id &&
+      standby.readyState >= HTMLMediaElement.HAVE_METADATA
+    ) {
+      cancelHandoff();
+      standby.currentTime = 0;
+      standby.playbackRate = audioRef.current.playbackRate;
+      standby.volume = audioRef.current.volume;
+      standby.muted = audioRef.current.muted;
+      standbyTrackRef.current = track;
+      promoteStandby();
+      startPlayback(audioRef.current);
+      return;
+    }
+
     setCurrentTrackIndex(trackIndex);
     loadTrack(track);
+    startPlayback(audioRef.current);
+  }, [playlist, loadTrack, cancelHandoff, promoteStandby, startPlayback]);
+
+  // Sleep timer
+  const cancelSleepTimer = useCallback(() => {
+    setSleepTimer(null);
+    setSleepRemaining(null);
+    setMasterLevel(1);
+  }, [setMasterLevel]);
+
+  // Modes: 'time' (value in minutes), 'track' (end of the current track)
+  // or 'tracks' (after `value` tracks, counting the current one)
+  const startSleepTimer = useCallback((mode, value) => {
+    setMasterLevel(1);
+
+    const timer = createSleepTimer(mode, value, Date.now());
+    if (timer) setSleepTimer(timer);
+  }, [setMasterLevel]);
+
+  const extendSleepTimer = useCallback(() => {
+    setSleepTimer(prev => getExtendedSleepTimer(prev, Date.now()));
+  }, []);
+
+  // Consume the queue head when it starts playing, however playback got
+  // there (auto-advance, gapless handoff, crossfade or a manual skip)
+  useEffect(() => {
+    const previousId = queueTrackIdRef.current;
+    const trackId = currentTrack ? currentTrack.id : null;
+    queueTrackIdRef.current = trackId;
+    if (trackId === null || trackId === previousId) return;
+
+    const next = advanceQueue({ queue, anchorId: queueAnchorId }, trackId, previousId);
+    setQueue(next.queue);
+    setQueueAnchorId(next.anchorId);
+  }, [currentTrack, queue, queueAnchorId]);
+
+  // Remember where a track was left; positions near the start are dropped
+  const savePosition = useCallback((trackId, time) => {
+    setResumePositions(prev => withResumePosition(prev, trackId, time));
+  }, []);
+
+  // A finished track starts from the beginning next time
+  const markPlayed = useCallback((trackId) => {
+    setPlayedTracks(prev => ({ ...prev, [trackId]: Date.now() }));
+    savePosition(trackId, 0);
+  }, [savePosition]);
+
+  // Seek the active element now if it knows the track's duration, otherwise
+  // once its metadata arrives
+  const seekWhenLoaded = useCallback((trackId, time) => {
+    const audio = audioRef.current;
+    if (audio.readyState >= HTMLMediaElement.HAVE_METADATA) {
+      audio.currentTime = time;
+    } else {
+      pendingSeekRef.current = { trackId, time };
+    }
+  }, []);
+
+  // Pick up where a track was left: long tracks jump there on their own,
+  // short ones offer to
+  useEffect(() => {
+    setResumeOffer(null);
+    const track = currentTrackRef.current;
+    const position = track ? resumePositionsRef.current[track.id] : null;
+    const action = getResumeAction(track, position, resumeCutoffRef.current);
+    if (!action) return;
+
+    // A jump from the history already chose the position
+    const pendingSeek = pendingSeekRef.current;
+    if (pendingSeek && pendingSeek.trackId === track.id) return;
+
+    if (action === 'seek') {
+      seekWhenLoaded(track.id, position);
+    } else {
+      setResumeOffer({ trackId: track.id, position });
+    }
+  }, [currentTrack?.id, seekWhenLoaded]);
+
+  // Load the track that was current when the last session ended, paused
+  useEffect(() => {
+    const pending = pendingSessionRef.current;
+    if (!pending || playlist.length === 0) return;
+
+    pendingSessionRef.current = null;
+    if (currentTrackRef.current) return;
+
+    let index = playlist.findIndex(track => track.id === pending.trackId);
+    if (index === -1 && pending.index < playlist.length) index = pending.index;
+    if (index === -1) return;
+
+    setCurrentTrackIndex(index);
+    loadTrack(playlist[index]);
   }, [playlist, loadTrack]);
 
+  // Close the play being recorded: store how long it was listened to and
+  // whether it stopped well before the end
+  const finishHistoryEntry = useCallback(() => {
+    const entry = historyEntryRef.current;
+    if (!entry) return;
+
+    historyEntryRef.current = null;
+    const tail = SKIP_TAIL_SECONDS + (isCrossfadeEnabled ? crossfadeDuration : 0);
+    const skipped = entry.duration > 0 && entry.position < entry.duration - tail;
+
+    if (entry.duration > 0 && entry.listened > 0) {
+      if (skipped) {
+        savePosition(entry.trackId, entry.position);
+      } else {
+        markPlayed(entry.trackId);
+      }
+    }
+
+    setHistory(prev => prev.map(item => (
+      item.id === entry.id
+        ? { ...item, listened: entry.listened, position: entry.position, skipped }
+        : item
+    )));
+  }, [isCrossfadeEnabled, crossfadeDuration, savePosition, markPlayed]);
+
+  // Record a play whenever a new track becomes current
+  useEffect(() => {
+    const trackId = currentTrack ? currentTrack.id : null;
+    const entry = historyEntryRef.current;
+    if (entry && entry.trackId === trackId) return;
+
+    finishHistoryEntry();
+    if (!currentTrack) return;
+
+    if (isHistoryNavigationRef.current) {
+      isHistoryNavigationRef.current = false;
+    } else {
+      historyCursorRef.current = null;
+    }
+
+    const id = createHistoryEntryId();
+    historyEntryRef.current = { id, trackId, listened: 0, position: 0, duration: 0, lastTime: null };
+    setHistory(prev => [
+      {
+        id,
+        trackId,
+        name: getTrackTitle(currentTrack),
+        startedAt: Date.now(),
+        listened: 0,
+        position: 0,
+        skipped: false
+      },
+      ...prev
+    ].slice(0, HISTORY_LIMIT));
+  }, [currentTrack, finishHistoryEntry]);
+
+  // Accumulate listening time from position updates, ignoring seeks
+  useEffect(() => {
+    const entry = historyEntryRef.current;
+    if (!entry || !currentTrack || entry.trackId !== currentTrack.id) return;
+
+    if (entry.lastTime !== null) {
+      const step = currentTime - entry.lastTime;
+      if (step > 0 && step <= MAX_LISTEN_STEP) {
+        entry.listened += step;
+      }
+    }
+    entry.lastTime = currentTime;
+    entry.position = currentTime;
+    entry.duration = duration;
+
+    if (!audioRef.current.paused && Date.now() - positionSavedAtRef.current >= POSITION_SAVE_MS) {
+      positionSavedAtRef.current = Date.now();
+      savePosition(currentTrack.id, currentTime);
+    }
+  }, [currentTrack, currentTime, duration, savePosition]);
+
+  // Count finished tracks towards a track-based sleep timer
+  useEffect(() => {
+    const trackId = currentTrack ? currentTrack.id : null;
+
+    if (sleepTrackIdRef.current !== null && trackId !== sleepTrackIdRef.current) {
+      setSleepTimer(countSleepTrack);
+    }
+    sleepTrackIdRef.current = trackId;
+  }, [currentTrack]);
+
+  // Count down, fading the output over the final seconds, then pause and
+  // restore the output level. Pausing through `pause` also stops a pending
+  // handoff or running crossfade, so the standby track cannot carry on. The
+  // user volume is never touched.
+  useEffect(() => {
+    if (!sleepTimer) return;
+
+    const tick = () => {
+      const remaining = getSleepRemaining(sleepTimer, audioRef.current, Date.now());
+
+      setSleepRemaining(remaining === null ? null : Math.max(0, remaining));
+      if (remaining === null) return;
+
+      if (remaining <= 0) {
+        pause();
+        cancelSleepTimer();
+        return;
+      }
+
+      setMasterLevel(getSleepLevel(remaining));
+    };
+
+    tick();
+    const timer = setInterval(tick, SLEEP_TICK_MS);
+    return () => clearInterval(timer);
+  }, [sleepTimer, pause, cancelSleepTimer, setMasterLevel]);
+
+  // Manual skips use a short fade when crossfade is on
+  const skipToTrack = useCallback((trackIndex) => {
+    const track = playlist[trackIndex];
+
+    if (track && isPlaying && shouldCrossfade(currentTrack, track)) {
+      crossfadeTo(track, MANUAL_FADE_DURATION);
+      return;
+    }
+
+    playTrack(trackIndex);
+  }, [playlist, isPlaying, currentTrack, shouldCrossfade, crossfadeTo, playTrack]);
+
+  // Listen to both elements; only the active one drives player state
+  useEffect(() => {
+    const elements = [audioRef.current, standbyRef.current];
+    const isActive = (event) => event.target === audioRef.current;
+
+    const handleLoadStart = (e) => {
+      if (!isActive(e)) {
+        setIsNextTrackReady(false);
+        return;
+      }
+      setIsLoading(true);
+      setIsBuffering(true);
+      setError(null);
+    };
+
+    const handleLoadedMetadata = (e) => {
+      if (!isActive(e)) return;
+      setDuration(e.target.duration);
+      setIsLoading(false);
+
+      const pendingSeek = pendingSeekRef.current;
+      const track = currentTrackRef.current;
+      if (pendingSeek && track && pendingSeek.trackId === track.id) {
+        e.target.currentTime = pendingSeek.time;
+      }
+      pendingSeekRef.current = null;
+    };
+
+    const handleCanPlay = (e) => {
+      if (!isActive(e)) return;
+      setIsBuffering(false);
+    };
+
+    const handleTimeUpdate = (e) => {
+      if (!isActive(e)) return;
+
+      const audio = e.target;
+      setCurrentTime(audio.currentTime);
+
+      const remaining = (audio.duration - audio.currentTime) / audio.playbackRate;
+      setIsNearEnd(remaining <= PRELOAD_WINDOW);
+
+      // An A-B loop keeps playback from reaching the end of the track, and
+      // the sleep timer may stop playback there
+      if (isLoopActive && loopEnd < audio.duration) return;
+      if (stopsAfterCurrentTrack) return;
+
+      if (
+        !fadeRef.current &&
+        !audio.paused &&
+        remaining <= crossfadeDuration &&
+        shouldCrossfade(currentTrack, nextTrack)
+      ) {
+        crossfadeTo(nextTrack, remaining);
+        return;
+      }
+
+      if (
+        remaining <= HANDOFF_SCHEDULE_WINDOW &&
+        !audio.paused &&
+        !fadeRef.current &&
+        !handoffTimerRef.current &&
+        !handoffPendingRef.current &&
+        standbyTrackRef.current &&
+        standbyRef.current.readyState >= HTMLMediaElement.HAVE_FUTURE_DATA
+      ) {
+        handoffTimerRef.current = setTimeout(
+          startHandoff,
+          Math.max(0, remaining - HANDOFF_LEAD) * 1000
+        );
+      }
+    };
+
+    const handleEnded = (e) => {
+      if (!isActive(e)) return;
+
+      if (handoffPendingRef.current) {
+        promoteStandby();
+        return;
+      }
+
+      setIsPlaying(false);
+      setCurrentTime(0);
+      if (currentTrackRef.current) markPlayed(currentTrackRef.current.id);
+
+      if (stopsAfterCurrentTrack) {
+        cancelSleepTimer();
+        return;
+      }
+
+      // Auto-play next track if available
+      if (upcomingIndex !== -1) {
+        playTrack(upcomingIndex);
+      }
+    };
+
+    const handleError = (e) => {
+      if (!isActive(e)) {
+        // A broken next track must not stop the current one
+        standbyTrackRef.current = null;
+        setIsNextTrackReady(false);
+        return;
+      }
+      setIsPlaying(false);
+      setIsLoading(false);
+      setIsBuffering(false);
+
+      // Tell unsupported codecs apart from broken files
+      const track = currentTrackRef.current;
+      const mediaError = e.target.error;
+      if (track && track.codec && !canPlayCodec(track.codec)) {
+        setError(`This browser cannot decode ${AUDIO_CODECS[track.codec].label} audio`);
+      } else if (mediaError && mediaError.code === mediaError.MEDIA_ERR_SRC_NOT_SUPPORTED) {
+        setError('This browser cannot decode this audio format');
+      } else {
+        setError('Failed to load audio file');
+      }
+      console.error('Audio error:', e);
+    };
+
+    const handleWaiting = (e) => {
+      if (!isActive(e)) return;
+      setIsBuffering(true);
+    };
+
+    const handleCanPlayThrough = (e) => {
+      if (!isActive(e)) {
+        setIsNextTrackReady(!!standbyTrackRef.current);
+        return;
+      }
+      setIsBuffering(false);
+    };
+
+    const handleVolumeChange = (e) => {
+      // Fade steps change the element volume but not the user's volume
+      const isFading = deckLevelsRef.current.has(e.target) ||
+        (!graphRef.current && masterLevelRef.current !== 1);
+      if (!isActive(e) || isFading) return;
+      volumeRef.current = e.target.volume;
+      setVolume(e.target.volume);
+      setIsMuted(e.target.muted);
+    };
+
+    // Add event listeners
+    elements.forEach((audio) => {
+      audio.addEventListener('loadstart', handleLoadStart);
+      audio.addEventListener('loadedmetadata', handleLoadedMetadata);
+      audio.addEventListener('canplay', handleCanPlay);
+      audio.addEventListener('timeupdate', handleTimeUpdate);
+      audio.addEventListener('ended', handleEnded);
+      audio.addEventListener('error', handleError);
+      audio.addEventListener('waiting', handleWaiting);
+      audio.addEventListener('canplaythrough', handleCanPlayThrough);
+      audio.addEventListener('volumechange', handleVolumeChange);
+    });
+
+    return () => {
+      elements.forEach((audio) => {
+        audio.removeEventListener('loadstart', handleLoadStart);
+        audio.removeEventListener('loadedmetadata', handleLoadedMetadata);
+        audio.removeEventListener('canplay', handleCanPlay);
+        audio.removeEventListener('timeupdate', handleTimeUpdate);
+        audio.removeEventListener('ended', handleEnded);
+        audio.removeEventListener('error', handleError);
+        audio.removeEventListener('waiting', handleWaiting);
+        audio.removeEventListener('canplaythrough', handleCanPlayThrough);
+        audio.removeEventListener('volumechange', handleVolumeChange);
+      });
+    };
+  }, [
+    currentTrack,
+    nextTrack,
+    upcomingIndex,
+    isLoopActive,
+    loopEnd,
+    stopsAfterCurrentTrack,
+    cancelSleepTimer,
+    crossfadeDuration,
+    shouldCrossfade,
+    crossfadeTo,
+    playTrack,
+    promoteStandby,
+    startHandoff,
+    markPlayed
+  ]);
+
   // Play next track
   const playNext = useCallback(() => {
-    if (playlist.length === 0) return;
+    const nextIndex = getAdjacentIndex(1, true);
+    if (nextIndex === -1) return;
+
+    skipToTrack(nextIndex);
+  }, [getAdjacentIndex, skipToTrack]);
 
-    const nextIndex = (currentTrackIndex + 1) % playlist.length;
-    playTrack(nextIndex);
-  }, [playlist.length, currentTrackIndex, playTrack]);
+  // The play before the current one (or before the last one stepped back
+  // to) whose track is still in the playlist
+  const getPreviousHistoryEntry = useCallback(() => {
+    const cursorIndex = historyCursorRef.current
+      ? history.findIndex(entry => entry.id === historyCursorRef.current)
+      : -1;
 
-  // Play previous track
+    return history.slice(cursorIndex + 1).find(entry => (
+      (!currentTrack || entry.trackId !== currentTrack.id) &&
+      playlist.some(track => track.id === entry.trackId)
+    )) || null;
+  }, [history, currentTrack, playlist]);
+
+  // Play previous track, either in playlist order or as it really played
   const playPrevious = useCallback(() => {
-    if (playlist.length === 0) return;
+    if (isPreviousFromHistory) {
+      const entry = getPreviousHistoryEntry();
+      if (!entry) return;
+
+      historyCursorRef.current = entry.id;
+      isHistoryNavigationRef.current = true;
+      skipToTrack(playlist.findIndex(track => track.id === entry.trackId));
+      return;
+    }
+
+    const prevIndex = getAdjacentIndex(-1, true);
+    if (prevIndex === -1) return;
+
+    skipToTrack(prevIndex);
+  }, [isPreviousFromHistory, getPreviousHistoryEntry, playlist, getAdjacentIndex, skipToTrack]);
+
+  // Up-next queue
+  const addToQueue = useCallback((trackId) => {
+    setQueue(prev => [...prev, { id: createQueueEntryId(), trackId }]);
+  }, []);
+
+  const playTrackNext = useCallback((trackId) => {
+    setQueue(prev => [{ id: createQueueEntryId(), trackId }, ...prev]);
+  }, []);
+
+  const removeFromQueue = useCallback((entryId) => {
+    setQueue(prev => prev.filter(entry => entry.id !== entryId));
+  }, []);
+
+  const moveQueueItem = useCallback((fromIndex, toIndex) => {
+    setQueue((prev) => {
+      if (fromIndex < 0 || fromIndex >= prev.length || toIndex < 0 || toIndex >= prev.length) {
+        return prev;
+      }
+      const next = [...prev];
+      const [entry] = next.splice(fromIndex, 1);
+      next.splice(toIndex, 0, entry);
+      return next;
+    });
+  }, []);
+
+  const clearQueue = useCallback(() => {
+    setQueue([]);
+  }, []);
+
+  // Play a queued track straight away; moving it to the head lets it be
+  // consumed like any other queued track
+  const playFromQueue = useCallback((entryId) => {
+    const entry = queue.find(item => item.id === entryId);
+    const trackIndex = entry ? playlist.findIndex(track => track.id === entry.trackId) : -1;
+    if (trackIndex === -1) return;
 
-    const prevIndex = currentTrackIndex === 0 ? playlist.length - 1 : currentTrackIndex - 1;
-    playTrack(prevIndex);
-  }, [playlist.length, currentTrackIndex, playTrack]);
+    setQueue(prev => [entry, ...prev.filter(item => item.id !== entryId)]);
+    skipToTrack(trackIndex);
+  }, [queue, playlist, skipToTrack]);
+
+  // Shuffle and repeat
+  const toggleShuffle = useCallback(() => {
+    setIsShuffled(prev => !prev);
+  }, []);
+
+  const changeRepeatMode = useCallback((mode) => {
+    if (REPEAT_MODES.includes(mode)) {
+      setRepeatMode(mode);
+    }
+  }, []);
+
+  // Off -> all -> one -> off
+  const cycleRepeatMode = useCallback(() => {
+    setRepeatMode(prev => REPEAT_MODES[(REPEAT_MODES.indexOf(prev) + 1) % REPEAT_MODES.length]);
+  }, []);
+
+  // A-B loop
+  const setLoopPointA = useCallback((time = currentTime) => {
+    const point = Math.max(0, Math.min(time, duration));
+    setLoopStart(point);
+
+    if (loopEnd !== null && loopEnd <= point) {
+      setLoopEnd(null);
+      setIsLoopEnabled(false);
+    }
+  }, [currentTime, duration, loopEnd]);
+
+  const setLoopPointB = useCallback((time = currentTime) => {
+    const point = Math.max(0, Math.min(time, duration));
+    if (loopStart !== null && point <= loopStart) return;
+
+    setLoopEnd(point);
+    setIsLoopEnabled(loopStart !== null);
+  }, [currentTime, duration, loopStart]);
+
+  const toggleLoop = useCallback(() => {
+    if (loopStart === null || loopEnd === null) return;
+    setIsLoopEnabled(prev => !prev);
+  }, [loopStart, loopEnd]);
+
+  const clearLoop = useCallback(() => {
+    setLoopStart(null);
+    setLoopEnd(null);
+    setIsLoopEnabled(false);
+  }, []);
+
+  // Bookmarks for the current track
+  const currentBookmarks = currentTrack ? bookmarks[currentTrack.id] || [] : [];
+
+  const updateTrackBookmarks = useCallback((trackId, update) => {
+    setBookmarks(prev => {
+      const next = update(prev[trackId] || []).sort((a, b) => a.time - b.time);
+      return { ...prev, [trackId]: next };
+    });
+  }, []);
+
+  const addBookmark = useCallback((name, time = currentTime) => {
+    if (!currentTrack) return;
+
+    const bookmark = {
+      id: createBookmarkId(),
+      time: Math.max(0, Math.min(time, duration || time)),
+      name: name || ''
+    };
+    updateTrackBookmarks(currentTrack.id, list => [...list, bookmark]);
+  }, [currentTrack, currentTime, duration, updateTrackBookmarks]);
+
+  const updateBookmark = useCallback((bookmarkId, changes) => {
+    if (!currentTrack) return;
+
+    updateTrackBookmarks(currentTrack.id, list => list.map(bookmark => (
+      bookmark.id === bookmarkId ? { ...bookmark, ...changes } : bookmark
+    )));
+  }, [currentTrack, updateTrackBookmarks]);
+
+  const removeBookmark = useCallback((bookmarkId) => {
+    if (!currentTrack) return;
+
+    updateTrackBookmarks(currentTrack.id, list => list.filter(bookmark => bookmark.id !== bookmarkId));
+  }, [currentTrack, updateTrackBookmarks]);
+
+  const jumpToBookmark = useCallback((bookmarkId) => {
+    if (!currentTrack) return;
+
+    const bookmark = (bookmarks[currentTrack.id] || []).find(item => item.id === bookmarkId);
+    if (bookmark) {
+      seek(bookmark.time);
+    }
+  }, [currentTrack, bookmarks, seek]);
+
+  // Chapters
+  const currentChapters = (currentTrack && currentTrack.chapters) || NO_CHAPTERS;
+  const currentChapterIndex = getChapterIndex(currentChapters, currentTime);
+
+  const jumpToChapter = useCallback((index) => {
+    const chapter = currentChapters[index];
+    if (chapter) {
+      seek(chapter.start);
+    }
+  }, [currentChapters, seek]);
+
+  const playNextChapter = useCallback(() => {
+    jumpToChapter(currentChapterIndex + 1);
+  }, [currentChapterIndex, jumpToChapter]);
+
+  const playPreviousChapter = useCallback(() => {
+    const chapter = currentChapters[currentChapterIndex];
+    if (chapter && currentTime - chapter.start > CHAPTER_RESTART_SECONDS) {
+      seek(chapter.start);
+    } else {
+      jumpToChapter(Math.max(0, currentChapterIndex - 1));
+    }
+  }, [currentChapters, currentChapterIndex, currentTime, seek, jumpToChapter]);
+
+  // Lyrics timing
+  const currentLyricsOffset = currentTrack ? lyricsOffsets[currentTrack.id] || 0 : 0;
+
+  const changeLyricsOffset = useCallback((offset) => {
+    if (!currentTrack) return;
+
+    // Rounded to tenths so repeated nudges do not accumulate float error
+    const value = clamp(Math.round(offset * 10) / 10, LYRICS_OFFSET_RANGE);
+    setLyricsOffsets(prev => ({ ...prev, [currentTrack.id]: value }));
+  }, [currentTrack]);
+
+  // Ratings
+  const rateTrack = useCallback((trackId, rating) => {
+    const value = clamp(Math.round(rating) || 0, RATING_RANGE);
+    setRatings((prev) => {
+      const { [trackId]: previous, ...rest } = prev;
+      return value > 0 ? { ...rest, [trackId]: value } : rest;
+    });
+  }, []);
+
+  // Apply the rating and bookmarks a playlist file carries for a library
+  // track. A rating given here is kept; bookmarks are added unless one
+  // already marks the same time.
+  const mergeTrackDetails = useCallback((trackId, { rating, bookmarks: imported }) => {
+    if (rating && !ratings[trackId]) rateTrack(trackId, rating);
+    if (!Array.isArray(imported) || imported.length === 0) return;
+
+    updateTrackBookmarks(trackId, (list) => {
+      const times = new Set(list.map(bookmark => bookmark.time));
+      const added = imported
+        .filter(bookmark => typeof bookmark.time === 'number' && !times.has(bookmark.time))
+        .map(bookmark => ({ id: createBookmarkId(), time: Math.max(0, bookmark.time), name: bookmark.name || '' }));
+      return [...list, ...added];
+    });
+  }, [ratings, rateTrack, updateTrackBookmarks]);
+
+  // Playback history
+  const jumpToHistoryEntry = useCallback((entryId) => {
+    const entry = history.find(item => item.id === entryId);
+    const trackIndex = entry ? playlist.findIndex(track => track.id === entry.trackId) : -1;
+    if (trackIndex === -1) return;
+
+    const time = entry.skipped ? entry.position : 0;
+    if (currentTrack && currentTrack.id === entry.trackId) {
+      seek(time);
+      if (!isPlaying) play();
+      return;
+    }
+
+    playTrack(trackIndex);
+
+    // A preloaded standby already has its metadata, so seek straight away
+    const audio = audioRef.current;
+    if (audio.readyState >= HTMLMediaElement.HAVE_METADATA) {
+      audio.currentTime = time;
+    } else {
+      pendingSeekRef.current = { trackId: entry.trackId, time };
+    }
+  }, [history, playlist, currentTrack, isPlaying, seek, play, playTrack]);
+
+  const clearHistory = useCallback(() => {
+    // Keep the play in progress so it is still recorded
+    const entry = historyEntryRef.current;
+    setHistory(prev => (entry ? prev.filter(item => item.id === entry.id) : []));
+    historyCursorRef.current = null;
+  }, []);
+
+  const togglePreviousFromHistory = useCallback(() => {
+    setIsPreviousFromHistory(prev => !prev);
+    historyCursorRef.current = null;
+  }, []);
+
+  // Crossfade settings
+  const toggleCrossfade = useCallback(() => {
+    setIsCrossfadeEnabled(prev => !prev);
+  }, []);
+
+  const changeCrossfadeDuration = useCallback((seconds) => {
+    setCrossfadeDuration(Math.max(0, Math.min(MAX_CROSSFADE_DURATION, seconds)));
+  }, []);
+
+  const changeCrossfadeCurve = useCallback((curve) => {
+    if (CROSSFADE_CURVES.includes(curve)) {
+      setCrossfadeCurve(curve);
+    }
+  }, []);
+
+  const toggleAlbumGapless = useCallback(() => {
+    setIsAlbumGapless(prev => !prev);
+  }, []);
+
+  // Loudness normalization settings
+  const changeNormalizationMode = useCallback((mode) => {
+    if (NORMALIZATION_MODES.includes(mode)) {
+      setNormalizationMode(mode);
+    }
+  }, []);
+
+  const changeNormalizationTarget = useCallback((lufs) => {
+    setNormalizationTarget(clamp(lufs, NORMALIZATION_TARGET_RANGE));
+  }, []);
+
+  // Equalizer settings
+  const updateEqBand = useCallback((index, changes) => {
+    setEqBands(prev => prev.map((band, bandIndex) => {
+      if (bandIndex !== index) return band;
+
+      const next = { ...band, ...changes };
+      return {
+        ...next,
+        gain: clamp(next.gain, EQ_GAIN_RANGE),
+        q: clamp(next.q, EQ_Q_RANGE),
+        frequency: clamp(next.frequency, EQ_FREQUENCY_RANGE)
+      };
+    }));
+  }, []);
+
+  const changeEqPreamp = useCallback((db) => {
+    setEqPreamp(clamp(db, EQ_GAIN_RANGE));
+  }, []);
+
+  // Presets are either per-band gains or full { bands, preamp } snapshots
+  const applyEqPreset = useCallback((preset) => {
+    if (Array.isArray(preset)) {
+      setEqBands(createDefaultBands(preset));
+      setEqPreamp(0);
+      return;
+    }
+
+    setEqBands(preset.bands.map(band => ({ ...band })));
+    setEqPreamp(preset.preamp || 0);
+  }, []);
+
+  const toggleEq = useCallback(() => {
+    setIsEqEnabled(prev => !prev);
+  }, []);
+
+  const toggleClipProtection = useCallback(() => {
+    setIsClipProtectionEnabled(prev => !prev);
+  }, []);
+
+  // Jump to where the current track was left and play on
+  const resumePlayback = useCallback(() => {
+    if (!resumeOffer || !currentTrack || resumeOffer.trackId !== currentTrack.id) return;
+
+    seekWhenLoaded(currentTrack.id, resumeOffer.position);
+    setResumeOffer(null);
+    if (!isPlaying) play();
+  }, [resumeOffer, currentTrack, isPlaying, seekWhenLoaded, play]);
+
+  const dismissResumeOffer = useCallback(() => {
+    setResumeOffer(null);
+  }, []);
+
+  // Tracks at least this many seconds long resume on their own
+  const changeResumeCutoff = useCallback((seconds) => {
+    setResumeCutoff(clamp(seconds, RESUME_CUTOFF_RANGE));
+  }, []);
+
+  // Settings kept between sessions
+  const settings = useMemo(() => ({
+    volume,
+    isMuted,
+    playbackRate,
+    preservesPitch,
+    pitchShift,
+    isCrossfadeEnabled,
+    crossfadeDuration,
+    crossfadeCurve,
+    isAlbumGapless,
+    eqBands,
+    eqPreamp,
+    isEqEnabled,
+    isClipProtectionEnabled,
+    normalizationMode,
+    normalizationTarget,
+    repeatMode,
+    isShuffled,
+    bookmarks,
+    lyricsOffsets,
+    ratings,
+    resumeCutoff
+  }), [
+    volume,
+    isMuted,
+    playbackRate,
+    preservesPitch,
+    pitchShift,
+    isCrossfadeEnabled,
+    crossfadeDuration,
+    crossfadeCurve,
+    isAlbumGapless,
+    eqBands,
+    eqPreamp,
+    isEqEnabled,
+    isClipProtectionEnabled,
+    normalizationMode,
+    normalizationTarget,
+    repeatMode,
+    isShuffled,
+    bookmarks,
+    lyricsOffsets,
+    ratings,
+    resumeCutoff
+  ]);
+
+  // Where listening stopped, kept between sessions
+  const session = useMemo(() => ({
+    resumePositions,
+    playedTracks,
+    activePlaylistId: activePlaylist.id,
+    lastTrackId: currentTrack ? currentTrack.id : null,
+    lastTrackIndex: currentTrackIndex
+  }), [resumePositions, playedTracks, activePlaylist.id, currentTrack, currentTrackIndex]);
+  const sessionRef = useRef(session);
+  sessionRef.current = session;
+
+  // The session with the current track's live position rather than the
+  // last throttled save, for writing out as the page goes away
+  const captureSession = useCallback(() => {
+    const track = currentTrackRef.current;
+    const audio = audioRef.current;
+    // Before its metadata loads (or while a seek waits for it) the element
+    // reports 0, which would forget the saved position
+    const isPositionKnown = !!track && !audio.ended && !pendingSeekRef.current &&
+      audio.readyState >= HTMLMediaElement.HAVE_METADATA;
+    if (!isPositionKnown) return sessionRef.current;
+
+    savePosition(track.id, audio.currentTime);
+    return {
+      ...sessionRef.current,
+      resumePositions: withResumePosition(sessionRef.current.resumePositions, track.id, audio.currentTime)
+    };
+  }, [savePosition]);
+
+  // Apply settings saved by an earlier session; unknown or missing values
+  // keep their defaults
+  const restoreSettings = useCallback((saved) => {
+    if (!saved) return;
+
+    if (typeof saved.volume === 'number') {
+      volumeRef.current = clamp(saved.volume, { min: 0, max: 1 });
+      [audioRef.current, standbyRef.current].forEach(applyElementVolume);
+      setVolume(volumeRef.current);
+    }
+    if (typeof saved.isMuted === 'boolean') {
+      audioRef.current.muted = saved.isMuted;
+      standbyRef.current.muted = saved.isMuted;
+      setIsMuted(saved.isMuted);
+    }
+    if (typeof saved.playbackRate === 'number') {
+      const rate = clamp(saved.playbackRate, { min: 0.25, max: 4 });
+      audioRef.current.playbackRate = rate;
+      standbyRef.current.playbackRate = rate;
+      setPlaybackRate(rate);
+    }
+    if (typeof saved.preservesPitch === 'boolean') setPreservesPitch(saved.preservesPitch);
+    if (typeof saved.pitchShift === 'number') setPitchShift(clamp(Math.round(saved.pitchShift), PITCH_SHIFT_RANGE));
+    if (typeof saved.isCrossfadeEnabled === 'boolean') setIsCrossfadeEnabled(saved.isCrossfadeEnabled);
+    if (typeof saved.crossfadeDuration === 'number') {
+      setCrossfadeDuration(clamp(saved.crossfadeDuration, { min: 0, max: MAX_CROSSFADE_DURATION }));
+    }
+    if (CROSSFADE_CURVES.includes(saved.crossfadeCurve)) setCrossfadeCurve(saved.crossfadeCurve);
+    if (typeof saved.isAlbumGapless === 'boolean') setIsAlbumGapless(saved.isAlbumGapless);
+    if (Array.isArray(saved.eqBands) && saved.eqBands.length === eqBands.length) {
+      setEqBands(saved.eqBands.map(band => ({
+        ...band,
+        gain: clamp(band.gain, EQ_GAIN_RANGE),
+        q: clamp(band.q, EQ_Q_RANGE),
+        frequency: clamp(band.frequency, EQ_FREQUENCY_RANGE)
+      })));
+    }
+    if (typeof saved.eqPreamp === 'number') setEqPreamp(clamp(saved.eqPreamp, EQ_GAIN_RANGE));
+    if (typeof saved.isEqEnabled === 'boolean') setIsEqEnabled(saved.isEqEnabled);
+    if (typeof saved.isClipProtectionEnabled === 'boolean') setIsClipProtectionEnabled(saved.isClipProtectionEnabled);
+    if (NORMALIZATION_MODES.includes(saved.normalizationMode)) setNormalizationMode(saved.normalizationMode);
+    if (typeof saved.normalizationTarget === 'number') {
+      setNormalizationTarget(clamp(saved.normalizationTarget, NORMALIZATION_TARGET_RANGE));
+    }
+    if (REPEAT_MODES.includes(saved.repeatMode)) setRepeatMode(saved.repeatMode);
+    if (typeof saved.isShuffled === 'boolean') setIsShuffled(saved.isShuffled);
+    if (saved.bookmarks) setBookmarks(saved.bookmarks);
+    if (saved.lyricsOffsets) setLyricsOffsets(saved.lyricsOffsets);
+    if (saved.ratings) setRatings(saved.ratings);
+    if (typeof saved.resumeCutoff === 'number') setResumeCutoff(clamp(saved.resumeCutoff, RESUME_CUTOFF_RANGE));
+  }, [eqBands.length, applyElementVolume]);
+
+  // Restore resume positions and reload the last track of an earlier session
+  const restoreSession = useCallback((saved) => {
+    if (!saved) return;
+
+    if (saved.resumePositions) setResumePositions(saved.resumePositions);
+    if (saved.playedTracks) setPlayedTracks(saved.playedTracks);
+    if (saved.activePlaylistId) setActivePlaylistId(saved.activePlaylistId);
+    if (saved.lastTrackId !== null && saved.lastTrackId !== undefined) {
+      pendingSessionRef.current = { trackId: saved.lastTrackId, index: saved.lastTrackIndex };
+    }
+  }, []);
 
   // Skip forward/backward
   const skipForward = useCallback((seconds = 10) => {
@@ -283,11 +1939,19 @@ const useAudioPlayer = () => {
     return `${minutes}:${seconds.toString().padStart(2, '0')}`;
   }, []);
 
+  // The standby counts as buffering once the handoff is close and it is not ready
+  const isStandbyBuffering = !!nextTrack && isNearEnd && !isNextTrackReady;
+
+  // Queue entries resolved to their playlist tracks
+  const queuedTracks = queue
+    .map(entry => ({ id: entry.id, track: playlist.find(track => track.id === entry.trackId) }))
+    .filter(entry => entry.track);
+
   return {
     // State
     isPlaying,
     isLoading,
-    isBuffering,
+    isBuffering: isBuffering || isStandbyBuffering,
     duration,
     currentTime,
     volume,
@@ -295,10 +1959,64 @@ const useAudioPlayer = () => {
     playbackRate,
     currentTrack,
     playlist,
+    tracks,
+    playlists,
+    activePlaylistId: activePlaylist.id,
     currentTrackIndex,
+    queue: queuedTracks,
+    history,
+    currentHistoryEntryId: historyEntryRef.current ? historyEntryRef.current.id : null,
+    isPreviousFromHistory,
+    nextTrack,
+    isNextTrackReady,
+    hasNext: getAdjacentIndex(1, true) !== -1,
+    hasPrevious: isPreviousFromHistory
+      ? getPreviousHistoryEntry() !== null
+      : getAdjacentIndex(-1, true) !== -1,
+    repeatMode,
+    isShuffled,
+    shuffledIndices,
+    loopStart,
+    loopEnd,
+    isLoopEnabled,
+    isLoopActive,
+    bookmarks,
+    currentBookmarks,
+    currentLyricsOffset,
+    ratings,
+    chapters: currentChapters,
+    currentChapterIndex,
+    currentChapter: currentChapters[currentChapterIndex] || null,
+    hasNextChapter: currentChapterIndex + 1 < currentChapters.length,
+    hasPreviousChapter: currentChapters.length > 0,
+    isCrossfadeEnabled,
+    crossfadeDuration,
+    crossfadeCurve,
+    isAlbumGapless,
+    isCrossfading,
+    isAudioGraphReady,
+    eqBands,
+    eqPreamp,
+    eqHeadroom: isClipProtectionEnabled ? getEqHeadroom(eqBands, eqPreamp) : 0,
+    isEqEnabled,
+    isClipProtectionEnabled,
+    normalizationMode,
+    normalizationTarget,
+    currentTrackGain: getTrackNormalization(currentTrack),
+    preservesPitch,
+    pitchShift,
+    isPitchShiftAvailable,
+    sleepTimer,
+    sleepRemaining,
+    resumePositions,
+    playedTracks,
+    resumeCutoff,
+    resumeOffer,
+    settings,
+    session,
     error,
     progress,
-    
+
     // Actions
     loadTrack,
     play,
@@ -309,22 +2027,80 @@ const useAudioPlayer = () => {
     changeVolume,
     toggleMute,
     changePlaybackRate,
+    togglePreservePitch,
+    changePitchShift,
     addToPlaylist,
+    addTrackToPlaylist,
+    restoreTracks,
+    restorePlaylists,
+    updateTrack,
     removeFromPlaylist,
     clearPlaylist,
+    switchPlaylist,
+    createPlaylist,
+    renamePlaylist,
+    duplicatePlaylist,
+    deletePlaylist,
+    addToQueue,
+    playTrackNext,
+    removeFromQueue,
+    moveQueueItem,
+    clearQueue,
+    playFromQueue,
+    jumpToHistoryEntry,
+    clearHistory,
+    togglePreviousFromHistory,
     playTrack,
     playNext,
     playPrevious,
+    toggleShuffle,
+    changeRepeatMode,
+    cycleRepeatMode,
+    setLoopPointA,
+    setLoopPointB,
+    toggleLoop,
+    clearLoop,
+    addBookmark,
+    updateBookmark,
+    removeBookmark,
+    jumpToBookmark,
+    changeLyricsOffset,
+    rateTrack,
+    mergeTrackDetails,
+    jumpToChapter,
+    playNextChapter,
+    playPreviousChapter,
+    startSleepTimer,
+    extendSleepTimer,
+    cancelSleepTimer,
     skipForward,
     skipBackward,
-    
+    toggleCrossfade,
+    changeCrossfadeDuration,
+    changeCrossfadeCurve,
+    toggleAlbumGapless,
+    updateEqBand,
+    changeEqPreamp,
+    applyEqPreset,
+    toggleEq,
+    toggleClipProtection,
+    changeNormalizationMode,
+    changeNormalizationTarget,
+    resumePlayback,
+    dismissResumeOffer,
+    changeResumeCutoff,
+    restoreSettings,
+    restoreSession,
+    captureSession,
+
     // Utilities
     getBufferedPercentage,
     formatTime,
-    
-    // Audio element ref
-    audioRef
+
+    // Audio element ref and Web Audio graph (null until first playback)
+    audioRef,
+    audioGraphRef: graphRef
   };
 };
 
-export default useAudioPlayer;
\ No newline at end of file
+export default useAudioPlayer;
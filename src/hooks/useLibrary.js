@@ -0,0 +1,291 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { debounce, revokeAudioUrl } from '../utils/audioUtils';
+import {
+  clearLibrary,
+  createTrackRecord,
+  deletePlaylistRecord,
+  deleteTrackRecord,
+  getStorageUsage,
+  getTrackRecord,
+  isLibrarySupported,
+  isQuotaError,
+  loadLibrary,
+  reconnectTrack,
+  requestPersistentStorage,
+  restoreTrack,
+  savePlaylistRecord,
+  saveSetting,
+  saveTrackRecord
+} from '../utils/library';
+
+// Settings change on every slider step, so they are written once they settle
+const SETTINGS_SAVE_DELAY = 1000;
+// The session changes with every saved playback position
+const SESSION_SAVE_DELAY = 2000;
+
+/**
+ * Keeps the player's tracks, playlists and settings in IndexedDB and puts
+ * them back on startup
+ * @param {Object} player - { tracks, playlists, settings, session,
+ *   restoreTracks, restorePlaylists, restoreSettings, restoreSession,
+ *   captureSession } from useAudioPlayer
+ * @returns {Object} - Library state and actions
+ */
+const useLibrary = ({
+  tracks,
+  playlists,
+  settings,
+  session,
+  restoreTracks,
+  restorePlaylists,
+  restoreSettings,
+  restoreSession,
+  captureSession
+}) => {
+  const isSupported = isLibrarySupported();
+  const [isRestored, setIsRestored] = useState(!isSupported);
+  const [storage, setStorage] = useState(null);
+  const [storedTracks, setStoredTracks] = useState([]);
+  // Handle-backed tracks whose files need permission again
+  const [disconnectedTracks, setDisconnectedTracks] = useState([]);
+  const [error, setError] = useState(null);
+  // Track and playlist objects last written, so only new or changed ones are saved
+  const savedTracksRef = useRef(new Map());
+  const savedPlaylistsRef = useRef(new Map());
+  // Tracks evicted or over quota this session; they play but are not saved
+  const excludedIdsRef = useRef(new Set());
+  const disconnectedIdsRef = useRef([]);
+  disconnectedIdsRef.current = disconnectedTracks.map(track => track.id);
+
+  const refreshStorage = useCallback(async () => {
+    try {
+      setStorage(await getStorageUsage());
+    } catch (storageError) {
+      console.error('Failed to read storage usage:', storageError);
+    }
+  }, []);
+
+  // Restore the library once on startup
+  useEffect(() => {
+    if (!isSupported) return;
+
+    let isCancelled = false;
+    const restore = async () => {
+      try {
+        const library = await loadLibrary();
+        const records = [...library.tracks].sort((a, b) => a.savedAt - b.savedAt);
+        const restored = await Promise.all(records.map(restoreTrack));
+        if (isCancelled) {
+          restored.forEach((track) => {
+            revokeAudioUrl(track.url);
+            revokeAudioUrl(track.artwork);
+          });
+          return;
+        }
+
+        // Tracks saved without a playlist record still need a place
+        const listedIds = new Set(library.playlists.flatMap(item => item.trackIds));
+        const looseIds = records.map(record => record.id).filter(id => !listedIds.has(id));
+
+        restored.forEach(track => savedTracksRef.current.set(track.id, track));
+        setStoredTracks(records.map(({ id, metadata, size, handle }) => ({ id, name: metadata.name, size, isHandle: !!handle })));
+        setDisconnectedTracks(restored.filter(track => track.needsPermission));
+        restoreTracks(restored.filter(track => !track.needsPermission));
+        restorePlaylists(library.playlists, looseIds);
+        restoreSettings(library.settings.player);
+        restoreSession(library.settings.session);
+      } catch (restoreError) {
+        console.error('Failed to restore library:', restoreError);
+        setError('Your saved library could not be loaded');
+      } finally {
+        if (!isCancelled) setIsRestored(true);
+      }
+    };
+
+    restore();
+    refreshStorage();
+    return () => {
+      isCancelled = true;
+    };
+  }, [isSupported, restoreTracks, restorePlaylists, restoreSettings, restoreSession, refreshStorage]);
+
+  // Save new and changed tracks and drop removed ones
+  useEffect(() => {
+    if (!isSupported || !isRestored) return;
+
+    const saved = savedTracksRef.current;
+    const currentIds = new Set([...tracks.map(track => track.id), ...disconnectedIdsRef.current]);
+    const changed = tracks.filter(track => saved.get(track.id) !== track && !excludedIdsRef.current.has(track.id));
+    const removedIds = [...saved.keys()].filter(id => !currentIds.has(id));
+
+    // Marked before the first await so a quick second render does not save them again
+    changed.forEach(track => saved.set(track.id, track));
+
+    const save = async () => {
+      for (const track of changed) {
+        try {
+          const record = await createTrackRecord(track);
+          await saveTrackRecord(record);
+          setStoredTracks(prev => [
+            ...prev.filter(item => item.id !== track.id),
+            { id: track.id, name: track.name, size: record.size, isHandle: !!record.handle }
+          ]);
+        } catch (saveError) {
+          saved.delete(track.id);
+          excludedIdsRef.current.add(track.id);
+          if (isQuotaError(saveError)) {
+            setError(`Not enough storage to keep “${track.name}”. Evict tracks to make room.`);
+          } else {
+            console.error(`Failed to save ${track.name}:`, saveError);
+          }
+        }
+      }
+
+      for (const id of removedIds) {
+        saved.delete(id);
+        try {
+          await deleteTrackRecord(id);
+        } catch (deleteError) {
+          console.error('Failed to remove track from library:', deleteError);
+        }
+      }
+      setStoredTracks(prev => prev.filter(item => !removedIds.includes(item.id)));
+
+      if (changed.length > 0 || removedIds.length > 0) refreshStorage();
+    };
+
+    save();
+  }, [isSupported, isRestored, tracks, refreshStorage]);
+
+  // Save new and changed playlists and drop deleted ones
+  useEffect(() => {
+    if (!isSupported || !isRestored) return;
+
+    const saved = savedPlaylistsRef.current;
+    const changed = playlists.filter(item => saved.get(item.id) !== item);
+    const removedIds = [...saved.keys()].filter(id => !playlists.some(item => item.id === id));
+    changed.forEach(item => saved.set(item.id, item));
+    removedIds.forEach(id => saved.delete(id));
+
+    Promise.all([
+      ...changed.map(({ id, name, trackIds, createdAt }) => savePlaylistRecord({ id, name, trackIds, createdAt })),
+      ...removedIds.map(deletePlaylistRecord)
+    ]).catch(saveError => console.error('Failed to save playlists:', saveError));
+  }, [isSupported, isRestored, playlists]);
+
+  // Save settings and the session once they stop changing
+  const saveSettingsRef = useRef(null);
+  const saveSessionRef = useRef(null);
+  if (!saveSettingsRef.current) {
+    saveSettingsRef.current = debounce((value) => {
+      saveSetting('player', value).catch(saveError => console.error('Failed to save settings:', saveError));
+    }, SETTINGS_SAVE_DELAY);
+    saveSessionRef.current = debounce((value) => {
+      saveSetting('session', value).catch(saveError => console.error('Failed to save session:', saveError));
+    }, SESSION_SAVE_DELAY);
+  }
+
+  useEffect(() => {
+    if (!isSupported || !isRestored) return;
+    saveSettingsRef.current(settings);
+  }, [isSupported, isRestored, settings]);
+
+  useEffect(() => {
+    if (!isSupported || !isRestored) return;
+    saveSessionRef.current(session);
+  }, [isSupported, isRestored, session]);
+
+  // Positions are only saved every few seconds and writes wait for the
+  // debounce, so a reload or closed tab writes both out straight away
+  useEffect(() => {
+    if (!isSupported || !isRestored) return undefined;
+
+    const flush = () => {
+      saveSessionRef.current(captureSession());
+      saveSessionRef.current.flush();
+      saveSettingsRef.current.flush();
+    };
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') flush();
+    };
+
+    window.addEventListener('pagehide', flush);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      window.removeEventListener('pagehide', flush);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [isSupported, isRestored, captureSession]);
+
+  // Remove a track's copy from storage; it stays in the playlist until reload
+  const evictTrack = useCallback(async (trackId) => {
+    try {
+      await deleteTrackRecord(trackId);
+      excludedIdsRef.current.add(trackId);
+      savedTracksRef.current.delete(trackId);
+      setStoredTracks(prev => prev.filter(item => item.id !== trackId));
+      setDisconnectedTracks(prev => prev.filter(track => track.id !== trackId));
+      refreshStorage();
+    } catch (evictError) {
+      console.error('Failed to evict track:', evictError);
+    }
+  }, [refreshStorage]);
+
+  // Empty the library; the current playlist keeps playing but is no longer saved
+  const clearStoredLibrary = useCallback(async () => {
+    try {
+      await clearLibrary();
+      savedTracksRef.current.forEach((track, id) => excludedIdsRef.current.add(id));
+      tracks.forEach(track => excludedIdsRef.current.add(track.id));
+      savedTracksRef.current.clear();
+      savedPlaylistsRef.current.clear();
+      setStoredTracks([]);
+      setDisconnectedTracks([]);
+      setError(null);
+      refreshStorage();
+    } catch (clearError) {
+      console.error('Failed to clear library:', clearError);
+    }
+  }, [tracks, refreshStorage]);
+
+  // Ask for access to handle-backed files again; must run from a click
+  const reconnectTracks = useCallback(async () => {
+    const reconnected = [];
+    for (const track of disconnectedTracks) {
+      try {
+        const restored = await reconnectTrack(await getTrackRecord(track.id));
+        if (restored) reconnected.push(restored);
+      } catch (reconnectError) {
+        console.error(`Failed to reconnect ${track.name}:`, reconnectError);
+      }
+    }
+
+    if (reconnected.length === 0) return;
+    // Reconnected tracks are already stored, so they are not written again
+    reconnected.forEach(track => savedTracksRef.current.set(track.id, track));
+    const ids = reconnected.map(track => track.id);
+    setDisconnectedTracks(prev => prev.filter(track => !ids.includes(track.id)));
+    restoreTracks(reconnected);
+  }, [disconnectedTracks, restoreTracks]);
+
+  const persistStorage = useCallback(async () => {
+    await requestPersistentStorage();
+    refreshStorage();
+  }, [refreshStorage]);
+
+  return {
+    isSupported,
+    isRestored,
+    storage,
+    storedTracks,
+    disconnectedTracks,
+    error,
+    evictTrack,
+    clearLibrary: clearStoredLibrary,
+    reconnectTracks,
+    persistStorage,
+    dismissError: () => setError(null)
+  };
+};
+
+export default useLibrary;
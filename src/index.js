@@ -89,7 +89,9 @@ const checkBrowserSupport = () => {
   const isSupported = {
     audio: !!window.Audio,
     fileAPI: !!(window.File && window.FileReader && window.FileList && window.Blob),
-    localStorage: !!window.localStorage
+    webAudio: !!(window.AudioContext || window.webkitAudioContext),
+    localStorage: !!window.localStorage,
+    indexedDB: !!window.indexedDB
   };
 
   const unsupportedFeatures = Object.keys(isSupported).filter(key => !isSupported[key]);
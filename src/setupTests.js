@@ -0,0 +1,27 @@
+// jest-dom adds custom jest matchers for asserting on DOM nodes.
+import '@testing-library/jest-dom';
+import { TextDecoder, TextEncoder } from 'util';
+
+// jsdom has no Encoding API and no promise-based Blob readers, which the
+// tag and container parsers rely on
+global.TextDecoder = TextDecoder;
+global.TextEncoder = TextEncoder;
+
+const readBlob = (blob, method) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader[method](blob);
+});
+
+if (!Blob.prototype.arrayBuffer) {
+  Blob.prototype.arrayBuffer = function arrayBuffer() {
+    return readBlob(this, 'readAsArrayBuffer');
+  };
+}
+
+if (!Blob.prototype.text) {
+  Blob.prototype.text = function text() {
+    return readBlob(this, 'readAsText');
+  };
+}
@@ -0,0 +1,187 @@
+/**
+ * Embedded album artwork
+ * Finds the attached picture in ID3v2 (APIC), FLAC (PICTURE), Ogg
+ * (METADATA_BLOCK_PICTURE) and MP4 (covr) files and turns it into a
+ * downscaled thumbnail.
+ */
+
+import { decodePictureFrame, readId3v2 } from './id3';
+import { FLAC_BLOCK_TYPES, parseFlacPicture, readFlacBlocks } from './flac';
+import { getMp4Cover, readMp4Movie } from './mp4';
+import { readOggTags } from './vorbis';
+
+// Longest edge of generated thumbnails, in pixels
+const THUMBNAIL_SIZE = 320;
+const THUMBNAIL_QUALITY = 0.85;
+
+// Picture type of the front cover in both ID3 and FLAC
+const FRONT_COVER = 3;
+
+// Image files imported next to audio files, used as folder artwork
+export const COVER_IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+// Usual names of folder artwork, best first
+const FOLDER_COVER_NAMES = ['cover', 'folder', 'front', 'album', 'albumart'];
+
+const pickCover = (pictures) => {
+  return pictures.find(picture => picture.pictureType === FRONT_COVER) || pictures[0] || null;
+};
+
+// Ogg files embed FLAC PICTURE blocks as base64 Vorbis comments
+const decodeBase64Picture = (value) => {
+  try {
+    const binary = window.atob(value);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return parseFlacPicture(bytes);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Picks the cover among a FLAC file's PICTURE blocks
+ * @param {Object[]} blocks - PICTURE blocks (see readFlacBlocks)
+ * @returns {Object|null} - { mimeType, data } or null when there is none
+ */
+export const getFlacPicture = (blocks) => {
+  return pickCover(blocks
+    .filter(block => block.type === FLAC_BLOCK_TYPES.PICTURE)
+    .map(block => parseFlacPicture(block.data))
+    .filter(Boolean));
+};
+
+/**
+ * Picks the cover among an Ogg file's METADATA_BLOCK_PICTURE comments
+ * @param {Object} comments - Vorbis comments (see parseVorbisComment)
+ * @returns {Object|null} - { mimeType, data } or null when there is none
+ */
+export const getOggPicture = (comments) => {
+  const values = [].concat(comments.METADATA_BLOCK_PICTURE || []);
+  return pickCover(values.map(decodeBase64Picture).filter(Boolean));
+};
+
+/**
+ * Picks the cover among an ID3v2 tag's APIC frames
+ * @param {Object} tag - Parsed tag (see parseId3v2)
+ * @returns {Object|null} - { mimeType, data } or null when there is none
+ */
+export const getId3Picture = (tag) => {
+  const pictures = tag.frames
+    .filter(frame => frame.id === 'APIC')
+    .map(frame => decodePictureFrame(frame.data, tag.version));
+  return pickCover(pictures);
+};
+
+/**
+ * Reads the embedded cover picture of a file, preferring the front cover
+ * @param {Blob} file - The audio file
+ * @returns {Promise<Object|null>} - { mimeType, data } or null when there is none
+ */
+export const readEmbeddedPicture = async (file) => {
+  const flacBlocks = await readFlacBlocks(file, [FLAC_BLOCK_TYPES.PICTURE]);
+  if (flacBlocks) return getFlacPicture(flacBlocks);
+
+  const ogg = await readOggTags(file);
+  if (ogg) return getOggPicture(ogg.comments);
+
+  const tag = await readId3v2(file);
+  const cover = tag && getId3Picture(tag);
+  if (cover) return cover;
+
+  const movie = await readMp4Movie(file);
+  return movie ? getMp4Cover(movie) : null;
+};
+
+/**
+ * Downscales an image so list thumbnails do not hold full-size covers in
+ * memory. Falls back to the original image when it cannot be decoded here.
+ * @param {Blob} image - The source image
+ * @returns {Promise<Blob>} - The thumbnail (or the original image)
+ */
+export const createThumbnail = async (image) => {
+  if (typeof window.createImageBitmap !== 'function') return image;
+
+  let bitmap;
+  try {
+    bitmap = await window.createImageBitmap(image);
+  } catch (error) {
+    return image;
+  }
+
+  const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height));
+  if (scale === 1) {
+    bitmap.close();
+    return image;
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+
+  return new Promise((resolve) => {
+    canvas.toBlob(thumbnail => resolve(thumbnail || image), 'image/jpeg', THUMBNAIL_QUALITY);
+  });
+};
+
+/**
+ * Checks whether a file is an image that can serve as folder artwork
+ * @param {File} file - The file to check
+ * @returns {boolean} - True for JPEG, PNG and WebP files
+ */
+export const isCoverImageFile = (file) => {
+  const name = file.name.toLowerCase();
+  return COVER_IMAGE_EXTENSIONS.some(extension => name.endsWith(extension));
+};
+
+/**
+ * Picks the folder artwork among a folder's images: a cover/folder/front
+ * image when there is one, else the first image
+ * @param {File[]} images - Images of one folder
+ * @returns {File|null} - The chosen image
+ */
+export const pickFolderCover = (images) => {
+  const getRank = (image) => {
+    const rank = FOLDER_COVER_NAMES.indexOf(image.name.replace(/\.[^/.]+$/, '').toLowerCase());
+    return rank === -1 ? FOLDER_COVER_NAMES.length : rank;
+  };
+  return images.reduce((best, image) => (!best || getRank(image) < getRank(best) ? image : best), null);
+};
+
+/**
+ * Extracts a file's cover art as a thumbnail image
+ * @param {Blob} file - The audio file
+ * @param {Object} [tags] - The file's tags when already read (see readTags),
+ *   whose picture is used instead of reading the file again
+ * @returns {Promise<Blob|null>} - Thumbnail, or null when there is no artwork
+ */
+export const extractArtwork = async (file, tags = null) => {
+  try {
+    const picture = tags ? tags.picture : await readEmbeddedPicture(file);
+    if (!picture || picture.data.length === 0) return null;
+
+    return await createThumbnail(new Blob([picture.data], { type: picture.mimeType }));
+  } catch (error) {
+    console.error('Failed to read artwork:', error);
+    return null;
+  }
+};
+
+/**
+ * Builds a placeholder background for tracks without artwork; the colours
+ * are derived from the text so each album keeps the same placeholder
+ * @param {string} text - Album or title to derive the colours from
+ * @returns {string} - CSS background value
+ */
+export const getPlaceholderBackground = (text = '') => {
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = (hash * 31 + text.charCodeAt(i)) | 0;
+  }
+
+  const hue = Math.abs(hash) % 360;
+  return `linear-gradient(135deg, hsl(${hue}, 55%, 45%), hsl(${(hue + 50) % 360}, 60%, 25%))`;
+};
@@ -0,0 +1,234 @@
+/**
+ * Web Audio processing graph for the player
+ * Routes the player's audio elements through an equalizer and output stage:
+ * MediaElementSource -> normalization gain -> deck gain -> pitch shifter
+ * -> preamp -> EQ bands -> limiter -> output
+ */
+
+import { createPitchShifterNode, semitonesToRatio } from './pitchShifter';
+
+/**
+ * Centre frequencies (Hz) of the default 10-band layout
+ */
+export const EQ_FREQUENCIES = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+
+/**
+ * Limits for band and preamp gain (dB), band Q and band frequency (Hz)
+ */
+export const EQ_GAIN_RANGE = { min: -12, max: 12 };
+export const EQ_Q_RANGE = { min: 0.1, max: 18 };
+export const EQ_FREQUENCY_RANGE = { min: 20, max: 20000 };
+
+// Q giving roughly one-octave-wide peaking bands
+const DEFAULT_Q = 1.41;
+
+/**
+ * Built-in presets as per-band gains (dB) for the default layout
+ */
+export const EQ_PRESETS = {
+  Flat: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+  Rock: [5, 4, 3, 1, -1, -1, 1, 3, 4, 5],
+  Vocal: [-2, -2, -1, 1, 3, 4, 4, 3, 1, 0],
+  'Bass Boost': [7, 6, 5, 3, 1, 0, 0, 0, 0, 0],
+  Podcast: [-6, -4, -1, 1, 3, 4, 3, 2, 0, -2]
+};
+
+/**
+ * Converts a level in decibels to a linear gain
+ * @param {number} db - Level in dB
+ * @returns {number} - Linear gain
+ */
+export const dbToGain = (db) => Math.pow(10, db / 20);
+
+/**
+ * Creates the default band layout: low shelf, eight peaking bands, high shelf
+ * @param {number[]} gains - Optional per-band gains in dB
+ * @returns {Object[]} - Band descriptors ({ type, frequency, gain, q })
+ */
+export const createDefaultBands = (gains = EQ_PRESETS.Flat) => {
+  return EQ_FREQUENCIES.map((frequency, index) => ({
+    type: index === 0 ? 'lowshelf' : index === EQ_FREQUENCIES.length - 1 ? 'highshelf' : 'peaking',
+    frequency,
+    gain: gains[index] || 0,
+    q: DEFAULT_Q
+  }));
+};
+
+/**
+ * Gets the preamp reduction (dB) that keeps the EQ peak at or below 0 dB
+ * @param {Object[]} bands - Band descriptors
+ * @param {number} preamp - Preamp gain in dB
+ * @returns {number} - Headroom to subtract from the preamp (>= 0)
+ */
+export const getEqHeadroom = (bands, preamp) => {
+  const maxBoost = Math.max(0, ...bands.map(band => band.gain));
+  return Math.max(0, preamp + maxBoost);
+};
+
+/**
+ * Checks whether the browser supports the Web Audio API
+ * @returns {boolean} - True if an AudioContext can be created
+ */
+export const isWebAudioSupported = () => {
+  return typeof window !== 'undefined' && !!(window.AudioContext || window.webkitAudioContext);
+};
+
+/**
+ * Creates the processing graph. Must be called after a user gesture so the
+ * AudioContext is allowed to start.
+ * @returns {Object|null} - Graph controller, or null without Web Audio support
+ */
+export const createAudioGraph = () => {
+  if (!isWebAudioSupported()) return null;
+
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  const context = new AudioContextClass();
+  const decks = new Map();
+
+  const input = context.createGain();
+  const preamp = context.createGain();
+  const filters = EQ_FREQUENCIES.map(() => context.createBiquadFilter());
+  const output = context.createGain();
+
+  // Brick-wall style limiter that catches whatever the headroom does not
+  const limiter = context.createDynamicsCompressor();
+  limiter.threshold.value = -1;
+  limiter.knee.value = 0;
+  limiter.ratio.value = 20;
+  limiter.attack.value = 0.003;
+  limiter.release.value = 0.25;
+
+  input.connect(preamp);
+  filters.reduce((previous, filter) => {
+    previous.connect(filter);
+    return filter;
+  }, preamp).connect(limiter);
+  limiter.connect(output);
+  output.connect(context.destination);
+
+  // The pitch shifter worklet loads asynchronously and is spliced in between
+  // the deck mix and the preamp once ready
+  let pitchShifter = null;
+  let pitchRatio = 1;
+  const pitchShifterReady = createPitchShifterNode(context)
+    .then((node) => {
+      if (!node) return false;
+
+      pitchShifter = node;
+      node.parameters.get('pitchRatio').value = pitchRatio;
+      input.disconnect();
+      input.connect(node);
+      node.connect(preamp);
+      return true;
+    })
+    .catch((error) => {
+      console.error('Pitch shifter unavailable:', error);
+      return false;
+    });
+
+  // Ramp parameters briefly to avoid zipper noise
+  const setParam = (param, value) => {
+    param.setTargetAtTime(value, context.currentTime, 0.01);
+  };
+
+  /**
+   * Routes an audio element into the graph. An element can only ever have
+   * one MediaElementSource, so repeated calls return the existing deck.
+   */
+  const connectElement = (audio) => {
+    if (decks.has(audio)) return decks.get(audio);
+
+    const source = context.createMediaElementSource(audio);
+    const normalization = context.createGain();
+    const gain = context.createGain();
+    source.connect(normalization);
+    normalization.connect(gain);
+    gain.connect(input);
+
+    const deck = { source, normalization, gain };
+    decks.set(audio, deck);
+    return deck;
+  };
+
+  const setDeckGain = (audio, level) => {
+    const deck = connectElement(audio);
+    deck.gain.gain.setValueAtTime(level, context.currentTime);
+  };
+
+  const setDeckNormalization = (audio, db) => {
+    const deck = connectElement(audio);
+    setParam(deck.normalization.gain, dbToGain(db));
+  };
+
+  const setBands = (bands, enabled = true) => {
+    bands.forEach((band, index) => {
+      const filter = filters[index];
+      if (!filter) return;
+
+      filter.type = band.type;
+      setParam(filter.frequency, band.frequency);
+      setParam(filter.Q, band.q);
+      setParam(filter.gain, enabled ? band.gain : 0);
+    });
+  };
+
+  const setPreamp = (db) => {
+    setParam(preamp.gain, dbToGain(db));
+  };
+
+  // Overall output level, used for fades that must not touch the user volume
+  const setMasterLevel = (level) => {
+    setParam(output.gain, level);
+  };
+
+  const setPitchShift = (semitones) => {
+    pitchRatio = semitonesToRatio(semitones);
+    if (pitchShifter) {
+      pitchShifter.parameters.get('pitchRatio').setValueAtTime(pitchRatio, context.currentTime);
+    }
+  };
+
+  const setLimiterEnabled = (enabled) => {
+    limiter.disconnect();
+    filters[filters.length - 1].disconnect();
+
+    if (enabled) {
+      filters[filters.length - 1].connect(limiter);
+      limiter.connect(output);
+    } else {
+      filters[filters.length - 1].connect(output);
+    }
+  };
+
+  const resume = () => {
+    if (context.state === 'suspended') {
+      return context.resume();
+    }
+    return Promise.resolve();
+  };
+
+  const close = () => {
+    decks.clear();
+    return context.close();
+  };
+
+  return {
+    context,
+    input,
+    output,
+    filters,
+    preamp,
+    limiter,
+    connectElement,
+    setDeckGain,
+    setDeckNormalization,
+    setBands,
+    setPreamp,
+    setLimiterEnabled,
+    setPitchShift,
+    setMasterLevel,
+    pitchShifterReady,
+    resume,
+    close
+  };
+};
@@ -3,6 +3,51 @@
  * Handles audio file validation, metadata extraction, and format checking
  */
 
+import { analyzeLoudness } from './loudness';
+import { readTags } from './metadata';
+import { scanMp3 } from './mp3';
+import { getLyricsMatchKey, isLyricsFile, readLyricsFile } from './lyrics';
+import { finalizeChapters } from './chapters';
+import { createThumbnail, extractArtwork, isCoverImageFile, pickFolderCover } from './artwork';
+import { getCueDetails, isCueFile, readCueFile } from './cue';
+import { computeAudioFingerprint } from './fingerprint';
+
+/**
+ * Supported file formats with their extensions and MIME types
+ */
+export const AUDIO_FORMATS = [
+  { label: 'MP3', extensions: ['mp3'], mimeTypes: ['audio/mpeg', 'audio/mp3'] },
+  { label: 'WAV', extensions: ['wav'], mimeTypes: ['audio/wav', 'audio/x-wav', 'audio/wave'] },
+  { label: 'OGG', extensions: ['ogg', 'oga'], mimeTypes: ['audio/ogg', 'application/ogg'] },
+  { label: 'Opus', extensions: ['opus'], mimeTypes: ['audio/opus'] },
+  { label: 'FLAC', extensions: ['flac'], mimeTypes: ['audio/flac', 'audio/x-flac'] },
+  { label: 'AAC', extensions: ['aac'], mimeTypes: ['audio/aac', 'audio/x-aac'] },
+  { label: 'M4A/ALAC', extensions: ['m4a', 'm4b'], mimeTypes: ['audio/mp4', 'audio/m4a', 'audio/x-m4a'] },
+  { label: 'WebM', extensions: ['webm'], mimeTypes: ['audio/webm'] }
+];
+
+/**
+ * Value for a file input's accept attribute. Extensions are listed as well
+ * because some systems report no MIME type for FLAC and Opus files.
+ */
+export const AUDIO_FILE_ACCEPT = ['audio/*']
+  .concat(...AUDIO_FORMATS.map(format => format.extensions.map(extension => `.${extension}`)))
+  .join(',');
+
+/**
+ * Codecs detected in imported files, with the type used to ask the browser
+ * whether it can decode them
+ */
+export const AUDIO_CODECS = {
+  mp3: { label: 'MP3', type: 'audio/mpeg' },
+  aac: { label: 'AAC', type: 'audio/mp4; codecs="mp4a.40.2"' },
+  alac: { label: 'Apple Lossless (ALAC)', type: 'audio/mp4; codecs="alac"' },
+  flac: { label: 'FLAC', type: 'audio/flac' },
+  opus: { label: 'Opus', type: 'audio/ogg; codecs="opus"' },
+  vorbis: { label: 'Ogg Vorbis', type: 'audio/ogg; codecs="vorbis"' },
+  pcm: { label: 'WAV', type: 'audio/wav' }
+};
+
 /**
  * Validates if a file is a supported audio format
  * @param {File} file - The file to validate
@@ -10,29 +55,38 @@
  */
 export const isAudioFile = (file) => {
   if (!file) return false;
-  
-  const supportedTypes = [
-    'audio/mpeg',
-    'audio/mp3',
-    'audio/wav',
-    'audio/ogg',
-    'audio/aac',
-    'audio/m4a',
-    'audio/webm'
-  ];
-  
-  return supportedTypes.includes(file.type) || 
-         /\.(mp3|wav|ogg|aac|m4a|webm)$/i.test(file.name);
+
+  const extension = (file.name || '').split('.').pop().toLowerCase();
+  return AUDIO_FORMATS.some(format => (
+    format.mimeTypes.includes(file.type) || format.extensions.includes(extension)
+  ));
+};
+
+/**
+ * Asks the browser whether it can decode a codec
+ * @param {string} codec - Codec key (see AUDIO_CODECS)
+ * @returns {boolean} - False only when the browser reports no support;
+ *   unknown codecs are left for the browser to try
+ */
+export const canPlayCodec = (codec) => {
+  const info = AUDIO_CODECS[codec];
+  if (!info) return true;
+
+  return document.createElement('audio').canPlayType(info.type) !== '';
 };
 
+/**
+ * Largest file accepted, in bytes (50MB)
+ */
+export const MAX_FILE_SIZE = 50 * 1024 * 1024;
+
 /**
  * Validates file size (max 50MB)
  * @param {File} file - The file to validate
  * @returns {boolean} - True if file size is acceptable
  */
 export const isValidFileSize = (file) => {
-  const maxSize = 50 * 1024 * 1024; // 50MB
-  return file && file.size <= maxSize;
+  return file && file.size <= MAX_FILE_SIZE;
 };
 
 /**
@@ -84,11 +138,43 @@ export const revokeAudioUrl = (url) => {
 };
 
 /**
- * Extracts metadata from an audio file
+ * Makes a name safe to save a file under: path separators, characters
+ * reserved on Windows and control characters are removed
+ * @param {string} name - Name to clean up, without extension
+ * @param {string} fallback - Name used when nothing is left
+ * @returns {string} - File name
+ */
+export const getSafeFileName = (name, fallback) => {
+  const safe = Array.from(name || '')
+    .filter(char => char.charCodeAt(0) >= 0x20 && char !== '\u007f' && !'/\\:*?"<>|'.includes(char))
+    .join('')
+    .replace(/^[\s.]+|[\s.]+$/g, '');
+  return safe || fallback;
+};
+
+/**
+ * Saves a file through a temporary download link
+ * @param {Blob} blob - The data to save
+ * @param {string} fileName - Suggested file name
+ */
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser time to start the download before freeing the data
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Reads duration and file details through an audio element
  * @param {File} file - The audio file
  * @returns {Promise<Object>} - Promise resolving to metadata object
  */
-export const extractMetadata = (file) => {
+const readAudioProperties = (file) => {
   return new Promise((resolve) => {
     const audio = new Audio();
     const url = createAudioUrl(file);
@@ -130,39 +216,232 @@ export const extractMetadata = (file) => {
 };
 
 /**
- * Validates multiple audio files
- * @param {FileList|File[]} files - Files to validate
+ * Reads MP3 stream details from the frame headers, which is faster than an
+ * audio element and exact for VBR files without a Xing header
+ * @param {File} file - The audio file
+ * @param {number} audioOffset - Offset of the audio data
+ * @returns {Promise<Object|null>} - Metadata object, or null when the frames
+ *   cannot be read
+ */
+const readMp3Properties = async (file, audioOffset) => {
+  try {
+    const stream = await scanMp3(file, audioOffset);
+    if (!stream) return null;
+
+    return {
+      name: file.name.replace(/\.[^/.]+$/, ''),
+      size: file.size,
+      type: file.type || 'audio/mpeg',
+      lastModified: file.lastModified,
+      ...stream
+    };
+  } catch (error) {
+    console.error('Failed to scan MP3 frames:', error);
+    return null;
+  }
+};
+
+/**
+ * Extracts metadata from an audio file: duration and file details (from the
+ * MP3 frames, else the browser), plus title, artist, album, lyrics, chapters
+ * and the other tag fields when present
+ * @param {File} file - The audio file
+ * @param {Object} [tags] - The file's tags when already read (see readTags)
+ * @returns {Promise<Object>} - Metadata object
+ */
+export const extractMetadata = async (file, tags = null) => {
+  if (!tags) tags = await readTags(file);
+  const properties = (tags.codec === 'mp3' && await readMp3Properties(file, tags.audioOffset)) ||
+    await readAudioProperties(file);
+
+  return {
+    ...properties,
+    ...tags.metadata,
+    codec: tags.codec,
+    lyrics: tags.lyrics,
+    chapters: finalizeChapters(tags.chapters, properties.duration)
+  };
+};
+
+/**
+ * Gets the name to display for a track: its tag title, else the file name
+ * without extension
+ * @param {Object} track - Track object
+ * @returns {string} - Display title
+ */
+export const getTrackTitle = (track) => {
+  if (!track) return 'Unknown track';
+  if (track.title) return track.title;
+  return track.name ? track.name.replace(/\.[^/.]+$/, '') : 'Unknown track';
+};
+
+/**
+ * Gets the path of a file inside the folder it was imported with
+ * @param {File} file - The file
+ * @returns {string} - Relative path ('Artist/Album/01 Track.mp3'), or the
+ *   bare file name for files imported on their own
+ */
+export const getRelativePath = (file) => {
+  return file.relativePath || file.webkitRelativePath || file.name;
+};
+
+/**
+ * Gets the folder part of a file's relative path
+ * @param {File} file - The file
+ * @returns {string} - Folder path ('Artist/Album'), or '' for loose files
+ */
+export const getFolderPath = (file) => {
+  const path = getRelativePath(file);
+  const index = path.lastIndexOf('/');
+  return index === -1 ? '' : path.slice(0, index);
+};
+
+/**
+ * Gets the path of a track's file inside the folder it was imported with,
+ * also for tracks restored from the library
+ * @param {Object} track - Track object
+ * @returns {string} - Relative path ('Artist/Album/01 Track.mp3')
+ */
+export const getTrackPath = (track) => {
+  const fileName = track.file ? track.file.name : track.name || '';
+  return track.folder ? `${track.folder}/${fileName}` : fileName;
+};
+
+/**
+ * Gets the key tracks are grouped into albums by: the album tag, or the
+ * folder an untagged file was imported from
+ * @param {Object} track - Track object
+ * @returns {string|null} - Album key, or null when there is nothing to group by
+ */
+export const getAlbumKey = (track) => {
+  if (!track) return null;
+  if (track.album) return `album:${track.album}`;
+  return track.folder ? `folder:${track.folder}` : null;
+};
+
+/**
+ * Checks whether a file accompanies audio files in an import: lyrics, CUE
+ * sheets and folder artwork
+ * @param {File} file - The file to check
+ * @returns {boolean} - True for companion files
+ */
+export const isCompanionFile = (file) => isLyricsFile(file) || isCueFile(file) || isCoverImageFile(file);
+
+// Archive entries (see folderImport) are only extracted when they are validated
+const openFile = async (file) => (typeof file.getFile === 'function' ? file.getFile() : file);
+
+// Companion files are read once per batch, however many tracks share them
+const readCached = (cache, file, read) => {
+  if (!cache.has(file)) {
+    cache.set(file, openFile(file).then(read).catch((error) => {
+      console.error(`Failed to read ${file.name}:`, error);
+      return null;
+    }));
+  }
+  return cache.get(file);
+};
+
+/**
+ * Finds the CUE sheet details for an audio file among the sheets of its folder
+ * @param {File} file - The audio file
+ * @param {File[]} cueFiles - CUE sheets of the batch
+ * @param {Map} cache - Parsed sheets by file
+ * @returns {Promise<Object|null>} - Details (see getCueDetails) or null
+ */
+const findCueDetails = async (file, cueFiles, cache) => {
+  for (const cueFile of cueFiles.filter(item => getFolderPath(item) === getFolderPath(file))) {
+    const sheet = await readCached(cache, cueFile, readCueFile);
+    const details = sheet && getCueDetails(sheet, cueFile.name, file.name);
+    if (details) return details;
+  }
+  return null;
+};
+
+// Tags win over the sheet; chapters come from the sheet only when the file has none
+const applyCueDetails = (metadata, cue) => {
+  if (!cue) return metadata;
+  return {
+    ...metadata,
+    album: metadata.album || cue.album,
+    artist: metadata.artist || cue.artist,
+    chapters: metadata.chapters.length > 0 ? metadata.chapters : finalizeChapters(cue.chapters, metadata.duration)
+  };
+};
+
+/**
+ * Validates multiple audio files. Lyrics (.lrc) files in the batch are
+ * attached to the audio file with the same name in the same folder; CUE
+ * sheets and cover images apply to the audio files of their folder.
+ * @param {FileList|File[]} files - Files to validate, or archive entries
+ *   that are extracted with their getFile method
  * @returns {Object} - Validation result with valid files and errors
  */
 export const validateAudioFiles = async (files) => {
   const fileArray = Array.from(files);
+  const lyricsFiles = fileArray.filter(isLyricsFile);
+  const cueFiles = fileArray.filter(isCueFile);
+  const coverImages = fileArray.filter(isCoverImageFile);
+  const audioFiles = fileArray.filter(file => !isCompanionFile(file));
+  const cueSheets = new Map();
+  const folderCovers = new Map();
+  const matchedLyrics = new Set();
   const validFiles = [];
   const errors = [];
   
-  for (const file of fileArray) {
-    if (!isAudioFile(file)) {
-      errors.push(`${file.name}: Unsupported file format`);
+  for (const entry of audioFiles) {
+    if (!isAudioFile(entry)) {
+      errors.push(`${entry.name}: Unsupported file format`);
       continue;
     }
     
-    if (!isValidFileSize(file)) {
-      errors.push(`${file.name}: File size too large (max 50MB)`);
+    if (!isValidFileSize(entry)) {
+      errors.push(`${entry.name}: File size too large (max 50MB)`);
       continue;
     }
     
     try {
-      const metadata = await extractMetadata(file);
+      const file = await openFile(entry);
+      // Tags are read once and shared by metadata, ReplayGain and artwork
+      const tags = await readTags(file);
+      const metadata = applyCueDetails(await extractMetadata(file, tags), await findCueDetails(file, cueFiles, cueSheets));
+      const loudness = await analyzeLoudness(file, tags, metadata.duration);
+      // Embedded artwork first, else the folder's cover image
+      const folderCover = pickFolderCover(coverImages.filter(item => getFolderPath(item) === getFolderPath(file)));
+      const artwork = await extractArtwork(file, tags) ||
+        (folderCover && await readCached(folderCovers, folderCover, createThumbnail));
+      // Hash of the audio payload, for spotting re-imports of the same recording
+      const fingerprint = await computeAudioFingerprint(file);
+      // A separate .lrc file takes precedence over embedded lyrics
+      const lyricsFile = lyricsFiles.find(item => (
+        getFolderPath(item) === getFolderPath(file) && getLyricsMatchKey(item.name) === getLyricsMatchKey(file.name)
+      ));
+      const lyrics = (lyricsFile && await readLyricsFile(await openFile(lyricsFile))) || metadata.lyrics || null;
+      if (lyricsFile) matchedLyrics.add(lyricsFile);
+
       validFiles.push({
         file,
-        metadata,
+        metadata: {
+          ...metadata,
+          ...loudness,
+          lyrics,
+          fingerprint,
+          // Folder hint for grouping untagged files (see getAlbumKey)
+          folder: getFolderPath(file),
+          // Thumbnail object URL; revoked with revokeAudioUrl when the track is removed
+          artwork: artwork ? createAudioUrl(artwork) : null
+        },
         id: generateFileId(file),
         url: createAudioUrl(file)
       });
     } catch (error) {
-      errors.push(`${file.name}: Failed to process file`);
+      errors.push(`${entry.name}: Failed to process file`);
     }
   }
   
+  lyricsFiles
+    .filter(file => !matchedLyrics.has(file))
+    .forEach(file => errors.push(`${file.name}: No audio file with the same name`));
+  
   return { validFiles, errors };
 };
 
@@ -190,18 +469,28 @@ export const calculateProgress = (current, total) => {
  * Debounce function for performance optimization
  * @param {Function} func - Function to debounce
  * @param {number} wait - Wait time in milliseconds
- * @returns {Function} - Debounced function
+ * @returns {Function} - Debounced function; its flush method runs a
+ *   pending call straight away
  */
 export const debounce = (func, wait) => {
   let timeout;
-  return function executedFunction(...args) {
-    const later = () => {
-      clearTimeout(timeout);
-      func(...args);
-    };
+  let pendingArgs = null;
+
+  const executedFunction = function executedFunction(...args) {
+    pendingArgs = args;
+    clearTimeout(timeout);
+    timeout = setTimeout(executedFunction.flush, wait);
+  };
+
+  executedFunction.flush = () => {
     clearTimeout(timeout);
-    timeout = setTimeout(later, wait);
+    if (!pendingArgs) return;
+    const args = pendingArgs;
+    pendingArgs = null;
+    func(...args);
   };
+
+  return executedFunction;
 };
 
 /**
@@ -218,6 +507,36 @@ export const shuffleArray = (array) => {
   return shuffled;
 };
 
+/**
+ * Brings a shuffle order in step with a playlist. Tracks that left the
+ * playlist are dropped and new ones are slotted in at random after the
+ * current track, so the rest of the order is kept. When none of the order is
+ * left, a new one is built with the current track first.
+ * @param {string[]} order - Shuffle order of track ids, empty to start one
+ * @param {string[]} trackIds - Track ids of the playlist
+ * @param {string|null} currentId - Id of the current track
+ * @returns {string[]} - Shuffle order of track ids; the same array when
+ *   nothing changed
+ */
+export const updateShuffleOrder = (order, trackIds, currentId = null) => {
+  const members = new Set(trackIds);
+  const kept = order.filter(id => members.has(id));
+  if (kept.length === 0) {
+    const rest = shuffleArray(trackIds.filter(id => id !== currentId));
+    return members.has(currentId) ? [currentId, ...rest] : rest;
+  }
+
+  const known = new Set(kept);
+  const added = trackIds.filter(id => !known.has(id));
+  if (added.length === 0 && kept.length === order.length) return order;
+
+  const start = kept.indexOf(currentId) + 1;
+  shuffleArray(added).forEach((id) => {
+    kept.splice(start + Math.floor(Math.random() * (kept.length - start + 1)), 0, id);
+  });
+  return kept;
+};
+
 /**
  * Gets the next track index based on repeat and shuffle modes
  * @param {number} currentIndex - Current track index
@@ -256,4 +575,99 @@ export const getPreviousTrackIndex = (currentIndex, totalTracks, shuffle = false
   }
   
   return currentIndex === 0 ? totalTracks - 1 : currentIndex - 1;
-};
\ No newline at end of file
+};
+
+/**
+ * Gets the index of the track before (-1) or after (1) the current one in
+ * playback order, honouring the queue, shuffle and repeat. Queued tracks come
+ * first; while one plays, the playlist order carries on from the anchor, the
+ * track that was playing before the queue took over. Manual skips move on
+ * even with repeat one.
+ * @param {Object[]} playlist - Tracks in playlist order
+ * @param {Object} state - { currentIndex (-1 without a current track),
+ *   repeatMode, shuffledIndices (null when not shuffled), queue, queueAnchorId }
+ * @param {number} direction - -1 for the previous track, 1 for the next
+ * @param {boolean} isManual - Whether the user asked to skip
+ * @returns {number} - Track index, or -1 past either end with repeat off
+ */
+export const getAdjacentTrackIndex = (playlist, state, direction, isManual = false) => {
+  const { currentIndex, repeatMode, shuffledIndices = null, queue = [], queueAnchorId = null } = state;
+  if (playlist.length === 0) return -1;
+
+  const anchorIndex = queueAnchorId !== null
+    ? playlist.findIndex(track => track.id === queueAnchorId)
+    : -1;
+
+  if (direction > 0 && queue.length > 0) {
+    const queuedIndex = playlist.findIndex(track => track.id === queue[0].trackId);
+    if (queuedIndex !== -1) return queuedIndex;
+  }
+  if (direction < 0 && anchorIndex !== -1) return anchorIndex;
+  if (currentIndex === -1) return -1;
+  if (repeatMode === 'one' && !isManual) return currentIndex;
+
+  const fromIndex = anchorIndex !== -1 ? anchorIndex : currentIndex;
+  const isShuffled = shuffledIndices !== null;
+  const order = isShuffled ? shuffledIndices : [];
+  const position = isShuffled ? order.indexOf(fromIndex) : fromIndex;
+  const isAtEdge = direction > 0 ? position >= playlist.length - 1 : position <= 0;
+  if (isAtEdge && repeatMode === 'off') return -1;
+
+  return direction > 0
+    ? getNextTrackIndex(fromIndex, playlist.length, isShuffled, order)
+    : getPreviousTrackIndex(fromIndex, playlist.length, isShuffled, order);
+};
+
+/**
+ * Moves the queue on when a track starts playing. The queue head is taken
+ * off once it plays, and the track that was playing before becomes the
+ * anchor unless one is set already; any other track clears the anchor.
+ * @param {Object} state - { queue: [{ id, trackId }], anchorId }
+ * @param {string} trackId - Id of the track now playing
+ * @param {string|null} previousId - Id of the track that played before
+ * @returns {Object} - { queue, anchorId }
+ */
+export const advanceQueue = ({ queue, anchorId }, trackId, previousId) => {
+  if (queue.length > 0 && queue[0].trackId === trackId) {
+    return { queue: queue.slice(1), anchorId: anchorId !== null ? anchorId : previousId };
+  }
+  return { queue, anchorId: null };
+};
+
+/**
+ * Fade curves available for crossfading between tracks
+ */
+export const CROSSFADE_CURVES = ['linear', 'equal-power', 'logarithmic'];
+
+// Level (in dB) at which the logarithmic curve starts and ends
+const LOG_FADE_FLOOR_DB = -60;
+
+/**
+ * Gets the outgoing and incoming gains at a point in a crossfade
+ * @param {number} progress - Fade progress (0-1)
+ * @param {string} curve - One of CROSSFADE_CURVES
+ * @returns {Object} - Gains (0-1) for the outgoing and incoming tracks
+ */
+export const getCrossfadeGains = (progress, curve = 'equal-power') => {
+  const p = Math.max(0, Math.min(1, progress));
+
+  if (curve === 'equal-power') {
+    return {
+      fadeOut: Math.cos(p * Math.PI / 2),
+      fadeIn: Math.sin(p * Math.PI / 2)
+    };
+  }
+
+  if (curve === 'logarithmic') {
+    const toGain = (level) => (level <= 0 ? 0 : Math.pow(10, (LOG_FADE_FLOOR_DB * (1 - level)) / 20));
+    return {
+      fadeOut: toGain(1 - p),
+      fadeIn: toGain(p)
+    };
+  }
+
+  return {
+    fadeOut: 1 - p,
+    fadeIn: p
+  };
+};
@@ -0,0 +1,89 @@
+import { advanceQueue, getAdjacentTrackIndex, updateShuffleOrder } from './audioUtils';
+
+const IDS = ['a', 'b', 'c', 'd', 'e'];
+
+describe('updateShuffleOrder', () => {
+  it('starts a new order with the current track', () => {
+    const order = updateShuffleOrder([], IDS, 'c');
+
+    expect(order[0]).toBe('c');
+    expect([...order].sort()).toEqual(IDS);
+  });
+
+  it('keeps the order while the tracks stay the same', () => {
+    const order = ['c', 'a', 'e', 'b', 'd'];
+
+    expect(updateShuffleOrder(order, IDS, 'c')).toBe(order);
+    expect(updateShuffleOrder(order, ['e', 'd', 'c', 'b', 'a'], 'c')).toBe(order);
+  });
+
+  it('drops tracks that left and slots new ones in after the current track', () => {
+    const order = ['c', 'a', 'e', 'b', 'd'];
+    const updated = updateShuffleOrder(order, ['a', 'b', 'c', 'd', 'f', 'g'], 'a');
+
+    expect(updated.filter(id => id !== 'f' && id !== 'g')).toEqual(['c', 'a', 'b', 'd']);
+    expect(updated.indexOf('f')).toBeGreaterThan(updated.indexOf('a'));
+    expect(updated.indexOf('g')).toBeGreaterThan(updated.indexOf('a'));
+  });
+
+  it('starts over when none of the order is left', () => {
+    const order = updateShuffleOrder(['a', 'b'], ['x', 'y', 'z'], 'y');
+
+    expect(order[0]).toBe('y');
+    expect([...order].sort()).toEqual(['x', 'y', 'z']);
+  });
+});
+
+describe('getAdjacentTrackIndex', () => {
+  const playlist = IDS.map(id => ({ id }));
+  const state = { currentIndex: 1, repeatMode: 'off' };
+
+  it('steps through the playlist and stops at either end with repeat off', () => {
+    expect(getAdjacentTrackIndex(playlist, state, 1)).toBe(2);
+    expect(getAdjacentTrackIndex(playlist, state, -1)).toBe(0);
+    expect(getAdjacentTrackIndex(playlist, { ...state, currentIndex: 4 }, 1)).toBe(-1);
+    expect(getAdjacentTrackIndex(playlist, { ...state, currentIndex: 0 }, -1)).toBe(-1);
+  });
+
+  it('wraps around with repeat all and stays put with repeat one', () => {
+    expect(getAdjacentTrackIndex(playlist, { currentIndex: 4, repeatMode: 'all' }, 1)).toBe(0);
+    expect(getAdjacentTrackIndex(playlist, { currentIndex: 0, repeatMode: 'all' }, -1)).toBe(4);
+    expect(getAdjacentTrackIndex(playlist, { currentIndex: 2, repeatMode: 'one' }, 1)).toBe(2);
+    expect(getAdjacentTrackIndex(playlist, { currentIndex: 2, repeatMode: 'one' }, 1, true)).toBe(3);
+  });
+
+  it('follows the shuffle order', () => {
+    const shuffled = { ...state, currentIndex: 3, shuffledIndices: [3, 0, 4, 2, 1] };
+
+    expect(getAdjacentTrackIndex(playlist, shuffled, 1)).toBe(0);
+    expect(getAdjacentTrackIndex(playlist, { ...shuffled, currentIndex: 1 }, 1)).toBe(-1);
+    expect(getAdjacentTrackIndex(playlist, { ...shuffled, currentIndex: 1, repeatMode: 'all' }, 1)).toBe(3);
+  });
+
+  it('plays the queue first and carries on from the anchor', () => {
+    const queue = [{ id: 'q1', trackId: 'e' }];
+
+    expect(getAdjacentTrackIndex(playlist, { ...state, queue }, 1)).toBe(4);
+    expect(getAdjacentTrackIndex(playlist, { ...state, currentIndex: 4, queueAnchorId: 'b' }, 1)).toBe(2);
+    expect(getAdjacentTrackIndex(playlist, { ...state, currentIndex: 4, queueAnchorId: 'b' }, -1)).toBe(1);
+  });
+
+  it('has nothing to play without a current track or tracks', () => {
+    expect(getAdjacentTrackIndex(playlist, { ...state, currentIndex: -1 }, 1)).toBe(-1);
+    expect(getAdjacentTrackIndex([], state, 1)).toBe(-1);
+  });
+});
+
+describe('advanceQueue', () => {
+  const queue = [{ id: 'q1', trackId: 'c' }, { id: 'q2', trackId: 'd' }];
+
+  it('takes the head off when it plays and anchors on the track before', () => {
+    const first = advanceQueue({ queue, anchorId: null }, 'c', 'a');
+    expect(first).toEqual({ queue: [queue[1]], anchorId: 'a' });
+    expect(advanceQueue(first, 'd', 'c')).toEqual({ queue: [], anchorId: 'a' });
+  });
+
+  it('clears the anchor when another track plays', () => {
+    expect(advanceQueue({ queue, anchorId: 'a' }, 'b', 'c')).toEqual({ queue, anchorId: null });
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Chapter markers
+ * Reads chapters from ID3v2 CHAP/CTOC frames, MP4 Nero (`chpl`) and
+ * QuickTime chapter tracks, and Vorbis CHAPTERxxx comments into
+ * [{ title, start, end }] with times in seconds.
+ */
+
+import { decodeTextFrame, parseFrames, splitTerminated } from './id3';
+import { getMp4ChapterSamples, getMp4NeroChapters } from './mp4';
+
+// CTOC flag marking the root table of contents
+const CTOC_TOP_LEVEL = 0x02;
+
+const readUint32 = (bytes, offset) => {
+  return bytes[offset] * 0x1000000 + (bytes[offset + 1] << 16) + (bytes[offset + 2] << 8) + bytes[offset + 3];
+};
+
+/**
+ * Decodes a CHAP frame
+ * @param {Uint8Array} data - Frame body
+ * @param {number} version - ID3v2 major version, for the embedded frames
+ * @returns {Object} - { elementId, title, start, end }
+ */
+const decodeChapterFrame = (data, version) => {
+  const { value: elementId, rest } = splitTerminated(data, 0);
+  const subFrames = parseFrames(rest.subarray(16), version);
+  const title = subFrames.find(frame => frame.id === 'TIT2');
+
+  return {
+    elementId,
+    title: title ? decodeTextFrame(title.data) : '',
+    start: readUint32(rest, 0) / 1000,
+    end: readUint32(rest, 4) / 1000
+  };
+};
+
+/**
+ * Decodes a CTOC frame
+ * @param {Uint8Array} data - Frame body
+ * @returns {Object} - { elementId, isTopLevel, children (element ids) }
+ */
+const decodeTocFrame = (data) => {
+  const { value: elementId, rest } = splitTerminated(data, 0);
+  const isTopLevel = !!(rest[0] & CTOC_TOP_LEVEL);
+  const children = [];
+  let entries = rest.subarray(2);
+
+  for (let i = 0; i < rest[1] && entries.length > 0; i++) {
+    const { value, rest: next } = splitTerminated(entries, 0);
+    children.push(value);
+    entries = next;
+  }
+
+  return { elementId, isTopLevel, children };
+};
+
+/**
+ * Reads chapters from ID3v2 frames. When there is a top-level table of
+ * contents, only the chapters it reaches (directly or through nested
+ * tables) are kept.
+ * @param {Object[]} frames - Frames from parseId3v2
+ * @param {number} version - ID3v2 major version
+ * @returns {Object[]} - Chapters ({ title, start, end })
+ */
+export const getId3Chapters = (frames, version) => {
+  const chapters = frames
+    .filter(frame => frame.id === 'CHAP')
+    .map(frame => decodeChapterFrame(frame.data, version));
+  const tocs = frames
+    .filter(frame => frame.id === 'CTOC')
+    .map(frame => decodeTocFrame(frame.data));
+  const root = tocs.find(toc => toc.isTopLevel);
+  if (!root) return chapters;
+
+  const reachable = new Set();
+  const visit = (toc) => {
+    toc.children.forEach((id) => {
+      if (reachable.has(id)) return;
+      reachable.add(id);
+      const nested = tocs.find(item => item.elementId === id);
+      if (nested) visit(nested);
+    });
+  };
+  visit(root);
+
+  return chapters.filter(chapter => reachable.has(chapter.elementId));
+};
+
+// Chapter text samples: a 16-bit length, then UTF-8 or BOM-marked UTF-16 text
+const decodeChapterSample = (bytes) => {
+  const length = (bytes[0] << 8) | bytes[1];
+  const text = bytes.subarray(2, 2 + length);
+  if (text[0] === 0xfe && text[1] === 0xff) {
+    return new TextDecoder('utf-16be').decode(text.subarray(2));
+  }
+  return new TextDecoder('utf-8').decode(text);
+};
+
+/**
+ * Reads MP4 chapters, from the Nero `chpl` box or else the QuickTime
+ * chapter track (whose titles are read from the media data)
+ * @param {Blob} file - The audio file
+ * @param {Uint8Array} movie - Contents of the moov box
+ * @returns {Promise<Object[]>} - Chapters ({ title, start })
+ */
+export const readMp4Chapters = async (file, movie) => {
+  const nero = getMp4NeroChapters(movie);
+  if (nero.length > 0) return nero;
+
+  const samples = getMp4ChapterSamples(movie);
+  return Promise.all(samples.map(async (sample) => {
+    const bytes = new Uint8Array(await file.slice(sample.offset, sample.offset + sample.size).arrayBuffer());
+    return { title: decodeChapterSample(bytes).trim(), start: sample.start };
+  }));
+};
+
+/**
+ * Reads Vorbis comment chapters (CHAPTER001=00:01:02.500, CHAPTER001NAME=...)
+ * @param {Object} fields - Vorbis comments keyed by upper-case name
+ * @returns {Object[]} - Chapters ({ title, start })
+ */
+export const getVorbisChapters = (fields) => {
+  return Object.keys(fields)
+    .filter(key => /^CHAPTER\d+$/.test(key))
+    .map((key) => {
+      const match = /^(\d+):(\d{2}):(\d{2}(?:\.\d+)?)$/.exec(fields[key].trim());
+      if (!match) return null;
+      return {
+        title: fields[`${key}NAME`] || '',
+        start: parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 + parseFloat(match[3])
+      };
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Sorts chapters and fills in missing titles and end times
+ * @param {Object[]} chapters - Chapters ({ title, start, end? })
+ * @param {number} duration - Track duration in seconds (0 when unknown)
+ * @returns {Object[]} - Chapters ({ title, start, end }); end is null for
+ *   the last chapter when the duration is unknown
+ */
+export const finalizeChapters = (chapters, duration) => {
+  const length = isFinite(duration) && duration > 0 ? duration : 0;
+  const sorted = (chapters || [])
+    .filter(chapter => isFinite(chapter.start) && (!length || chapter.start < length))
+    .sort((a, b) => a.start - b.start);
+
+  return sorted.map((chapter, index) => {
+    const next = sorted[index + 1];
+    const limit = next ? next.start : length || null;
+    const end = chapter.end > chapter.start && (limit === null || chapter.end < limit) ? chapter.end : limit;
+
+    return {
+      title: chapter.title || `Chapter ${index + 1}`,
+      start: chapter.start,
+      end
+    };
+  });
+};
+
+/**
+ * Finds the chapter playing at a time
+ * @param {Object[]} chapters - Chapters sorted by start
+ * @param {number} time - Time in seconds
+ * @returns {number} - Index of the chapter, or -1 before the first one
+ */
+export const getChapterIndex = (chapters, time) => {
+  for (let i = chapters.length - 1; i >= 0; i--) {
+    if (chapters[i].start <= time) return i;
+  }
+  return -1;
+};
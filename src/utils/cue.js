@@ -0,0 +1,118 @@
+/**
+ * CUE sheets
+ * Reads the track list of a CUE sheet so a whole-album rip in one audio
+ * file gets chapter markers and album details.
+ */
+
+import { getLyricsMatchKey } from './lyrics';
+
+export const CUE_EXTENSIONS = ['.cue'];
+
+// INDEX times are mm:ss:ff with 75 frames per second
+const FRAMES_PER_SECOND = 75;
+
+/**
+ * Checks whether a file is a CUE sheet
+ * @param {File} file - The file to check
+ * @returns {boolean} - True for .cue files
+ */
+export const isCueFile = (file) => {
+  const name = file.name.toLowerCase();
+  return CUE_EXTENSIONS.some(extension => name.endsWith(extension));
+};
+
+const unquote = (value) => value.trim().replace(/^"(.*)"$/, '$1');
+
+/**
+ * Parses a CUE sheet
+ * @param {string} text - Sheet contents
+ * @returns {Object|null} - { title, performer, files: [{ name, tracks:
+ *   [{ number, title, performer, start }] }] }, or null without any FILE
+ */
+export const parseCue = (text) => {
+  const sheet = { title: '', performer: '', files: [] };
+  let file = null;
+  let track = null;
+
+  text.split(/\r?\n/).forEach((rawLine) => {
+    const match = /^(\S+)\s*(.*)$/.exec(rawLine.trim());
+    if (!match) return;
+
+    const command = match[1].toUpperCase();
+    const args = match[2];
+
+    if (command === 'FILE') {
+      // FILE "name" TYPE, where the name is only quoted when it has spaces
+      const fileMatch = /^"(.*)"\s+\S+$/.exec(args) || /^(\S+)\s+\S+$/.exec(args);
+      file = { name: fileMatch ? fileMatch[1] : unquote(args), tracks: [] };
+      track = null;
+      sheet.files.push(file);
+    } else if (command === 'TRACK' && file) {
+      track = { number: parseInt(args, 10), title: '', performer: '', start: null };
+      file.tracks.push(track);
+    } else if (command === 'TITLE' || command === 'PERFORMER') {
+      (track || sheet)[command.toLowerCase()] = unquote(args);
+    } else if (command === 'INDEX' && track) {
+      const index = /^(\d+)\s+(\d+):(\d{2}):(\d{2})$/.exec(args);
+      if (index && parseInt(index[1], 10) === 1) {
+        track.start = parseInt(index[2], 10) * 60 + parseInt(index[3], 10) + parseInt(index[4], 10) / FRAMES_PER_SECOND;
+      }
+    }
+  });
+
+  return sheet.files.length > 0 ? sheet : null;
+};
+
+/**
+ * Reads a CUE sheet file. Sheets from older rippers are often Windows-1252
+ * rather than UTF-8.
+ * @param {Blob} file - The .cue file
+ * @returns {Promise<Object|null>} - Parsed sheet (see parseCue), or null
+ */
+export const readCueFile = async (file) => {
+  try {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    let text = new TextDecoder('utf-8').decode(bytes);
+    if (text.includes('\uFFFD')) {
+      text = new TextDecoder('windows-1252').decode(bytes);
+    }
+    return parseCue(text.replace(/^\uFEFF/, ''));
+  } catch (error) {
+    console.error(`Failed to read CUE sheet ${file.name}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Gets what a CUE sheet says about an audio file: the album details and one
+ * chapter per track. The sheet applies when one of its FILE lines names the
+ * audio file, or when it describes a single file and shares the audio
+ * file's name.
+ * @param {Object} sheet - Parsed sheet
+ * @param {string} sheetName - File name of the sheet
+ * @param {string} audioName - File name of the audio file
+ * @returns {Object|null} - { album, artist, chapters } or null when the
+ *   sheet is about other files
+ */
+export const getCueDetails = (sheet, sheetName, audioName) => {
+  const audioKey = getLyricsMatchKey(audioName);
+  const file = sheet.files.find(item => item.name.split(/[\\/]/).pop().toLowerCase() === audioName.toLowerCase()) ||
+    (sheet.files.length === 1 && getLyricsMatchKey(sheetName) === audioKey ? sheet.files[0] : null);
+  if (!file) return null;
+
+  const chapters = file.tracks
+    .filter(track => track.start !== null)
+    .map(track => ({
+      title: track.performer && track.performer !== sheet.performer
+        ? `${track.performer} – ${track.title}`
+        : track.title,
+      start: track.start
+    }));
+
+  return {
+    album: sheet.title,
+    artist: sheet.performer,
+    // A sheet with one track has nothing to navigate
+    chapters: chapters.length > 1 ? chapters : []
+  };
+};
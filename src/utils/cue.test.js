@@ -0,0 +1,63 @@
+import { getCueDetails, parseCue } from './cue';
+
+const SHEET = [
+  'REM GENRE Rock',
+  'PERFORMER "The Band"',
+  'TITLE "Live Album"',
+  'FILE "Live Album.flac" WAVE',
+  '  TRACK 01 AUDIO',
+  '    TITLE "Intro"',
+  '    INDEX 01 00:00:00',
+  '  TRACK 02 AUDIO',
+  '    TITLE "Song"',
+  '    PERFORMER "Guest"',
+  '    INDEX 00 03:58:00',
+  '    INDEX 01 04:02:37'
+].join('\r\n');
+
+describe('parseCue', () => {
+  it('reads the album and the tracks of each file', () => {
+    expect(parseCue(SHEET)).toEqual({
+      title: 'Live Album',
+      performer: 'The Band',
+      files: [{
+        name: 'Live Album.flac',
+        tracks: [
+          { number: 1, title: 'Intro', performer: '', start: 0 },
+          { number: 2, title: 'Song', performer: 'Guest', start: 4 * 60 + 2 + 37 / 75 }
+        ]
+      }]
+    });
+  });
+
+  it('reads unquoted file names', () => {
+    expect(parseCue('FILE album.wav WAVE').files[0].name).toBe('album.wav');
+  });
+
+  it('returns null for sheets without files', () => {
+    expect(parseCue('TITLE "Nothing"')).toBeNull();
+  });
+});
+
+describe('getCueDetails', () => {
+  const sheet = parseCue(SHEET);
+
+  it('applies to the file the sheet names', () => {
+    expect(getCueDetails(sheet, 'rip.cue', 'live album.FLAC')).toEqual({
+      album: 'Live Album',
+      artist: 'The Band',
+      chapters: [
+        { title: 'Intro', start: 0 },
+        { title: 'Guest – Song', start: 4 * 60 + 2 + 37 / 75 }
+      ]
+    });
+  });
+
+  it('applies to a single-file sheet with the same name as the audio file', () => {
+    expect(getCueDetails(sheet, 'Live Album.cue', 'Live Album.mp3')).not.toBeNull();
+  });
+
+  it('ignores sheets about other files', () => {
+    expect(getCueDetails(sheet, 'rip.cue', 'Other.flac')).toBeNull();
+  });
+});
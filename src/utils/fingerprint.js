@@ -0,0 +1,279 @@
+/**
+ * Audio content fingerprints
+ * Hashes only the audio payload of a file, leaving out ID3, APE, Vorbis
+ * comment and MP4 metadata, so copies that differ only in their tags are
+ * recognised as the same recording.
+ */
+
+import { readId3v2 } from './id3';
+import { getFlacAudioOffset } from './flac';
+import { findTopLevelBox, isMp4 } from './mp4';
+import { isOgg } from './vorbis';
+
+const ID3V1_SIZE = 128;
+const APE_FOOTER_SIZE = 32;
+const APE_HAS_HEADER = 0x80000000;
+const OGG_PAGE_HEADER_SIZE = 27;
+// The payload is read and hashed this much at a time
+const HASH_SLICE_SIZE = 1024 * 1024;
+
+const latin1 = new TextDecoder('iso-8859-1');
+
+const readUint32LE = (bytes, offset) => {
+  return bytes[offset] + (bytes[offset + 1] << 8) + (bytes[offset + 2] << 16) + bytes[offset + 3] * 0x1000000;
+};
+
+const startsWith = (bytes, text, offset = 0) => {
+  return latin1.decode(bytes.subarray(offset, offset + text.length)) === text;
+};
+
+const readBytes = async (file, start, end) => {
+  return new Uint8Array(await file.slice(start, end).arrayBuffer());
+};
+
+/**
+ * Finds where the audio of a raw MPEG/ADTS stream ends, before a trailing
+ * APEv2 and/or ID3v1 tag
+ * @param {Blob} file - The audio file
+ * @param {number} start - Offset of the audio data
+ * @returns {Promise<number>} - End offset of the audio data
+ */
+const getRawAudioEnd = async (file, start) => {
+  let end = file.size;
+
+  if (end - ID3V1_SIZE >= start && startsWith(await readBytes(file, end - ID3V1_SIZE, end - ID3V1_SIZE + 3), 'TAG')) {
+    end -= ID3V1_SIZE;
+  }
+
+  if (end - APE_FOOTER_SIZE >= start) {
+    const footer = await readBytes(file, end - APE_FOOTER_SIZE, end);
+    if (startsWith(footer, 'APETAGEX')) {
+      // The size covers the items and footer; the optional header comes on top
+      const hasHeader = readUint32LE(footer, 20) & APE_HAS_HEADER;
+      end -= readUint32LE(footer, 12) + (hasHeader ? APE_FOOTER_SIZE : 0);
+    }
+  }
+
+  return Math.max(start, end);
+};
+
+/**
+ * Finds the `data` chunk of a WAV file
+ * @param {Blob} file - The audio file
+ * @returns {Promise<Object|null>} - { start, end } or null
+ */
+const findWavData = async (file) => {
+  let offset = 12;
+  while (offset + 8 <= file.size) {
+    const header = await readBytes(file, offset, offset + 8);
+    const size = readUint32LE(header, 4);
+    if (startsWith(header, 'data')) {
+      return { start: offset + 8, end: Math.min(file.size, offset + 8 + size) };
+    }
+    // Chunks are padded to an even length
+    offset += 8 + size + (size % 2);
+  }
+  return null;
+};
+
+/**
+ * Hashes bytes in fixed-size slices as they come in, whatever pieces they
+ * arrive in, and keeps the slice digests for hashing together at the end
+ * @param {Function} digest - Async hash of a Uint8Array into a Uint8Array
+ * @returns {Object} - { add(bytes), finish() } where finish resolves to
+ *   { digests (concatenated), length (bytes hashed) }
+ */
+const createSliceHasher = (digest) => {
+  const slice = new Uint8Array(HASH_SLICE_SIZE);
+  const digests = [];
+  let filled = 0;
+  let length = 0;
+
+  const flush = async () => {
+    if (filled > 0) digests.push(await digest(slice.subarray(0, filled)));
+    filled = 0;
+  };
+
+  const add = async (bytes) => {
+    length += bytes.length;
+    let offset = 0;
+    while (offset < bytes.length) {
+      const count = Math.min(bytes.length - offset, HASH_SLICE_SIZE - filled);
+      slice.set(bytes.subarray(offset, offset + count), filled);
+      filled += count;
+      offset += count;
+      if (filled === HASH_SLICE_SIZE) await flush();
+    }
+  };
+
+  const finish = async () => {
+    await flush();
+    const joined = new Uint8Array(digests.reduce((total, item) => total + item.length, 0));
+    digests.reduce((at, item) => {
+      joined.set(item, at);
+      return at + item.length;
+    }, 0);
+    return { digests: joined, length };
+  };
+
+  return { add, finish };
+};
+
+/**
+ * Feeds a byte range of a file to a hasher, a slice at a time
+ * @param {Blob} file - The audio file
+ * @param {number} start - Start offset
+ * @param {number} end - End offset
+ * @param {Object} hasher - From createSliceHasher
+ */
+const addRange = async (file, start, end, hasher) => {
+  for (let offset = start; offset < end; offset += HASH_SLICE_SIZE) {
+    await hasher.add(await readBytes(file, offset, Math.min(end, offset + HASH_SLICE_SIZE)));
+  }
+};
+
+/**
+ * Feeds the bodies of the Ogg pages that carry audio to a hasher. Header
+ * pages (identification, comments, setup) have a granule position of zero;
+ * page headers are left out because their sequence numbers and checksums
+ * change when the comment packet grows or shrinks.
+ * @param {Blob} file - The audio file
+ * @param {number} start - Offset of the first page
+ * @param {Object} hasher - From createSliceHasher
+ */
+const addOggAudio = async (file, start, hasher) => {
+  // Pages are read a slice at a time; a page cut off at the end of one
+  // slice is carried over to the next
+  let carried = new Uint8Array(0);
+
+  for (let offset = start; offset < file.size; offset += HASH_SLICE_SIZE) {
+    const read = await readBytes(file, offset, offset + HASH_SLICE_SIZE);
+    const bytes = new Uint8Array(carried.length + read.length);
+    bytes.set(carried);
+    bytes.set(read, carried.length);
+
+    let at = 0;
+    while (at + OGG_PAGE_HEADER_SIZE <= bytes.length) {
+      if (!startsWith(bytes, 'OggS', at)) return;
+
+      const segmentCount = bytes[at + 26];
+      const bodyStart = at + OGG_PAGE_HEADER_SIZE + segmentCount;
+      if (bodyStart > bytes.length) break;
+
+      let bodySize = 0;
+      for (let i = 0; i < segmentCount; i++) {
+        bodySize += bytes[at + OGG_PAGE_HEADER_SIZE + i];
+      }
+      if (bodyStart + bodySize > bytes.length) break;
+
+      const isHeaderPage = bytes.subarray(at + 6, at + 14).every(byte => byte === 0);
+      if (!isHeaderPage) await hasher.add(bytes.subarray(bodyStart, bodyStart + bodySize));
+      at = bodyStart + bodySize;
+    }
+
+    carried = bytes.slice(at);
+  }
+};
+
+/**
+ * Feeds the audio payload of a file, without its tags, to a hasher
+ * @param {Blob} file - The audio file
+ * @param {Object} hasher - From createSliceHasher
+ */
+const addAudioPayload = async (file, hasher) => {
+  const tag = await readId3v2(file);
+  const dataOffset = tag ? tag.size : 0;
+  const head = await readBytes(file, dataOffset, dataOffset + 12);
+
+  if (startsWith(head, 'fLaC')) {
+    return addRange(file, await getFlacAudioOffset(file), file.size, hasher);
+  }
+
+  if (isOgg(head)) {
+    return addOggAudio(file, dataOffset, hasher);
+  }
+
+  if (isMp4(head)) {
+    const mediaData = await findTopLevelBox(file, 'mdat');
+    if (mediaData) return addRange(file, mediaData.start, mediaData.end, hasher);
+  }
+
+  if (startsWith(head, 'RIFF') && startsWith(head, 'WAVE', 8)) {
+    const data = await findWavData(file);
+    if (data) return addRange(file, data.start, data.end, hasher);
+  }
+
+  return addRange(file, dataOffset, await getRawAudioEnd(file, dataOffset), hasher);
+};
+
+const sha256 = async (bytes) => new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+
+// 32-bit FNV-1a, for browsers without SubtleCrypto (e.g. pages served over plain HTTP)
+const fnv1a = async (bytes) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < bytes.length; i++) {
+    hash ^= bytes[i];
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return new Uint8Array([hash >>> 24, (hash >>> 16) & 0xff, (hash >>> 8) & 0xff, hash & 0xff]);
+};
+
+const toHex = (bytes) => {
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Computes a fingerprint of a file's audio payload: the payload is hashed
+ * in 1 MB slices and the slice digests hashed together, so the file is
+ * never held in memory whole
+ * @param {Blob} file - The audio file
+ * @returns {Promise<string|null>} - SHA-256 hex digest (or a weaker
+ *   hash plus the payload length without SubtleCrypto), or null when the
+ *   file cannot be read
+ */
+export const computeAudioFingerprint = async (file) => {
+  try {
+    const digest = typeof crypto !== 'undefined' && crypto.subtle ? sha256 : fnv1a;
+    const hasher = createSliceHasher(digest);
+    await addAudioPayload(file, hasher);
+    const { digests, length } = await hasher.finish();
+    if (length === 0) return null;
+
+    const hash = toHex(await digest(digests));
+    return digest === sha256 ? `sha256-sliced:${hash}` : `fnv1a-sliced:${hash}-${length}`;
+  } catch (error) {
+    console.error('Failed to fingerprint audio:', error);
+    return null;
+  }
+};
+
+/**
+ * Splits imported files into new recordings and duplicates of tracks in the
+ * playlist or of earlier files in the same batch
+ * @param {Object[]} validFiles - Files from validateAudioFiles
+ * @param {Object[]} tracks - Tracks already in the playlist
+ * @returns {Object} - { unique, duplicates } where unique lists the files to
+ *   add and each duplicate is { item, existing } with existing being the
+ *   playlist track or the unique file it matches
+ */
+export const splitDuplicates = (validFiles, tracks) => {
+  const seen = new Map();
+  tracks.forEach((track) => {
+    if (track.fingerprint && !seen.has(track.fingerprint)) seen.set(track.fingerprint, track);
+  });
+
+  const unique = [];
+  const duplicates = [];
+  validFiles.forEach((item) => {
+    const { fingerprint } = item.metadata;
+    const existing = fingerprint && seen.get(fingerprint);
+    if (existing) {
+      duplicates.push({ item, existing });
+    } else {
+      unique.push(item);
+      if (fingerprint) seen.set(fingerprint, item);
+    }
+  });
+
+  return { unique, duplicates };
+};
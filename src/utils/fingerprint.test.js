@@ -0,0 +1,69 @@
+import { computeAudioFingerprint } from './fingerprint';
+
+const encoder = new TextEncoder();
+
+const uint32LE = (value) => [value & 0xff, (value >> 8) & 0xff, (value >> 16) & 0xff, (value >>> 24) & 0xff];
+
+// An empty ID3v2.4 tag of the given size, all padding
+const id3v2 = (size) => [
+  ...encoder.encode('ID3'), 4, 0, 0,
+  (size >> 21) & 0x7f, (size >> 14) & 0x7f, (size >> 7) & 0x7f, size & 0x7f,
+  ...new Array(size).fill(0)
+];
+
+const id3v1 = (title) => {
+  const tag = new Uint8Array(128);
+  tag.set(encoder.encode(`TAG${title}`));
+  return tag;
+};
+
+// MPEG frame syncs followed by varying bytes
+const mp3Audio = (length, seed = 1) => {
+  const bytes = new Uint8Array(length);
+  for (let i = 0; i < length; i++) bytes[i] = (i * 31 + seed) & 0xff;
+  bytes.set([0xff, 0xfb]);
+  return bytes;
+};
+
+// An Ogg page holding one packet shorter than 255 bytes
+const oggPage = (granule, packet) => [
+  ...encoder.encode('OggS'), 0, 0, granule, ...new Array(7).fill(0),
+  ...uint32LE(1), ...uint32LE(0), ...uint32LE(0),
+  1, packet.length, ...packet
+];
+
+describe('computeAudioFingerprint', () => {
+  it('ignores ID3v2 and ID3v1 tags', async () => {
+    const audio = mp3Audio(3000);
+    const plain = await computeAudioFingerprint(new Blob([audio]));
+    const tagged = await computeAudioFingerprint(new Blob([new Uint8Array(id3v2(500)), audio, id3v1('Song')]));
+
+    expect(plain).toEqual(expect.any(String));
+    expect(tagged).toBe(plain);
+    expect(await computeAudioFingerprint(new Blob([mp3Audio(3000, 2)]))).not.toBe(plain);
+  });
+
+  it('hashes payloads longer than a slice the same wherever they start', async () => {
+    const audio = mp3Audio(2.5 * 1024 * 1024);
+    const plain = await computeAudioFingerprint(new Blob([audio]));
+
+    expect(await computeAudioFingerprint(new Blob([new Uint8Array(id3v2(1000)), audio]))).toBe(plain);
+  });
+
+  it('leaves out Ogg header pages', async () => {
+    const audio = [...oggPage(1, [1, 2, 3]), ...oggPage(2, [4, 5])];
+    const head = oggPage(0, [...encoder.encode('OpusHead'), 1, 2]);
+    const fingerprint = (comment) => computeAudioFingerprint(new Blob([
+      new Uint8Array([...head, ...oggPage(0, [...encoder.encode('OpusTags'), ...encoder.encode(comment)]), ...audio])
+    ]));
+
+    const short = await fingerprint('short');
+
+    expect(short).toEqual(expect.any(String));
+    expect(await fingerprint('a longer comment')).toBe(short);
+  });
+
+  it('returns null without any audio', async () => {
+    expect(await computeAudioFingerprint(new Blob([new Uint8Array(id3v2(10))]))).toBeNull();
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * FLAC container reading
+ * Walks the metadata blocks after the "fLaC" marker, reading only the blocks
+ * that are asked for.
+ */
+
+import { readId3v2 } from './id3';
+
+/**
+ * Metadata block types
+ */
+export const FLAC_BLOCK_TYPES = {
+  STREAMINFO: 0,
+  PADDING: 1,
+  APPLICATION: 2,
+  SEEKTABLE: 3,
+  VORBIS_COMMENT: 4,
+  CUESHEET: 5,
+  PICTURE: 6
+};
+
+const readUint32 = (bytes, offset) => {
+  return bytes[offset] * 0x1000000 + (bytes[offset + 1] << 16) + (bytes[offset + 2] << 8) + bytes[offset + 3];
+};
+
+const isFlacMarker = (bytes) => {
+  return bytes[0] === 0x66 && bytes[1] === 0x4c && bytes[2] === 0x61 && bytes[3] === 0x43;
+};
+
+/**
+ * Walks the metadata block headers
+ * @param {Blob} file - The audio file
+ * @param {Function} visit - Called with (type, start, length) for each block
+ * @returns {Promise<number|null>} - Offset of the first audio frame, or null
+ *   when the file is not FLAC
+ */
+const walkFlacBlocks = async (file, visit) => {
+  // A stray ID3v2 tag sometimes precedes the marker
+  const tag = await readId3v2(file);
+  let offset = tag ? tag.size : 0;
+
+  const marker = new Uint8Array(await file.slice(offset, offset + 4).arrayBuffer());
+  if (marker.length < 4 || !isFlacMarker(marker)) return null;
+  offset += 4;
+
+  let isLast = false;
+
+  while (!isLast && offset + 4 <= file.size) {
+    const header = new Uint8Array(await file.slice(offset, offset + 4).arrayBuffer());
+    const type = header[0] & 0x7f;
+    const length = (header[1] << 16) | (header[2] << 8) | header[3];
+    isLast = !!(header[0] & 0x80);
+
+    await visit(type, offset + 4, length);
+    offset += 4 + length;
+  }
+
+  return offset;
+};
+
+/**
+ * Reads metadata blocks of the given types
+ * @param {Blob} file - The audio file
+ * @param {number[]} types - Block types to read (see FLAC_BLOCK_TYPES)
+ * @returns {Promise<Object[]|null>} - Blocks ({ type, data }) in file order,
+ *   or null when the file is not FLAC
+ */
+export const readFlacBlocks = async (file, types) => {
+  const blocks = [];
+  const audioOffset = await walkFlacBlocks(file, async (type, start, length) => {
+    if (types.includes(type)) {
+      const data = new Uint8Array(await file.slice(start, start + length).arrayBuffer());
+      blocks.push({ type, data });
+    }
+  });
+
+  return audioOffset === null ? null : blocks;
+};
+
+/**
+ * Finds where the audio frames start, after the metadata blocks
+ * @param {Blob} file - The audio file
+ * @returns {Promise<number|null>} - Offset, or null when the file is not FLAC
+ */
+export const getFlacAudioOffset = (file) => walkFlacBlocks(file, () => {});
+
+/**
+ * Parses a PICTURE block. The same layout is used, base64 encoded, by the
+ * METADATA_BLOCK_PICTURE Vorbis comment in Ogg files.
+ * @param {Uint8Array} bytes - Block data
+ * @returns {Object|null} - { mimeType, pictureType, description, data }
+ */
+export const parseFlacPicture = (bytes) => {
+  if (bytes.length < 32) return null;
+
+  const pictureType = readUint32(bytes, 0);
+  const mimeLength = readUint32(bytes, 4);
+  const mimeType = new TextDecoder('iso-8859-1').decode(bytes.subarray(8, 8 + mimeLength)) || 'image/jpeg';
+  let offset = 8 + mimeLength;
+
+  const descriptionLength = readUint32(bytes, offset);
+  const description = new TextDecoder('utf-8').decode(bytes.subarray(offset + 4, offset + 4 + descriptionLength));
+  offset += 4 + descriptionLength;
+
+  // Width, height, colour depth and palette size are not needed
+  offset += 16;
+  const dataLength = readUint32(bytes, offset);
+  const data = bytes.subarray(offset + 4, offset + 4 + dataLength);
+
+  return data.length === dataLength ? { mimeType, pictureType, description, data } : null;
+};
@@ -0,0 +1,65 @@
+import { FLAC_BLOCK_TYPES, getFlacAudioOffset, parseFlacPicture, readFlacBlocks } from './flac';
+
+const ascii = (text) => Array.from(text, char => char.charCodeAt(0));
+
+const uint32 = (value) => [(value >>> 24) & 0xff, (value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+
+const block = (type, data, isLast = false) => {
+  return [type | (isLast ? 0x80 : 0), (data.length >> 16) & 0xff, (data.length >> 8) & 0xff, data.length & 0xff, ...data];
+};
+
+const STREAMINFO = new Array(34).fill(0);
+const COMMENTS = [7, 0, 0, 0, ...ascii('encoder'), 0, 0, 0, 0];
+
+const flac = () => new Uint8Array([
+  ...ascii('fLaC'),
+  ...block(FLAC_BLOCK_TYPES.STREAMINFO, STREAMINFO),
+  ...block(FLAC_BLOCK_TYPES.VORBIS_COMMENT, COMMENTS),
+  ...block(FLAC_BLOCK_TYPES.PADDING, new Array(16).fill(0), true),
+  0xff, 0xf8
+]);
+
+describe('readFlacBlocks', () => {
+  it('reads only the requested blocks', async () => {
+    const blocks = await readFlacBlocks(new Blob([flac()]), [FLAC_BLOCK_TYPES.VORBIS_COMMENT]);
+
+    expect(blocks).toEqual([{ type: FLAC_BLOCK_TYPES.VORBIS_COMMENT, data: new Uint8Array(COMMENTS) }]);
+  });
+
+  it('returns an empty list when none of the blocks are present', async () => {
+    expect(await readFlacBlocks(new Blob([flac()]), [FLAC_BLOCK_TYPES.PICTURE])).toEqual([]);
+  });
+
+  it('returns null for other files', async () => {
+    expect(await readFlacBlocks(new Blob([new Uint8Array(ascii('OggS\0\0\0\0'))]), [0])).toBeNull();
+  });
+});
+
+describe('getFlacAudioOffset', () => {
+  it('finds the first frame after the last block, skipping a stray ID3v2 tag', async () => {
+    const tag = new Uint8Array([...ascii('ID3'), 3, 0, 0, 0, 0, 0, 2, 0, 0]);
+    const bytes = flac();
+
+    expect(await getFlacAudioOffset(new Blob([bytes]))).toBe(bytes.length - 2);
+    expect(await getFlacAudioOffset(new Blob([tag, bytes]))).toBe(tag.length + bytes.length - 2);
+  });
+});
+
+describe('parseFlacPicture', () => {
+  it('reads the picture type, MIME type, description and data', () => {
+    const picture = new Uint8Array([
+      ...uint32(3),
+      ...uint32(9), ...ascii('image/png'),
+      ...uint32(5), ...ascii('Cover'),
+      ...new Array(16).fill(0),
+      ...uint32(4), 1, 2, 3, 4
+    ]);
+
+    expect(parseFlacPicture(picture)).toEqual({
+      pictureType: 3,
+      mimeType: 'image/png',
+      description: 'Cover',
+      data: new Uint8Array([1, 2, 3, 4])
+    });
+  });
+});
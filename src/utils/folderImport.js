@@ -0,0 +1,248 @@
+/**
+ * Folder imports
+ * Walks dropped folders (through FileSystemEntry or FileSystemHandle),
+ * directory picker selections and ZIP archives, keeps each file's path
+ * inside the chosen folder and splits large imports into batches.
+ */
+
+import { getFolderPath, getRelativePath, isAudioFile, isCompanionFile, MAX_FILE_SIZE } from './audioUtils';
+import { getLyricsMatchKey, isLyricsFile } from './lyrics';
+import { isCueFile } from './cue';
+import { isCoverImageFile, pickFolderCover } from './artwork';
+import { extractZipEntry, isZipFile, readZipEntries } from './zip';
+import { isPlaylistFile } from './playlistFiles';
+
+// Files validated and added to the playlist at a time
+export const IMPORT_BATCH_SIZE = 20;
+
+// Files imported from folders: audio plus the lyrics, CUE sheets and covers
+// that go with it, and playlists of it
+const isImportable = (file) => isAudioFile(file) || isCompanionFile(file) || isPlaylistFile(file);
+
+// Archivers on macOS add resource forks that look like audio files
+const isSystemPath = (path) => path.startsWith('__MACOSX/') || path.split('/').pop().startsWith('._');
+
+// Entry and handle files do not carry webkitRelativePath, so the path is kept alongside
+const withRelativePath = (file, path) => {
+  Object.defineProperty(file, 'relativePath', { value: path, configurable: true });
+  return file;
+};
+
+const readEntryFile = (entry) => new Promise((resolve, reject) => entry.file(resolve, reject));
+
+// readEntries returns at most 100 entries per call, so it is called until empty
+const readAllEntries = async (directory) => {
+  const reader = directory.createReader();
+  const entries = [];
+  let batch;
+  do {
+    batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    entries.push(...batch);
+  } while (batch.length > 0);
+  return entries;
+};
+
+/**
+ * Walks a FileSystemEntry tree
+ * @param {FileSystemEntry} entry - File or directory entry
+ * @param {string} path - Path of the entry's parent ('' at the top)
+ * @param {Function} onFile - Called with each importable file
+ */
+const walkEntry = async (entry, path, onFile) => {
+  const entryPath = path ? `${path}/${entry.name}` : entry.name;
+
+  if (entry.isFile) {
+    if (!isImportable(entry)) return;
+    try {
+      onFile(withRelativePath(await readEntryFile(entry), entryPath));
+    } catch (error) {
+      console.error(`Failed to read ${entryPath}:`, error);
+    }
+    return;
+  }
+
+  if (entry.isDirectory) {
+    for (const child of await readAllEntries(entry)) {
+      await walkEntry(child, entryPath, onFile);
+    }
+  }
+};
+
+/**
+ * Walks a FileSystemHandle tree
+ * @param {FileSystemHandle} handle - File or directory handle
+ * @param {string} path - Path of the handle's parent ('' at the top)
+ * @param {Function} onFile - Called with each importable file
+ */
+const walkHandle = async (handle, path, onFile) => {
+  const handlePath = path ? `${path}/${handle.name}` : handle.name;
+
+  if (handle.kind === 'file') {
+    if (!isImportable(handle)) return;
+    try {
+      const file = withRelativePath(await handle.getFile(), handlePath);
+      // The library stores the handle rather than a copy of the file
+      Object.defineProperty(file, 'handle', { value: handle, configurable: true });
+      onFile(file);
+    } catch (error) {
+      console.error(`Failed to read ${handlePath}:`, error);
+    }
+    return;
+  }
+
+  if (handle.kind === 'directory') {
+    for await (const child of handle.values()) {
+      await walkHandle(child, handlePath, onFile);
+    }
+  }
+};
+
+/**
+ * Checks whether a drop carries anything that needs walking, i.e. folders
+ * @param {DataTransfer} dataTransfer - The drop's data
+ * @returns {boolean} - True when at least one dropped item is a directory
+ */
+export const hasDroppedFolders = (dataTransfer) => {
+  return Array.from(dataTransfer.items || []).some((item) => {
+    const entry = item.kind === 'file' && item.webkitGetAsEntry ? item.webkitGetAsEntry() : null;
+    return !!entry && entry.isDirectory;
+  });
+};
+
+/**
+ * Collects the audio, companion and playlist files of a drop, descending into
+ * folders. ZIP archives dropped next to folders are kept for the caller to
+ * open; other files are skipped silently.
+ * @param {DataTransfer} dataTransfer - The drop's data
+ * @param {Function} onProgress - Called with the number of files found so far
+ * @returns {Promise<File[]>} - Files, with their relative paths
+ */
+export const readDroppedFiles = async (dataTransfer, onProgress) => {
+  // Entries and handles must be taken before the first await; the browser
+  // empties the drop data once the event handler returns. Handles are
+  // preferred because they can be kept instead of copying whole folders.
+  const roots = Array.from(dataTransfer.items || [])
+    .filter(item => item.kind === 'file')
+    .map((item) => {
+      if (item.getAsFileSystemHandle) {
+        return { handle: item.getAsFileSystemHandle(), entry: item.webkitGetAsEntry ? item.webkitGetAsEntry() : null };
+      }
+      if (item.webkitGetAsEntry) return { entry: item.webkitGetAsEntry() };
+      return { file: item.getAsFile() };
+    });
+
+  const files = [];
+  const onFile = (file) => {
+    files.push(file);
+    if (onProgress) onProgress(files.length);
+  };
+
+  for (const root of roots) {
+    const handle = root.handle ? await root.handle : null;
+    if (handle) {
+      await walkHandle(handle, '', onFile);
+    } else if (root.entry) {
+      await walkEntry(root.entry, '', onFile);
+    } else if (root.file && (isImportable(root.file) || isZipFile(root.file))) {
+      onFile(root.file);
+    }
+  }
+
+  return files;
+};
+
+/**
+ * Lists the audio, companion and playlist files of a ZIP archive without
+ * extracting them. Each file is a stand-in ({ name, size, relativePath,
+ * getFile }) whose getFile extracts the entry the first time it is called.
+ * Archives without a single top-level folder get one named after the
+ * archive.
+ * @param {File} archive - The .zip file
+ * @returns {Promise<Object[]>} - Archive files
+ */
+export const readArchiveFiles = async (archive) => {
+  const entries = (await readZipEntries(archive)).filter(entry => !isSystemPath(entry.path));
+  const topFolders = new Set(entries.map(entry => (entry.path.includes('/') ? entry.path.split('/')[0] : '')));
+  const prefix = topFolders.size === 1 && !topFolders.has('') ? '' : `${archive.name.replace(/\.[^/.]+$/, '')}/`;
+
+  return entries
+    .map((entry) => {
+      const path = `${prefix}${entry.path}`;
+      const name = path.split('/').pop();
+      let extraction = null;
+
+      return {
+        name,
+        size: entry.size,
+        type: '',
+        lastModified: entry.lastModified,
+        relativePath: path,
+        getFile: () => {
+          if (!extraction) {
+            extraction = extractZipEntry(archive, entry, { maxSize: MAX_FILE_SIZE }).then(blob => withRelativePath(
+              new File([blob], name, { lastModified: entry.lastModified }),
+              path
+            ));
+          }
+          return extraction;
+        }
+      };
+    })
+    .filter(isImportable);
+};
+
+/**
+ * Filters a directory picker selection (<input webkitdirectory>) down to
+ * the audio, companion and playlist files
+ * @param {FileList|File[]} files - Selected files
+ * @returns {File[]} - Importable files
+ */
+export const filterFolderFiles = (files) => Array.from(files).filter(isImportable);
+
+/**
+ * Splits files into import batches. Files are ordered by path, lyrics
+ * files travel in the same batch as the audio file they belong to, and
+ * every batch with audio from a folder carries that folder's CUE sheets
+ * and cover image.
+ * @param {File[]} files - Audio and companion files
+ * @param {number} size - Files per batch
+ * @returns {File[][]} - Batches
+ */
+export const createImportBatches = (files, size = IMPORT_BATCH_SIZE) => {
+  const sorted = [...files].sort((a, b) => getRelativePath(a).localeCompare(getRelativePath(b)));
+  const getKey = file => `${getFolderPath(file)}/${getLyricsMatchKey(file.name)}`;
+  const lyricsByKey = new Map(sorted.filter(isLyricsFile).map(file => [getKey(file), file]));
+  const getFolderCompanions = (folder) => {
+    const inFolder = sorted.filter(file => getFolderPath(file) === folder);
+    const cover = pickFolderCover(inFolder.filter(isCoverImageFile));
+    return inFolder.filter(isCueFile).concat(cover ? [cover] : []);
+  };
+  const batches = [];
+  let batch = [];
+  let batchFolders = new Set();
+
+  sorted.filter(file => !isCompanionFile(file)).forEach((file) => {
+    const folder = getFolderPath(file);
+    if (!batchFolders.has(folder)) {
+      batch.push(...getFolderCompanions(folder));
+      batchFolders.add(folder);
+    }
+
+    const lyrics = lyricsByKey.get(getKey(file));
+    batch.push(file);
+    if (lyrics) {
+      batch.push(lyrics);
+      lyricsByKey.delete(getKey(file));
+    }
+    if (batch.length >= size) {
+      batches.push(batch);
+      batch = [];
+      batchFolders = new Set();
+    }
+  });
+
+  // Lyrics without audio still go through validation, which reports them
+  batch.push(...lyricsByKey.values());
+  if (batch.length > 0) batches.push(batch);
+  return batches;
+};
@@ -0,0 +1,503 @@
+/**
+ * ID3 tag reading
+ * Parses ID3v2.2/2.3/2.4 tags (unsynchronisation, extended headers, all four
+ * text encodings) into raw frames, decodes the common frame types and falls
+ * back to an ID3v1/v1.1 tag at the end of the file.
+ */
+
+/**
+ * ID3v1 genre list, including the Winamp extensions
+ */
+export const ID3_GENRES = [
+  'Blues', 'Classic Rock', 'Country', 'Dance', 'Disco', 'Funk', 'Grunge', 'Hip-Hop',
+  'Jazz', 'Metal', 'New Age', 'Oldies', 'Other', 'Pop', 'R&B', 'Rap',
+  'Reggae', 'Rock', 'Techno', 'Industrial', 'Alternative', 'Ska', 'Death Metal', 'Pranks',
+  'Soundtrack', 'Euro-Techno', 'Ambient', 'Trip-Hop', 'Vocal', 'Jazz+Funk', 'Fusion', 'Trance',
+  'Classical', 'Instrumental', 'Acid', 'House', 'Game', 'Sound Clip', 'Gospel', 'Noise',
+  'Alternative Rock', 'Bass', 'Soul', 'Punk', 'Space', 'Meditative', 'Instrumental Pop', 'Instrumental Rock',
+  'Ethnic', 'Gothic', 'Darkwave', 'Techno-Industrial', 'Electronic', 'Pop-Folk', 'Eurodance', 'Dream',
+  'Southern Rock', 'Comedy', 'Cult', 'Gangsta', 'Top 40', 'Christian Rap', 'Pop/Funk', 'Jungle',
+  'Native American', 'Cabaret', 'New Wave', 'Psychedelic', 'Rave', 'Showtunes', 'Trailer', 'Lo-Fi',
+  'Tribal', 'Acid Punk', 'Acid Jazz', 'Polka', 'Retro', 'Musical', 'Rock & Roll', 'Hard Rock',
+  'Folk', 'Folk-Rock', 'National Folk', 'Swing', 'Fast Fusion', 'Bebop', 'Latin', 'Revival',
+  'Celtic', 'Bluegrass', 'Avantgarde', 'Gothic Rock', 'Progressive Rock', 'Psychedelic Rock', 'Symphonic Rock', 'Slow Rock',
+  'Big Band', 'Chorus', 'Easy Listening', 'Acoustic', 'Humour', 'Speech', 'Chanson', 'Opera',
+  'Chamber Music', 'Sonata', 'Symphony', 'Booty Bass', 'Primus', 'Porn Groove', 'Satire', 'Slow Jam',
+  'Club', 'Tango', 'Samba', 'Folklore', 'Ballad', 'Power Ballad', 'Rhythmic Soul', 'Freestyle',
+  'Duet', 'Punk Rock', 'Drum Solo', 'A Cappella', 'Euro-House', 'Dance Hall', 'Goa', 'Drum & Bass',
+  'Club-House', 'Hardcore', 'Terror', 'Indie', 'BritPop', 'Afro-Punk', 'Polsk Punk', 'Beat',
+  'Christian Gangsta Rap', 'Heavy Metal', 'Black Metal', 'Crossover', 'Contemporary Christian', 'Christian Rock', 'Merengue', 'Salsa',
+  'Thrash Metal', 'Anime', 'JPop', 'Synthpop', 'Abstract', 'Art Rock', 'Baroque', 'Bhangra',
+  'Big Beat', 'Breakbeat', 'Chillout', 'Downtempo', 'Dub', 'EBM', 'Eclectic', 'Electro',
+  'Electroclash', 'Emo', 'Experimental', 'Garage', 'Global', 'IDM', 'Illbient', 'Industro-Goth',
+  'Jam Band', 'Krautrock', 'Leftfield', 'Lounge', 'Math Rock', 'New Romantic', 'Nu-Breakz', 'Post-Punk',
+  'Post-Rock', 'Psytrance', 'Shoegaze', 'Space Rock', 'Trop Rock', 'World Music', 'Neoclassical', 'Audiobook',
+  'Audio Theatre', 'Neue Deutsche Welle', 'Podcast', 'Indie Rock', 'G-Funk', 'Dubstep', 'Garage Rock', 'Psybient'
+];
+
+const HEADER_SIZE = 10;
+const ID3V1_SIZE = 128;
+
+// ID3v2.2 three-character frame ids and their v2.3/2.4 equivalents
+const V22_FRAME_IDS = {
+  TT1: 'TIT1', TT2: 'TIT2', TT3: 'TIT3', TP1: 'TPE1', TP2: 'TPE2', TP3: 'TPE3', TP4: 'TPE4',
+  TAL: 'TALB', TRK: 'TRCK', TPA: 'TPOS', TYE: 'TYER', TDA: 'TDAT', TCO: 'TCON', TCM: 'TCOM',
+  TEN: 'TENC', TCR: 'TCOP', TBP: 'TBPM', TLE: 'TLEN', TXX: 'TXXX', COM: 'COMM',
+  PIC: 'APIC', ULT: 'USLT', SLT: 'SYLT', CNT: 'PCNT', POP: 'POPM', UFI: 'UFID'
+};
+
+const TEXT_ENCODINGS = ['iso-8859-1', 'utf-16', 'utf-16be', 'utf-8'];
+
+const latin1 = new TextDecoder('iso-8859-1');
+
+/**
+ * Reads a 28-bit synchsafe integer
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} offset - Offset of the first byte
+ * @returns {number} - Decoded value
+ */
+export const readSyncsafe = (bytes, offset) => {
+  return (bytes[offset] & 0x7f) * 0x200000 +
+    (bytes[offset + 1] & 0x7f) * 0x4000 +
+    (bytes[offset + 2] & 0x7f) * 0x80 +
+    (bytes[offset + 3] & 0x7f);
+};
+
+const readUint32 = (bytes, offset) => {
+  return bytes[offset] * 0x1000000 + (bytes[offset + 1] << 16) + (bytes[offset + 2] << 8) + bytes[offset + 3];
+};
+
+/**
+ * Reverses unsynchronisation by dropping the 0x00 inserted after each 0xFF
+ * @param {Uint8Array} bytes - Unsynchronised data
+ * @returns {Uint8Array} - Original data
+ */
+export const removeUnsynchronisation = (bytes) => {
+  const result = new Uint8Array(bytes.length);
+  let length = 0;
+
+  for (let i = 0; i < bytes.length; i++) {
+    result[length++] = bytes[i];
+    if (bytes[i] === 0xff && bytes[i + 1] === 0x00) i++;
+  }
+
+  return result.subarray(0, length);
+};
+
+/**
+ * Decodes text in an ID3 text encoding. UTF-16 without a byte order mark is
+ * read as little-endian, which is what most taggers write.
+ * @param {Uint8Array} bytes - Encoded text
+ * @param {number} encoding - ID3 encoding byte (0-3)
+ * @returns {string} - Decoded text
+ */
+export const decodeText = (bytes, encoding) => {
+  if (encoding === 1) {
+    if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+      return new TextDecoder('utf-16be').decode(bytes.subarray(2));
+    }
+    if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+      return new TextDecoder('utf-16le').decode(bytes.subarray(2));
+    }
+    return new TextDecoder('utf-16le').decode(bytes);
+  }
+
+  const label = TEXT_ENCODINGS[encoding] || TEXT_ENCODINGS[0];
+  return encoding === 0 ? latin1.decode(bytes) : new TextDecoder(label).decode(bytes);
+};
+
+/**
+ * Splits off a NUL-terminated string; UTF-16 uses a two-byte terminator
+ * @param {Uint8Array} bytes - Data starting with the string
+ * @param {number} encoding - ID3 encoding byte
+ * @returns {Object} - { value: decoded string, rest: bytes after the terminator }
+ */
+export const splitTerminated = (bytes, encoding) => {
+  const isWide = encoding === 1 || encoding === 2;
+  const step = isWide ? 2 : 1;
+  let end = 0;
+
+  while (end + step <= bytes.length && (bytes[end] !== 0 || (isWide && bytes[end + 1] !== 0))) {
+    end += step;
+  }
+  if (end + step > bytes.length) end = bytes.length;
+
+  return {
+    value: decodeText(bytes.subarray(0, end), encoding),
+    rest: bytes.subarray(Math.min(bytes.length, end + step))
+  };
+};
+
+const trimText = (text) => text.replace(/\0+$/, '').trim();
+
+/**
+ * Decodes a T*** text frame. ID3v2.4 multiple values (NUL separated) are
+ * joined with " / ".
+ * @param {Uint8Array} data - Frame body
+ * @returns {string} - Frame text
+ */
+export const decodeTextFrame = (data) => {
+  if (data.length < 2) return '';
+
+  return decodeText(data.subarray(1), data[0])
+    .split('\0')
+    .map(value => value.trim())
+    .filter(Boolean)
+    .join(' / ');
+};
+
+/**
+ * Decodes a TXXX user text frame
+ * @param {Uint8Array} data - Frame body
+ * @returns {Object} - { description, value }
+ */
+export const decodeUserTextFrame = (data) => {
+  const encoding = data[0];
+  const { value: description, rest } = splitTerminated(data.subarray(1), encoding);
+  return { description, value: trimText(decodeText(rest, encoding)) };
+};
+
+/**
+ * Decodes a COMM (comment) or USLT (unsynchronised lyrics) frame
+ * @param {Uint8Array} data - Frame body
+ * @returns {Object} - { language, description, text }
+ */
+export const decodeCommentFrame = (data) => {
+  const encoding = data[0];
+  const language = latin1.decode(data.subarray(1, 4));
+  const { value: description, rest } = splitTerminated(data.subarray(4), encoding);
+  return { language, description, text: trimText(decodeText(rest, encoding)) };
+};
+
+/**
+ * Decodes an APIC frame (or a v2.2 PIC frame, which has a three-letter
+ * image format instead of a MIME type)
+ * @param {Uint8Array} data - Frame body
+ * @param {number} version - ID3v2 major version
+ * @returns {Object} - { mimeType, pictureType, description, data }
+ */
+export const decodePictureFrame = (data, version) => {
+  const encoding = data[0];
+  let mimeType;
+  let offset;
+
+  if (version === 2) {
+    const format = latin1.decode(data.subarray(1, 4)).toLowerCase();
+    mimeType = format === 'png' ? 'image/png' : 'image/jpeg';
+    offset = 4;
+  } else {
+    const end = data.indexOf(0, 1);
+    mimeType = latin1.decode(data.subarray(1, end)).toLowerCase() || 'image/jpeg';
+    offset = end + 1;
+  }
+
+  // Some taggers write bare "jpg"/"png" instead of a MIME type
+  if (!mimeType.includes('/')) {
+    mimeType = `image/${mimeType === 'jpg' ? 'jpeg' : mimeType}`;
+  }
+
+  const pictureType = data[offset];
+  const { value: description, rest } = splitTerminated(data.subarray(offset + 1), encoding);
+  return { mimeType, pictureType, description, data: rest };
+};
+
+// Frame headers: 3-byte id and size for v2.2, otherwise 4-byte id, size and two flag bytes
+const readFrameHeader = (bytes, offset, version) => {
+  if (version === 2) {
+    const id = latin1.decode(bytes.subarray(offset, offset + 3));
+    return {
+      id: V22_FRAME_IDS[id] || id,
+      size: (bytes[offset + 3] << 16) | (bytes[offset + 4] << 8) | bytes[offset + 5],
+      headerSize: 6,
+      flags: 0
+    };
+  }
+
+  const id = latin1.decode(bytes.subarray(offset, offset + 4));
+  let size = version === 4 ? readSyncsafe(bytes, offset + 4) : readUint32(bytes, offset + 4);
+
+  // Some taggers write plain sizes in v2.4 tags; trust the plain size when
+  // the bytes cannot be synchsafe or only the plain size lands on another
+  // frame or the padding
+  if (version === 4) {
+    const plain = readUint32(bytes, offset + 4);
+    const hasHighBit = (bytes[offset + 4] | bytes[offset + 5] | bytes[offset + 6] | bytes[offset + 7]) & 0x80;
+    const isFrameStart = (at) => at === bytes.length || bytes[at] === 0 ||
+      /^[A-Z0-9]{4}$/.test(latin1.decode(bytes.subarray(at, at + 4)));
+
+    if (plain !== size && (hasHighBit || (!isFrameStart(offset + 10 + size) && isFrameStart(offset + 10 + plain)))) {
+      size = plain;
+    }
+  }
+
+  return {
+    id,
+    size,
+    headerSize: 10,
+    flags: (bytes[offset + 8] << 8) | bytes[offset + 9]
+  };
+};
+
+// Strips per-frame extras (grouping id, data length, unsync) from a frame
+// body. Returns null for compressed or encrypted frames, which are skipped.
+const unpackFrameData = (data, flags, version, isTagUnsynchronised) => {
+  let body = data;
+
+  if (version === 3) {
+    if (flags & 0x0080 || flags & 0x0040) return null;
+    if (flags & 0x0020) body = body.subarray(1);
+    return body;
+  }
+
+  if (version === 4) {
+    if (flags & 0x0008 || flags & 0x0004) return null;
+    if (flags & 0x0040) body = body.subarray(1);
+    if (flags & 0x0001) body = body.subarray(4);
+    if (flags & 0x0002 || isTagUnsynchronised) body = removeUnsynchronisation(body);
+  }
+
+  return body;
+};
+
+/**
+ * Parses a run of frames, such as a tag body or the sub-frames embedded in
+ * CHAP and CTOC frames
+ * @param {Uint8Array} body - Frame data (without the tag header)
+ * @param {number} version - ID3v2 major version
+ * @param {boolean} isTagUnsynchronised - Whether the v2.4 tag header sets unsynchronisation
+ * @returns {Object[]} - Frames ({ id, data })
+ */
+export const parseFrames = (body, version, isTagUnsynchronised = false) => {
+  const frames = [];
+  const frameHeaderSize = version === 2 ? 6 : 10;
+  let offset = 0;
+
+  while (offset + frameHeaderSize <= body.length && body[offset] !== 0) {
+    const header = readFrameHeader(body, offset, version);
+    const start = offset + header.headerSize;
+    const end = start + header.size;
+    if (header.size === 0 || end > body.length) break;
+
+    const data = unpackFrameData(body.subarray(start, end), header.flags, version, isTagUnsynchronised);
+    if (data) {
+      frames.push({ id: header.id, data });
+    }
+    offset = end;
+  }
+
+  return frames;
+};
+
+/**
+ * Parses an ID3v2 tag
+ * @param {Uint8Array} bytes - The whole tag, starting at its "ID3" header
+ * @returns {Object|null} - { version, size, frames: [{ id, data }] } where
+ *   size is the full tag length including header and footer, or null
+ */
+export const parseId3v2 = (bytes) => {
+  if (bytes.length < HEADER_SIZE || bytes[0] !== 0x49 || bytes[1] !== 0x44 || bytes[2] !== 0x33) {
+    return null;
+  }
+
+  const version = bytes[3];
+  const flags = bytes[5];
+  if (version < 2 || version > 4) return null;
+
+  const hasFooter = version === 4 && (flags & 0x10);
+  const size = HEADER_SIZE + readSyncsafe(bytes, 6) + (hasFooter ? HEADER_SIZE : 0);
+  const isUnsynchronised = !!(flags & 0x80);
+  const result = { version, size, frames: [] };
+
+  // v2.2 used this flag for a compression scheme that was never defined
+  if (version === 2 && (flags & 0x40)) return result;
+
+  let body = bytes.subarray(HEADER_SIZE, HEADER_SIZE + readSyncsafe(bytes, 6));
+
+  // v2.2/2.3 unsynchronise the whole tag; v2.4 does it per frame
+  if (isUnsynchronised && version < 4) {
+    body = removeUnsynchronisation(body);
+  }
+
+  let offset = 0;
+  if (version > 2 && (flags & 0x40)) {
+    offset = version === 3 ? 4 + readUint32(body, 0) : readSyncsafe(body, 0);
+  }
+
+  result.frames = parseFrames(body.subarray(offset), version, isUnsynchronised);
+  return result;
+};
+
+/**
+ * Reads and parses the ID3v2 tag at the start of a file
+ * @param {Blob} file - The audio file
+ * @returns {Promise<Object|null>} - Parsed tag (see parseId3v2) or null
+ */
+export const readId3v2 = async (file) => {
+  const header = new Uint8Array(await file.slice(0, HEADER_SIZE).arrayBuffer());
+  if (header.length < HEADER_SIZE || header[0] !== 0x49 || header[1] !== 0x44 || header[2] !== 0x33) {
+    return null;
+  }
+
+  const footerSize = header[3] === 4 && (header[5] & 0x10) ? HEADER_SIZE : 0;
+  const size = HEADER_SIZE + readSyncsafe(header, 6) + footerSize;
+  return parseId3v2(new Uint8Array(await file.slice(0, size).arrayBuffer()));
+};
+
+/**
+ * Parses a 128-byte ID3v1/v1.1 tag
+ * @param {Uint8Array} bytes - The last 128 bytes of the file
+ * @returns {Object|null} - Metadata fields, or null when there is no tag
+ */
+export const parseId3v1 = (bytes) => {
+  if (bytes.length < ID3V1_SIZE || bytes[0] !== 0x54 || bytes[1] !== 0x41 || bytes[2] !== 0x47) {
+    return null;
+  }
+
+  const readString = (start, length) => trimText(latin1.decode(bytes.subarray(start, start + length)).split('\0')[0]);
+  // v1.1 stores the track number in the last comment byte after a NUL
+  const hasTrackNumber = bytes[125] === 0 && bytes[126] !== 0;
+
+  return {
+    title: readString(3, 30),
+    artist: readString(33, 30),
+    album: readString(63, 30),
+    year: parseInt(readString(93, 4), 10) || null,
+    comment: readString(97, hasTrackNumber ? 28 : 30),
+    trackNumber: hasTrackNumber ? bytes[126] : null,
+    genre: ID3_GENRES[bytes[127]] || ''
+  };
+};
+
+const GENRE_KEYWORDS = { RX: 'Remix', CR: 'Cover' };
+
+const resolveGenreReference = (reference) => {
+  return GENRE_KEYWORDS[reference] || ID3_GENRES[parseInt(reference, 10)] || '';
+};
+
+/**
+ * Resolves a TCON value: "(17)", "(17)Rock", "17", "RX", "CR" or free text
+ * @param {string} value - Raw genre text
+ * @returns {string} - Genre name
+ */
+export const parseGenre = (value) => {
+  if (!value) return '';
+
+  return value
+    .split(' / ')
+    .map((part) => {
+      const bare = part.match(/^(\d+|RX|CR)$/);
+      if (bare) return resolveGenreReference(bare[1]);
+
+      // v2.3 refinements such as "(17)Rock": the text wins over the reference
+      const refinement = part.replace(/^(\((?:\d+|RX|CR)\))+/, '');
+      if (refinement) return refinement.replace(/^\(\(/, '(');
+
+      const reference = part.match(/^\((\d+|RX|CR)\)/);
+      return reference ? resolveGenreReference(reference[1]) : part;
+    })
+    .filter(Boolean)
+    .join(' / ');
+};
+
+/**
+ * Splits "3/12" style position text into number and total
+ * @param {string} value - Position text
+ * @returns {Object} - { number, total } (null when missing)
+ */
+export const parsePosition = (value) => {
+  const [number, total] = (value || '').split('/').map(part => parseInt(part, 10));
+  return {
+    number: isNaN(number) ? null : number,
+    total: isNaN(total) ? null : total
+  };
+};
+
+/**
+ * Maps raw ID3v2 frames to metadata fields
+ * @param {Object[]} frames - Frames from parseId3v2
+ * @returns {Object} - title, artist, album, albumArtist, trackNumber,
+ *   trackTotal, discNumber, discTotal, year, genre, comment (missing fields omitted)
+ */
+export const getId3Metadata = (frames) => {
+  const text = {};
+  const comments = [];
+
+  frames.forEach(({ id, data }) => {
+    if (id === 'COMM') {
+      comments.push(decodeCommentFrame(data));
+    } else if (id[0] === 'T' && id !== 'TXXX' && text[id] === undefined) {
+      text[id] = decodeTextFrame(data);
+    }
+  });
+
+  const track = parsePosition(text.TRCK);
+  const disc = parsePosition(text.TPOS);
+  const date = text.TDRC || text.TYER || text.TDRL || text.TDOR || '';
+  const year = parseInt(date.slice(0, 4), 10);
+  // Prefer a plain comment over tool data such as iTunNORM
+  const comment = comments.find(item => !item.description) || comments.find(item => !/^iTun/.test(item.description));
+
+  const metadata = {
+    title: text.TIT2,
+    artist: text.TPE1,
+    album: text.TALB,
+    albumArtist: text.TPE2,
+    trackNumber: track.number,
+    trackTotal: track.total,
+    discNumber: disc.number,
+    discTotal: disc.total,
+    year: isNaN(year) ? null : year,
+    genre: parseGenre(text.TCON),
+    comment: comment ? comment.text : ''
+  };
+
+  return Object.keys(metadata).reduce((result, key) => {
+    if (metadata[key] !== null && metadata[key] !== undefined && metadata[key] !== '') {
+      result[key] = metadata[key];
+    }
+    return result;
+  }, {});
+};
+
+/**
+ * Collects TXXX frames by upper-case description
+ * @param {Object[]} frames - Frames from parseId3v2
+ * @returns {Object} - Values keyed by description
+ */
+export const getUserTextFrames = (frames) => {
+  return frames
+    .filter(frame => frame.id === 'TXXX')
+    .map(frame => decodeUserTextFrame(frame.data))
+    .reduce((result, { description, value }) => {
+      if (description) result[description.toUpperCase()] = value;
+      return result;
+    }, {});
+};
+
+/**
+ * Reads tag metadata from a file: ID3v2 first, with ID3v1 filling any gaps
+ * @param {Blob} file - The audio file
+ * @param {Object|null} parsedTag - The file's ID3v2 tag when already parsed
+ * @returns {Promise<Object>} - Metadata fields (empty when the file has no tags)
+ */
+export const readId3Metadata = async (file, parsedTag) => {
+  try {
+    const tag = parsedTag === undefined ? await readId3v2(file) : parsedTag;
+    const metadata = tag ? getId3Metadata(tag.frames) : {};
+
+    if (file.size >= ID3V1_SIZE) {
+      const tail = new Uint8Array(await file.slice(file.size - ID3V1_SIZE).arrayBuffer());
+      const fallback = parseId3v1(tail) || {};
+      Object.keys(fallback).forEach((key) => {
+        if (metadata[key] === undefined && fallback[key] !== null && fallback[key] !== '') {
+          metadata[key] = fallback[key];
+        }
+      });
+    }
+
+    return metadata;
+  } catch (error) {
+    console.error('Failed to read ID3 tags:', error);
+    return {};
+  }
+};
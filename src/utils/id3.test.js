@@ -0,0 +1,101 @@
+import { getId3Metadata, parseId3v2, readId3v2, readSyncsafe, removeUnsynchronisation } from './id3';
+
+const ascii = (text) => Array.from(text, char => char.charCodeAt(0));
+
+const syncsafe = (value) => [(value >> 21) & 0x7f, (value >> 14) & 0x7f, (value >> 7) & 0x7f, value & 0x7f];
+
+const uint32 = (value) => [(value >>> 24) & 0xff, (value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+
+// A frame with the size written the way the version expects
+const frame = (id, body, version, flags = [0, 0]) => {
+  const size = version === 4 ? syncsafe(body.length) : uint32(body.length);
+  return [...ascii(id), ...size, ...flags, ...body];
+};
+
+// Latin-1 text frame body
+const text = (value) => [0x00, ...ascii(value)];
+
+const tag = (version, body, flags = 0) => {
+  return new Uint8Array([...ascii('ID3'), version, 0, flags, ...syncsafe(body.length), ...body]);
+};
+
+describe('readSyncsafe', () => {
+  it('reads seven bits per byte', () => {
+    expect(readSyncsafe(new Uint8Array([0x00, 0x00, 0x02, 0x01]), 0)).toBe(257);
+    expect(readSyncsafe(new Uint8Array([0xff, 0x7f, 0x7f, 0x7f, 0x7f]), 1)).toBe(0x0fffffff);
+  });
+});
+
+describe('removeUnsynchronisation', () => {
+  it('drops the zero byte after each 0xFF', () => {
+    const bytes = new Uint8Array([0xff, 0x00, 0xe0, 0x01, 0xff, 0x00, 0x00]);
+    expect(Array.from(removeUnsynchronisation(bytes))).toEqual([0xff, 0xe0, 0x01, 0xff, 0x00]);
+  });
+});
+
+describe('parseId3v2', () => {
+  it('reads synchsafe frame sizes in v2.4 tags', () => {
+    const title = 'x'.repeat(200);
+    const parsed = parseId3v2(tag(4, [...frame('TIT2', text(title), 4), ...frame('TPE1', text('Artist'), 4)]));
+
+    expect(parsed.version).toBe(4);
+    expect(getId3Metadata(parsed.frames)).toEqual({ title, artist: 'Artist' });
+  });
+
+  it('reads plain frame sizes in v2.3 tags', () => {
+    const title = 'y'.repeat(200);
+    const parsed = parseId3v2(tag(3, [...frame('TIT2', text(title), 3), ...frame('TALB', text('Album'), 3)]));
+
+    expect(getId3Metadata(parsed.frames)).toEqual({ title, album: 'Album' });
+  });
+
+  it('falls back to plain sizes that v2.4 taggers sometimes write', () => {
+    const title = 'z'.repeat(127);
+    const body = [...frame('TIT2', text(title), 3), ...frame('TPE1', text('Artist'), 3)];
+    const parsed = parseId3v2(tag(4, body));
+
+    expect(getId3Metadata(parsed.frames)).toEqual({ title, artist: 'Artist' });
+  });
+
+  it('includes the header and footer in the tag size', () => {
+    const body = frame('TIT2', text('Song'), 4);
+    expect(parseId3v2(tag(4, body)).size).toBe(10 + body.length);
+    expect(parseId3v2(tag(4, body, 0x10)).size).toBe(20 + body.length);
+  });
+
+  it('removes whole-tag unsynchronisation before reading v2.3 frame sizes', () => {
+    // The frame size counts the bytes before unsynchronisation
+    const body = [...ascii('TIT2'), ...uint32(3), 0, 0, 0x00, 0xff, 0x00, 0xff, 0x00];
+    const parsed = parseId3v2(tag(3, body, 0x80));
+
+    expect(getId3Metadata(parsed.frames).title).toBe('ÿÿ');
+  });
+
+  it('removes unsynchronisation per frame in v2.4 tags', () => {
+    // The frame size counts the bytes as stored
+    const body = frame('TIT2', [0x00, 0xff, 0x00, 0xff, 0x00], 4);
+    const parsed = parseId3v2(tag(4, body, 0x80));
+
+    expect(getId3Metadata(parsed.frames).title).toBe('ÿÿ');
+  });
+
+  it('maps v2.2 frame ids to their v2.3 names', () => {
+    const body = [...ascii('TT2'), 0, 0, 5, ...text('Song')];
+    expect(parseId3v2(tag(2, body)).frames).toEqual([{ id: 'TIT2', data: new Uint8Array(text('Song')) }]);
+  });
+
+  it('returns null without an ID3 header', () => {
+    expect(parseId3v2(new Uint8Array(ascii('fLaC\0\0\0\0\0\0')))).toBeNull();
+  });
+});
+
+describe('readId3v2', () => {
+  it('reads only the tag at the start of a file', async () => {
+    const bytes = tag(3, frame('TIT2', text('Song'), 3));
+    const file = new Blob([bytes, new Uint8Array([0xff, 0xfb, 0x90, 0x00])]);
+    const parsed = await readId3v2(file);
+
+    expect(parsed.size).toBe(bytes.length);
+    expect(getId3Metadata(parsed.frames)).toEqual({ title: 'Song' });
+  });
+});
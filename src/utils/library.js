@@ -0,0 +1,256 @@
+/**
+ * Persistent music library
+ * Keeps tracks (the audio file or, for files opened through the File
+ * System Access API, its handle), their parsed metadata, playlists and
+ * player settings in IndexedDB so they survive a reload.
+ */
+
+import { createAudioUrl } from './audioUtils';
+
+const DB_NAME = 'react-mp3-player';
+const DB_VERSION = 1;
+
+export const LIBRARY_STORES = {
+  TRACKS: 'tracks',
+  PLAYLISTS: 'playlists',
+  SETTINGS: 'settings'
+};
+
+// Track fields that only make sense in the current page
+const SESSION_FIELDS = ['id', 'file', 'url', 'artwork', 'needsPermission'];
+
+let databasePromise = null;
+
+/**
+ * Checks whether the browser can keep a library
+ * @returns {boolean} - True when IndexedDB is available
+ */
+export const isLibrarySupported = () => typeof window !== 'undefined' && !!window.indexedDB;
+
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        Object.values(LIBRARY_STORES).forEach((name) => {
+          if (!db.objectStoreNames.contains(name)) {
+            db.createObjectStore(name, { keyPath: 'id' });
+          }
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('The library is open in an older version of the app'));
+    });
+    // A failed open can be retried later
+    databasePromise.catch(() => {
+      databasePromise = null;
+    });
+  }
+  return databasePromise;
+};
+
+/**
+ * Runs requests against one store in a single transaction
+ * @param {string} storeName - Store (see LIBRARY_STORES)
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operate - Called with the store; may return a request
+ * @returns {Promise<*>} - The request's result once the transaction commits
+ */
+const runTransaction = async (storeName, mode, operate) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operate(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Reads everything in the library
+ * @returns {Promise<Object>} - { tracks, playlists, settings } where tracks
+ *   and playlists are the stored records and settings maps keys to values
+ */
+export const loadLibrary = async () => {
+  const [tracks, playlists, settings] = await Promise.all([
+    runTransaction(LIBRARY_STORES.TRACKS, 'readonly', store => store.getAll()),
+    runTransaction(LIBRARY_STORES.PLAYLISTS, 'readonly', store => store.getAll()),
+    runTransaction(LIBRARY_STORES.SETTINGS, 'readonly', store => store.getAll())
+  ]);
+
+  return {
+    tracks,
+    playlists,
+    settings: settings.reduce((result, setting) => {
+      result[setting.id] = setting.value;
+      return result;
+    }, {})
+  };
+};
+
+/**
+ * Builds the stored record of a track. Files opened through a file handle
+ * keep the handle instead of a copy of the audio.
+ * @param {Object} track - Track object
+ * @returns {Promise<Object>} - Track record
+ */
+export const createTrackRecord = async (track) => {
+  const metadata = Object.keys(track).reduce((result, key) => {
+    if (!SESSION_FIELDS.includes(key)) result[key] = track[key];
+    return result;
+  }, {});
+  // The thumbnail only exists as an object URL, which can be read back
+  const artwork = track.artwork ? await fetch(track.artwork).then(response => response.blob()) : null;
+  const handle = track.file && track.file.handle ? track.file.handle : null;
+
+  return {
+    id: track.id,
+    metadata,
+    file: handle ? null : track.file,
+    handle,
+    artwork,
+    size: handle ? 0 : (track.file ? track.file.size : 0),
+    savedAt: Date.now()
+  };
+};
+
+/**
+ * Turns a stored record back into a track with fresh object URLs. Handles
+ * whose permission has lapsed give a track without a file, which can be
+ * reconnected with reconnectTrack.
+ * @param {Object} record - Track record
+ * @returns {Promise<Object>} - Track object; `needsPermission` is set when
+ *   the file could not be opened yet
+ */
+export const restoreTrack = async (record) => {
+  let file = record.file;
+  if (!file && record.handle) {
+    const permission = await record.handle.queryPermission({ mode: 'read' });
+    if (permission === 'granted') {
+      file = await record.handle.getFile();
+      // Saving the track again keeps the handle rather than a copy
+      Object.defineProperty(file, 'handle', { value: record.handle, configurable: true });
+    }
+  }
+
+  return {
+    ...record.metadata,
+    id: record.id,
+    file,
+    url: file ? createAudioUrl(file) : null,
+    artwork: record.artwork ? createAudioUrl(record.artwork) : null,
+    needsPermission: !file && !!record.handle
+  };
+};
+
+/**
+ * Asks for access to a handle-backed file again. Must run from a user
+ * gesture such as a click.
+ * @param {Object} record - Track record with a handle
+ * @returns {Promise<Object|null>} - The restored track, or null when access
+ *   was denied
+ */
+export const reconnectTrack = async (record) => {
+  const permission = await record.handle.requestPermission({ mode: 'read' });
+  return permission === 'granted' ? restoreTrack(record) : null;
+};
+
+/**
+ * Reads one track record
+ * @param {string|number} id - Track id
+ * @returns {Promise<Object|undefined>} - The record
+ */
+export const getTrackRecord = (id) => {
+  return runTransaction(LIBRARY_STORES.TRACKS, 'readonly', store => store.get(id));
+};
+
+/**
+ * Stores a track record, replacing any with the same id
+ * @param {Object} record - Track record (see createTrackRecord)
+ * @returns {Promise<void>}
+ */
+export const saveTrackRecord = (record) => {
+  return runTransaction(LIBRARY_STORES.TRACKS, 'readwrite', store => store.put(record));
+};
+
+/**
+ * Removes a track from the library
+ * @param {string|number} id - Track id
+ * @returns {Promise<void>}
+ */
+export const deleteTrackRecord = (id) => {
+  return runTransaction(LIBRARY_STORES.TRACKS, 'readwrite', store => store.delete(id));
+};
+
+/**
+ * Stores a playlist ({ id, name, trackIds, createdAt })
+ * @param {Object} playlist - Playlist record
+ * @returns {Promise<void>}
+ */
+export const savePlaylistRecord = (playlist) => {
+  return runTransaction(LIBRARY_STORES.PLAYLISTS, 'readwrite', store => store.put(playlist));
+};
+
+/**
+ * Removes a playlist; its tracks are kept
+ * @param {string} id - Playlist id
+ * @returns {Promise<void>}
+ */
+export const deletePlaylistRecord = (id) => {
+  return runTransaction(LIBRARY_STORES.PLAYLISTS, 'readwrite', store => store.delete(id));
+};
+
+/**
+ * Stores a setting
+ * @param {string} key - Setting name
+ * @param {*} value - Any value IndexedDB can clone
+ * @returns {Promise<void>}
+ */
+export const saveSetting = (key, value) => {
+  return runTransaction(LIBRARY_STORES.SETTINGS, 'readwrite', store => store.put({ id: key, value }));
+};
+
+/**
+ * Empties the library
+ * @returns {Promise<void>}
+ */
+export const clearLibrary = async () => {
+  await Promise.all(Object.values(LIBRARY_STORES).map(name => (
+    runTransaction(name, 'readwrite', store => store.clear())
+  )));
+};
+
+/**
+ * Checks whether a storage error means the quota ran out
+ * @param {Error} error - Error from a write
+ * @returns {boolean} - True for quota errors
+ */
+export const isQuotaError = (error) => {
+  return !!error && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+};
+
+/**
+ * Reads how much storage the site uses
+ * @returns {Promise<Object|null>} - { usage, quota, isPersisted } in bytes,
+ *   or null when the browser does not report it
+ */
+export const getStorageUsage = async () => {
+  if (!navigator.storage || !navigator.storage.estimate) return null;
+
+  const { usage, quota } = await navigator.storage.estimate();
+  const isPersisted = navigator.storage.persisted ? await navigator.storage.persisted() : false;
+  return { usage: usage || 0, quota: quota || 0, isPersisted };
+};
+
+/**
+ * Asks the browser not to evict the library under storage pressure
+ * @returns {Promise<boolean>} - True when storage is now persistent
+ */
+export const requestPersistentStorage = async () => {
+  if (!navigator.storage || !navigator.storage.persist) return false;
+  return navigator.storage.persist();
+};
@@ -0,0 +1,384 @@
+/**
+ * Loudness analysis and normalization for imported tracks
+ * Measures integrated loudness following ITU-R BS.1770 / EBU R128 (K-weighting,
+ * 400 ms blocks, absolute and relative gating) and reads ReplayGain tags.
+ */
+
+import { readTags } from './metadata';
+
+/**
+ * Reference level (LUFS) ReplayGain 2.0 gains are relative to
+ */
+export const REPLAYGAIN_REFERENCE = -18;
+
+/**
+ * Allowed range and default for the normalization target (LUFS)
+ */
+export const NORMALIZATION_TARGET_RANGE = { min: -23, max: -8 };
+export const DEFAULT_NORMALIZATION_TARGET = -18;
+
+export const NORMALIZATION_MODES = ['off', 'track', 'album'];
+
+// Sample rate PCM is decoded at; the K-weighting below is computed for it
+const ANALYSIS_SAMPLE_RATE = 48000;
+
+const BLOCK_SECONDS = 0.4;
+const STEP_SECONDS = 0.1;
+const ABSOLUTE_GATE = -70;
+const RELATIVE_GATE = -10;
+
+// Steps of audio filtered at a time, so a channel is never copied whole
+const STEPS_PER_CHUNK = 100;
+
+// Decoded PCM is 48 kHz float per channel, close to 23 MB per stereo minute,
+// so files are decoded a segment at a time where the format allows and
+// otherwise only when they are short
+const SEGMENT_SECONDS = 60;
+const MAX_DECODE_SECONDS = 10 * 60;
+
+// Largest boost applied to quiet tracks, in dB
+const MAX_NORMALIZATION_GAIN = 12;
+
+/**
+ * Computes the two K-weighting biquads (high shelf + RLB high pass) for a
+ * sample rate, using the analogue prototypes from BS.1770
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Object[]} - Filter coefficients ({ b, a })
+ */
+const getKWeightingFilters = (sampleRate) => {
+  let f0 = 1681.974450955533;
+  const G = 3.999843853973347;
+  let Q = 0.7071752369554196;
+
+  let K = Math.tan(Math.PI * f0 / sampleRate);
+  const Vh = Math.pow(10, G / 20);
+  const Vb = Math.pow(Vh, 0.4996667741545416);
+  let a0 = 1 + K / Q + K * K;
+
+  const shelf = {
+    b: [(Vh + Vb * K / Q + K * K) / a0, 2 * (K * K - Vh) / a0, (Vh - Vb * K / Q + K * K) / a0],
+    a: [1, 2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+  };
+
+  f0 = 38.13547087602444;
+  Q = 0.5003270373238773;
+  K = Math.tan(Math.PI * f0 / sampleRate);
+  a0 = 1 + K / Q + K * K;
+
+  const highPass = {
+    b: [1, -2, 1],
+    a: [1, 2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+  };
+
+  return [shelf, highPass];
+};
+
+/**
+ * Runs a biquad over a chunk of a signal in place (direct form I)
+ * @param {Float32Array} samples - Chunk of the signal
+ * @param {Object} filter - Coefficients ({ b, a })
+ * @param {Object} state - { x1, x2, y1, y2 } left by the previous chunk,
+ *   updated for the next one
+ */
+const applyBiquad = (samples, { b, a }, state) => {
+  let { x1, x2, y1, y2 } = state;
+
+  for (let i = 0; i < samples.length; i++) {
+    const x0 = samples[i];
+    const y0 = b[0] * x0 + b[1] * x1 + b[2] * x2 - a[1] * y1 - a[2] * y2;
+    x2 = x1;
+    x1 = x0;
+    y2 = y1;
+    y1 = y0;
+    samples[i] = y0;
+  }
+
+  Object.assign(state, { x1, x2, y1, y2 });
+};
+
+// BS.1770 channel weights; surround channels of a 5.1 layout count 1.41x
+// and the LFE channel is ignored
+const getChannelWeight = (channel, channelCount) => {
+  if (channelCount === 6) {
+    if (channel === 3) return 0;
+    if (channel >= 4) return 1.41;
+  }
+  return 1;
+};
+
+const toLoudness = (meanSquare) => -0.691 + 10 * Math.log10(meanSquare);
+
+/**
+ * Creates a meter that measures audio decoded in consecutive segments, so a
+ * long file never has to be decoded whole. Filter state and 100 ms step
+ * energies carry across segments.
+ * @returns {Object} - { add(buffer), finish() } where add takes the next
+ *   AudioBuffer and finish returns { integrated (LUFS, -Infinity for
+ *   silence), peak (linear) }
+ */
+export const createLoudnessMeter = () => {
+  const stepEnergy = [];
+  let filters = null;
+  let stepLength = 0;
+  let samples = null;
+  let channelStates = [];
+  let length = 0;
+  let peak = 0;
+
+  const add = (buffer) => {
+    const { sampleRate, numberOfChannels } = buffer;
+    if (!filters) {
+      filters = getKWeightingFilters(sampleRate);
+      stepLength = Math.round(sampleRate * STEP_SECONDS);
+      samples = new Float32Array(stepLength * STEPS_PER_CHUNK);
+    }
+
+    for (let channel = 0; channel < numberOfChannels; channel++) {
+      const weight = getChannelWeight(channel, numberOfChannels);
+      const source = buffer.getChannelData(channel);
+
+      for (let i = 0; i < source.length; i++) {
+        const value = Math.abs(source[i]);
+        if (value > peak) peak = value;
+      }
+
+      if (weight === 0) continue;
+
+      if (!channelStates[channel]) {
+        channelStates[channel] = filters.map(() => ({ x1: 0, x2: 0, y1: 0, y2: 0 }));
+      }
+
+      for (let offset = 0; offset < source.length; offset += samples.length) {
+        const chunk = samples.subarray(0, Math.min(samples.length, source.length - offset));
+        chunk.set(source.subarray(offset, offset + chunk.length));
+        filters.forEach((filter, index) => applyBiquad(chunk, filter, channelStates[channel][index]));
+
+        // Sum the chunk into the steps it covers, counted from the first segment
+        let i = 0;
+        while (i < chunk.length) {
+          const position = length + offset + i;
+          const step = Math.floor(position / stepLength);
+          const end = Math.min(chunk.length, i + (step + 1) * stepLength - position);
+          let sum = 0;
+          for (; i < end; i++) {
+            sum += chunk[i] * chunk[i];
+          }
+          stepEnergy[step] = (stepEnergy[step] || 0) + weight * sum;
+        }
+      }
+    }
+
+    length += buffer.length;
+  };
+
+  const finish = () => {
+    // A partial final step is left out
+    const stepCount = stepLength > 0 ? Math.floor(length / stepLength) : 0;
+    const stepsPerBlock = Math.round(BLOCK_SECONDS / STEP_SECONDS);
+
+    // 400 ms blocks overlapping by 75%
+    const blocks = [];
+    for (let step = 0; step + stepsPerBlock <= stepCount; step++) {
+      let sum = 0;
+      for (let i = step; i < step + stepsPerBlock; i++) {
+        sum += stepEnergy[i] || 0;
+      }
+      blocks.push(sum / (stepLength * stepsPerBlock));
+    }
+
+    const gate = (threshold) => blocks.filter(energy => energy > 0 && toLoudness(energy) > threshold);
+    const mean = (values) => values.reduce((total, value) => total + value, 0) / values.length;
+
+    const aboveAbsolute = gate(ABSOLUTE_GATE);
+    if (aboveAbsolute.length === 0) {
+      return { integrated: -Infinity, peak };
+    }
+
+    const relativeThreshold = toLoudness(mean(aboveAbsolute)) + RELATIVE_GATE;
+    const aboveRelative = aboveAbsolute.filter(energy => toLoudness(energy) > relativeThreshold);
+
+    return {
+      integrated: toLoudness(mean(aboveRelative)),
+      peak
+    };
+  };
+
+  return { add, finish };
+};
+
+/**
+ * Measures the integrated loudness and sample peak of decoded audio
+ * @param {AudioBuffer} buffer - Decoded audio
+ * @returns {Object} - { integrated (LUFS, -Infinity for silence), peak (linear) }
+ */
+export const measureAudioBuffer = (buffer) => {
+  const meter = createLoudnessMeter();
+  meter.add(buffer);
+  return meter.finish();
+};
+
+/**
+ * Checks whether the audio data is a bare stream of MP3 or ADTS AAC frames,
+ * which decode from any byte range
+ * @param {Blob} file - The audio file
+ * @param {number} offset - Byte offset of the audio data
+ * @returns {Promise<boolean>} - Whether the data starts with a frame sync
+ */
+const isFrameStream = async (file, offset) => {
+  const bytes = new Uint8Array(await file.slice(offset, offset + 2).arrayBuffer());
+  return bytes.length === 2 && bytes[0] === 0xff && (bytes[1] & 0xe0) === 0xe0;
+};
+
+/**
+ * Decodes a file and measures its loudness. Frame streams (MP3, ADTS AAC)
+ * are decoded in segments of about SEGMENT_SECONDS; other formats only
+ * decode whole, so they are measured up to MAX_DECODE_SECONDS long.
+ * @param {Blob} file - The audio file
+ * @param {Object} options - { duration (seconds), audioOffset (byte offset
+ *   of the audio data, after any ID3v2 tag) }
+ * @returns {Promise<Object|null>} - Loudness measurement, or null if the file
+ *   cannot be decoded, is too long or its duration is unknown
+ */
+export const measureLoudness = async (file, { duration = null, audioOffset = 0 } = {}) => {
+  const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  if (!OfflineContext || !(duration > 0)) return null;
+
+  const context = new OfflineContext(1, 1, ANALYSIS_SAMPLE_RATE);
+  const meter = createLoudnessMeter();
+
+  try {
+    if (await isFrameStream(file, audioOffset)) {
+      // Evenly sized segments, so the last one is never a sliver
+      const bytes = file.size - audioOffset;
+      const count = Math.max(1, Math.round(duration / SEGMENT_SECONDS));
+      for (let segment = 0; segment < count; segment++) {
+        const start = audioOffset + Math.round(segment * bytes / count);
+        const end = audioOffset + Math.round((segment + 1) * bytes / count);
+        meter.add(await context.decodeAudioData(await file.slice(start, end).arrayBuffer()));
+      }
+    } else if (duration <= MAX_DECODE_SECONDS) {
+      meter.add(await context.decodeAudioData(await file.arrayBuffer()));
+    } else {
+      return null;
+    }
+
+    return meter.finish();
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Parses ReplayGain values from tag text ("-6.52 dB", "0.988553")
+ * @param {Object} tags - Tag values keyed by upper-case ReplayGain field name
+ * @returns {Object|null} - { trackGain, trackPeak, albumGain, albumPeak } or null
+ */
+export const parseReplayGainTags = (tags) => {
+  const read = (key) => {
+    const value = parseFloat(tags[key]);
+    return isNaN(value) ? null : value;
+  };
+
+  const replayGain = {
+    trackGain: read('REPLAYGAIN_TRACK_GAIN'),
+    trackPeak: read('REPLAYGAIN_TRACK_PEAK'),
+    albumGain: read('REPLAYGAIN_ALBUM_GAIN'),
+    albumPeak: read('REPLAYGAIN_ALBUM_PEAK')
+  };
+
+  return replayGain.trackGain === null && replayGain.albumGain === null ? null : replayGain;
+};
+
+/**
+ * Reads ReplayGain values from a file's tags (ID3 TXXX frames, Vorbis
+ * comments, Opus R128 gains or MP4 freeform items)
+ * @param {File} file - The audio file
+ * @returns {Promise<Object|null>} - ReplayGain values or null when absent
+ */
+export const readReplayGainTags = async (file) => {
+  const { fields } = await readTags(file);
+  return parseReplayGainTags(fields);
+};
+
+/**
+ * Analyzes a file for normalization: uses ReplayGain tags when present,
+ * otherwise decodes and measures the audio
+ * @param {File} file - The audio file
+ * @param {Object} [tags] - The file's tags when already read (see readTags)
+ * @param {number} [duration] - Duration in seconds; without it nothing is measured
+ * @returns {Promise<Object>} - { replayGain } or { loudness }, empty if neither is available
+ */
+export const analyzeLoudness = async (file, tags = null, duration = null) => {
+  try {
+    if (!tags) tags = await readTags(file);
+    const replayGain = parseReplayGainTags(tags.fields);
+    if (replayGain) return { replayGain };
+
+    const loudness = await measureLoudness(file, { duration, audioOffset: tags.audioOffset });
+    return loudness && isFinite(loudness.integrated) ? { loudness } : {};
+  } catch (error) {
+    return {};
+  }
+};
+
+/**
+ * Combines track measurements into album loudness (duration-weighted energy mean)
+ * @param {Object[]} tracks - Tracks with `loudness` and `duration`
+ * @returns {Object|null} - { integrated, peak } or null when nothing was measured
+ */
+export const getAlbumLoudness = (tracks) => {
+  const measured = tracks.filter(track => track.loudness && isFinite(track.loudness.integrated));
+  if (measured.length === 0) return null;
+
+  let energy = 0;
+  let weight = 0;
+  let peak = 0;
+
+  measured.forEach((track) => {
+    const duration = track.duration > 0 ? track.duration : 1;
+    energy += duration * Math.pow(10, track.loudness.integrated / 10);
+    weight += duration;
+    peak = Math.max(peak, track.loudness.peak);
+  });
+
+  return {
+    integrated: 10 * Math.log10(energy / weight),
+    peak
+  };
+};
+
+/**
+ * Gets the gain (dB) that brings a track to the target loudness
+ * @param {Object} track - Track with `replayGain` or `loudness`
+ * @param {Object} options - { mode, target, album } where album is getAlbumLoudness() of its album
+ * @returns {number} - Gain in dB (0 when normalization is off or no data is available)
+ */
+export const getNormalizationGain = (track, { mode, target = DEFAULT_NORMALIZATION_TARGET, album = null }) => {
+  if (!track || mode === 'off') return 0;
+
+  let gain = null;
+  let peak = null;
+  const { replayGain, loudness } = track;
+
+  if (replayGain) {
+    const useAlbum = mode === 'album' && replayGain.albumGain !== null;
+    gain = (useAlbum ? replayGain.albumGain : replayGain.trackGain);
+    peak = useAlbum ? replayGain.albumPeak : replayGain.trackPeak;
+    if (gain !== null) gain += target - REPLAYGAIN_REFERENCE;
+  } else if (mode === 'album' && album) {
+    gain = target - album.integrated;
+    peak = album.peak;
+  } else if (loudness) {
+    gain = target - loudness.integrated;
+    peak = loudness.peak;
+  }
+
+  if (gain === null || !isFinite(gain)) return 0;
+
+  // Never push the peak past full scale
+  if (peak > 0) {
+    gain = Math.min(gain, -20 * Math.log10(peak));
+  }
+
+  return Math.min(gain, MAX_NORMALIZATION_GAIN);
+};
@@ -0,0 +1,188 @@
+import {
+  createLoudnessMeter,
+  getAlbumLoudness,
+  getNormalizationGain,
+  measureAudioBuffer,
+  measureLoudness,
+  parseReplayGainTags
+} from './loudness';
+
+const SAMPLE_RATE = 48000;
+
+// A 997 Hz sine, the reference signal of BS.1770
+const sine = (seconds, amplitude = 1) => {
+  const samples = new Float32Array(Math.round(seconds * SAMPLE_RATE));
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = amplitude * Math.sin(2 * Math.PI * 997 * i / SAMPLE_RATE);
+  }
+  return samples;
+};
+
+const concat = (...parts) => {
+  const samples = new Float32Array(parts.reduce((total, part) => total + part.length, 0));
+  parts.reduce((offset, part) => {
+    samples.set(part, offset);
+    return offset + part.length;
+  }, 0);
+  return samples;
+};
+
+// Stands in for a decoded AudioBuffer
+const audioBuffer = (channels) => ({
+  sampleRate: SAMPLE_RATE,
+  numberOfChannels: channels.length,
+  length: channels[0].length,
+  getChannelData: channel => channels[channel]
+});
+
+describe('measureAudioBuffer', () => {
+  it('measures a full-scale sine on one channel at -3.01 LUFS', () => {
+    // Longer than one filter chunk, so the filter state carries across chunks
+    const result = measureAudioBuffer(audioBuffer([sine(25)]));
+
+    expect(result.integrated).toBeCloseTo(-3.01, 1);
+    expect(result.peak).toBeCloseTo(1, 3);
+  });
+
+  it('sums the channels', () => {
+    const result = measureAudioBuffer(audioBuffer([sine(5, 0.5), sine(5, 0.5)]));
+    expect(result.integrated).toBeCloseTo(-6.02, 1);
+  });
+
+  // 10 s of tone make 97 overlapping blocks; each edge of the tone adds
+  // blocks holding 3/4, 2/4 and 1/4 of it, which pass both gates
+  it('leaves silence out through the absolute gate', () => {
+    const tone = measureAudioBuffer(audioBuffer([sine(10)])).integrated;
+    const silence = new Float32Array(SAMPLE_RATE * 10);
+    const result = measureAudioBuffer(audioBuffer([concat(silence, sine(10), silence)]));
+
+    expect(result.integrated).toBeCloseTo(tone + 10 * Math.log10((97 + 3) / (97 + 6)), 2);
+  });
+
+  it('leaves quiet passages out through the relative gate', () => {
+    const tone = measureAudioBuffer(audioBuffer([sine(10)])).integrated;
+    // -40 dB is above the absolute gate but far below the relative one
+    const result = measureAudioBuffer(audioBuffer([concat(sine(10), sine(10, 0.01))]));
+
+    expect(result.integrated).toBeCloseTo(tone + 10 * Math.log10((97 + 1.5) / (97 + 3)), 2);
+  });
+
+  it('ignores the LFE channel of 5.1 audio', () => {
+    const silence = new Float32Array(SAMPLE_RATE * 2);
+    const channels = [silence, silence, silence, sine(2), silence, silence];
+    const result = measureAudioBuffer(audioBuffer(channels));
+
+    expect(result.integrated).toBe(-Infinity);
+    expect(result.peak).toBeCloseTo(1, 3);
+  });
+});
+
+describe('createLoudnessMeter', () => {
+  it('measures audio added in segments like the whole of it', () => {
+    const samples = concat(sine(7, 0.5), sine(6, 0.1), sine(4));
+    const meter = createLoudnessMeter();
+    // Segment lengths that do not line up with the 100 ms steps
+    [0, 123457, 400001, samples.length].reduce((start, end) => {
+      meter.add(audioBuffer([samples.subarray(start, end)]));
+      return end;
+    });
+    const whole = measureAudioBuffer(audioBuffer([samples]));
+    const segmented = meter.finish();
+
+    expect(segmented.integrated).toBeCloseTo(whole.integrated, 6);
+    expect(segmented.peak).toBe(whole.peak);
+  });
+
+  it('reads silence when nothing was added', () => {
+    expect(createLoudnessMeter().finish()).toEqual({ integrated: -Infinity, peak: 0 });
+  });
+});
+
+describe('measureLoudness', () => {
+  const decoded = [];
+
+  // Decodes every byte to 10 ms of a tone at half scale
+  class FakeOfflineAudioContext {
+    decodeAudioData(data) {
+      decoded.push(data.byteLength);
+      return Promise.resolve(audioBuffer([sine(data.byteLength / 100, 0.5)]));
+    }
+  }
+
+  beforeEach(() => {
+    decoded.length = 0;
+    window.OfflineAudioContext = FakeOfflineAudioContext;
+  });
+
+  afterEach(() => {
+    delete window.OfflineAudioContext;
+  });
+
+  it('decodes MP3 frames in segments, after the tag', async () => {
+    const file = new Blob([new Uint8Array(10), new Uint8Array([0xff, 0xfb]), new Uint8Array(1998)]);
+    const result = await measureLoudness(file, { duration: 200, audioOffset: 10 });
+
+    expect(decoded).toEqual([667, 666, 667]);
+    expect(result.integrated).toBeCloseTo(-9.03, 1);
+  });
+
+  it('decodes other formats whole only when they are short', async () => {
+    const file = new Blob([new TextEncoder().encode('fLaC'), new Uint8Array(96)]);
+
+    expect(await measureLoudness(file, { duration: 3 * 3600 })).toBeNull();
+    expect(decoded).toEqual([]);
+
+    await measureLoudness(file, { duration: 10 });
+    expect(decoded).toEqual([100]);
+  });
+
+  it('skips files of unknown duration', async () => {
+    expect(await measureLoudness(new Blob([new Uint8Array([0xff, 0xfb, 0])]))).toBeNull();
+    expect(decoded).toEqual([]);
+  });
+});
+
+describe('parseReplayGainTags', () => {
+  it('reads gains and peaks from tag text', () => {
+    expect(parseReplayGainTags({ REPLAYGAIN_TRACK_GAIN: '-6.52 dB', REPLAYGAIN_TRACK_PEAK: '0.988553' })).toEqual({
+      trackGain: -6.52,
+      trackPeak: 0.988553,
+      albumGain: null,
+      albumPeak: null
+    });
+  });
+
+  it('returns null without any gain', () => {
+    expect(parseReplayGainTags({ REPLAYGAIN_TRACK_PEAK: '1.0' })).toBeNull();
+  });
+});
+
+describe('getNormalizationGain', () => {
+  it('brings measured tracks to the target without clipping', () => {
+    const track = { loudness: { integrated: -20, peak: 0.5 } };
+
+    expect(getNormalizationGain(track, { mode: 'track', target: -18 })).toBeCloseTo(2, 6);
+    expect(getNormalizationGain(track, { mode: 'track', target: -8 })).toBeCloseTo(-20 * Math.log10(0.5), 6);
+    expect(getNormalizationGain(track, { mode: 'off' })).toBe(0);
+  });
+
+  it('shifts ReplayGain to the target and prefers album gain in album mode', () => {
+    const track = { replayGain: { trackGain: -6, trackPeak: 0.1, albumGain: -4, albumPeak: 0.1 } };
+
+    expect(getNormalizationGain(track, { mode: 'track', target: -20 })).toBeCloseTo(-8, 6);
+    expect(getNormalizationGain(track, { mode: 'album', target: -18 })).toBeCloseTo(-4, 6);
+  });
+});
+
+describe('getAlbumLoudness', () => {
+  it('weights track energy by duration', () => {
+    const album = getAlbumLoudness([
+      { duration: 300, loudness: { integrated: -10, peak: 0.9 } },
+      { duration: 100, loudness: { integrated: -20, peak: 1 } },
+      { duration: 100, loudness: null }
+    ]);
+
+    expect(album.integrated).toBeCloseTo(10 * Math.log10((300 * 0.1 + 100 * 0.01) / 400), 6);
+    expect(album.peak).toBe(1);
+  });
+});
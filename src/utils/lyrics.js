@@ -0,0 +1,222 @@
+/**
+ * Lyrics parsing
+ * Reads LRC files (including enhanced LRC word timing) and embedded ID3
+ * lyrics (SYLT synchronised and USLT unsynchronised frames) into one shape:
+ * { synced, offset, lines: [{ time, text, words }] } with times in seconds.
+ * Unsynced lyrics have null line times; words is null unless the source
+ * times individual words.
+ */
+
+import { decodeCommentFrame, splitTerminated } from './id3';
+
+const TIME_TAG = /^\[(\d+):(\d{1,2}(?:[.:]\d{1,3})?)\]/;
+const WORD_TAG = /<(\d+):(\d{1,2}(?:[.:]\d{1,3})?)>/;
+const ID_TAG = /^\[([a-z#]+):([^\]]*)\]$/i;
+
+// SYLT timestamp formats: 1 is MPEG frames, which cannot be converted here
+const SYLT_MILLISECONDS = 2;
+const SYLT_CONTENT_LYRICS = 1;
+
+export const LYRICS_EXTENSIONS = ['.lrc'];
+
+/**
+ * Checks whether a file is a lyrics file
+ * @param {File} file - The file to check
+ * @returns {boolean} - True for .lrc files
+ */
+export const isLyricsFile = (file) => {
+  const name = file.name.toLowerCase();
+  return LYRICS_EXTENSIONS.some(extension => name.endsWith(extension));
+};
+
+/**
+ * Gets the name lyrics files are matched on: the file name without its
+ * extension, lower-cased
+ * @param {string} fileName - File name
+ * @returns {string} - Match key
+ */
+export const getLyricsMatchKey = (fileName) => {
+  return fileName.replace(/\.[^/.]+$/, '').trim().toLowerCase();
+};
+
+const parseTimestamp = (minutes, seconds) => {
+  return parseInt(minutes, 10) * 60 + parseFloat(seconds.replace(':', '.'));
+};
+
+/**
+ * Splits the text of an enhanced LRC line into timed words
+ * @param {string} text - Line text after its time tags
+ * @param {number} lineTime - Time of the line, used for text before the first word tag
+ * @returns {Object} - { text (without word tags), words (null without word tags) }
+ */
+const parseWords = (text, lineTime) => {
+  if (!WORD_TAG.test(text)) return { text: text.trim(), words: null };
+
+  // split with capture groups yields [text, minutes, seconds, text, ...]
+  const parts = text.split(new RegExp(WORD_TAG.source, 'g'));
+  const words = [];
+  if (parts[0].trim()) words.push({ time: lineTime, text: parts[0] });
+
+  for (let i = 1; i < parts.length; i += 3) {
+    if (parts[i + 2]) {
+      words.push({ time: parseTimestamp(parts[i], parts[i + 1]), text: parts[i + 2] });
+    }
+  }
+
+  return { text: words.map(word => word.text).join('').trim(), words: words.length > 0 ? words : null };
+};
+
+/**
+ * Parses LRC lyrics. Lines may carry several time tags; text without any
+ * time tags is returned as unsynced lyrics.
+ * @param {string} text - LRC file contents
+ * @returns {Object|null} - Lyrics, or null when there is no text
+ */
+export const parseLrc = (text) => {
+  const synced = [];
+  const plain = [];
+  let offset = 0;
+
+  text.split(/\r?\n/).forEach((rawLine) => {
+    let line = rawLine.trim();
+    const times = [];
+    let match = TIME_TAG.exec(line);
+
+    while (match) {
+      times.push(parseTimestamp(match[1], match[2]));
+      line = line.slice(match[0].length);
+      match = TIME_TAG.exec(line);
+    }
+
+    if (times.length > 0) {
+      times.forEach((time) => {
+        synced.push({ time, ...parseWords(line, time) });
+      });
+      return;
+    }
+
+    const idTag = ID_TAG.exec(line);
+    if (idTag) {
+      // [offset:+500] shows the lyrics half a second earlier
+      if (idTag[1].toLowerCase() === 'offset') {
+        offset = (parseInt(idTag[2], 10) || 0) / 1000;
+      }
+      return;
+    }
+
+    if (line) plain.push({ time: null, text: line, words: null });
+  });
+
+  if (synced.length > 0) {
+    return { synced: true, offset, lines: synced.sort((a, b) => a.time - b.time) };
+  }
+  return plain.length > 0 ? { synced: false, offset: 0, lines: plain } : null;
+};
+
+/**
+ * Decodes a SYLT frame into synced lyrics. Entries starting with a line
+ * break begin a new line; the rest are syllables of the current line.
+ * @param {Uint8Array} data - Frame body
+ * @returns {Object|null} - { contentType, lyrics }, or null when the frame
+ *   uses MPEG frame timestamps or has no entries
+ */
+export const decodeSyltFrame = (data) => {
+  if (data.length < 6 || data[4] !== SYLT_MILLISECONDS) return null;
+
+  const encoding = data[0];
+  const contentType = data[5];
+  let { rest } = splitTerminated(data.subarray(6), encoding);
+  const entries = [];
+
+  while (rest.length > 4) {
+    const { value, rest: afterText } = splitTerminated(rest, encoding);
+    if (afterText.length < 4) break;
+
+    const time = (afterText[0] * 0x1000000 + (afterText[1] << 16) + (afterText[2] << 8) + afterText[3]) / 1000;
+    entries.push({ time, text: value });
+    rest = afterText.subarray(4);
+  }
+  if (entries.length === 0) return null;
+
+  const isSyllabic = entries.some(entry => /^[\r\n]/.test(entry.text));
+  const lines = [];
+
+  entries.forEach((entry) => {
+    const text = entry.text.replace(/^[\r\n]+/, '');
+    const current = lines[lines.length - 1];
+
+    if (!isSyllabic || !current || /^[\r\n]/.test(entry.text)) {
+      lines.push({ time: entry.time, text, words: isSyllabic ? [{ time: entry.time, text }] : null });
+    } else {
+      current.words.push({ time: entry.time, text });
+      current.text += text;
+    }
+  });
+
+  return {
+    contentType,
+    lyrics: {
+      synced: true,
+      offset: 0,
+      lines: lines
+        .map(line => ({ ...line, text: line.text.trim() }))
+        .sort((a, b) => a.time - b.time)
+    }
+  };
+};
+
+/**
+ * Picks the lyrics from ID3 frames, preferring synchronised lyrics
+ * @param {Object[]} frames - Frames from parseId3v2
+ * @returns {Object|null} - Lyrics, or null when the tag has none
+ */
+export const getId3Lyrics = (frames) => {
+  const synced = frames
+    .filter(frame => frame.id === 'SYLT')
+    .map(frame => decodeSyltFrame(frame.data))
+    .filter(Boolean);
+  const sylt = synced.find(item => item.contentType === SYLT_CONTENT_LYRICS) || synced[0];
+  if (sylt) return sylt.lyrics;
+
+  const uslt = frames.find(frame => frame.id === 'USLT');
+  // Some taggers store LRC text in USLT, so parse it as LRC
+  return uslt ? parseLrc(decodeCommentFrame(uslt.data).text) : null;
+};
+
+/**
+ * Reads an .lrc file
+ * @param {File} file - The lyrics file
+ * @returns {Promise<Object|null>} - Lyrics, or null when unreadable or empty
+ */
+export const readLyricsFile = async (file) => {
+  try {
+    return parseLrc(await file.text());
+  } catch (error) {
+    console.error(`Failed to read lyrics from ${file.name}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Finds the last timed item (line or word) starting at or before a time
+ * @param {Object[]} items - Items sorted by time
+ * @param {number} time - Time in seconds
+ * @returns {number} - Index of the item, or -1 before the first one
+ */
+export const findTimedIndex = (items, time) => {
+  let low = 0;
+  let high = items.length - 1;
+  let found = -1;
+
+  while (low <= high) {
+    const middle = Math.floor((low + high) / 2);
+    if (items[middle].time <= time) {
+      found = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+
+  return found;
+};
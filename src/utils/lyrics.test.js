@@ -0,0 +1,57 @@
+import { findTimedIndex, getLyricsMatchKey, parseLrc } from './lyrics';
+
+describe('parseLrc', () => {
+  it('reads timed lines in time order, repeating lines with several time tags', () => {
+    const lyrics = parseLrc([
+      '[ar:Artist]',
+      '[offset:+500]',
+      '[00:12.50][01:02.00]Chorus',
+      '[00:05.1]First line'
+    ].join('\n'));
+
+    expect(lyrics).toEqual({
+      synced: true,
+      offset: 0.5,
+      lines: [
+        { time: 5.1, text: 'First line', words: null },
+        { time: 12.5, text: 'Chorus', words: null },
+        { time: 62, text: 'Chorus', words: null }
+      ]
+    });
+  });
+
+  it('reads enhanced LRC word timing', () => {
+    const [line] = parseLrc('[00:01.00]<00:01.00>Hello <00:01.50>world').lines;
+
+    expect(line.text).toBe('Hello world');
+    expect(line.words).toEqual([{ time: 1, text: 'Hello ' }, { time: 1.5, text: 'world' }]);
+  });
+
+  it('returns text without time tags as unsynced lyrics', () => {
+    expect(parseLrc('First\r\n\r\nSecond')).toEqual({
+      synced: false,
+      offset: 0,
+      lines: [{ time: null, text: 'First', words: null }, { time: null, text: 'Second', words: null }]
+    });
+  });
+
+  it('returns null without any text', () => {
+    expect(parseLrc('[ti:Title]\n')).toBeNull();
+  });
+});
+
+describe('findTimedIndex', () => {
+  const lines = [{ time: 1 }, { time: 5 }, { time: 9 }];
+
+  it('finds the last line starting at or before a time', () => {
+    expect(findTimedIndex(lines, 0.5)).toBe(-1);
+    expect(findTimedIndex(lines, 5)).toBe(1);
+    expect(findTimedIndex(lines, 100)).toBe(2);
+  });
+});
+
+describe('getLyricsMatchKey', () => {
+  it('drops the extension and case', () => {
+    expect(getLyricsMatchKey('01 Song.LRC')).toBe(getLyricsMatchKey('01 song.mp3'));
+  });
+});
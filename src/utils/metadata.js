@@ -0,0 +1,136 @@
+/**
+ * Container-aware tag reading
+ * Reads Vorbis comments from FLAC and Ogg (Vorbis, Opus, FLAC) files, iTunes
+ * `ilst` items from MP4/M4A files and ID3 tags from everything else, and
+ * identifies the codec along the way.
+ */
+
+import { ID3_GENRES, getUserTextFrames, readId3Metadata, readId3v2 } from './id3';
+import { FLAC_BLOCK_TYPES, readFlacBlocks } from './flac';
+import { getMp4Codec, getMp4Cover, getMp4FreeformItems, getMp4Metadata, isMp4, readMp4Movie } from './mp4';
+import { getVorbisMetadata, isOgg, parseVorbisComment, readOggTags } from './vorbis';
+import { getId3Lyrics, parseLrc } from './lyrics';
+import { getId3Chapters, getVorbisChapters, readMp4Chapters } from './chapters';
+import { getFlacPicture, getId3Picture, getOggPicture } from './artwork';
+
+// Opus R128 gains are Q7.8 dB relative to -23 LUFS; ReplayGain uses -18
+const R128_TO_REPLAYGAIN = 5;
+
+const startsWith = (bytes, text) => {
+  return new TextDecoder('iso-8859-1').decode(bytes.subarray(0, text.length)) === text;
+};
+
+// Single values of Vorbis comments, with Opus R128 gains as ReplayGain
+const getVorbisFields = (comments) => {
+  const fields = Object.keys(comments).reduce((result, key) => {
+    result[key] = Array.isArray(comments[key]) ? comments[key][0] : comments[key];
+    return result;
+  }, {});
+
+  [['R128_TRACK_GAIN', 'REPLAYGAIN_TRACK_GAIN'], ['R128_ALBUM_GAIN', 'REPLAYGAIN_ALBUM_GAIN']].forEach(([r128, replayGain]) => {
+    const value = parseInt(fields[r128], 10);
+    if (fields[replayGain] === undefined && !isNaN(value)) {
+      fields[replayGain] = `${(value / 256 + R128_TO_REPLAYGAIN).toFixed(2)} dB`;
+    }
+  });
+
+  return fields;
+};
+
+// Vorbis comment lyrics, either plain text or LRC
+const getFieldLyrics = (fields) => {
+  const text = fields.LYRICS || fields.UNSYNCEDLYRICS;
+  return text ? parseLrc(text) : null;
+};
+
+/**
+ * Identifies raw MPEG audio, ADTS AAC and WAV data from its first bytes
+ * @param {Uint8Array} bytes - Bytes at the start of the audio data
+ * @returns {string|null} - 'mp3', 'aac', 'pcm' or null
+ */
+const getRawCodec = (bytes) => {
+  if (startsWith(bytes, 'RIFF') && new TextDecoder('iso-8859-1').decode(bytes.subarray(8, 12)) === 'WAVE') {
+    return 'pcm';
+  }
+  if (bytes[0] !== 0xff || (bytes[1] & 0xe0) !== 0xe0) return null;
+
+  const layer = (bytes[1] >> 1) & 0x03;
+  if (layer === 0x01) return 'mp3';
+  if (layer === 0x00 && (bytes[1] & 0xf0) === 0xf0) return 'aac';
+  return null;
+};
+
+/**
+ * Reads a file's tags and codec
+ * @param {Blob} file - The audio file
+ * @returns {Promise<Object>} - { codec, metadata, fields, audioOffset } where
+ *   metadata holds the common fields (title, artist, album, ...), fields
+ *   holds every other text value keyed by upper-case name (TXXX frames,
+ *   Vorbis comments, MP4 freeform items), lyrics holds embedded lyrics (or
+ *   null), chapters holds unsorted chapters ({ title, start, end? }),
+ *   picture holds the embedded cover ({ mimeType, data }, or null) and
+ *   audioOffset is where the data after a leading ID3v2 tag starts
+ */
+export const readTags = async (file) => {
+  try {
+    const tag = await readId3v2(file);
+    const dataOffset = tag ? tag.size : 0;
+    const head = new Uint8Array(await file.slice(dataOffset, dataOffset + 12).arrayBuffer());
+
+    if (startsWith(head, 'fLaC')) {
+      const blocks = await readFlacBlocks(file, [FLAC_BLOCK_TYPES.VORBIS_COMMENT, FLAC_BLOCK_TYPES.PICTURE]) || [];
+      const block = blocks.find(item => item.type === FLAC_BLOCK_TYPES.VORBIS_COMMENT);
+      const comments = block ? parseVorbisComment(block.data) : {};
+      const fields = getVorbisFields(comments);
+      return {
+        codec: 'flac',
+        metadata: getVorbisMetadata(comments),
+        fields,
+        lyrics: getFieldLyrics(fields),
+        chapters: getVorbisChapters(fields),
+        picture: getFlacPicture(blocks),
+        audioOffset: dataOffset
+      };
+    }
+
+    if (isOgg(head)) {
+      const { codec, comments } = await readOggTags(file);
+      const fields = getVorbisFields(comments);
+      return {
+        codec,
+        metadata: getVorbisMetadata(comments),
+        fields,
+        lyrics: getFieldLyrics(fields),
+        chapters: getVorbisChapters(fields),
+        picture: getOggPicture(comments),
+        audioOffset: dataOffset
+      };
+    }
+
+    if (isMp4(head)) {
+      const movie = await readMp4Movie(file);
+      return {
+        codec: movie ? getMp4Codec(movie) : null,
+        metadata: movie ? getMp4Metadata(movie, ID3_GENRES) : {},
+        fields: movie ? getMp4FreeformItems(movie) : {},
+        lyrics: null,
+        chapters: movie ? await readMp4Chapters(file, movie) : [],
+        picture: (tag && getId3Picture(tag)) || (movie ? getMp4Cover(movie) : null),
+        audioOffset: dataOffset
+      };
+    }
+
+    return {
+      codec: getRawCodec(head),
+      metadata: await readId3Metadata(file, tag),
+      fields: tag ? getUserTextFrames(tag.frames) : {},
+      lyrics: tag ? getId3Lyrics(tag.frames) : null,
+      chapters: tag ? getId3Chapters(tag.frames, tag.version) : [],
+      picture: tag ? getId3Picture(tag) : null,
+      audioOffset: dataOffset
+    };
+  } catch (error) {
+    console.error('Failed to read tags:', error);
+    return { codec: null, metadata: {}, fields: {}, lyrics: null, chapters: [], picture: null, audioOffset: 0 };
+  }
+};
@@ -0,0 +1,254 @@
+/**
+ * MPEG audio (MP3) frame scanning
+ * Reads duration, bitrate and stream details from frame headers without
+ * decoding: from the Xing/Info or VBRI header written by most encoders, or
+ * by walking every frame header when there is none.
+ */
+
+const latin1 = new TextDecoder('iso-8859-1');
+
+// Bytes read per step while walking frames
+const SCAN_CHUNK_SIZE = 1024 * 1024;
+// How far past the tag to look for the first frame
+const SYNC_SEARCH_LIMIT = 64 * 1024;
+const ID3V1_SIZE = 128;
+
+const MPEG_VERSIONS = { 0: 2.5, 2: 2, 3: 1 };
+const LAYER_III = 1;
+
+// Layer III bitrates in kbps by bitrate index (0 is free format)
+const BITRATES = {
+  1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+
+const SAMPLE_RATES = {
+  1: [44100, 48000, 32000],
+  2: [22050, 24000, 16000],
+  2.5: [11025, 12000, 8000]
+};
+
+export const CHANNEL_MODES = ['Stereo', 'Joint stereo', 'Dual channel', 'Mono'];
+
+const XING_FLAGS = { FRAMES: 0x1, BYTES: 0x2, TOC: 0x4, QUALITY: 0x8 };
+const XING_TOC_SIZE = 100;
+// The LAME tag's 12-bit encoder delay and padding follow its version
+// string, revision, lowpass, ReplayGain, flags and bitrate fields
+const LAME_DELAY_OFFSET = 21;
+// VBRI headers sit after 32 bytes of side information in every frame layout
+const VBRI_OFFSET = 36;
+
+const readUint32 = (bytes, offset) => {
+  return bytes[offset] * 0x1000000 + (bytes[offset + 1] << 16) + (bytes[offset + 2] << 8) + bytes[offset + 3];
+};
+
+/**
+ * Parses a Layer III frame header
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} offset - Offset of the header
+ * @returns {Object|null} - { version, sampleRate, bitrate (kbps), channelMode,
+ *   samples (per frame), length (bytes), sideInfoSize } or null when the
+ *   bytes are not a valid header
+ */
+export const parseFrameHeader = (bytes, offset) => {
+  if (offset + 4 > bytes.length) return null;
+  if (bytes[offset] !== 0xff || (bytes[offset + 1] & 0xe0) !== 0xe0) return null;
+
+  const version = MPEG_VERSIONS[(bytes[offset + 1] >> 3) & 0x03];
+  const layer = (bytes[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = bytes[offset + 2] >> 4;
+  const sampleRateIndex = (bytes[offset + 2] >> 2) & 0x03;
+  if (!version || layer !== LAYER_III || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const bitrate = BITRATES[version === 1 ? 1 : 2][bitrateIndex];
+  const sampleRate = SAMPLE_RATES[version][sampleRateIndex];
+  const padding = (bytes[offset + 2] >> 1) & 0x01;
+  const channelMode = bytes[offset + 3] >> 6;
+  const samples = version === 1 ? 1152 : 576;
+  const mono = channelMode === 3;
+
+  return {
+    version,
+    sampleRate,
+    bitrate,
+    channelMode,
+    samples,
+    length: Math.floor((samples / 8) * bitrate * 1000 / sampleRate) + padding,
+    sideInfoSize: version === 1 ? (mono ? 17 : 32) : (mono ? 9 : 17)
+  };
+};
+
+const isSameStream = (a, b) => {
+  return a.version === b.version && a.sampleRate === b.sampleRate;
+};
+
+/**
+ * Reads the Xing/Info header (with the LAME extension) or the VBRI header
+ * of the first frame
+ * @param {Uint8Array} bytes - The first frame
+ * @param {Object} header - Its parsed header
+ * @returns {Object|null} - { type, frames, bytes, encoderDelay, encoderPadding }
+ */
+const parseInfoFrame = (bytes, header) => {
+  let offset = 4 + header.sideInfoSize;
+  const tag = latin1.decode(bytes.subarray(offset, offset + 4));
+
+  if (tag === 'Xing' || tag === 'Info') {
+    const flags = readUint32(bytes, offset + 4);
+    const info = { type: tag, frames: null, bytes: null, encoderDelay: 0, encoderPadding: 0 };
+    offset += 8;
+
+    if (flags & XING_FLAGS.FRAMES) {
+      info.frames = readUint32(bytes, offset);
+      offset += 4;
+    }
+    if (flags & XING_FLAGS.BYTES) {
+      info.bytes = readUint32(bytes, offset);
+      offset += 4;
+    }
+    if (flags & XING_FLAGS.TOC) offset += XING_TOC_SIZE;
+    if (flags & XING_FLAGS.QUALITY) offset += 4;
+
+    // LAME, and encoders derived from it, append their tag after the Xing fields
+    const encoder = latin1.decode(bytes.subarray(offset, offset + 4));
+    if (['LAME', 'Lavf', 'Lavc', 'GOGO'].includes(encoder) && offset + LAME_DELAY_OFFSET + 3 <= bytes.length) {
+      const delayPadding = (bytes[offset + LAME_DELAY_OFFSET] << 16) |
+        (bytes[offset + LAME_DELAY_OFFSET + 1] << 8) |
+        bytes[offset + LAME_DELAY_OFFSET + 2];
+      info.encoderDelay = delayPadding >> 12;
+      info.encoderPadding = delayPadding & 0xfff;
+    }
+
+    return info;
+  }
+
+  if (latin1.decode(bytes.subarray(VBRI_OFFSET, VBRI_OFFSET + 4)) === 'VBRI') {
+    return {
+      type: 'VBRI',
+      bytes: readUint32(bytes, VBRI_OFFSET + 10),
+      frames: readUint32(bytes, VBRI_OFFSET + 14),
+      encoderDelay: 0,
+      encoderPadding: 0
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Finds the first frame, requiring the frame after it to be valid too so
+ * that stray sync bytes in leftover data are not mistaken for audio
+ * @param {Uint8Array} bytes - Data following the ID3v2 tag
+ * @returns {number} - Offset of the first frame, or -1
+ */
+const findFirstFrame = (bytes) => {
+  for (let offset = 0; offset + 4 <= bytes.length; offset++) {
+    const header = parseFrameHeader(bytes, offset);
+    if (!header) continue;
+
+    const next = parseFrameHeader(bytes, offset + header.length);
+    if (next && isSameStream(header, next)) return offset;
+    // A single frame that fills the data is fine too
+    if (offset + header.length >= bytes.length) return offset;
+  }
+  return -1;
+};
+
+/**
+ * Walks frame headers from an offset to the end of the audio data
+ * @param {Blob} file - The audio file
+ * @param {number} start - Offset of the first frame
+ * @param {number} end - End of the audio data
+ * @param {Object} first - Header of the first frame
+ * @returns {Promise<Object>} - { frames, bytes, channelModes }
+ */
+const walkFrames = async (file, start, end, first) => {
+  let frames = 0;
+  let bytes = 0;
+  let position = start;
+  let chunk = new Uint8Array(0);
+  let chunkStart = start;
+  const channelModes = new Set();
+
+  while (position + 4 <= end) {
+    if (position + 4 > chunkStart + chunk.length) {
+      chunkStart = position;
+      chunk = new Uint8Array(await file.slice(position, Math.min(end, position + SCAN_CHUNK_SIZE)).arrayBuffer());
+    }
+
+    const header = parseFrameHeader(chunk, position - chunkStart);
+    if (header && isSameStream(header, first)) {
+      frames++;
+      bytes += Math.min(header.length, end - position);
+      channelModes.add(header.channelMode);
+      position += header.length;
+    } else {
+      // Lost sync: skip ahead to the next header of the same stream
+      position++;
+    }
+  }
+
+  return { frames, bytes, channelModes };
+};
+
+/**
+ * Scans an MP3 file's frames for its exact duration and stream details
+ * @param {Blob} file - The audio file
+ * @param {number} audioOffset - Offset of the audio data (the ID3v2 tag size)
+ * @returns {Promise<Object|null>} - { duration (seconds), bitrate (average
+ *   kbps), sampleRate, channelMode, encoderDelay, encoderPadding (samples),
+ *   isVbr } or null when no MPEG audio frames are found
+ */
+export const scanMp3 = async (file, audioOffset = 0) => {
+  const head = new Uint8Array(await file.slice(audioOffset, audioOffset + SYNC_SEARCH_LIMIT).arrayBuffer());
+  const firstOffset = findFirstFrame(head);
+  if (firstOffset === -1) return null;
+
+  const first = parseFrameHeader(head, firstOffset);
+  const info = parseInfoFrame(head.subarray(firstOffset, firstOffset + first.length), first);
+
+  // Leave out a trailing ID3v1 tag
+  let end = file.size;
+  if (end - ID3V1_SIZE >= audioOffset) {
+    const trailer = new Uint8Array(await file.slice(end - ID3V1_SIZE, end - ID3V1_SIZE + 3).arrayBuffer());
+    if (latin1.decode(trailer) === 'TAG') end -= ID3V1_SIZE;
+  }
+
+  // The info frame is silent and not counted in its own frame total
+  const audioStart = audioOffset + firstOffset + (info ? first.length : 0);
+  let frames;
+  let bytes;
+  let channelMode = first.channelMode;
+  let isVbr = info ? info.type !== 'Info' : false;
+
+  if (info && info.frames) {
+    frames = info.frames;
+    bytes = info.bytes || end - audioStart;
+  } else {
+    const walk = await walkFrames(file, audioStart, end, first);
+    frames = walk.frames;
+    bytes = walk.bytes;
+    if (walk.channelModes.size === 1) [channelMode] = walk.channelModes;
+    // Without a header, any variation in frame size beyond padding means VBR
+    isVbr = Math.abs(bytes / Math.max(frames, 1) - first.length) > 1;
+  }
+
+  if (!frames) return null;
+
+  const encoderDelay = info ? info.encoderDelay : 0;
+  const encoderPadding = info ? info.encoderPadding : 0;
+  const samples = Math.max(0, frames * first.samples - encoderDelay - encoderPadding);
+  const duration = samples / first.sampleRate;
+
+  return {
+    duration,
+    bitrate: duration > 0 ? Math.round((bytes * 8) / duration / 1000) : first.bitrate,
+    sampleRate: first.sampleRate,
+    channelMode: CHANNEL_MODES[channelMode],
+    encoderDelay,
+    encoderPadding,
+    isVbr
+  };
+};
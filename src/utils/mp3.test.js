@@ -0,0 +1,89 @@
+import { parseFrameHeader, scanMp3 } from './mp3';
+
+const ascii = (text) => Array.from(text, char => char.charCodeAt(0));
+
+const uint32 = (value) => [(value >>> 24) & 0xff, (value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+
+// MPEG-1 Layer III, 128 kbps, 44.1 kHz, stereo: 417-byte frames of 1152 samples
+const HEADER = [0xff, 0xfb, 0x90, 0x00];
+const FRAME_LENGTH = 417;
+const SAMPLE_RATE = 44100;
+
+// A frame whose side information is followed by the given bytes
+const frame = (content = []) => {
+  const bytes = new Uint8Array(FRAME_LENGTH);
+  bytes.set(HEADER);
+  bytes.set(content, 36);
+  return bytes;
+};
+
+describe('parseFrameHeader', () => {
+  it('reads the stream details of a Layer III header', () => {
+    expect(parseFrameHeader(new Uint8Array(HEADER), 0)).toEqual({
+      version: 1,
+      sampleRate: SAMPLE_RATE,
+      bitrate: 128,
+      channelMode: 0,
+      samples: 1152,
+      length: FRAME_LENGTH,
+      sideInfoSize: 32
+    });
+  });
+
+  it('rejects bytes without frame sync or with a reserved field', () => {
+    expect(parseFrameHeader(new Uint8Array([0xff, 0x7b, 0x90, 0x00]), 0)).toBeNull();
+    expect(parseFrameHeader(new Uint8Array([0xff, 0xfb, 0xf0, 0x00]), 0)).toBeNull();
+    expect(parseFrameHeader(new Uint8Array([0xff, 0xfb, 0x9c, 0x00]), 0)).toBeNull();
+  });
+});
+
+describe('scanMp3', () => {
+  it('takes the duration from a Xing header', async () => {
+    const xing = [...ascii('Xing'), ...uint32(0x03), ...uint32(1000), ...uint32(417000)];
+    const result = await scanMp3(new Blob([frame(xing)]));
+
+    expect(result.duration).toBeCloseTo(1000 * 1152 / SAMPLE_RATE, 6);
+    expect(result.bitrate).toBe(128);
+    expect(result.isVbr).toBe(true);
+  });
+
+  it('leaves out the encoder delay and padding of a LAME tag', async () => {
+    const lame = [...ascii('LAME3.100'), ...new Array(12).fill(0), 0x24, 0x03, 0xe8];
+    const info = [...ascii('Info'), ...uint32(0x01), ...uint32(1000), ...lame];
+    const result = await scanMp3(new Blob([frame(info)]));
+
+    expect(result.encoderDelay).toBe(576);
+    expect(result.encoderPadding).toBe(1000);
+    expect(result.duration).toBeCloseTo((1000 * 1152 - 576 - 1000) / SAMPLE_RATE, 6);
+    expect(result.isVbr).toBe(false);
+  });
+
+  it('takes the duration from a VBRI header', async () => {
+    const vbri = [...ascii('VBRI'), 0, 1, 0, 0, 0, 75, ...uint32(208500), ...uint32(500)];
+    const result = await scanMp3(new Blob([frame(vbri)]));
+
+    expect(result.duration).toBeCloseTo(500 * 1152 / SAMPLE_RATE, 6);
+    expect(result.isVbr).toBe(true);
+  });
+
+  it('counts the frames when there is no header', async () => {
+    const result = await scanMp3(new Blob([frame(), frame(), frame()]));
+
+    expect(result.duration).toBeCloseTo(3 * 1152 / SAMPLE_RATE, 6);
+    expect(result.channelMode).toBe('Stereo');
+    expect(result.isVbr).toBe(false);
+  });
+
+  it('starts after the tag and leaves out a trailing ID3v1 tag', async () => {
+    const tag = new Uint8Array(10);
+    const trailer = new Uint8Array(128);
+    trailer.set(ascii('TAG'));
+    const result = await scanMp3(new Blob([tag, frame(), frame(), trailer]), tag.length);
+
+    expect(result.duration).toBeCloseTo(2 * 1152 / SAMPLE_RATE, 6);
+  });
+
+  it('returns null without MPEG audio', async () => {
+    expect(await scanMp3(new Blob([new Uint8Array(2048)]))).toBeNull();
+  });
+});
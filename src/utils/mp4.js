@@ -0,0 +1,385 @@
+/**
+ * MP4/M4A container reading
+ * Locates the top-level `moov` box (before or after `mdat`) without reading
+ * the media data, then walks its boxes in memory.
+ */
+
+const latin1 = new TextDecoder('iso-8859-1');
+
+const readUint32 = (bytes, offset) => {
+  return bytes[offset] * 0x1000000 + (bytes[offset + 1] << 16) + (bytes[offset + 2] << 8) + bytes[offset + 3];
+};
+
+const readBoxType = (bytes, offset) => latin1.decode(bytes.subarray(offset, offset + 4));
+
+// Boxes whose children start after a 4-byte version/flags field
+const FULL_BOX_CONTAINERS = ['meta'];
+
+/**
+ * Checks for an `ftyp` box at the start of the data
+ * @param {Uint8Array} bytes - The first bytes of the file
+ * @returns {boolean} - True for MP4-family files
+ */
+export const isMp4 = (bytes) => bytes.length >= 8 && readBoxType(bytes, 4) === 'ftyp';
+
+/**
+ * Reads the box header at an offset
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} offset - Offset of the box
+ * @param {number} end - End of the enclosing data
+ * @returns {Object|null} - { type, start (of content), end } or null
+ */
+const readBoxHeader = (bytes, offset, end) => {
+  if (offset + 8 > end) return null;
+
+  let size = readUint32(bytes, offset);
+  let headerSize = 8;
+  if (size === 1) {
+    size = readUint32(bytes, offset + 8) * 0x100000000 + readUint32(bytes, offset + 12);
+    headerSize = 16;
+  } else if (size === 0) {
+    size = end - offset;
+  }
+  if (size < headerSize || offset + size > end) return null;
+
+  return { type: readBoxType(bytes, offset + 4), start: offset + headerSize, end: offset + size };
+};
+
+/**
+ * Lists the child boxes of a range
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} start - First byte of the children
+ * @param {number} end - End of the children
+ * @returns {Object[]} - Boxes ({ type, start, end })
+ */
+export const getChildBoxes = (bytes, start = 0, end = bytes.length) => {
+  const boxes = [];
+  let offset = start;
+
+  while (offset < end) {
+    const box = readBoxHeader(bytes, offset, end);
+    if (!box) break;
+    boxes.push(box);
+    offset = box.end;
+  }
+
+  return boxes;
+};
+
+// Content start of a container box. Apple writes `meta` as a full box while
+// QuickTime files sometimes do not, so look for the `hdlr` child to decide.
+const getContainerStart = (bytes, box) => {
+  if (!FULL_BOX_CONTAINERS.includes(box.type)) return box.start;
+  return readBoxType(bytes, box.start + 4) === 'hdlr' ? box.start : box.start + 4;
+};
+
+/**
+ * Finds a box by path, e.g. ['udta', 'meta', 'ilst']
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {string[]} path - Box types from the outermost
+ * @param {Object} parent - Range to search ({ start, end }), defaults to all bytes
+ * @returns {Object|null} - The box ({ type, start, end }) with start at its children
+ */
+export const findBox = (bytes, path, parent = { start: 0, end: bytes.length }) => {
+  let current = parent;
+
+  for (const type of path) {
+    const box = getChildBoxes(bytes, current.start, current.end).find(child => child.type === type);
+    if (!box) return null;
+    current = { ...box, start: getContainerStart(bytes, box) };
+  }
+
+  return current;
+};
+
+/**
+ * Locates a top-level box by reading only the box headers
+ * @param {Blob} file - The audio file
+ * @param {string} type - Box type, e.g. 'moov' or 'mdat'
+ * @returns {Promise<Object|null>} - File offsets of the box contents
+ *   ({ start, end }), or null when the file is not MP4 or has no such box
+ */
+export const findTopLevelBox = async (file, type) => {
+  const head = new Uint8Array(await file.slice(0, 8).arrayBuffer());
+  if (!isMp4(head)) return null;
+
+  let offset = 0;
+  while (offset + 8 <= file.size) {
+    const header = new Uint8Array(await file.slice(offset, offset + 16).arrayBuffer());
+    const box = readBoxHeader(header, 0, file.size - offset);
+    if (!box) return null;
+
+    if (box.type === type) {
+      return { start: offset + box.start, end: offset + box.end };
+    }
+    offset += box.end;
+  }
+
+  return null;
+};
+
+/**
+ * Reads the `moov` box without loading `mdat`
+ * @param {Blob} file - The audio file
+ * @returns {Promise<Uint8Array|null>} - The moov box contents, or null when
+ *   the file is not MP4
+ */
+export const readMp4Movie = async (file) => {
+  const movie = await findTopLevelBox(file, 'moov');
+  return movie ? new Uint8Array(await file.slice(movie.start, movie.end).arrayBuffer()) : null;
+};
+
+/**
+ * Lists the `data` payloads of an `ilst` item
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {Object} item - The item box
+ * @returns {Object[]} - { type (well-known type indicator), data }
+ */
+export const getItemData = (bytes, item) => {
+  return getChildBoxes(bytes, item.start, item.end)
+    .filter(box => box.type === 'data' && box.end - box.start >= 8)
+    .map(box => ({
+      type: readUint32(bytes, box.start) & 0xffffff,
+      data: bytes.subarray(box.start + 8, box.end)
+    }));
+};
+
+// Well-known data types used for cover art
+const IMAGE_TYPES = { 13: 'image/jpeg', 14: 'image/png', 27: 'image/bmp' };
+
+/**
+ * Extracts the cover art from the `covr` item of a movie box
+ * @param {Uint8Array} movie - Contents of the moov box
+ * @returns {Object|null} - { mimeType, data }
+ */
+export const getMp4Cover = (movie) => {
+  const cover = findBox(movie, ['udta', 'meta', 'ilst', 'covr']);
+  if (!cover) return null;
+
+  const [image] = getItemData(movie, cover);
+  return image ? { mimeType: IMAGE_TYPES[image.type] || 'image/jpeg', data: image.data } : null;
+};
+
+const utf8 = new TextDecoder('utf-8');
+
+const readUint16 = (bytes, offset) => (bytes[offset] << 8) | bytes[offset + 1];
+
+// iTunes text items and the metadata fields they fill
+const TEXT_ITEMS = {
+  '©nam': 'title',
+  '©ART': 'artist',
+  '©alb': 'album',
+  aART: 'albumArtist',
+  '©gen': 'genre',
+  '©cmt': 'comment'
+};
+
+/**
+ * Reads the items of the `ilst` box
+ * @param {Uint8Array} movie - Contents of the moov box
+ * @returns {Object[]} - Items ({ type, start, end }), empty when untagged
+ */
+const getIlstItems = (movie) => {
+  const ilst = findBox(movie, ['udta', 'meta', 'ilst']);
+  return ilst ? getChildBoxes(movie, ilst.start, ilst.end) : [];
+};
+
+/**
+ * Maps iTunes-style `ilst` items to metadata fields
+ * @param {Uint8Array} movie - Contents of the moov box
+ * @param {string[]} genres - Genre names for the numeric `gnre` item
+ * @returns {Object} - Same fields as getId3Metadata (missing fields omitted)
+ */
+export const getMp4Metadata = (movie, genres = []) => {
+  const metadata = {};
+
+  // Box types are decoded as Latin-1, which maps byte 0xA9 to '©'
+  getIlstItems(movie).forEach((item) => {
+    const [value] = getItemData(movie, item);
+    if (!value) return;
+
+    if (TEXT_ITEMS[item.type]) {
+      const text = utf8.decode(value.data).trim();
+      if (text) metadata[TEXT_ITEMS[item.type]] = text;
+    } else if (item.type === 'trkn' || item.type === 'disk') {
+      const number = readUint16(value.data, 2);
+      const total = readUint16(value.data, 4);
+      const prefix = item.type === 'trkn' ? 'track' : 'disc';
+      if (number) metadata[`${prefix}Number`] = number;
+      if (total) metadata[`${prefix}Total`] = total;
+    } else if (item.type === '©day') {
+      const year = parseInt(utf8.decode(value.data).slice(0, 4), 10);
+      if (!isNaN(year)) metadata.year = year;
+    } else if (item.type === 'gnre' && !metadata.genre) {
+      // ID3v1 genre index plus one
+      const genre = genres[readUint16(value.data, 0) - 1];
+      if (genre) metadata.genre = genre;
+    }
+  });
+
+  return metadata;
+};
+
+/**
+ * Reads `----` freeform items (mean, name, data), such as the
+ * com.apple.iTunes:replaygain_track_gain values written by taggers
+ * @param {Uint8Array} movie - Contents of the moov box
+ * @returns {Object} - Values keyed by upper-case item name
+ */
+export const getMp4FreeformItems = (movie) => {
+  return getIlstItems(movie)
+    .filter(item => item.type === '----')
+    .reduce((result, item) => {
+      const children = getChildBoxes(movie, item.start, item.end);
+      const name = children.find(box => box.type === 'name');
+      const [value] = getItemData(movie, item);
+      // name is a full box: 4 bytes of version and flags precede the text
+      if (name && value) {
+        result[utf8.decode(movie.subarray(name.start + 4, name.end)).toUpperCase()] = utf8.decode(value.data).trim();
+      }
+      return result;
+    }, {});
+};
+
+// Sample entry types of the common audio codecs
+const SAMPLE_ENTRY_CODECS = {
+  mp4a: 'aac',
+  alac: 'alac',
+  fLaC: 'flac',
+  Opus: 'opus',
+  '.mp3': 'mp3'
+};
+
+/**
+ * Identifies the codec of the first audio track
+ * @param {Uint8Array} movie - Contents of the moov box
+ * @returns {string|null} - 'aac', 'alac', 'flac', 'opus', 'mp3' or null
+ */
+export const getMp4Codec = (movie) => {
+  const tracks = getChildBoxes(movie).filter(box => box.type === 'trak');
+
+  for (const trak of tracks) {
+    const stsd = findBox(movie, ['mdia', 'minf', 'stbl', 'stsd'], trak);
+    if (!stsd) continue;
+
+    // stsd: version/flags and entry count, then the sample entries
+    const [entry] = getChildBoxes(movie, stsd.start + 8, stsd.end);
+    if (entry && SAMPLE_ENTRY_CODECS[entry.type]) {
+      return SAMPLE_ENTRY_CODECS[entry.type];
+    }
+  }
+
+  return null;
+};
+
+const readUint64 = (bytes, offset) => readUint32(bytes, offset) * 0x100000000 + readUint32(bytes, offset + 4);
+
+// Nero chapter start times are in 100-nanosecond units
+const NERO_TIMESCALE = 10000000;
+
+/**
+ * Reads Nero-style chapters from the `chpl` box
+ * @param {Uint8Array} movie - Contents of the moov box
+ * @returns {Object[]} - Chapters ({ title, start }), empty when there are none
+ */
+export const getMp4NeroChapters = (movie) => {
+  const chpl = findBox(movie, ['udta', 'chpl']);
+  if (!chpl || chpl.end - chpl.start < 5) return [];
+
+  // Version/flags, a reserved field in version 1, then an 8-bit count
+  let offset = chpl.start + 4 + (movie[chpl.start] === 1 ? 4 : 0);
+  const count = movie[offset];
+  const chapters = [];
+  offset += 1;
+
+  for (let i = 0; i < count && offset + 9 <= chpl.end; i++) {
+    const start = readUint64(movie, offset) / NERO_TIMESCALE;
+    const length = movie[offset + 8];
+    const title = utf8.decode(movie.subarray(offset + 9, offset + 9 + length)).trim();
+    chapters.push({ title, start });
+    offset += 9 + length;
+  }
+
+  return chapters;
+};
+
+// Track id from a tkhd box; version 1 uses 64-bit times before it
+const getTrackId = (movie, trak) => {
+  const tkhd = findBox(movie, ['tkhd'], trak);
+  if (!tkhd) return null;
+  return readUint32(movie, tkhd.start + (movie[tkhd.start] === 1 ? 20 : 12));
+};
+
+/**
+ * Locates the samples of the QuickTime chapter track: the text track named
+ * by the audio track's `tref/chap` reference
+ * @param {Uint8Array} movie - Contents of the moov box
+ * @returns {Object[]} - Samples ({ start (seconds), offset, size }) whose
+ *   data in the file is a 16-bit length followed by the chapter title
+ */
+export const getMp4ChapterSamples = (movie) => {
+  const tracks = getChildBoxes(movie).filter(box => box.type === 'trak');
+  const reference = tracks
+    .map(trak => findBox(movie, ['tref', 'chap'], trak))
+    .find(Boolean);
+  if (!reference || reference.end - reference.start < 4) return [];
+
+  const chapterTrackId = readUint32(movie, reference.start);
+  const trak = tracks.find(track => getTrackId(movie, track) === chapterTrackId);
+  const mdhd = trak && findBox(movie, ['mdia', 'mdhd'], trak);
+  const stbl = trak && findBox(movie, ['mdia', 'minf', 'stbl'], trak);
+  if (!mdhd || !stbl) return [];
+
+  const timescale = readUint32(movie, mdhd.start + (movie[mdhd.start] === 1 ? 20 : 12));
+  const stts = findBox(movie, ['stts'], stbl);
+  const stsz = findBox(movie, ['stsz'], stbl);
+  const stsc = findBox(movie, ['stsc'], stbl);
+  const stco = findBox(movie, ['stco'], stbl) || findBox(movie, ['co64'], stbl);
+  if (!timescale || !stts || !stsz || !stsc || !stco) return [];
+
+  // Sample start times from the time-to-sample run lengths
+  const starts = [];
+  let time = 0;
+  for (let i = 0; i < readUint32(movie, stts.start + 4); i++) {
+    const entry = stts.start + 8 + i * 8;
+    const count = readUint32(movie, entry);
+    const delta = readUint32(movie, entry + 4);
+    for (let j = 0; j < count; j++) {
+      starts.push(time / timescale);
+      time += delta;
+    }
+  }
+
+  const fixedSize = readUint32(movie, stsz.start + 4);
+  const sampleCount = readUint32(movie, stsz.start + 8);
+  const getSampleSize = (index) => fixedSize || readUint32(movie, stsz.start + 12 + index * 4);
+
+  const chunkCount = readUint32(movie, stco.start + 4);
+  const getChunkOffset = (index) => (stco.type === 'co64'
+    ? readUint64(movie, stco.start + 8 + index * 8)
+    : readUint32(movie, stco.start + 8 + index * 4));
+
+  const runCount = readUint32(movie, stsc.start + 4);
+  if (runCount === 0) return [];
+  const getRun = (index) => ({
+    firstChunk: readUint32(movie, stsc.start + 8 + index * 12),
+    samplesPerChunk: readUint32(movie, stsc.start + 12 + index * 12)
+  });
+
+  // Walk chunks in order, spreading samples per the sample-to-chunk runs
+  const samples = [];
+  let run = 0;
+  for (let chunk = 0; chunk < chunkCount && samples.length < sampleCount; chunk++) {
+    while (run + 1 < runCount && getRun(run + 1).firstChunk <= chunk + 1) run++;
+
+    let offset = getChunkOffset(chunk);
+    const { samplesPerChunk } = getRun(run);
+    for (let i = 0; i < samplesPerChunk && samples.length < sampleCount; i++) {
+      const size = getSampleSize(samples.length);
+      samples.push({ start: starts[samples.length] || 0, offset, size });
+      offset += size;
+    }
+  }
+
+  return samples;
+};
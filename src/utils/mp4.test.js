@@ -0,0 +1,88 @@
+import { findBox, getMp4Cover, getMp4FreeformItems, getMp4Metadata, isMp4, readMp4Movie } from './mp4';
+
+const encoder = new TextEncoder();
+
+const uint32 = (value) => [(value >>> 24) & 0xff, (value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+
+// Box types may hold '©', which is byte 0xA9
+const type = (name) => Array.from(name, char => char.charCodeAt(0));
+
+const box = (name, ...children) => {
+  const content = children.flat();
+  return [...uint32(8 + content.length), ...type(name), ...content];
+};
+
+// A box with a 64-bit size
+const largeBox = (name, content) => {
+  return [...uint32(1), ...type(name), ...uint32(0), ...uint32(16 + content.length), ...content];
+};
+
+const data = (typeIndicator, payload) => box('data', uint32(typeIndicator), uint32(0), payload);
+const text = (value) => data(1, [...encoder.encode(value)]);
+
+const ilst = box('ilst',
+  box('©nam', text('Song')),
+  box('©ART', text('Artist')),
+  box('trkn', data(0, [0, 0, 0, 3, 0, 12, 0, 0])),
+  box('gnre', data(0, [0, 2])),
+  box('covr', data(14, [1, 2, 3])),
+  box('----',
+    box('mean', uint32(0), [...encoder.encode('com.apple.iTunes')]),
+    box('name', uint32(0), [...encoder.encode('replaygain_track_gain')]),
+    text('-6.50 dB'))
+);
+
+// Apple writes meta as a full box: version and flags before the children
+const moov = box('moov', box('udta', box('meta', uint32(0), box('hdlr', new Array(25).fill(0)), ilst)));
+
+const mp4 = () => new Uint8Array([
+  ...box('ftyp', type('M4A '), uint32(0)),
+  ...largeBox('mdat', new Array(64).fill(0)),
+  ...moov
+]);
+
+describe('isMp4', () => {
+  it('looks for an ftyp box', () => {
+    expect(isMp4(mp4())).toBe(true);
+    expect(isMp4(new Uint8Array(type('ID3\u0003\0\0\0\0')))).toBe(false);
+  });
+});
+
+describe('readMp4Movie', () => {
+  it('finds the moov box after a 64-bit mdat box', async () => {
+    const movie = await readMp4Movie(new Blob([mp4()]));
+
+    expect(Array.from(movie)).toEqual(moov.slice(8));
+  });
+
+  it('returns null for other files', async () => {
+    expect(await readMp4Movie(new Blob([new Uint8Array(16)]))).toBeNull();
+  });
+});
+
+describe('movie tags', () => {
+  const movie = new Uint8Array(moov.slice(8));
+
+  it('finds boxes inside full and plain container boxes', () => {
+    expect(findBox(movie, ['udta', 'meta', 'ilst'])).not.toBeNull();
+    expect(findBox(movie, ['udta', 'ilst'])).toBeNull();
+  });
+
+  it('maps ilst items to metadata fields', () => {
+    expect(getMp4Metadata(movie, ['Blues', 'Classic Rock'])).toEqual({
+      title: 'Song',
+      artist: 'Artist',
+      trackNumber: 3,
+      trackTotal: 12,
+      genre: 'Classic Rock'
+    });
+  });
+
+  it('reads freeform items by name', () => {
+    expect(getMp4FreeformItems(movie)).toEqual({ REPLAYGAIN_TRACK_GAIN: '-6.50 dB' });
+  });
+
+  it('reads the cover with its image type', () => {
+    expect(getMp4Cover(movie)).toEqual({ mimeType: 'image/png', data: new Uint8Array([1, 2, 3]) });
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Real-time pitch shifting for the Web Audio graph
+ * A delay-line pitch shifter running in an AudioWorklet: two read taps sweep
+ * through a short delay buffer at a rate set by the pitch ratio and are
+ * crossfaded so each tap is silent when it wraps around. Tempo is unaffected.
+ */
+
+/**
+ * Pitch shift limits in semitones
+ */
+export const PITCH_SHIFT_RANGE = { min: -12, max: 12 };
+
+const PROCESSOR_NAME = 'pitch-shifter';
+
+// Kept as a string: the worklet runs in its own global scope and must not
+// be transpiled (AudioWorkletProcessor has to be extended by a real class).
+const PROCESSOR_SOURCE = `
+const WINDOW_SECONDS = 0.05;
+
+class PitchShifterProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [{ name: 'pitchRatio', defaultValue: 1, minValue: 0.5, maxValue: 2, automationRate: 'k-rate' }];
+  }
+
+  constructor() {
+    super();
+    this.windowSize = Math.round(sampleRate * WINDOW_SECONDS);
+    this.bufferSize = this.windowSize * 2;
+    this.buffers = [];
+    this.writeIndex = 0;
+    this.phase = 0;
+  }
+
+  read(buffer, delay) {
+    let position = this.writeIndex - delay;
+    while (position < 0) position += this.bufferSize;
+
+    const index = Math.floor(position);
+    const fraction = position - index;
+    const next = (index + 1) % this.bufferSize;
+    return buffer[index] + (buffer[next] - buffer[index]) * fraction;
+  }
+
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    const ratio = parameters.pitchRatio[0];
+
+    if (!input || input.length === 0) return true;
+
+    while (this.buffers.length < input.length) {
+      this.buffers.push(new Float32Array(this.bufferSize));
+    }
+
+    const frames = input[0].length;
+    const step = (1 - ratio) / this.windowSize;
+
+    for (let i = 0; i < frames; i++) {
+      const phaseA = this.phase;
+      const phaseB = (this.phase + 0.5) % 1;
+      const gainA = Math.sin(Math.PI * phaseA) ** 2;
+      const gainB = Math.sin(Math.PI * phaseB) ** 2;
+
+      for (let channel = 0; channel < input.length; channel++) {
+        const buffer = this.buffers[channel];
+        buffer[this.writeIndex] = input[channel][i];
+
+        if (ratio === 1) {
+          output[channel][i] = input[channel][i];
+        } else {
+          output[channel][i] =
+            this.read(buffer, phaseA * this.windowSize) * gainA +
+            this.read(buffer, phaseB * this.windowSize) * gainB;
+        }
+      }
+
+      this.writeIndex = (this.writeIndex + 1) % this.bufferSize;
+      this.phase = (this.phase + step + 1) % 1;
+    }
+
+    return true;
+  }
+}
+
+registerProcessor('${PROCESSOR_NAME}', PitchShifterProcessor);
+`;
+
+/**
+ * Converts semitones to a playback frequency ratio
+ * @param {number} semitones - Pitch shift in semitones
+ * @returns {number} - Frequency ratio
+ */
+export const semitonesToRatio = (semitones) => Math.pow(2, semitones / 12);
+
+/**
+ * Checks whether AudioWorklet is available (requires a secure context)
+ * @param {BaseAudioContext} context - The audio context
+ * @returns {boolean} - True if worklets can be loaded
+ */
+export const isPitchShiftSupported = (context) => {
+  return !!(context && context.audioWorklet && typeof window.AudioWorkletNode !== 'undefined');
+};
+
+/**
+ * Loads the pitch shifter worklet and creates a node for it
+ * @param {BaseAudioContext} context - The audio context
+ * @returns {Promise<AudioWorkletNode|null>} - The node, or null when unsupported
+ */
+export const createPitchShifterNode = async (context) => {
+  if (!isPitchShiftSupported(context)) return null;
+
+  const url = URL.createObjectURL(new Blob([PROCESSOR_SOURCE], { type: 'application/javascript' }));
+  try {
+    await context.audioWorklet.addModule(url);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+
+  return new window.AudioWorkletNode(context, PROCESSOR_NAME);
+};
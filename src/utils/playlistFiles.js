@@ -0,0 +1,419 @@
+/**
+ * Playlist files
+ * Reads M3U/M3U8 (with #EXTM3U and #EXTINF extensions), PLS, XSPF and the
+ * player's own JSON playlists (see playlistJson), resolves their entries
+ * against the tracks in the library and writes the current playlist back
+ * out in each format.
+ */
+
+import { getTrackPath, getTrackTitle } from './audioUtils';
+import { isPlaylistJsonHead, parsePlaylistJson, TAG_FIELDS } from './playlistJson';
+
+export const PLAYLIST_EXTENSIONS = ['.m3u', '.m3u8', '.pls', '.xspf', '.json'];
+export const PLAYLIST_MIME_TYPES = {
+  m3u8: 'audio/x-mpegurl',
+  pls: 'audio/x-scpls',
+  xspf: 'application/xspf+xml',
+  json: 'application/json'
+};
+
+const XSPF_NAMESPACE = 'http://xspf.org/ns/0/';
+// Identifies the <extension> holding what XSPF has no element for
+const XSPF_APPLICATION = 'urn:react-mp3-player';
+// Tags with their own XSPF element
+const XSPF_TAG_ELEMENTS = { title: 'title', artist: 'creator', album: 'album', trackNumber: 'trackNum' };
+
+// Durations in a playlist are whole seconds, and encoders disagree on rounding
+const DURATION_TOLERANCE = 2;
+
+// Bytes read to recognise the player's own JSON playlists
+const JSON_HEAD_SIZE = 4096;
+
+/**
+ * Checks whether a file is a playlist
+ * @param {File} file - The file to check
+ * @returns {boolean} - True for .m3u, .m3u8, .pls, .xspf and .json files
+ */
+export const isPlaylistFile = (file) => {
+  const name = file.name.toLowerCase();
+  return PLAYLIST_EXTENSIONS.some(extension => name.endsWith(extension));
+};
+
+/**
+ * Checks whether a playlist file should be imported. Other JSON files are
+ * common next to audio (e.g. in folders and archives), so .json files only
+ * count when they start like the player's own JSON playlists.
+ * @param {Blob} file - The file, or an archive entry that is extracted with
+ *   its getFile method
+ * @returns {Promise<boolean>} - True for playlists worth reading
+ */
+export const isImportablePlaylist = async (file) => {
+  if (!isPlaylistFile(file)) return false;
+  if (!file.name.toLowerCase().endsWith('.json')) return true;
+
+  try {
+    const source = typeof file.getFile === 'function' ? await file.getFile() : file;
+    return isPlaylistJsonHead(await source.slice(0, JSON_HEAD_SIZE).text());
+  } catch (error) {
+    return false;
+  }
+};
+
+// Titles are written as 'Artist - Title' when the track has an artist
+const splitDisplayTitle = (value) => {
+  const text = (value || '').trim();
+  const index = text.indexOf(' - ');
+  return index === -1
+    ? { artist: '', title: text }
+    : { artist: text.slice(0, index).trim(), title: text.slice(index + 3).trim() };
+};
+
+// Playlists use -1 (or nothing) for an unknown length
+const parseDuration = (value) => {
+  const duration = parseFloat(value);
+  return Number.isFinite(duration) && duration >= 0 ? duration : null;
+};
+
+/**
+ * Parses an M3U or M3U8 playlist. Plain M3U files are just one path per
+ * line; #EXTINF lines give the duration and display title of the next entry.
+ * @param {string} text - Playlist contents
+ * @returns {Object} - { name, entries: [{ path, title, artist, duration }] }
+ */
+export const parseM3u = (text) => {
+  const playlist = { name: '', entries: [] };
+  let info = null;
+
+  text.split(/\r?\n/).forEach((rawLine) => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    if (line.startsWith('#')) {
+      // #EXTINF:duration key="value" ...,Artist - Title; the attributes may contain commas
+      const extinf = /^#EXTINF:\s*(-?[\d.]+)((?:\s+[\w-]+="[^"]*")*)\s*,(.*)$/i.exec(line);
+      if (extinf) {
+        info = { duration: parseDuration(extinf[1]), ...splitDisplayTitle(extinf[3]) };
+      } else if (/^#PLAYLIST:/i.test(line)) {
+        playlist.name = line.slice('#PLAYLIST:'.length).trim();
+      }
+      return;
+    }
+
+    playlist.entries.push({
+      path: line,
+      title: info ? info.title : '',
+      artist: info ? info.artist : '',
+      duration: info ? info.duration : null
+    });
+    info = null;
+  });
+
+  return playlist;
+};
+
+/**
+ * Parses a PLS playlist
+ * @param {string} text - Playlist contents
+ * @returns {Object} - { name, entries: [{ path, title, artist, duration }] }
+ */
+export const parsePls = (text) => {
+  const byNumber = new Map();
+
+  text.split(/\r?\n/).forEach((rawLine) => {
+    const match = /^(File|Title|Length)(\d+)\s*=(.*)$/i.exec(rawLine.trim());
+    if (!match) return;
+
+    const number = parseInt(match[2], 10);
+    const entry = byNumber.get(number) || {};
+    entry[match[1].toLowerCase()] = match[3].trim();
+    byNumber.set(number, entry);
+  });
+
+  const entries = [...byNumber.keys()]
+    .sort((a, b) => a - b)
+    .map(number => byNumber.get(number))
+    .filter(entry => entry.file)
+    .map(entry => ({
+      path: entry.file,
+      ...splitDisplayTitle(entry.title),
+      duration: parseDuration(entry.length)
+    }));
+
+  return { name: '', entries };
+};
+
+// Text of the first child element with the given name
+const getChildText = (element, name) => {
+  const child = Array.from(element.children).find(item => item.localName === name);
+  return child ? child.textContent.trim() : '';
+};
+
+const decodeLocation = (location) => {
+  try {
+    return /^file:/i.test(location) ? location : decodeURIComponent(location);
+  } catch (error) {
+    return location;
+  }
+};
+
+/**
+ * Parses an XSPF playlist, including the details this player writes into
+ * its <extension> element
+ * @param {string} text - Playlist contents
+ * @returns {Object} - { name, entries: [{ path, title, artist, duration,
+ *   tags, rating, bookmarks, fingerprint }] }
+ * @throws {Error} - When the text is not XSPF
+ */
+export const parseXspf = (text) => {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  const root = doc.documentElement;
+  if (!root || root.localName !== 'playlist' || doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Not an XSPF playlist');
+  }
+
+  const trackList = Array.from(root.children).find(item => item.localName === 'trackList');
+  const tracks = trackList ? Array.from(trackList.children).filter(item => item.localName === 'track') : [];
+
+  const entries = tracks.map((track) => {
+    const extension = Array.from(track.children)
+      .find(item => item.localName === 'extension' && item.getAttribute('application') === XSPF_APPLICATION);
+    const details = extension ? Array.from(extension.children) : [];
+    const tags = {};
+    Object.keys(XSPF_TAG_ELEMENTS).forEach((key) => {
+      const value = getChildText(track, XSPF_TAG_ELEMENTS[key]);
+      if (value) tags[key] = key === 'trackNumber' ? parseInt(value, 10) : value;
+    });
+    details.filter(item => item.localName === 'tag').forEach((item) => {
+      const key = item.getAttribute('name');
+      if (TAG_FIELDS.includes(key)) tags[key] = item.getAttribute('type') === 'number' ? Number(item.textContent) : item.textContent;
+    });
+    const milliseconds = parseInt(getChildText(track, 'duration'), 10);
+    const rating = extension ? parseInt(getChildText(extension, 'rating'), 10) : NaN;
+
+    return {
+      path: decodeLocation(getChildText(track, 'location')),
+      title: tags.title || '',
+      artist: tags.artist || '',
+      duration: milliseconds > 0 ? milliseconds / 1000 : null,
+      fingerprint: extension ? getChildText(extension, 'fingerprint') || null : null,
+      tags,
+      rating: rating > 0 ? rating : null,
+      bookmarks: details
+        .filter(item => item.localName === 'bookmark')
+        .map(item => ({ time: parseFloat(item.getAttribute('time')), name: item.textContent }))
+        .filter(bookmark => Number.isFinite(bookmark.time))
+    };
+  });
+
+  return { name: getChildText(root, 'title'), entries };
+};
+
+/**
+ * Reads a playlist file. Plain .m3u files are often Windows-1252 rather
+ * than UTF-8.
+ * @param {Blob} file - The playlist file, or an archive entry that is
+ *   extracted with its getFile method
+ * @returns {Promise<Object|null>} - { name, entries } (see parseM3u), named
+ *   after the file unless it names itself, or null when it cannot be read
+ */
+export const readPlaylistFile = async (file) => {
+  try {
+    const source = typeof file.getFile === 'function' ? await file.getFile() : file;
+    const bytes = new Uint8Array(await source.arrayBuffer());
+    let text = new TextDecoder('utf-8').decode(bytes);
+    if (text.includes('\uFFFD')) {
+      text = new TextDecoder('windows-1252').decode(bytes);
+    }
+    text = text.replace(/^\uFEFF/, '');
+
+    const extension = file.name.toLowerCase().split('.').pop();
+    const parsers = { pls: parsePls, xspf: parseXspf, json: parsePlaylistJson };
+    const playlist = (parsers[extension] || parseM3u)(text);
+    return { ...playlist, name: playlist.name || file.name.replace(/\.[^/.]+$/, '') };
+  } catch (error) {
+    console.error(`Failed to read playlist ${file.name}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Turns a playlist entry into a clean relative path: file URLs and
+ * Windows separators are converted, and ./ and ../ are resolved against
+ * the playlist's own folder
+ * @param {string} entryPath - Path as written in the playlist
+ * @param {string} baseFolder - Folder the playlist was imported from
+ * @returns {string} - Normalized path, lower-cased for comparing
+ */
+const normalizeEntryPath = (entryPath, baseFolder) => {
+  let path = entryPath;
+  if (/^file:/i.test(path)) {
+    try {
+      path = decodeURIComponent(path.replace(/^file:\/*/i, '/'));
+    } catch (error) {
+      path = path.replace(/^file:\/*/i, '/');
+    }
+  }
+  path = path.replace(/\\/g, '/');
+
+  // Drive letters and leading slashes make the path absolute
+  const isAbsolute = /^([a-z]:)?\//i.test(path);
+  const segments = [];
+  (isAbsolute ? path : `${baseFolder}/${path}`).split('/').forEach((segment) => {
+    if (!segment || segment === '.') return;
+    if (segment === '..') {
+      segments.pop();
+    } else {
+      segments.push(segment);
+    }
+  });
+
+  return segments.join('/').toLowerCase();
+};
+
+const normalizeTag = (value) => (value || '').trim().toLowerCase();
+
+// Tags match when the title does, the artist does when both sides have one,
+// and the durations are close when both are known
+const matchesTags = (entry, track) => {
+  if (!entry.title || normalizeTag(entry.title) !== normalizeTag(getTrackTitle(track))) return false;
+  if (entry.artist && track.artist && normalizeTag(entry.artist) !== normalizeTag(track.artist)) return false;
+  if (entry.duration && track.duration) {
+    return Math.abs(entry.duration - track.duration) <= DURATION_TOLERANCE;
+  }
+  return true;
+};
+
+/**
+ * Finds the track for each playlist entry: by audio fingerprint when the
+ * entry has one, by path relative to the playlist, then by file name, then
+ * by title, artist and duration. Absolute paths match tracks whose path
+ * they end with.
+ * @param {Object[]} entries - Entries from readPlaylistFile
+ * @param {Object[]} tracks - Tracks to look in
+ * @param {string} baseFolder - Folder the playlist was imported from
+ * @returns {Object} - { matches: [{ entry, track }] in playlist order,
+ *   unresolved: entries without a track }
+ */
+export const resolvePlaylistEntries = (entries, tracks, baseFolder = '') => {
+  const candidates = tracks.map(track => ({ track, path: getTrackPath(track).toLowerCase() }));
+  const matches = [];
+  const unresolved = [];
+
+  entries.forEach((entry) => {
+    const path = normalizeEntryPath(entry.path, baseFolder);
+    const fileName = path.split('/').pop();
+    const match = (entry.fingerprint && candidates.find(candidate => candidate.track.fingerprint === entry.fingerprint)) ||
+      candidates.find(candidate => candidate.path === path) ||
+      candidates.find(candidate => path.endsWith(`/${candidate.path}`) || candidate.path.endsWith(`/${path}`)) ||
+      candidates.find(candidate => candidate.path.split('/').pop() === fileName) ||
+      candidates.find(candidate => matchesTags(entry, candidate.track));
+
+    if (match) {
+      matches.push({ entry, track: match.track });
+    } else {
+      unresolved.push(entry);
+    }
+  });
+
+  return { matches, unresolved };
+};
+
+const getDisplayTitle = (track) => {
+  const title = getTrackTitle(track);
+  return track.artist ? `${track.artist} - ${title}` : title;
+};
+
+const getWholeSeconds = (track) => (track.duration > 0 ? Math.round(track.duration) : -1);
+
+/**
+ * Writes tracks as an extended M3U8 playlist. Paths are relative to the
+ * folders the tracks were imported from.
+ * @param {string} name - Playlist name
+ * @param {Object[]} tracks - Tracks in playlist order
+ * @returns {string} - Playlist contents
+ */
+export const createM3u8 = (name, tracks) => {
+  const lines = ['#EXTM3U', `#PLAYLIST:${name}`];
+  tracks.forEach((track) => {
+    lines.push(`#EXTINF:${getWholeSeconds(track)},${getDisplayTitle(track)}`, getTrackPath(track));
+  });
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Writes tracks as a PLS playlist
+ * @param {Object[]} tracks - Tracks in playlist order
+ * @returns {string} - Playlist contents
+ */
+export const createPls = (tracks) => {
+  const lines = ['[playlist]'];
+  tracks.forEach((track, index) => {
+    const number = index + 1;
+    lines.push(
+      `File${number}=${getTrackPath(track)}`,
+      `Title${number}=${getDisplayTitle(track)}`,
+      `Length${number}=${getWholeSeconds(track)}`
+    );
+  });
+  lines.push(`NumberOfEntries=${tracks.length}`, 'Version=2');
+  return `${lines.join('\n')}\n`;
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Writes tracks as an XSPF playlist. Ratings, bookmarks, file details and
+ * the tags XSPF has no element for go into an <extension> element that
+ * other players ignore.
+ * @param {string} name - Playlist name
+ * @param {Object[]} tracks - Tracks in playlist order
+ * @param {Object} details - { ratings, bookmarks } keyed by track id
+ * @returns {string} - Playlist contents
+ */
+export const createXspf = (name, tracks, { ratings = {}, bookmarks = {} } = {}) => {
+  const element = (tag, value) => `      <${tag}>${escapeXml(value)}</${tag}>`;
+  const trackElements = tracks.map((track) => {
+    const location = getTrackPath(track).split('/').map(encodeURIComponent).join('/');
+    const lines = ['    <track>', element('location', location)];
+    Object.keys(XSPF_TAG_ELEMENTS).forEach((key) => {
+      const value = key === 'title' ? getTrackTitle(track) : track[key];
+      if (value) lines.push(element(XSPF_TAG_ELEMENTS[key], value));
+    });
+    if (track.duration > 0) lines.push(element('duration', Math.round(track.duration * 1000)));
+
+    const extension = [];
+    if (track.size) extension.push(`  ${element('size', track.size)}`);
+    if (track.type) extension.push(`  ${element('type', track.type)}`);
+    if (track.fingerprint) extension.push(`  ${element('fingerprint', track.fingerprint)}`);
+    TAG_FIELDS
+      .filter(key => !XSPF_TAG_ELEMENTS[key] && track[key] !== undefined && track[key] !== null && track[key] !== '')
+      .forEach((key) => {
+        const type = typeof track[key] === 'number' ? ' type="number"' : '';
+        extension.push(`        <tag name="${key}"${type}>${escapeXml(track[key])}</tag>`);
+      });
+    if (ratings[track.id]) extension.push(`  ${element('rating', ratings[track.id])}`);
+    (bookmarks[track.id] || []).forEach((bookmark) => {
+      extension.push(`        <bookmark time="${bookmark.time}">${escapeXml(bookmark.name || '')}</bookmark>`);
+    });
+    if (extension.length > 0) {
+      lines.push(`      <extension application="${XSPF_APPLICATION}">`, ...extension, '      </extension>');
+    }
+    lines.push('    </track>');
+    return lines.join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<playlist version="1" xmlns="${XSPF_NAMESPACE}">`,
+    `  <title>${escapeXml(name)}</title>`,
+    '  <trackList>',
+    ...trackElements,
+    '  </trackList>',
+    '</playlist>',
+    ''
+  ].join('\n');
+};
@@ -0,0 +1,157 @@
+import {
+  createM3u8,
+  createPls,
+  createXspf,
+  isImportablePlaylist,
+  parseM3u,
+  parsePls,
+  parseXspf,
+  readPlaylistFile,
+  resolvePlaylistEntries
+} from './playlistFiles';
+import { createPlaylistJson } from './playlistJson';
+
+const TRACKS = [
+  {
+    id: 'a',
+    name: '01 Intro.mp3',
+    folder: 'The Band/Album',
+    title: 'Intro',
+    artist: 'The Band',
+    album: 'Album',
+    trackNumber: 1,
+    year: 2020,
+    duration: 61.6,
+    size: 1000,
+    type: 'audio/mpeg',
+    fingerprint: 'f1'
+  },
+  {
+    id: 'b',
+    name: 'Rock & Roll <live>.flac',
+    folder: 'Other',
+    duration: 0
+  }
+];
+
+describe('M3U', () => {
+  it('round-trips names, paths, titles and durations', () => {
+    expect(parseM3u(createM3u8('Road trip', TRACKS))).toEqual({
+      name: 'Road trip',
+      entries: [
+        { path: 'The Band/Album/01 Intro.mp3', title: 'Intro', artist: 'The Band', duration: 62 },
+        { path: 'Other/Rock & Roll <live>.flac', title: 'Rock & Roll <live>', artist: '', duration: null }
+      ]
+    });
+  });
+
+  it('reads #EXTINF attributes and plain paths', () => {
+    const { entries } = parseM3u('#EXTINF:10 tvg-name="a, b",Title\nfirst.mp3\nsecond.mp3\n');
+
+    expect(entries).toEqual([
+      { path: 'first.mp3', title: 'Title', artist: '', duration: 10 },
+      { path: 'second.mp3', title: '', artist: '', duration: null }
+    ]);
+  });
+});
+
+describe('PLS', () => {
+  it('round-trips paths, titles and durations', () => {
+    expect(parsePls(createPls(TRACKS)).entries).toEqual([
+      { path: 'The Band/Album/01 Intro.mp3', title: 'Intro', artist: 'The Band', duration: 62 },
+      { path: 'Other/Rock & Roll <live>.flac', title: 'Rock & Roll <live>', artist: '', duration: null }
+    ]);
+  });
+
+  it('orders entries by number', () => {
+    const { entries } = parsePls('[playlist]\nFile2=b.mp3\nFile1=a.mp3\nNumberOfEntries=2\n');
+    expect(entries.map(entry => entry.path)).toEqual(['a.mp3', 'b.mp3']);
+  });
+});
+
+describe('XSPF', () => {
+  it('round-trips tags, ratings, bookmarks and fingerprints', () => {
+    const xspf = createXspf('Road trip', TRACKS, {
+      ratings: { a: 4 },
+      bookmarks: { a: [{ time: 12.5, name: 'Drop & solo' }] }
+    });
+    const playlist = parseXspf(xspf);
+
+    expect(playlist.name).toBe('Road trip');
+    expect(playlist.entries).toEqual([
+      {
+        path: 'The Band/Album/01 Intro.mp3',
+        title: 'Intro',
+        artist: 'The Band',
+        duration: 61.6,
+        fingerprint: 'f1',
+        tags: { title: 'Intro', artist: 'The Band', album: 'Album', trackNumber: 1, year: 2020 },
+        rating: 4,
+        bookmarks: [{ time: 12.5, name: 'Drop & solo' }]
+      },
+      {
+        path: 'Other/Rock & Roll <live>.flac',
+        title: 'Rock & Roll <live>',
+        artist: '',
+        duration: null,
+        fingerprint: null,
+        tags: { title: 'Rock & Roll <live>' },
+        rating: null,
+        bookmarks: []
+      }
+    ]);
+  });
+
+  it('rejects other XML', () => {
+    expect(() => parseXspf('<rss></rss>')).toThrow('Not an XSPF playlist');
+  });
+});
+
+describe('isImportablePlaylist', () => {
+  it('goes by extension, except for JSON files', async () => {
+    expect(await isImportablePlaylist(new File(['#EXTM3U'], 'Mix.m3u8'))).toBe(true);
+    expect(await isImportablePlaylist(new File(['ID3'], 'song.mp3'))).toBe(false);
+  });
+
+  it('only takes JSON files in the player\'s playlist format', async () => {
+    const playlist = createPlaylistJson('Road trip', TRACKS);
+    const entry = { name: 'Mix.json', getFile: () => Promise.resolve(new Blob([playlist])) };
+
+    expect(await isImportablePlaylist(new File([playlist], 'Mix.json'))).toBe(true);
+    expect(await isImportablePlaylist(entry)).toBe(true);
+    expect(await isImportablePlaylist(new File(['{"name": "package"}'], 'package.json'))).toBe(false);
+  });
+});
+
+describe('readPlaylistFile', () => {
+  it('falls back to Windows-1252 and names the playlist after the file', async () => {
+    const file = new File([new Uint8Array([0x43, 0x61, 0x66, 0xe9, 0x2e, 0x6d, 0x70, 0x33])], 'Mix.m3u');
+
+    expect(await readPlaylistFile(file)).toEqual({
+      name: 'Mix',
+      entries: [{ path: 'Café.mp3', title: '', artist: '', duration: null }]
+    });
+  });
+});
+
+describe('resolvePlaylistEntries', () => {
+  it('matches by fingerprint, relative and absolute path, file name and tags', () => {
+    const library = [
+      ...TRACKS,
+      { id: 'c', name: 'c.mp3', folder: 'Loose' },
+      { id: 'd', name: 'track04.mp3', title: 'Tagged', artist: 'Someone', duration: 200 }
+    ];
+    const entries = [
+      { path: 'renamed.mp3', fingerprint: 'f1' },
+      { path: '../Other/Rock & Roll <live>.flac' },
+      { path: 'file:///C:/Music/Loose/c.mp3' },
+      { path: 'D:\\Elsewhere\\TRACK04.MP3' },
+      { path: 'missing.mp3', title: 'Tagged', artist: 'someone', duration: 201 },
+      { path: 'missing.mp3', title: 'Tagged', artist: 'someone', duration: 260 }
+    ];
+    const { matches, unresolved } = resolvePlaylistEntries(entries, library, 'Playlists');
+
+    expect(matches.map(match => match.track.id)).toEqual(['a', 'b', 'c', 'd', 'd']);
+    expect(unresolved).toEqual([entries[5]]);
+  });
+});
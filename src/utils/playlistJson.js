@@ -0,0 +1,161 @@
+/**
+ * JSON playlists
+ * The player's own playlist format, for handing curated lists between
+ * people. It carries each track's file details, tags, rating and bookmarks
+ * so the list can be rebuilt against someone else's library.
+ *
+ * Format (version 1):
+ *
+ *   {
+ *     "format": "react-mp3-player-playlist",
+ *     "version": 1,
+ *     "name": "Road trip",
+ *     "exportedAt": "2024-05-01T12:00:00.000Z",
+ *     "tracks": [{
+ *       "path": "Artist/Album/01 Song.mp3",   file path inside the imported folder
+ *       "name": "01 Song",                    file name without extension
+ *       "duration": 215.4,                    seconds, or null
+ *       "size": 8613421,                      bytes, or null
+ *       "type": "audio/mpeg",
+ *       "fingerprint": "…",                   audio payload hash (see fingerprint), or null
+ *       "tags": { "title": "Song", "artist": "Artist", … },   see TAG_FIELDS
+ *       "rating": 4,                          1 to 5, or null
+ *       "bookmarks": [{ "time": 42.5, "name": "Chorus" }]
+ *     }]
+ *   }
+ *
+ * Older files are brought up to date by MIGRATIONS before they are read, so
+ * readers only ever handle the current version.
+ */
+
+import { getTrackPath } from './audioUtils';
+
+export const PLAYLIST_JSON_FORMAT = 'react-mp3-player-playlist';
+export const PLAYLIST_JSON_VERSION = 1;
+
+// Tag fields exported with each track (see getId3Metadata)
+export const TAG_FIELDS = [
+  'title',
+  'artist',
+  'album',
+  'albumArtist',
+  'trackNumber',
+  'trackTotal',
+  'discNumber',
+  'discTotal',
+  'year',
+  'genre',
+  'comment'
+];
+
+// Upgrades from each version to the next, keyed by the version they read.
+// A format change bumps PLAYLIST_JSON_VERSION and adds an entry here, e.g.
+// 1: data => ({ ...data, version: 2, tracks: data.tracks.map(...) })
+const MIGRATIONS = {};
+
+const toNumberOrNull = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+
+/**
+ * Builds the exported form of a track
+ * @param {Object} track - Track object
+ * @param {Object} details - { rating, bookmarks } kept by the player
+ * @returns {Object} - Track entry of the JSON format
+ */
+const serializeTrack = (track, { rating, bookmarks }) => ({
+  path: getTrackPath(track),
+  name: track.name || '',
+  duration: toNumberOrNull(track.duration),
+  size: toNumberOrNull(track.size),
+  type: track.type || '',
+  fingerprint: track.fingerprint || null,
+  tags: TAG_FIELDS.reduce((result, key) => {
+    if (track[key] !== undefined && track[key] !== null && track[key] !== '') result[key] = track[key];
+    return result;
+  }, {}),
+  rating: rating || null,
+  bookmarks: (bookmarks || []).map(({ time, name }) => ({ time, name }))
+});
+
+/**
+ * Writes a playlist in the JSON format
+ * @param {string} name - Playlist name
+ * @param {Object[]} tracks - Tracks in playlist order
+ * @param {Object} details - { ratings, bookmarks } keyed by track id
+ * @returns {string} - Playlist contents
+ */
+export const createPlaylistJson = (name, tracks, { ratings = {}, bookmarks = {} } = {}) => {
+  const data = {
+    format: PLAYLIST_JSON_FORMAT,
+    version: PLAYLIST_JSON_VERSION,
+    name,
+    exportedAt: new Date().toISOString(),
+    tracks: tracks.map(track => serializeTrack(track, {
+      rating: ratings[track.id],
+      bookmarks: bookmarks[track.id]
+    }))
+  };
+  return `${JSON.stringify(data, null, 2)}\n`;
+};
+
+/**
+ * Brings playlist data of an older version up to the current one
+ * @param {Object} data - Parsed playlist file
+ * @returns {Object} - Data of version PLAYLIST_JSON_VERSION
+ * @throws {Error} - For files of a newer version, or a version no migration
+ *   leads on from
+ */
+export const migratePlaylistJson = (data) => {
+  let migrated = data;
+  while (migrated.version < PLAYLIST_JSON_VERSION) {
+    const migrate = MIGRATIONS[migrated.version];
+    if (!migrate) throw new Error(`Playlist version ${migrated.version} is not supported`);
+    migrated = migrate(migrated);
+  }
+  if (migrated.version > PLAYLIST_JSON_VERSION) {
+    throw new Error(`Playlist version ${migrated.version} needs a newer version of the player`);
+  }
+  return migrated;
+};
+
+/**
+ * Checks whether the start of a JSON file names this format, so other JSON
+ * files can be told apart without parsing them whole
+ * @param {string} text - The start of the file
+ * @returns {boolean} - True when the format field is this format's
+ */
+export const isPlaylistJsonHead = (text) => {
+  return new RegExp(`"format"\\s*:\\s*"${PLAYLIST_JSON_FORMAT}"`).test(text);
+};
+
+/**
+ * Parses a playlist in the JSON format into playlist entries
+ * @param {string} text - File contents
+ * @returns {Object} - { name, entries: [{ path, title, artist, duration,
+ *   fingerprint, tags, rating, bookmarks }] }
+ * @throws {Error} - When the text is not a playlist of this format
+ */
+export const parsePlaylistJson = (text) => {
+  const data = JSON.parse(text);
+  if (!data || data.format !== PLAYLIST_JSON_FORMAT || typeof data.version !== 'number') {
+    throw new Error('Not a playlist exported by this player');
+  }
+
+  const playlist = migratePlaylistJson(data);
+  const tracks = Array.isArray(playlist.tracks) ? playlist.tracks : [];
+  return {
+    name: typeof playlist.name === 'string' ? playlist.name : '',
+    entries: tracks.map((track) => {
+      const tags = track.tags || {};
+      return {
+        path: track.path || '',
+        title: tags.title || track.name || '',
+        artist: tags.artist || '',
+        duration: toNumberOrNull(track.duration),
+        fingerprint: track.fingerprint || null,
+        tags,
+        rating: toNumberOrNull(track.rating),
+        bookmarks: Array.isArray(track.bookmarks) ? track.bookmarks : []
+      };
+    })
+  };
+};
@@ -0,0 +1,98 @@
+import {
+  PLAYLIST_JSON_FORMAT,
+  PLAYLIST_JSON_VERSION,
+  createPlaylistJson,
+  isPlaylistJsonHead,
+  migratePlaylistJson,
+  parsePlaylistJson
+} from './playlistJson';
+
+const TRACK = {
+  id: 'a',
+  name: '01 Intro.mp3',
+  folder: 'The Band/Album',
+  title: 'Intro',
+  artist: 'The Band',
+  trackNumber: 1,
+  comment: '',
+  duration: 61.6,
+  size: 1000,
+  type: 'audio/mpeg',
+  fingerprint: 'f1'
+};
+
+describe('createPlaylistJson', () => {
+  it('writes the format marker, version and track details', () => {
+    const data = JSON.parse(createPlaylistJson('Road trip', [TRACK], {
+      ratings: { a: 5 },
+      bookmarks: { a: [{ id: 'x', time: 3, name: 'Start' }] }
+    }));
+
+    expect(data).toEqual({
+      format: PLAYLIST_JSON_FORMAT,
+      version: PLAYLIST_JSON_VERSION,
+      name: 'Road trip',
+      exportedAt: expect.any(String),
+      tracks: [{
+        path: 'The Band/Album/01 Intro.mp3',
+        name: '01 Intro.mp3',
+        duration: 61.6,
+        size: 1000,
+        type: 'audio/mpeg',
+        fingerprint: 'f1',
+        tags: { title: 'Intro', artist: 'The Band', trackNumber: 1 },
+        rating: 5,
+        bookmarks: [{ time: 3, name: 'Start' }]
+      }]
+    });
+  });
+});
+
+describe('isPlaylistJsonHead', () => {
+  it('recognises the format field at the start of the file', () => {
+    expect(isPlaylistJsonHead(createPlaylistJson('Road trip', [TRACK]).slice(0, 100))).toBe(true);
+    expect(isPlaylistJsonHead('{ "name": "package", "version": "1.0.0" }')).toBe(false);
+  });
+});
+
+describe('parsePlaylistJson', () => {
+  it('reads back what createPlaylistJson writes', () => {
+    const playlist = parsePlaylistJson(createPlaylistJson('Road trip', [TRACK], { ratings: { a: 5 } }));
+
+    expect(playlist).toEqual({
+      name: 'Road trip',
+      entries: [{
+        path: 'The Band/Album/01 Intro.mp3',
+        title: 'Intro',
+        artist: 'The Band',
+        duration: 61.6,
+        fingerprint: 'f1',
+        tags: { title: 'Intro', artist: 'The Band', trackNumber: 1 },
+        rating: 5,
+        bookmarks: []
+      }]
+    });
+  });
+
+  it('rejects JSON that is not one of its playlists', () => {
+    expect(() => parsePlaylistJson('{"tracks": []}')).toThrow('Not a playlist exported by this player');
+    expect(() => parsePlaylistJson(JSON.stringify({ format: PLAYLIST_JSON_FORMAT, version: '1' })))
+      .toThrow('Not a playlist exported by this player');
+  });
+
+  it('rejects playlists of a newer version', () => {
+    const text = JSON.stringify({ format: PLAYLIST_JSON_FORMAT, version: PLAYLIST_JSON_VERSION + 1, tracks: [] });
+    expect(() => parsePlaylistJson(text)).toThrow(`Playlist version ${PLAYLIST_JSON_VERSION + 1} needs a newer version of the player`);
+  });
+});
+
+describe('migratePlaylistJson', () => {
+  it('keeps current data as it is', () => {
+    const data = { format: PLAYLIST_JSON_FORMAT, version: PLAYLIST_JSON_VERSION, tracks: [] };
+    expect(migratePlaylistJson(data)).toBe(data);
+  });
+
+  it('rejects versions no migration leads on from', () => {
+    expect(() => migratePlaylistJson({ version: 0 })).toThrow('Playlist version 0 is not supported');
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * Resume positions
+ * Remembers where tracks were left, { [trackId]: seconds }, and decides
+ * whether a track picks up there on its own or offers to.
+ */
+
+// Positions closer to the start than this are not worth resuming
+export const MIN_RESUME_POSITION = 10;
+
+// Tracks at least this long (in seconds) resume on their own, e.g. podcasts
+// and audiobooks; shorter ones offer to. Infinity never resumes on its own.
+export const DEFAULT_RESUME_CUTOFF = 20 * 60;
+export const RESUME_CUTOFF_RANGE = { min: 0, max: Infinity };
+
+/**
+ * Records a track's position, dropping it when it is too near the start
+ * @param {Object} positions - Saved positions by track id
+ * @param {string} trackId - Track id
+ * @param {number} time - Position in seconds
+ * @returns {Object} - Updated positions; the same object when nothing changed
+ */
+export const withResumePosition = (positions, trackId, time) => {
+  if (time >= MIN_RESUME_POSITION) return { ...positions, [trackId]: time };
+  if (!(trackId in positions)) return positions;
+
+  const next = { ...positions };
+  delete next[trackId];
+  return next;
+};
+
+/**
+ * Decides how a track picks up where it was left
+ * @param {Object} track - Track with its duration
+ * @param {number|undefined} position - Saved position in seconds
+ * @param {number} cutoff - Duration from which tracks resume on their own
+ * @returns {string|null} - 'seek' to jump there, 'offer' to ask, or null
+ *   with nothing to resume
+ */
+export const getResumeAction = (track, position, cutoff) => {
+  if (!track || !position) return null;
+  return track.duration >= cutoff ? 'seek' : 'offer';
+};
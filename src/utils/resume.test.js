@@ -0,0 +1,31 @@
+import { getResumeAction, withResumePosition, DEFAULT_RESUME_CUTOFF, MIN_RESUME_POSITION } from './resume';
+
+describe('withResumePosition', () => {
+  it('records positions past the start', () => {
+    expect(withResumePosition({ a: 30 }, 'b', 42)).toEqual({ a: 30, b: 42 });
+  });
+
+  it('drops positions near the start', () => {
+    const positions = { a: 30 };
+
+    expect(withResumePosition(positions, 'a', MIN_RESUME_POSITION - 1)).toEqual({});
+    expect(withResumePosition(positions, 'b', 0)).toBe(positions);
+  });
+});
+
+describe('getResumeAction', () => {
+  it('jumps on its own in tracks at least as long as the cutoff', () => {
+    expect(getResumeAction({ duration: DEFAULT_RESUME_CUTOFF }, 120, DEFAULT_RESUME_CUTOFF)).toBe('seek');
+    expect(getResumeAction({ duration: 30 }, 20, 0)).toBe('seek');
+  });
+
+  it('offers to in shorter tracks, and always with no cutoff', () => {
+    expect(getResumeAction({ duration: 5 * 60 }, 120, DEFAULT_RESUME_CUTOFF)).toBe('offer');
+    expect(getResumeAction({ duration: 10 * 3600 }, 120, Infinity)).toBe('offer');
+  });
+
+  it('has nothing to do without a saved position', () => {
+    expect(getResumeAction({ duration: 3600 }, undefined, 0)).toBeNull();
+    expect(getResumeAction(null, 120, 0)).toBeNull();
+  });
+});
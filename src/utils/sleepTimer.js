@@ -0,0 +1,75 @@
+/**
+ * Sleep timer
+ * A timer either ends at a time, { mode: 'time', endsAt } (ms since the
+ * epoch), or after a number of tracks, { mode: 'tracks', tracksRemaining }
+ * counting the current one. Output fades out over the final seconds.
+ */
+
+import { getCrossfadeGains } from './audioUtils';
+
+// The output fades out over this many seconds
+export const SLEEP_FADE_SECONDS = 30;
+export const SLEEP_EXTEND_MINUTES = 5;
+
+/**
+ * Creates a sleep timer
+ * @param {string} mode - 'time' (value in minutes), 'track' (end of the
+ *   current track) or 'tracks' (after `value` tracks)
+ * @param {number} value - Minutes or tracks
+ * @param {number} now - Current time in ms
+ * @returns {Object|null} - The timer, or null for an invalid setting
+ */
+export const createSleepTimer = (mode, value, now) => {
+  if (mode === 'time' && value > 0) return { mode: 'time', endsAt: now + value * 60 * 1000 };
+  if (mode === 'track') return { mode: 'tracks', tracksRemaining: 1 };
+  if (mode === 'tracks' && value > 0) return { mode: 'tracks', tracksRemaining: Math.round(value) };
+  return null;
+};
+
+/**
+ * Gives a timer one more track or a few more minutes from now
+ * @param {Object|null} timer - Sleep timer
+ * @param {number} now - Current time in ms
+ * @returns {Object|null} - Extended timer
+ */
+export const getExtendedSleepTimer = (timer, now) => {
+  if (!timer) return timer;
+  if (timer.mode === 'tracks') return { ...timer, tracksRemaining: timer.tracksRemaining + 1 };
+  return { ...timer, endsAt: Math.max(timer.endsAt, now) + SLEEP_EXTEND_MINUTES * 60 * 1000 };
+};
+
+/**
+ * Counts a finished track; the last one is left for the countdown to end
+ * @param {Object|null} timer - Sleep timer
+ * @returns {Object|null} - Updated timer
+ */
+export const countSleepTrack = (timer) => (
+  timer && timer.mode === 'tracks'
+    ? { ...timer, tracksRemaining: Math.max(1, timer.tracksRemaining - 1) }
+    : timer
+);
+
+/**
+ * Gets the seconds left before playback stops
+ * @param {Object} timer - Sleep timer
+ * @param {Object} playback - { duration, currentTime, playbackRate } of the
+ *   playing track
+ * @param {number} now - Current time in ms
+ * @returns {number|null} - Seconds left, or null while more than the current
+ *   track remains (or its duration is unknown)
+ */
+export const getSleepRemaining = (timer, { duration, currentTime, playbackRate }, now) => {
+  if (timer.mode === 'time') return (timer.endsAt - now) / 1000;
+  if (timer.tracksRemaining === 1 && duration) return (duration - currentTime) / playbackRate;
+  return null;
+};
+
+/**
+ * Gets the output level for the time left, fading over the final seconds
+ * @param {number} remaining - Seconds left
+ * @returns {number} - Output level from 0 to 1
+ */
+export const getSleepLevel = (remaining) => {
+  const progress = 1 - remaining / SLEEP_FADE_SECONDS;
+  return progress > 0 ? getCrossfadeGains(progress, 'logarithmic').fadeOut : 1;
+};
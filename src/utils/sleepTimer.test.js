@@ -0,0 +1,74 @@
+import {
+  countSleepTrack,
+  createSleepTimer,
+  getExtendedSleepTimer,
+  getSleepLevel,
+  getSleepRemaining,
+  SLEEP_FADE_SECONDS
+} from './sleepTimer';
+
+const NOW = 1000000;
+
+describe('createSleepTimer', () => {
+  it('ends at a time or after a number of tracks', () => {
+    expect(createSleepTimer('time', 15, NOW)).toEqual({ mode: 'time', endsAt: NOW + 15 * 60 * 1000 });
+    expect(createSleepTimer('track', 0, NOW)).toEqual({ mode: 'tracks', tracksRemaining: 1 });
+    expect(createSleepTimer('tracks', 2.6, NOW)).toEqual({ mode: 'tracks', tracksRemaining: 3 });
+  });
+
+  it('rejects settings that end nothing', () => {
+    expect(createSleepTimer('time', 0, NOW)).toBeNull();
+    expect(createSleepTimer('tracks', -1, NOW)).toBeNull();
+  });
+});
+
+describe('getExtendedSleepTimer', () => {
+  it('adds minutes from now, or from the end while it is ahead', () => {
+    expect(getExtendedSleepTimer({ mode: 'time', endsAt: NOW - 1000 }, NOW).endsAt).toBe(NOW + 5 * 60 * 1000);
+    expect(getExtendedSleepTimer({ mode: 'time', endsAt: NOW + 1000 }, NOW).endsAt).toBe(NOW + 1000 + 5 * 60 * 1000);
+  });
+
+  it('adds a track', () => {
+    expect(getExtendedSleepTimer({ mode: 'tracks', tracksRemaining: 1 }, NOW).tracksRemaining).toBe(2);
+    expect(getExtendedSleepTimer(null, NOW)).toBeNull();
+  });
+});
+
+describe('countSleepTrack', () => {
+  it('counts tracks down to the last one', () => {
+    expect(countSleepTrack({ mode: 'tracks', tracksRemaining: 2 })).toEqual({ mode: 'tracks', tracksRemaining: 1 });
+    expect(countSleepTrack({ mode: 'tracks', tracksRemaining: 1 })).toEqual({ mode: 'tracks', tracksRemaining: 1 });
+  });
+
+  it('leaves time-based timers alone', () => {
+    const timer = { mode: 'time', endsAt: NOW };
+    expect(countSleepTrack(timer)).toBe(timer);
+  });
+});
+
+describe('getSleepRemaining', () => {
+  const playback = { duration: 200, currentTime: 150, playbackRate: 2 };
+
+  it('counts down to the end time', () => {
+    expect(getSleepRemaining({ mode: 'time', endsAt: NOW + 90000 }, playback, NOW)).toBe(90);
+    expect(getSleepRemaining({ mode: 'time', endsAt: NOW - 1000 }, playback, NOW)).toBe(-1);
+  });
+
+  it('counts down the last track at its playback rate', () => {
+    expect(getSleepRemaining({ mode: 'tracks', tracksRemaining: 1 }, playback, NOW)).toBe(25);
+  });
+
+  it('has no countdown while more tracks remain or the duration is unknown', () => {
+    expect(getSleepRemaining({ mode: 'tracks', tracksRemaining: 2 }, playback, NOW)).toBeNull();
+    expect(getSleepRemaining({ mode: 'tracks', tracksRemaining: 1 }, { ...playback, duration: NaN }, NOW)).toBeNull();
+  });
+});
+
+describe('getSleepLevel', () => {
+  it('fades out over the final seconds', () => {
+    expect(getSleepLevel(SLEEP_FADE_SECONDS + 10)).toBe(1);
+    expect(getSleepLevel(SLEEP_FADE_SECONDS)).toBe(1);
+    expect(getSleepLevel(SLEEP_FADE_SECONDS / 2)).toBeGreaterThan(getSleepLevel(SLEEP_FADE_SECONDS / 4));
+    expect(getSleepLevel(0)).toBe(0);
+  });
+});
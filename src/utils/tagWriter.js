@@ -0,0 +1,247 @@
+/**
+ * ID3v2.4 tag writing
+ * Builds a fresh ID3v2.4 tag from a file's existing frames plus the edited
+ * fields and splices it in front of the untouched audio frames.
+ */
+
+import {
+  decodePictureFrame,
+  decodeTextFrame,
+  parseFrames,
+  parsePosition,
+  readId3v2,
+  splitTerminated
+} from './id3';
+import { readTags } from './metadata';
+import { extractArtwork } from './artwork';
+import { createAudioUrl } from './audioUtils';
+
+const UTF8 = 3;
+const ID3V1_SIZE = 128;
+// Free space left in the tag so later edits by other taggers fit in place
+const PADDING_SIZE = 1024;
+const FRONT_COVER = 3;
+
+// Editable fields and the text frames that hold them
+const FIELD_FRAMES = {
+  title: 'TIT2',
+  artist: 'TPE1',
+  album: 'TALB',
+  trackNumber: 'TRCK',
+  genre: 'TCON',
+  year: 'TDRC'
+};
+
+export const EDITABLE_TAG_FIELDS = Object.keys(FIELD_FRAMES);
+
+// ID3v2.3 frames that ID3v2.4 replaced or removed
+const OBSOLETE_V23_FRAMES = ['TYER', 'TDAT', 'TIME', 'TORY', 'TRDA', 'TSIZ', 'IPLS', 'RVAD', 'EQUA'];
+
+const textEncoder = new TextEncoder();
+
+const concatBytes = (parts) => {
+  const length = parts.reduce((total, part) => total + part.length, 0);
+  const bytes = new Uint8Array(length);
+  parts.reduce((offset, part) => {
+    bytes.set(part, offset);
+    return offset + part.length;
+  }, 0);
+  return bytes;
+};
+
+const writeSyncsafe = (value) => {
+  return Uint8Array.of((value >> 21) & 0x7f, (value >> 14) & 0x7f, (value >> 7) & 0x7f, value & 0x7f);
+};
+
+const encodeFrame = (id, data) => {
+  return concatBytes([textEncoder.encode(id), writeSyncsafe(data.length), Uint8Array.of(0, 0), data]);
+};
+
+const encodeTextFrame = (id, text) => {
+  return encodeFrame(id, concatBytes([Uint8Array.of(UTF8), textEncoder.encode(text)]));
+};
+
+const encodePictureFrame = ({ mimeType, pictureType, description, data }) => {
+  return encodeFrame('APIC', concatBytes([
+    Uint8Array.of(UTF8),
+    textEncoder.encode(mimeType),
+    Uint8Array.of(0, pictureType),
+    textEncoder.encode(description || ''),
+    Uint8Array.of(0),
+    data
+  ]));
+};
+
+/**
+ * Checks whether a track's tags can be written: only MP3 files carry ID3v2
+ * tags at the start
+ * @param {Object} track - Track object
+ * @returns {boolean} - True when the tag editor can save the track
+ */
+export const isTagWritable = (track) => !!track && !!track.file && track.codec === 'mp3';
+
+/**
+ * Length of the part of a CHAP or CTOC frame before its embedded sub-frames
+ * @param {string} id - 'CHAP' or 'CTOC'
+ * @param {Uint8Array} data - Frame body
+ * @returns {number} - Offset of the first sub-frame
+ */
+const getEmbeddedFramesOffset = (id, data) => {
+  const { rest } = splitTerminated(data, 0);
+  // CHAP: start and end times and byte offsets
+  if (id === 'CHAP') return data.length - rest.length + 16;
+
+  // CTOC: flags, entry count and the child element ids
+  let entries = rest.subarray(2);
+  for (let i = 0; i < rest[1] && entries.length > 0; i++) {
+    entries = splitTerminated(entries, 0).rest;
+  }
+  return data.length - entries.length;
+};
+
+/**
+ * Re-encodes the sub-frames of a v2.3 CHAP or CTOC frame with v2.4
+ * (synchsafe) sizes, so v2.4 readers find the chapter titles
+ * @param {Object} frame - { id, data } from a v2.3 tag
+ * @returns {Object} - The frame with a v2.4 body
+ */
+const convertEmbeddedFrames = (frame) => {
+  const offset = Math.min(frame.data.length, getEmbeddedFramesOffset(frame.id, frame.data));
+  const subFrames = parseFrames(frame.data.subarray(offset), 3);
+  return {
+    id: frame.id,
+    data: concatBytes([frame.data.subarray(0, offset), ...subFrames.map(sub => encodeFrame(sub.id, sub.data))])
+  };
+};
+
+/**
+ * Builds a v2.4 recording time (yyyy-MM-ddTHH:mm) from the v2.3 year, date
+ * (DDMM) and time (HHMM) frames
+ * @param {Object[]} frames - v2.3 frames
+ * @returns {string} - Recording time, or '' without a year
+ */
+const getV23RecordingTime = (frames) => {
+  const read = (id) => {
+    const frame = frames.find(item => item.id === id);
+    return frame ? decodeTextFrame(frame.data) : '';
+  };
+  const year = read('TYER');
+  if (!/^\d{4}$/.test(year)) return year;
+
+  const date = read('TDAT');
+  if (!/^\d{4}$/.test(date)) return year;
+  const day = `${year}-${date.slice(2, 4)}-${date.slice(0, 2)}`;
+
+  const time = read('TIME');
+  return /^\d{4}$/.test(time) ? `${day}T${time.slice(0, 2)}:${time.slice(2, 4)}` : day;
+};
+
+/**
+ * Converts an existing tag's frames to ID3v2.4 bodies. ID3v2.2 frames
+ * without a v2.4 id and obsolete v2.3 frames are dropped, except that the
+ * year, date and time merge into TDRC, and the sub-frames of v2.3 chapter
+ * frames get v2.4 sizes. Pictures are decoded so they can be re-encoded.
+ * @param {Object} tag - Parsed tag (see parseId3v2)
+ * @returns {Object[]} - Frames ({ id, data }, { id, text } or
+ *   { id: 'APIC', picture })
+ */
+const carryOverFrames = (tag) => {
+  const hasRecordingTime = tag.frames.some(frame => frame.id === 'TDRC');
+  const isV23 = tag.version === 3;
+
+  return tag.frames.reduce((frames, frame) => {
+    if (frame.id === 'APIC') {
+      frames.push({ id: 'APIC', picture: decodePictureFrame(frame.data, tag.version) });
+    } else if (frame.id === 'TYER' && !hasRecordingTime) {
+      const recordingTime = isV23 ? getV23RecordingTime(tag.frames) : decodeTextFrame(frame.data);
+      if (recordingTime) frames.push({ id: 'TDRC', text: recordingTime });
+    } else if (isV23 && (frame.id === 'CHAP' || frame.id === 'CTOC')) {
+      frames.push(convertEmbeddedFrames(frame));
+    } else if (frame.id.length === 4 && !(tag.version < 4 && OBSOLETE_V23_FRAMES.includes(frame.id))) {
+      frames.push(frame);
+    }
+    return frames;
+  }, []);
+};
+
+/**
+ * Writes edited tags into an MP3 file
+ * @param {File} file - The audio file
+ * @param {Object} changes - Fields to change (see EDITABLE_TAG_FIELDS);
+ *   empty values remove the frame. `cover` is { mimeType, data } to replace
+ *   the pictures with a front cover or null to remove them. Fields that are
+ *   not present keep their current value.
+ * @returns {Promise<File>} - The retagged file
+ */
+export const writeId3Tag = async (file, changes) => {
+  const tag = await readId3v2(file);
+  let frames = tag ? carryOverFrames(tag) : [];
+
+  EDITABLE_TAG_FIELDS.filter(key => key in changes).forEach((key) => {
+    const id = FIELD_FRAMES[key];
+    const existing = frames.find(frame => frame.id === id);
+    let value = changes[key] === null || changes[key] === undefined ? '' : String(changes[key]).trim();
+
+    // Keep the track total when only the number changes
+    if (key === 'trackNumber' && value && existing && existing.data) {
+      const { total } = parsePosition(decodeTextFrame(existing.data));
+      if (total) value = `${value}/${total}`;
+    }
+
+    frames = frames.filter(frame => frame.id !== id);
+    if (value) frames.push({ id, text: value });
+  });
+
+  if ('cover' in changes) {
+    frames = frames.filter(frame => frame.id !== 'APIC');
+    if (changes.cover) {
+      frames.push({ id: 'APIC', picture: { ...changes.cover, pictureType: FRONT_COVER, description: '' } });
+    }
+  }
+
+  const encodedFrames = frames.map((frame) => {
+    if (frame.picture) return encodePictureFrame(frame.picture);
+    if (frame.text !== undefined) return encodeTextFrame(frame.id, frame.text);
+    return encodeFrame(frame.id, frame.data);
+  });
+
+  const body = concatBytes([...encodedFrames, new Uint8Array(PADDING_SIZE)]);
+  const header = concatBytes([textEncoder.encode('ID3'), Uint8Array.of(4, 0, 0), writeSyncsafe(body.length)]);
+
+  // A trailing ID3v1 tag would fill in fields that were just cleared, so it is dropped
+  let audioEnd = file.size;
+  const audioStart = tag ? tag.size : 0;
+  if (audioEnd - ID3V1_SIZE >= audioStart) {
+    const trailer = new Uint8Array(await file.slice(audioEnd - ID3V1_SIZE, audioEnd - ID3V1_SIZE + 3).arrayBuffer());
+    if (trailer[0] === 0x54 && trailer[1] === 0x41 && trailer[2] === 0x47) audioEnd -= ID3V1_SIZE;
+  }
+
+  return new File([header, body, file.slice(audioStart, audioEnd)], file.name, {
+    type: file.type || 'audio/mpeg',
+    lastModified: Date.now()
+  });
+};
+
+/**
+ * Retags a track's file and reads back what was written
+ * @param {Object} track - Track object
+ * @param {Object} changes - Fields to change (see writeId3Tag)
+ * @returns {Promise<Object>} - Track changes: file, url, size, the tag
+ *   fields and, when the cover changed, the artwork thumbnail URL
+ */
+export const retagTrack = async (track, changes) => {
+  const file = await writeId3Tag(track.file, changes);
+  const tags = await readTags(file);
+  const update = { file, url: createAudioUrl(file), size: file.size };
+
+  [...EDITABLE_TAG_FIELDS, 'trackTotal'].forEach((key) => {
+    update[key] = tags.metadata[key];
+  });
+
+  if ('cover' in changes) {
+    const artwork = await extractArtwork(file, tags);
+    update.artwork = artwork ? createAudioUrl(artwork) : null;
+  }
+
+  return update;
+};
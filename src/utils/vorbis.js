@@ -0,0 +1,197 @@
+/**
+ * Vorbis comments and Ogg packets
+ * Vorbis comments carry the tags of FLAC, Ogg Vorbis, Ogg FLAC and Opus
+ * files. Ogg pages are read one at a time so only the header packets are
+ * loaded.
+ */
+
+import { parsePosition } from './id3';
+
+const OGG_PAGE_HEADER_SIZE = 27;
+
+const utf8 = new TextDecoder('utf-8');
+const latin1 = new TextDecoder('iso-8859-1');
+
+const readUint32LE = (bytes, offset) => {
+  return bytes[offset] + (bytes[offset + 1] << 8) + (bytes[offset + 2] << 16) + bytes[offset + 3] * 0x1000000;
+};
+
+const startsWith = (bytes, text, offset = 0) => {
+  return latin1.decode(bytes.subarray(offset, offset + text.length)) === text;
+};
+
+/**
+ * Checks for an Ogg page at the start of the data
+ * @param {Uint8Array} bytes - The first bytes of the file
+ * @returns {boolean} - True for Ogg files
+ */
+export const isOgg = (bytes) => startsWith(bytes, 'OggS');
+
+/**
+ * Parses a Vorbis comment block (without any codec-specific prefix)
+ * @param {Uint8Array} bytes - Comment data starting at the vendor length
+ * @returns {Object} - Values keyed by upper-case field name; repeated
+ *   fields are arrays
+ */
+export const parseVorbisComment = (bytes) => {
+  const comments = {};
+  if (bytes.length < 8) return comments;
+
+  let offset = 4 + readUint32LE(bytes, 0);
+  const count = readUint32LE(bytes, offset);
+  offset += 4;
+
+  for (let i = 0; i < count && offset + 4 <= bytes.length; i++) {
+    const length = readUint32LE(bytes, offset);
+    const entry = utf8.decode(bytes.subarray(offset + 4, offset + 4 + length));
+    offset += 4 + length;
+
+    const separator = entry.indexOf('=');
+    if (separator <= 0) continue;
+
+    const key = entry.slice(0, separator).toUpperCase();
+    const value = entry.slice(separator + 1);
+    if (comments[key] === undefined) {
+      comments[key] = value;
+    } else {
+      comments[key] = [].concat(comments[key], value);
+    }
+  }
+
+  return comments;
+};
+
+const first = (value) => (Array.isArray(value) ? value[0] : value);
+const joined = (value) => (Array.isArray(value) ? value.join(' / ') : value);
+
+/**
+ * Maps Vorbis comments to metadata fields
+ * @param {Object} comments - Comments from parseVorbisComment
+ * @returns {Object} - Same fields as getId3Metadata (missing fields omitted)
+ */
+export const getVorbisMetadata = (comments) => {
+  const track = parsePosition(first(comments.TRACKNUMBER));
+  const disc = parsePosition(first(comments.DISCNUMBER));
+  const year = parseInt((first(comments.DATE) || first(comments.YEAR) || '').slice(0, 4), 10);
+  const trackTotal = parseInt(first(comments.TRACKTOTAL) || first(comments.TOTALTRACKS), 10);
+  const discTotal = parseInt(first(comments.DISCTOTAL) || first(comments.TOTALDISCS), 10);
+
+  const metadata = {
+    title: joined(comments.TITLE),
+    artist: joined(comments.ARTIST),
+    album: first(comments.ALBUM),
+    albumArtist: joined(comments.ALBUMARTIST || comments['ALBUM ARTIST']),
+    trackNumber: track.number,
+    trackTotal: track.total || (isNaN(trackTotal) ? null : trackTotal),
+    discNumber: disc.number,
+    discTotal: disc.total || (isNaN(discTotal) ? null : discTotal),
+    year: isNaN(year) ? null : year,
+    genre: joined(comments.GENRE),
+    comment: first(comments.COMMENT) || first(comments.DESCRIPTION)
+  };
+
+  return Object.keys(metadata).reduce((result, key) => {
+    const value = typeof metadata[key] === 'string' ? metadata[key].trim() : metadata[key];
+    if (value !== null && value !== undefined && value !== '') {
+      result[key] = value;
+    }
+    return result;
+  }, {});
+};
+
+/**
+ * Reads the first packets of the first logical stream of an Ogg file
+ * @param {Blob} file - The audio file
+ * @param {number} count - Number of packets to read
+ * @returns {Promise<Uint8Array[]>} - Complete packets, in order
+ */
+export const readOggPackets = async (file, count) => {
+  const packets = [];
+  let pending = [];
+  let serial = null;
+  let offset = 0;
+
+  while (packets.length < count && offset + OGG_PAGE_HEADER_SIZE <= file.size) {
+    const header = new Uint8Array(await file.slice(offset, offset + OGG_PAGE_HEADER_SIZE).arrayBuffer());
+    if (!isOgg(header)) break;
+
+    const pageSerial = readUint32LE(header, 14);
+    const segmentCount = header[26];
+    const lacing = new Uint8Array(await file.slice(
+      offset + OGG_PAGE_HEADER_SIZE,
+      offset + OGG_PAGE_HEADER_SIZE + segmentCount
+    ).arrayBuffer());
+    const bodyStart = offset + OGG_PAGE_HEADER_SIZE + segmentCount;
+    const bodySize = lacing.reduce((total, size) => total + size, 0);
+    offset = bodyStart + bodySize;
+
+    // Pages of other multiplexed streams are skipped
+    if (serial === null) serial = pageSerial;
+    if (pageSerial !== serial) continue;
+
+    const body = new Uint8Array(await file.slice(bodyStart, bodyStart + bodySize).arrayBuffer());
+    let position = 0;
+    let segmentStart = 0;
+
+    // A lacing value below 255 ends a packet; 255 continues it
+    for (let i = 0; i < lacing.length && packets.length < count; i++) {
+      position += lacing[i];
+      if (lacing[i] < 255) {
+        pending.push(body.subarray(segmentStart, position));
+        segmentStart = position;
+
+        const length = pending.reduce((total, part) => total + part.length, 0);
+        const packet = new Uint8Array(length);
+        pending.reduce((at, part) => {
+          packet.set(part, at);
+          return at + part.length;
+        }, 0);
+        packets.push(packet);
+        pending = [];
+      }
+    }
+    if (segmentStart < position) {
+      pending.push(body.subarray(segmentStart, position));
+    }
+  }
+
+  return packets;
+};
+
+/**
+ * Identifies the codec of an Ogg stream from its first packet
+ * @param {Uint8Array} packet - Identification header packet
+ * @returns {string|null} - 'opus', 'vorbis', 'flac' or null
+ */
+export const getOggCodec = (packet) => {
+  if (startsWith(packet, 'OpusHead')) return 'opus';
+  if (packet[0] === 0x01 && startsWith(packet, 'vorbis', 1)) return 'vorbis';
+  if (packet[0] === 0x7f && startsWith(packet, 'FLAC', 1)) return 'flac';
+  return null;
+};
+
+/**
+ * Reads the codec and comments of an Ogg Vorbis, Opus or Ogg FLAC file
+ * @param {Blob} file - The audio file
+ * @returns {Promise<Object|null>} - { codec, comments } or null when the
+ *   file is not Ogg
+ */
+export const readOggTags = async (file) => {
+  const [identification, commentPacket] = await readOggPackets(file, 2);
+  if (!identification) return null;
+
+  const codec = getOggCodec(identification);
+  let comments = {};
+
+  if (commentPacket) {
+    if (codec === 'opus' && startsWith(commentPacket, 'OpusTags')) {
+      comments = parseVorbisComment(commentPacket.subarray(8));
+    } else if (codec === 'vorbis' && commentPacket[0] === 0x03) {
+      comments = parseVorbisComment(commentPacket.subarray(7));
+    } else if (codec === 'flac' && (commentPacket[0] & 0x7f) === 4) {
+      comments = parseVorbisComment(commentPacket.subarray(4));
+    }
+  }
+
+  return { codec, comments };
+};
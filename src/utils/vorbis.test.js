@@ -0,0 +1,79 @@
+import { getOggCodec, getVorbisMetadata, parseVorbisComment, readOggTags } from './vorbis';
+
+const encoder = new TextEncoder();
+
+const uint32LE = (value) => [value & 0xff, (value >> 8) & 0xff, (value >> 16) & 0xff, (value >>> 24) & 0xff];
+
+const comment = (vendor, entries) => {
+  const bytes = [...uint32LE(vendor.length), ...encoder.encode(vendor), ...uint32LE(entries.length)];
+  entries.forEach((entry) => {
+    const encoded = encoder.encode(entry);
+    bytes.push(...uint32LE(encoded.length), ...encoded);
+  });
+  return bytes;
+};
+
+// An Ogg page holding whole packets (each shorter than 255 bytes)
+const page = (serial, packets) => {
+  const lacing = packets.map(packet => packet.length);
+  return [
+    ...encoder.encode('OggS'), 0, 0, ...new Array(8).fill(0),
+    ...uint32LE(serial), ...uint32LE(0), ...uint32LE(0),
+    lacing.length, ...lacing,
+    ...packets.flat()
+  ];
+};
+
+describe('parseVorbisComment', () => {
+  it('keys fields by upper-case name and keeps repeated fields', () => {
+    const bytes = new Uint8Array(comment('vendor', ['title=Song', 'ARTIST=One', 'artist=Two', 'ALBUM=Café', 'invalid']));
+
+    expect(parseVorbisComment(bytes)).toEqual({ TITLE: 'Song', ARTIST: ['One', 'Two'], ALBUM: 'Café' });
+  });
+});
+
+describe('getVorbisMetadata', () => {
+  it('maps comments to metadata fields', () => {
+    expect(getVorbisMetadata({
+      TITLE: 'Song',
+      ARTIST: ['One', 'Two'],
+      TRACKNUMBER: '3/12',
+      DISCNUMBER: '1',
+      DISCTOTAL: '2',
+      DATE: '2019-05-01',
+      COMMENT: ' '
+    })).toEqual({
+      title: 'Song',
+      artist: 'One / Two',
+      trackNumber: 3,
+      trackTotal: 12,
+      discNumber: 1,
+      discTotal: 2,
+      year: 2019
+    });
+  });
+});
+
+describe('getOggCodec', () => {
+  it('identifies the codec from the identification header', () => {
+    expect(getOggCodec(encoder.encode('OpusHead'))).toBe('opus');
+    expect(getOggCodec(new Uint8Array([1, ...encoder.encode('vorbis')]))).toBe('vorbis');
+    expect(getOggCodec(new Uint8Array([0x7f, ...encoder.encode('FLAC')]))).toBe('flac');
+    expect(getOggCodec(new Uint8Array([0, 0, 0, 0]))).toBeNull();
+  });
+});
+
+describe('readOggTags', () => {
+  it('reads the comment packet of the first stream', async () => {
+    const head = [...encoder.encode('OpusHead'), 1, 2, 0, 0];
+    const tags = [...encoder.encode('OpusTags'), ...comment('vendor', ['TITLE=Song'])];
+    const other = [...encoder.encode('OpusTags'), ...comment('vendor', ['TITLE=Other'])];
+    const file = new Blob([new Uint8Array([...page(1, [head]), ...page(2, [other]), ...page(1, [tags])])]);
+
+    expect(await readOggTags(file)).toEqual({ codec: 'opus', comments: { TITLE: 'Song' } });
+  });
+
+  it('returns null for other files', async () => {
+    expect(await readOggTags(new Blob([encoder.encode('fLaC')]))).toBeNull();
+  });
+});
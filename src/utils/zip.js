@@ -0,0 +1,222 @@
+/**
+ * ZIP archive reading
+ * Lists entries from the central directory and extracts them on demand:
+ * stored entries are slices of the archive and deflated entries are
+ * inflated as a stream, so only the entries that are used are read.
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const EOCD_SIZE = 22;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const LOCAL_HEADER_SIZE = 30;
+const ZIP64_EXTRA_FIELD = 0x0001;
+// The end record is followed by a comment of up to 64 KB
+const MAX_COMMENT_SIZE = 0xffff;
+
+const FLAG_ENCRYPTED = 0x0001;
+// Names and comments are UTF-8; without it they are code page 437
+const FLAG_UTF8 = 0x0800;
+
+export const ZIP_METHODS = {
+  STORED: 0,
+  DEFLATE: 8
+};
+
+const utf8 = new TextDecoder('utf-8');
+// Code page 437 characters for bytes 0x80-0xFF; the lower half is ASCII.
+// Browsers' TextDecoder does not support it.
+const CP437_HIGH = 'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜ¢£¥₧ƒáíóúñÑªº¿⌐¬½¼¡«»░▒▓│┤╡╢╖╕╣║╗╝╜╛┐└┴┬├─┼╞╟╚╔╩╦╠═╬╧╨╤╥╙╘╒╓╫╪┘┌█▄▌▐▀αßΓπΣσµτΦΘΩδ∞φε∩≡±≥≤⌠⌡÷≈°∙·√ⁿ²■\u00A0';
+
+const decodeCp437 = (bytes) => {
+  let text = '';
+  for (let i = 0; i < bytes.length; i++) {
+    text += bytes[i] < 0x80 ? String.fromCharCode(bytes[i]) : CP437_HIGH[bytes[i] - 0x80];
+  }
+  return text;
+};
+
+const readUint16 = (bytes, offset) => bytes[offset] | (bytes[offset + 1] << 8);
+
+const readUint32 = (bytes, offset) => {
+  return bytes[offset] + (bytes[offset + 1] << 8) + (bytes[offset + 2] << 16) + bytes[offset + 3] * 0x1000000;
+};
+
+const readUint64 = (bytes, offset) => readUint32(bytes, offset) + readUint32(bytes, offset + 4) * 0x100000000;
+
+// MS-DOS date and time fields, in local time
+const readDosDate = (date, time) => {
+  return new Date(
+    1980 + (date >> 9),
+    ((date >> 5) & 0x0f) - 1,
+    date & 0x1f,
+    time >> 11,
+    (time >> 5) & 0x3f,
+    (time & 0x1f) * 2
+  ).getTime();
+};
+
+const readBytes = async (file, start, end) => {
+  return new Uint8Array(await file.slice(start, end).arrayBuffer());
+};
+
+/**
+ * Checks whether a file is a ZIP archive by its name or type
+ * @param {File} file - The file to check
+ * @returns {boolean} - True for .zip files
+ */
+export const isZipFile = (file) => {
+  const name = (file.name || '').toLowerCase();
+  return name.endsWith('.zip') || file.type === 'application/zip' || file.type === 'application/x-zip-compressed';
+};
+
+/**
+ * Finds the central directory through the end of central directory record
+ * (and its ZIP64 counterpart for archives past 4 GB or 65535 entries)
+ * @param {Blob} file - The archive
+ * @returns {Promise<Object>} - { offset, size, count }
+ */
+const findCentralDirectory = async (file) => {
+  const tailStart = Math.max(0, file.size - EOCD_SIZE - MAX_COMMENT_SIZE);
+  const tail = await readBytes(file, tailStart, file.size);
+
+  let position = tail.length - EOCD_SIZE;
+  while (position >= 0 && readUint32(tail, position) !== EOCD_SIGNATURE) {
+    position--;
+  }
+  if (position < 0) throw new Error('Not a ZIP archive');
+
+  const directory = {
+    count: readUint16(tail, position + 10),
+    size: readUint32(tail, position + 12),
+    offset: readUint32(tail, position + 16)
+  };
+
+  const locatorAt = position - 20;
+  if (locatorAt >= 0 && readUint32(tail, locatorAt) === ZIP64_LOCATOR_SIGNATURE) {
+    const recordOffset = readUint64(tail, locatorAt + 8);
+    const record = await readBytes(file, recordOffset, recordOffset + 56);
+    if (readUint32(record, 0) === ZIP64_EOCD_SIGNATURE) {
+      directory.count = readUint64(record, 32);
+      directory.size = readUint64(record, 40);
+      directory.offset = readUint64(record, 48);
+    }
+  }
+
+  return directory;
+};
+
+// ZIP64 extra fields replace the 32-bit values that are set to 0xffffffff, in this order
+const applyZip64Extra = (entry, extra) => {
+  let offset = 0;
+  while (offset + 4 <= extra.length) {
+    const id = readUint16(extra, offset);
+    const size = readUint16(extra, offset + 2);
+    if (id === ZIP64_EXTRA_FIELD) {
+      const end = offset + 4 + size;
+      let field = offset + 4;
+      for (const key of ['size', 'compressedSize', 'localHeaderOffset']) {
+        if (entry[key] === 0xffffffff && field + 8 <= end) {
+          entry[key] = readUint64(extra, field);
+          field += 8;
+        }
+      }
+      return;
+    }
+    offset += 4 + size;
+  }
+};
+
+/**
+ * Lists the files in an archive. Directories and encrypted entries are
+ * left out.
+ * @param {Blob} file - The archive
+ * @returns {Promise<Object[]>} - Entries ({ path, size, compressedSize,
+ *   method, localHeaderOffset, lastModified })
+ */
+export const readZipEntries = async (file) => {
+  const directory = await findCentralDirectory(file);
+  const bytes = await readBytes(file, directory.offset, directory.offset + directory.size);
+  const entries = [];
+  let offset = 0;
+
+  for (let i = 0; i < directory.count && offset + 46 <= bytes.length; i++) {
+    if (readUint32(bytes, offset) !== CENTRAL_HEADER_SIGNATURE) break;
+
+    const flags = readUint16(bytes, offset + 8);
+    const nameLength = readUint16(bytes, offset + 28);
+    const extraLength = readUint16(bytes, offset + 30);
+    const commentLength = readUint16(bytes, offset + 32);
+    const nameBytes = bytes.subarray(offset + 46, offset + 46 + nameLength);
+    // Windows and older zippers write names in CP437 and leave the flag unset
+    const name = flags & FLAG_UTF8 ? utf8.decode(nameBytes) : decodeCp437(nameBytes);
+    const path = name.replace(/\\/g, '/');
+
+    const entry = {
+      path,
+      method: readUint16(bytes, offset + 10),
+      lastModified: readDosDate(readUint16(bytes, offset + 14), readUint16(bytes, offset + 12)),
+      compressedSize: readUint32(bytes, offset + 20),
+      size: readUint32(bytes, offset + 24),
+      localHeaderOffset: readUint32(bytes, offset + 42)
+    };
+    applyZip64Extra(entry, bytes.subarray(offset + 46 + nameLength, offset + 46 + nameLength + extraLength));
+
+    if (!path.endsWith('/') && !(flags & FLAG_ENCRYPTED)) {
+      entries.push(entry);
+    }
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+};
+
+/**
+ * Extracts an entry. Stored entries stay a slice of the archive; deflated
+ * ones are inflated through a DecompressionStream into a new Blob, so the
+ * whole inflated entry is held in memory. Entries larger than `maxSize` are
+ * refused before anything is read, going by the size in the central
+ * directory, and inflating stops once it passes that size.
+ * @param {Blob} file - The archive
+ * @param {Object} entry - Entry from readZipEntries
+ * @param {Object} [options] - { maxSize } in bytes
+ * @returns {Promise<Blob>} - The entry's contents
+ */
+export const extractZipEntry = async (file, entry, { maxSize = Infinity } = {}) => {
+  if (entry.size > maxSize) {
+    throw new Error(`ZIP entry too large: ${entry.path}`);
+  }
+
+  const header = await readBytes(file, entry.localHeaderOffset, entry.localHeaderOffset + LOCAL_HEADER_SIZE);
+  if (readUint32(header, 0) !== LOCAL_HEADER_SIGNATURE) {
+    throw new Error(`Damaged ZIP entry: ${entry.path}`);
+  }
+
+  // The local name and extra field may differ in length from the central ones
+  const dataStart = entry.localHeaderOffset + LOCAL_HEADER_SIZE + readUint16(header, 26) + readUint16(header, 28);
+  const data = file.slice(dataStart, dataStart + entry.compressedSize);
+
+  if (entry.method === ZIP_METHODS.STORED) return data;
+
+  if (entry.method === ZIP_METHODS.DEFLATE) {
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('This browser cannot inflate ZIP entries');
+    }
+    // A damaged or crafted entry may inflate past its recorded size
+    let inflated = 0;
+    const limit = new TransformStream({
+      transform(chunk, controller) {
+        inflated += chunk.length;
+        if (inflated > entry.size) {
+          throw new Error(`Damaged ZIP entry: ${entry.path}`);
+        }
+        controller.enqueue(chunk);
+      }
+    });
+    return new Response(data.stream().pipeThrough(new DecompressionStream('deflate-raw')).pipeThrough(limit)).blob();
+  }
+
+  throw new Error(`Unsupported ZIP compression method ${entry.method}: ${entry.path}`);
+};
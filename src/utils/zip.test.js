@@ -0,0 +1,137 @@
+import { ZIP_METHODS, extractZipEntry, isZipFile, readZipEntries } from './zip';
+
+const uint16 = (value) => [value & 0xff, (value >> 8) & 0xff];
+const uint32 = (value) => [value & 0xff, (value >> 8) & 0xff, (value >> 16) & 0xff, (value >>> 24) & 0xff];
+const uint64 = (value) => [...uint32(value % 0x100000000), ...uint32(Math.floor(value / 0x100000000))];
+
+const utf8 = (text) => Array.from(new TextEncoder().encode(text));
+
+// 2020-01-02 10:20:30 in MS-DOS date and time fields
+const DOS_DATE = (40 << 9) | (1 << 5) | 2;
+const DOS_TIME = (10 << 11) | (20 << 5) | 15;
+
+const FLAG_UTF8 = 0x0800;
+const MAX_32 = 0xffffffff;
+
+/**
+ * Builds a stored (uncompressed) archive
+ * @param {Object[]} files - { name (bytes), data (bytes), flags, zip64 }
+ *   where zip64 moves the sizes and offset into a ZIP64 extra field
+ * @param {boolean} zip64 - Whether to write a ZIP64 end record
+ * @returns {Uint8Array} - The archive
+ */
+const buildZip = (files, zip64 = false) => {
+  const local = [];
+  const central = [];
+
+  files.forEach(({ name, data, flags = 0, zip64: large = false }) => {
+    const offset = local.length;
+    local.push(
+      ...uint32(0x04034b50), ...uint16(20), ...uint16(flags), ...uint16(ZIP_METHODS.STORED),
+      ...uint16(DOS_TIME), ...uint16(DOS_DATE), ...uint32(0),
+      ...uint32(data.length), ...uint32(data.length), ...uint16(name.length), ...uint16(0),
+      ...name, ...data
+    );
+
+    const extra = large ? [...uint16(0x0001), ...uint16(24), ...uint64(data.length), ...uint64(data.length), ...uint64(offset)] : [];
+    central.push(
+      ...uint32(0x02014b50), ...uint16(45), ...uint16(45), ...uint16(flags), ...uint16(ZIP_METHODS.STORED),
+      ...uint16(DOS_TIME), ...uint16(DOS_DATE), ...uint32(0),
+      ...uint32(large ? MAX_32 : data.length), ...uint32(large ? MAX_32 : data.length),
+      ...uint16(name.length), ...uint16(extra.length), ...uint16(0), ...uint16(0), ...uint16(0), ...uint32(0),
+      ...uint32(large ? MAX_32 : offset),
+      ...name, ...extra
+    );
+  });
+
+  const end = [];
+  if (zip64) {
+    const recordOffset = local.length + central.length;
+    end.push(
+      ...uint32(0x06064b50), ...uint64(44), ...uint16(45), ...uint16(45), ...uint32(0), ...uint32(0),
+      ...uint64(files.length), ...uint64(files.length), ...uint64(central.length), ...uint64(local.length),
+      ...uint32(0x07064b50), ...uint32(0), ...uint64(recordOffset), ...uint32(1)
+    );
+  }
+  end.push(
+    ...uint32(0x06054b50), ...uint16(0), ...uint16(0),
+    ...uint16(zip64 ? 0xffff : files.length), ...uint16(zip64 ? 0xffff : files.length),
+    ...uint32(zip64 ? MAX_32 : central.length), ...uint32(zip64 ? MAX_32 : local.length),
+    ...uint16(7), ...utf8('comment')
+  );
+
+  return new Uint8Array([...local, ...central, ...end]);
+};
+
+describe('isZipFile', () => {
+  it('accepts .zip names and ZIP types', () => {
+    expect(isZipFile({ name: 'Album.ZIP', type: '' })).toBe(true);
+    expect(isZipFile({ name: 'download', type: 'application/x-zip-compressed' })).toBe(true);
+    expect(isZipFile({ name: 'song.mp3', type: 'audio/mpeg' })).toBe(false);
+  });
+});
+
+describe('readZipEntries', () => {
+  it('lists files, leaving out directories', async () => {
+    const archive = buildZip([
+      { name: utf8('Album/'), data: [] },
+      { name: utf8('Album/01 Song.mp3'), data: [1, 2, 3] }
+    ]);
+    const entries = await readZipEntries(new Blob([archive]));
+
+    expect(entries).toEqual([{
+      path: 'Album/01 Song.mp3',
+      method: ZIP_METHODS.STORED,
+      lastModified: new Date(2020, 0, 2, 10, 20, 30).getTime(),
+      compressedSize: 3,
+      size: 3,
+      localHeaderOffset: 30 + 'Album/'.length
+    }]);
+  });
+
+  it('decodes names as UTF-8 only when the flag says so', async () => {
+    const archive = buildZip([
+      { name: [0x81, ...utf8('ber.mp3')], data: [1] },
+      { name: utf8('Café.mp3'), data: [2], flags: FLAG_UTF8 },
+      { name: utf8('Windows\\Path.mp3'), data: [3] }
+    ]);
+    const entries = await readZipEntries(new Blob([archive]));
+
+    expect(entries.map(entry => entry.path)).toEqual(['über.mp3', 'Café.mp3', 'Windows/Path.mp3']);
+  });
+
+  it('reads sizes and offsets from ZIP64 extra fields and end records', async () => {
+    const archive = buildZip([
+      { name: utf8('one.mp3'), data: [1, 2] },
+      { name: utf8('two.mp3'), data: [3, 4, 5], zip64: true }
+    ], true);
+    const entries = await readZipEntries(new Blob([archive]));
+
+    expect(entries.map(({ path, size, compressedSize, localHeaderOffset }) => ({ path, size, compressedSize, localHeaderOffset })))
+      .toEqual([
+        { path: 'one.mp3', size: 2, compressedSize: 2, localHeaderOffset: 0 },
+        { path: 'two.mp3', size: 3, compressedSize: 3, localHeaderOffset: 30 + 7 + 2 }
+      ]);
+  });
+
+  it('rejects files without an end record', async () => {
+    await expect(readZipEntries(new Blob([new Uint8Array(64)]))).rejects.toThrow('Not a ZIP archive');
+  });
+});
+
+describe('extractZipEntry', () => {
+  it('returns stored entries as they are', async () => {
+    const file = new Blob([buildZip([{ name: utf8('a.txt'), data: [1] }, { name: utf8('b.txt'), data: utf8('hello') }])]);
+    const [, entry] = await readZipEntries(file);
+
+    expect(await (await extractZipEntry(file, entry)).text()).toBe('hello');
+  });
+
+  it('refuses entries larger than the size limit', async () => {
+    const file = new Blob([buildZip([{ name: utf8('big.mp3'), data: [1, 2, 3, 4] }])]);
+    const [entry] = await readZipEntries(file);
+
+    await expect(extractZipEntry(file, entry, { maxSize: 3 })).rejects.toThrow('ZIP entry too large: big.mp3');
+    expect((await extractZipEntry(file, entry, { maxSize: 4 })).size).toBe(4);
+  });
+});